@@ -3,14 +3,20 @@
  * GitHub Codespaces API とのやり取りを管理
  */
 
-const GITHUB_API_BASE_URL = 'https://api.github.com';
+import { getCodespaceListCache, saveCodespaceListCache } from './storage.js';
+import { normalizeRepoPatterns, matchesRepoPattern } from './patterns.js';
+import { DEFAULT_API_BASE_URL } from './hosts.js';
+import { t } from './i18n.js';
+
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 1000;
+// Codespace 一覧の1ページあたりの件数（API の上限）
+const CODESPACES_PER_PAGE = 100;
 
 /**
  * API リクエストのエラークラス
  */
-class APIError extends Error {
+export class APIError extends Error {
   constructor(message, status, response) {
     super(message);
     this.name = 'APIError';
@@ -25,7 +31,7 @@ class APIError extends Error {
  * @param {number} maxAttempts - 最大試行回数
  * @returns {Promise<any>} 関数の戻り値
  */
-async function retryWithBackoff(fn, maxAttempts = MAX_RETRY_ATTEMPTS) {
+export async function retryWithBackoff(fn, maxAttempts = MAX_RETRY_ATTEMPTS) {
   let lastError;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -70,14 +76,16 @@ function sleep(ms) {
 }
 
 /**
- * GitHub API にリクエストを送信
- * @param {string} endpoint - APIエンドポイント
+ * GitHub API にリクエストを送信し、ステータスとヘッダーを含むレスポンスを返す
+ * 304 Not Modified はエラーとして扱わない（条件付きリクエスト用）
+ * @param {string} endpoint - APIエンドポイント、または Link ヘッダーから得た絶対URL
  * @param {string} token - GitHub Personal Access Token
  * @param {Object} options - fetchオプション
- * @returns {Promise<Object>} レスポンスデータ
+ * @param {string} options.baseUrl - API の URL（GitHub Enterprise など）
+ * @returns {Promise<Object>} { status: number, headers: Headers, data: Object|null }
  */
-async function makeAPIRequest(endpoint, token, options = {}) {
-  const url = `${GITHUB_API_BASE_URL}${endpoint}`;
+async function sendAPIRequest(endpoint, token, { baseUrl = DEFAULT_API_BASE_URL, ...options } = {}) {
+  const url = /^https?:\/\//.test(endpoint) ? endpoint : `${baseUrl}${endpoint}`;
 
   const headers = {
     'Accept': 'application/vnd.github+json',
@@ -92,59 +100,153 @@ async function makeAPIRequest(endpoint, token, options = {}) {
       headers
     });
 
+    if (response.status === 304) {
+      return { status: response.status, headers: response.headers, data: null };
+    }
+
     // レスポンスボディを取得
     const responseData = await response.json().catch(() => ({}));
 
     if (!response.ok) {
       throw new APIError(
-        responseData.message || `APIリクエストが失敗しました: ${response.status}`,
+        responseData.message || t('errorApiRequest', response.status),
         response.status,
         { headers: response.headers, data: responseData }
       );
     }
 
-    return responseData;
+    return { status: response.status, headers: response.headers, data: responseData };
   } catch (error) {
     if (error instanceof APIError) {
       throw error;
     }
     throw new APIError(
-      `ネットワークエラー: ${error.message}`,
+      t('errorNetworkDetail', error.message),
       0,
       null
     );
   }
 }
 
+/**
+ * GitHub API にリクエストを送信
+ * @param {string} endpoint - APIエンドポイント
+ * @param {string} token - GitHub Personal Access Token
+ * @param {Object} options - fetchオプション（baseUrl で API の URL を指定）
+ * @returns {Promise<Object>} レスポンスデータ
+ */
+async function makeAPIRequest(endpoint, token, options = {}) {
+  const { data } = await sendAPIRequest(endpoint, token, options);
+  return data;
+}
+
+/**
+ * Link ヘッダーから次のページの URL を取得
+ * @param {string|null} linkHeader - Link ヘッダーの値
+ * @returns {string|null} 次のページの URL（最終ページの場合は null）
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * トークンのハッシュを計算（キャッシュの持ち主を判別するため。トークン自体は保存しない）
+ * @param {string} token - GitHub Personal Access Token
+ * @returns {Promise<string>} SHA-256 ハッシュの16進文字列
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Codespace 一覧の1ページを取得
+ * キャッシュ済みの ETag があれば If-None-Match を送信し、304 の場合はキャッシュを返す
+ * @param {string} endpoint - APIエンドポイントまたはページの URL
+ * @param {string} token - GitHub Personal Access Token
+ * @param {Object|undefined} cachedPage - キャッシュ済みのページ { etag, codespaces, nextUrl }
+ * @param {string} baseUrl - API の URL
+ * @returns {Promise<Object>} ページ { etag, codespaces, nextUrl }
+ */
+async function fetchCodespacePage(endpoint, token, cachedPage, baseUrl) {
+  const headers = cachedPage?.etag ? { 'If-None-Match': cachedPage.etag } : {};
+  const response = await sendAPIRequest(endpoint, token, { headers, baseUrl });
+
+  if (response.status === 304 && cachedPage) {
+    return cachedPage;
+  }
+
+  return {
+    etag: response.headers.get('ETag'),
+    codespaces: response.data?.codespaces || [],
+    nextUrl: getNextPageUrl(response.headers.get('Link'))
+  };
+}
+
 /**
  * すべての Codespace を取得
+ * すべてのページを取得し、ページごとの ETag で条件付きリクエストを行う
  * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
  * @returns {Promise<Array>} Codespace の配列
  */
-export async function getAllCodespaces(token) {
+export async function getAllCodespaces(token, apiBaseUrl = DEFAULT_API_BASE_URL) {
   if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+    throw new APIError(t('errorTokenMissing'), 401, null);
   }
 
-  return retryWithBackoff(async () => {
-    const data = await makeAPIRequest('/user/codespaces', token);
-    return data.codespaces || [];
-  });
+  // 同じトークン・同じ接続先で取得したキャッシュのみ利用する
+  const tokenHash = await hashToken(`${apiBaseUrl} ${token}`);
+  const cachedPages = await getCodespaceListCache(tokenHash) || {};
+
+  const pages = {};
+  const codespaces = [];
+  let endpoint = `/user/codespaces?per_page=${CODESPACES_PER_PAGE}`;
+
+  // Link ヘッダーをたどってすべてのページを取得
+  while (endpoint && !pages[endpoint]) {
+    const currentEndpoint = endpoint;
+    const page = await retryWithBackoff(async () => {
+      return await fetchCodespacePage(currentEndpoint, token, cachedPages[currentEndpoint], apiBaseUrl);
+    });
+
+    pages[currentEndpoint] = page;
+    codespaces.push(...page.codespaces);
+    endpoint = page.nextUrl;
+  }
+
+  await saveCodespaceListCache(tokenHash, pages);
+
+  return codespaces;
 }
 
 /**
  * 特定の Codespace の詳細を取得
  * @param {string} codespaceName - Codespace名
  * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
  * @returns {Promise<Object>} Codespace の詳細
  */
-export async function getCodespace(codespaceName, token) {
+export async function getCodespace(codespaceName, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
   if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+    throw new APIError(t('errorTokenMissing'), 401, null);
   }
 
   return retryWithBackoff(async () => {
-    return await makeAPIRequest(`/user/codespaces/${codespaceName}`, token);
+    return await makeAPIRequest(`/user/codespaces/${codespaceName}`, token, { baseUrl: apiBaseUrl });
   });
 }
 
@@ -152,97 +254,280 @@ export async function getCodespace(codespaceName, token) {
  * Codespace を停止
  * @param {string} codespaceName - Codespace名
  * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
  * @returns {Promise<Object>} 停止後の Codespace の詳細
  */
-export async function stopCodespace(codespaceName, token) {
+export async function stopCodespace(codespaceName, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
   if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+    throw new APIError(t('errorTokenMissing'), 401, null);
   }
 
   return retryWithBackoff(async () => {
     return await makeAPIRequest(
       `/user/codespaces/${codespaceName}/stop`,
       token,
-      { method: 'POST' }
+      { method: 'POST', baseUrl: apiBaseUrl }
+    );
+  });
+}
+
+/**
+ * Codespace を起動
+ * @param {string} codespaceName - Codespace名
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 起動後の Codespace の詳細
+ */
+export async function startCodespace(codespaceName, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  return retryWithBackoff(async () => {
+    return await makeAPIRequest(
+      `/user/codespaces/${codespaceName}/start`,
+      token,
+      { method: 'POST', baseUrl: apiBaseUrl }
+    );
+  });
+}
+
+/**
+ * リポジトリの Codespace を作成
+ * 作成は冪等ではなく、リトライすると重複して作成されるおそれがあるため、失敗してもリトライしない
+ * @param {string} repository - リポジトリのフルネーム（owner/repo）
+ * @param {Object} options - 作成のオプション
+ * @param {string} options.ref - ブランチ（省略時はデフォルトブランチ）
+ * @param {string} options.machine - マシンタイプの名前（省略時はリポジトリの既定）
+ * @param {string} options.displayName - 表示名（省略時は GitHub が自動で付ける）
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 作成した Codespace の詳細
+ */
+export async function createCodespace(repository, { ref, machine, displayName } = {}, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  const body = {};
+  if (ref) {
+    body.ref = ref;
+  }
+  if (machine) {
+    body.machine = machine;
+  }
+  if (displayName) {
+    body.display_name = displayName;
+  }
+
+  return makeAPIRequest(
+    `/repos/${encodeRepository(repository)}/codespaces`,
+    token,
+    { method: 'POST', body: JSON.stringify(body), headers: { 'Content-Type': 'application/json' }, baseUrl: apiBaseUrl }
+  );
+}
+
+/**
+ * Codespace を削除
+ * 削除すると未コミット・未プッシュの変更は失われる
+ * @param {string} codespaceName - Codespace名
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<void>}
+ */
+export async function deleteCodespace(codespaceName, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  await retryWithBackoff(async () => {
+    return await makeAPIRequest(
+      `/user/codespaces/${codespaceName}`,
+      token,
+      { method: 'DELETE', baseUrl: apiBaseUrl }
+    );
+  });
+}
+
+/**
+ * Codespace のマシンタイプ・表示名を変更
+ * 実行中の Codespace のマシンタイプの変更は、次に起動したときに反映される
+ * @param {string} codespaceName - Codespace名
+ * @param {Object} changes - 変更する項目
+ * @param {string} changes.machine - マシンタイプの名前
+ * @param {string} changes.displayName - 表示名
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 変更後の Codespace の詳細
+ */
+export async function updateCodespace(codespaceName, { machine, displayName } = {}, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  const body = {};
+  if (machine !== undefined) {
+    body.machine = machine;
+  }
+  if (displayName !== undefined) {
+    body.display_name = displayName;
+  }
+
+  return retryWithBackoff(async () => {
+    return await makeAPIRequest(
+      `/user/codespaces/${codespaceName}`,
+      token,
+      { method: 'PATCH', body: JSON.stringify(body), headers: { 'Content-Type': 'application/json' }, baseUrl: apiBaseUrl }
     );
   });
 }
 
+/**
+ * リポジトリで新しい Codespace に使えるマシンタイプを取得
+ * @param {string} repository - リポジトリのフルネーム（owner/repo）
+ * @param {string} ref - ブランチ（省略時はデフォルトブランチ）
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Array>} マシンタイプの配列 [{ name, display_name, cpus, memory_in_bytes, storage_in_bytes }]
+ */
+export async function getRepositoryMachines(repository, ref, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  const data = await retryWithBackoff(async () => {
+    return await makeAPIRequest(
+      `/repos/${encodeRepository(repository)}/codespaces/machines${query}`,
+      token,
+      { baseUrl: apiBaseUrl }
+    );
+  });
+
+  return data?.machines || [];
+}
+
+/**
+ * 既存の Codespace で変更できるマシンタイプを取得
+ * @param {string} codespaceName - Codespace名
+ * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Array>} マシンタイプの配列（getRepositoryMachines を参照）
+ */
+export async function getCodespaceMachines(codespaceName, token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!token) {
+    throw new APIError(t('errorTokenMissing'), 401, null);
+  }
+
+  const data = await retryWithBackoff(async () => {
+    return await makeAPIRequest(`/user/codespaces/${codespaceName}/machines`, token, { baseUrl: apiBaseUrl });
+  });
+
+  return data?.machines || [];
+}
+
+/**
+ * リポジトリのフルネームを URL のパスに使える形にする
+ * @param {string} repository - リポジトリのフルネーム（owner/repo）
+ * @returns {string} owner と repo をそれぞれエンコードしたパス
+ * @throws {APIError} owner/repo の形式でない場合
+ */
+function encodeRepository(repository) {
+  const parts = (repository || '').trim().split('/');
+
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new APIError(t('errorInvalidRepository'), 400, null);
+  }
+
+  return parts.map(encodeURIComponent).join('/');
+}
+
 /**
  * アクティブな Codespace を取得
  * @param {string} token - GitHub Personal Access Token
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
  * @returns {Promise<Array>} アクティブな Codespace の配列
  */
-export async function getActiveCodespaces(token) {
-  const allCodespaces = await getAllCodespaces(token);
+export async function getActiveCodespaces(token, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  const allCodespaces = await getAllCodespaces(token, apiBaseUrl);
   return allCodespaces.filter(cs => cs.state === 'Available');
 }
 
 /**
  * リポジトリ名から Codespace をフィルタリング
  * @param {Array} codespaces - Codespace の配列
- * @param {Array} excludedRepos - 除外するリポジトリ名の配列
+ * @param {Array} excludedRepos - 除外するリポジトリのパターンの配列（以前の形式の文字列は完全一致）
  * @returns {Array} フィルタリングされた Codespace の配列
  */
 export function filterCodespacesByRepo(codespaces, excludedRepos) {
-  if (!excludedRepos || excludedRepos.length === 0) {
+  const patterns = normalizeRepoPatterns(excludedRepos);
+
+  if (patterns.length === 0) {
     return codespaces;
   }
 
   return codespaces.filter(cs => {
     const repoFullName = cs.repository?.full_name || '';
-    return !excludedRepos.some(excluded => {
-      // 完全一致または部分一致をサポート
-      return repoFullName === excluded || repoFullName.includes(excluded);
-    });
+    return !patterns.some(pattern => matchesRepoPattern(pattern, repoFullName));
   });
 }
 
 /**
  * トークンの有効性を検証
- * @param {string} token - GitHub Personal Access Token
- * @returns {Promise<Object>} 検証結果 { valid: boolean, scopes: Array, error: string }
+ * クラシックトークンはスコープをヘッダーで返すが、fine-grained トークンや GitHub App のトークンは返さないため、
+ * Codespace 一覧を実際に取得できるかどうかで権限を判定する
+ * @param {string} token - GitHub のアクセストークン
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 検証結果 { valid, tokenType, scopes, hasCodespaceAccess, error }
  */
-export async function validateToken(token) {
+export async function validateToken(token, apiBaseUrl = DEFAULT_API_BASE_URL) {
   if (!token) {
-    return { valid: false, scopes: [], error: 'トークンが空です' };
+    return { valid: false, tokenType: null, scopes: [], hasCodespaceAccess: false, error: t('errorTokenEmpty') };
   }
 
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'Authorization': `Bearer ${token}`,
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
   try {
-    const response = await fetch(`${GITHUB_API_BASE_URL}/user`, {
-      headers: {
-        'Accept': 'application/vnd.github+json',
-        'Authorization': `Bearer ${token}`,
-        'X-GitHub-Api-Version': '2022-11-28'
-      }
-    });
+    const response = await fetch(`${apiBaseUrl}/user`, { headers });
 
     if (!response.ok) {
       return {
         valid: false,
+        tokenType: null,
         scopes: [],
-        error: response.status === 401 ? '認証に失敗しました' : `エラー: ${response.status}`
+        hasCodespaceAccess: false,
+        error: response.status === 401 ? t('errorAuthFailed') : t('errorStatus', response.status)
       };
     }
 
-    // スコープを取得
-    const scopesHeader = response.headers.get('X-OAuth-Scopes') || '';
-    const scopes = scopesHeader.split(',').map(s => s.trim()).filter(s => s);
+    // スコープを取得（ヘッダーがない場合は fine-grained トークン）
+    const scopesHeader = response.headers.get('X-OAuth-Scopes');
+    const tokenType = scopesHeader === null ? 'fine-grained' : 'classic';
+    const scopes = (scopesHeader || '').split(',').map(s => s.trim()).filter(s => s);
 
-    // codespace スコープの確認
-    const hasCodespaceScope = scopes.includes('codespace');
+    // Codespace 一覧の取得を試して権限を確認
+    const probe = await fetch(`${apiBaseUrl}/user/codespaces?per_page=1`, { headers });
+    const hasCodespaceAccess = probe.ok;
 
-    return {
-      valid: true,
-      scopes,
-      hasCodespaceScope,
-      error: hasCodespaceScope ? '' : 'codespace スコープが必要です'
-    };
+    let error = '';
+    if (!hasCodespaceAccess) {
+      error = tokenType === 'classic'
+        ? t('errorCodespaceScopeRequired')
+        : t('errorCodespacesPermissionRequired');
+    }
+
+    return { valid: true, tokenType, scopes, hasCodespaceAccess, error };
   } catch (error) {
     return {
       valid: false,
+      tokenType: null,
       scopes: [],
-      error: `ネットワークエラー: ${error.message}`
+      hasCodespaceAccess: false,
+      error: t('errorNetworkDetail', error.message)
     };
   }
 }
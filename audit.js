@@ -0,0 +1,59 @@
+/**
+ * 監査ログモジュール
+ * Codespace を停止した操作の記録（停止のきっかけと、そのときのポリシー）を解釈する
+ * 記録の保存と読み込みは storage.js が行う
+ */
+
+import { t } from './i18n.js';
+
+// 停止のきっかけ
+export const STOP_TRIGGERS = {
+  MANUAL: 'manual', // ポップアップの停止ボタン（stopCodespace メッセージ）
+  MAX_CODESPACES: 'maxCodespaces', // 最大同時起動数の超過（enforceMaxCodespaces）
+  INACTIVE: 'inactive', // 非アクティブ時間の超過（checkAndStopInactiveCodespaces）
+  SCHEDULE: 'schedule' // スケジュールの「すべて停止」の時間帯
+};
+
+// 停止の結果
+export const STOP_RESULTS = {
+  STOPPED: 'stopped',
+  FAILED: 'failed'
+};
+
+/**
+ * 停止のきっかけの表示名を取得
+ * @param {string} trigger - 停止のきっかけ（STOP_TRIGGERS）
+ * @returns {string} 表示名
+ */
+export function getStopTriggerLabel(trigger) {
+  switch (trigger) {
+    case STOP_TRIGGERS.MANUAL:
+      return t('triggerManual');
+    case STOP_TRIGGERS.MAX_CODESPACES:
+      return t('triggerMaxCodespaces');
+    case STOP_TRIGGERS.INACTIVE:
+      return t('triggerInactive');
+    case STOP_TRIGGERS.SCHEDULE:
+      return t('triggerSchedule');
+    default:
+      return trigger;
+  }
+}
+
+/**
+ * 監査ログを絞り込む
+ * @param {Array<Object>} entries - 監査ログの記録の配列
+ * @param {Object} filters - 条件
+ * @param {string} filters.trigger - 停止のきっかけ（空の場合はすべて）
+ * @param {string} filters.query - Codespace 名・リポジトリ・アカウント名に含まれる文字列（大文字小文字を区別しない）
+ * @returns {Array<Object>} 条件に一致する記録の配列（新しい順）
+ */
+export function filterAuditLog(entries, { trigger = '', query = '' } = {}) {
+  const needle = query.trim().toLowerCase();
+
+  return entries
+    .filter(entry => !trigger || entry.trigger === trigger)
+    .filter(entry => !needle || [entry.codespaceName, entry.repository, entry.profileName]
+      .some(value => (value || '').toLowerCase().includes(needle)))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
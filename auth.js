@@ -0,0 +1,290 @@
+/**
+ * GitHub 認証モジュール
+ * OAuth デバイスフローによるサインインと、有効期限付きトークンの更新を管理
+ */
+
+import {
+  getSettings,
+  saveSettings,
+  getOAuthCredentials,
+  saveOAuthCredentials,
+  removeOAuthCredentials
+} from './storage.js';
+import { DEFAULT_API_BASE_URL, getLoginBaseUrl } from './hosts.js';
+import { t } from './i18n.js';
+
+const OAUTH_SCOPE = 'codespace';
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// slow_down が返されたときに待ち時間に加える秒数（GitHub の仕様）
+const SLOW_DOWN_INCREMENT_SECONDS = 5;
+
+// 有効期限のこの時間前になったらトークンを更新する（定期チェックの間隔より長くする）
+export const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+// 更新中のアカウント（アカウントID → 更新の Promise）
+// リフレッシュトークンは1回しか使えないため、同じアカウントの更新が重なった場合は先に始めた更新の結果を待つ
+const pendingRefreshes = new Map();
+
+/**
+ * OAuth のエラークラス
+ */
+export class OAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * github.com/login（GitHub Enterprise の場合はそのホストの /login）のエンドポイントに POST する
+ * @param {string} apiBaseUrl - API の URL（ログインのエンドポイントはここから求める）
+ * @param {string} path - パス（例: '/device/code'）
+ * @param {Object} params - フォームパラメータ
+ * @returns {Promise<Object>} レスポンスボディ
+ */
+async function postLoginEndpoint(apiBaseUrl, path, params) {
+  const response = await fetch(`${getLoginBaseUrl(apiBaseUrl)}${path}`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (error) {
+    // ボディが JSON でない場合はステータスのみで判定
+  }
+
+  if (!response.ok) {
+    throw new OAuthError(data.error_description || t('errorStatus', response.status), data.error || `http_${response.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * トークンのレスポンスを保存用の資格情報に変換
+ * @param {Object} data - アクセストークンのレスポンス
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Object} { accessToken, expiresAt, refreshToken, refreshTokenExpiresAt }（期限がない場合は null）
+ */
+function toCredentials(data, now = Date.now()) {
+  return {
+    accessToken: data.access_token,
+    expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+    refreshToken: data.refresh_token || null,
+    refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+  };
+}
+
+/**
+ * 指定時間待機（中断可能）
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @param {AbortSignal} signal - 中断シグナル
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new OAuthError(t('errorSignInCancelled'), 'aborted'));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new OAuthError(t('errorSignInCancelled'), 'aborted'));
+    }, { once: true });
+  });
+}
+
+/**
+ * デバイスコードを要求
+ * @param {string} clientId - OAuth App のクライアント ID
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} { deviceCode, userCode, verificationUri, expiresIn, interval }
+ */
+export async function requestDeviceCode(clientId, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  if (!clientId) {
+    throw new OAuthError(t('errorClientIdMissing'), 'missing_client_id');
+  }
+
+  const data = await postLoginEndpoint(apiBaseUrl, '/device/code', { client_id: clientId, scope: OAUTH_SCOPE });
+
+  if (data.error) {
+    throw new OAuthError(data.error_description || data.error, data.error);
+  }
+
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresIn: data.expires_in,
+    interval: data.interval
+  };
+}
+
+/**
+ * ユーザーがデバイスコードを承認するまでアクセストークンをポーリング
+ * @param {string} clientId - OAuth App のクライアント ID
+ * @param {Object} deviceCode - requestDeviceCode の戻り値
+ * @param {Object} options - オプション
+ * @param {AbortSignal} options.signal - 中断シグナル
+ * @param {string} options.apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 資格情報 { accessToken, expiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+export async function pollForAccessToken(clientId, deviceCode, { signal, apiBaseUrl = DEFAULT_API_BASE_URL } = {}) {
+  const deadline = Date.now() + deviceCode.expiresIn * 1000;
+  let interval = deviceCode.interval;
+
+  while (Date.now() < deadline) {
+    await wait(interval * 1000, signal);
+
+    const data = await postLoginEndpoint(apiBaseUrl, '/oauth/access_token', {
+      client_id: clientId,
+      device_code: deviceCode.deviceCode,
+      grant_type: DEVICE_CODE_GRANT_TYPE
+    });
+
+    if (data.access_token) {
+      return toCredentials(data);
+    }
+
+    switch (data.error) {
+      case 'authorization_pending':
+        break;
+      case 'slow_down':
+        interval = data.interval ?? interval + SLOW_DOWN_INCREMENT_SECONDS;
+        break;
+      case 'expired_token':
+        throw new OAuthError(t('errorDeviceCodeExpired'), data.error);
+      case 'access_denied':
+        throw new OAuthError(t('errorSignInDenied'), data.error);
+      default:
+        throw new OAuthError(data.error_description || data.error || t('errorSignInFailed'), data.error);
+    }
+  }
+
+  throw new OAuthError(t('errorDeviceCodeExpired'), 'expired_token');
+}
+
+/**
+ * リフレッシュトークンでアクセストークンを更新
+ * @param {string} clientId - OAuth App のクライアント ID
+ * @param {string} refreshToken - リフレッシュトークン
+ * @param {string} apiBaseUrl - API の URL（省略時は github.com）
+ * @returns {Promise<Object>} 資格情報 { accessToken, expiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+export async function refreshAccessToken(clientId, refreshToken, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  const data = await postLoginEndpoint(apiBaseUrl, '/oauth/access_token', {
+    client_id: clientId,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+
+  if (!data.access_token) {
+    throw new OAuthError(data.error_description || data.error || t('errorTokenRefreshFailed'), data.error);
+  }
+
+  return toCredentials(data);
+}
+
+/**
+ * サインインを完了し、アクセストークンを設定に反映
+ * @param {Object} credentials - 資格情報
+ * @param {string} clientId - サインインに使用したクライアント ID（トークンの更新に使用）
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<Object>} 更新後の設定
+ */
+export async function completeSignIn(credentials, clientId, profileId) {
+  const settings = await getSettings(profileId);
+  const newSettings = {
+    ...settings,
+    githubToken: credentials.accessToken,
+    authMethod: 'oauth',
+    oauthClientId: clientId
+  };
+
+  await saveOAuthCredentials(credentials, settings.profileId);
+  await saveSettings(newSettings);
+
+  return newSettings;
+}
+
+/**
+ * サインアウトし、トークンと資格情報を削除
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<Object>} 更新後の設定
+ */
+export async function signOut(profileId) {
+  const settings = await getSettings(profileId);
+  const newSettings = { ...settings, githubToken: '', authMethod: 'pat' };
+
+  await removeOAuthCredentials(settings.profileId);
+  await saveSettings(newSettings);
+
+  return newSettings;
+}
+
+/**
+ * 有効期限が近いアクセストークンを更新
+ * 同じアカウントの更新が進行中の場合は、その結果を返す
+ * @param {Object} options - オプション
+ * @param {string} options.profileId - アカウントID（省略時は選択中のアカウント）
+ * @param {number} options.now - 現在時刻（ミリ秒）
+ * @returns {Promise<Object>} { refreshed, expired }（expired が true の場合はサインアウト済み）
+ */
+export async function refreshTokenIfNeeded({ profileId, now = Date.now() } = {}) {
+  const settings = await getSettings(profileId);
+  const id = settings.profileId;
+
+  if (!pendingRefreshes.has(id)) {
+    pendingRefreshes.set(id, refreshProfileToken(settings, now).finally(() => pendingRefreshes.delete(id)));
+  }
+  return pendingRefreshes.get(id);
+}
+
+/**
+ * アカウントのアクセストークンを必要に応じて更新（refreshTokenIfNeeded を参照）
+ * @param {Object} settings - アカウントの設定
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Promise<Object>} { refreshed, expired }
+ */
+async function refreshProfileToken(settings, now) {
+  if (settings.authMethod !== 'oauth') {
+    return { refreshed: false, expired: false };
+  }
+
+  const credentials = await getOAuthCredentials(settings.profileId);
+
+  // 有効期限のないトークン（OAuth App）は更新不要
+  if (!credentials?.expiresAt || credentials.expiresAt - now > TOKEN_REFRESH_MARGIN_MS) {
+    return { refreshed: false, expired: false };
+  }
+
+  const refreshExpired = credentials.refreshTokenExpiresAt !== null && credentials.refreshTokenExpiresAt <= now;
+  if (!credentials.refreshToken || refreshExpired) {
+    await signOut(settings.profileId);
+    return { refreshed: false, expired: true };
+  }
+
+  try {
+    const refreshed = await refreshAccessToken(settings.oauthClientId, credentials.refreshToken, settings.apiBaseUrl);
+    await completeSignIn(refreshed, settings.oauthClientId, settings.profileId);
+    return { refreshed: true, expired: false };
+  } catch (error) {
+    // ネットワークエラーなどは次回に再試行し、リフレッシュトークンが拒否された場合のみサインアウトする
+    if (!(error instanceof OAuthError) || credentials.expiresAt > now) {
+      throw error;
+    }
+
+    await signOut(settings.profileId);
+    return { refreshed: false, expired: true };
+  }
+}
@@ -3,394 +3,848 @@
  * Service Worker として動作し、Codespace の監視と自動管理を実行
  */
 
-// ==================== Storage Module ====================
-// デフォルト設定
-const DEFAULT_SETTINGS = {
-  githubToken: '',
-  autoStopEnabled: true,
-  maxCodespaces: 1,
-  autoStopMinutes: 30,
-  excludedRepos: [],
-  darkMode: false,
-  language: 'ja' // 'ja' or 'en'
+import {
+  getSettings,
+  getAllProfileSettings,
+  getCodespaceDomains,
+  migrateSettings,
+  getCodespaceLastAccess,
+  resolveCodespaceLastAccess,
+  updateCodespaceLastAccess,
+  removeCodespaceAccess,
+  getCodespaceProtection,
+  pruneCodespaceProtection,
+  snoozeCodespace,
+  getPendingStop,
+  savePendingStop,
+  removePendingStop,
+  getCodespaceStart,
+  recordCodespaceStart,
+  finishCodespaceRun,
+  syncCodespaceStarts,
+  appendAuditLog,
+  getCodespaceStatus,
+  saveAccountStatus,
+  removeRunningCodespaceStatus,
+  getLanguageSetting
+} from './storage.js';
+import {
+  getAllCodespaces,
+  getCodespace,
+  stopCodespace,
+  startCodespace,
+  createCodespace,
+  deleteCodespace,
+  updateCodespace,
+  getRepositoryMachines,
+  getCodespaceMachines,
+  getActiveCodespaces,
+  filterCodespacesByRepo
+} from './api.js';
+import { resolveScheduledSettings, describeScheduleRule } from './schedule.js';
+import { STOP_REASONS } from './usage.js';
+import { STOP_TRIGGERS, STOP_RESULTS } from './audit.js';
+import {
+  ACCOUNT_ERRORS,
+  calculateAutoStopAt,
+  createAccountStatus,
+  createInvalidTokenStatus,
+  summarizeStatus,
+  getBadgeAppearance
+} from './status.js';
+import { refreshTokenIfNeeded } from './auth.js';
+import {
+  DEFAULT_CODESPACE_DOMAIN,
+  OPEN_EDITORS,
+  getCodespaceNameFromUrl,
+  getCodespaceUrlPattern,
+  getVSCodeUrl
+} from './hosts.js';
+import { OMNIBOX_ACTIONS, suggestCodespaces, resolveOmniboxInput } from './omnibox.js';
+import { setLanguage, t, tPlural } from './i18n.js';
+
+// 定期チェックの間隔（分）
+const CHECK_INTERVAL_MINUTES = 5;
+
+// アドレスバーの入力中に使う Codespace の一覧（入力のたびに API を呼ばないよう、入力の開始から確定まで使い回す）
+let omniboxCodespaces = null;
+
+// キーボードショートカットとアドレスバーで扱う Codespace の状態（ポップアップの一覧と同じ）
+const LISTED_STATES = ['Available', 'Shutdown'];
+
+// キーボードショートカットのコマンド（manifest.json の commands。ポップアップを開く _execute_action は Chrome が処理する）
+const COMMANDS = {
+  STOP_ALL_EXCEPT_CURRENT: 'stop-all-except-current',
+  SWITCH_TO_RECENT: 'switch-to-recent-codespace'
 };
+const ALARM_NAME = 'codespaceCheck';
+
+// github.dev 以外のドメインで Codespace の操作を検知するコンテンツスクリプトの登録ID
+// （github.dev は manifest.json の content_scripts で登録済み）
+const CUSTOM_DOMAIN_CONTENT_SCRIPT_ID = 'codespaceActivityCustomDomains';
+
+// アイドル判定の間隔（秒）
+const IDLE_DETECTION_INTERVAL_SECONDS = 60;
+
+// 保留中の自動停止のアラーム名・通知IDの接頭辞（後ろに Codespace 名が続く）
+const PENDING_STOP_PREFIX = 'pendingStop:';
+
+// 警告通知のボタン
+const KEEP_RUNNING_BUTTON_INDEX = 0;
+const STOP_NOW_BUTTON_INDEX = 1;
 
 /**
- * 設定を取得
- * @returns {Promise<Object>} 設定オブジェクト
+ * 拡張機能インストール時の初期化
  */
-async function getSettings() {
-  try {
-    const result = await chrome.storage.local.get('settings');
-    return { ...DEFAULT_SETTINGS, ...result.settings };
-  } catch (error) {
-    console.error('設定の取得に失敗しました:', error);
-    return DEFAULT_SETTINGS;
+chrome.runtime.onInstalled.addListener(async () => {
+  console.log('One Codespace 拡張機能がインストールされました');
+
+  await loadLanguage();
+
+  // 定期チェックのアラームを設定
+  await setupAlarm();
+
+  // 以前のバージョンの設定を移行
+  await migrateSettings();
+
+  // github.dev 以外のドメインのコンテンツスクリプトを登録
+  await syncContentScripts();
+
+  // 前回までに取得した状態をバッジに表示
+  await updateBadge();
+
+  // デフォルト設定を保存
+  const settings = await getSettings();
+  if (!settings.githubToken) {
+    await showNotification(t('extName'), t('notifyConfigureToken'), 'settings');
   }
+});
+
+/**
+ * 設定の言語のメッセージを読み込む
+ * Service Worker は停止・再起動を繰り返すため、通知やエラーを作る処理の始めに毎回呼ぶ
+ */
+async function loadLanguage() {
+  await setLanguage(await getLanguageSetting());
 }
 
 /**
- * Codespace の最終アクセス時刻を取得
- * @param {string} codespaceName - Codespace名
- * @returns {Promise<number>} タイムスタンプ（ミリ秒）
+ * ブラウザ起動時にコンテンツスクリプトの登録とバッジを設定に合わせる
  */
-async function getCodespaceLastAccess(codespaceName) {
+chrome.runtime.onStartup.addListener(async () => {
+  await syncContentScripts();
+
+  // バッジはブラウザを再起動すると消えるため、前回までに取得した状態を表示し直す
+  await loadLanguage();
+  await updateBadge();
+});
+
+/**
+ * 接続先へのアクセスが許可・取り消しされたらコンテンツスクリプトの登録を更新
+ */
+chrome.permissions.onAdded.addListener(async () => {
+  await syncContentScripts();
+});
+
+chrome.permissions.onRemoved.addListener(async () => {
+  await syncContentScripts();
+});
+
+/**
+ * github.dev 以外の Codespace のドメインにコンテンツスクリプトを登録
+ * アクセスが許可されているドメインのみを対象にする
+ */
+export async function syncContentScripts() {
   try {
-    const key = `codespace_access_${codespaceName}`;
-    const result = await chrome.storage.local.get(key);
-    return result[key] || Date.now();
+    const matches = [];
+
+    for (const domain of await getCodespaceDomains()) {
+      const pattern = getCodespaceUrlPattern(domain);
+      if (domain !== DEFAULT_CODESPACE_DOMAIN && await chrome.permissions.contains({ origins: [pattern] })) {
+        matches.push(pattern);
+      }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_DOMAIN_CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_DOMAIN_CONTENT_SCRIPT_ID] });
+    }
+
+    if (matches.length > 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: CUSTOM_DOMAIN_CONTENT_SCRIPT_ID,
+        js: ['content.js'],
+        matches,
+        runAt: 'document_idle'
+      }]);
+    }
   } catch (error) {
-    console.error('最終アクセス時刻の取得に失敗しました:', error);
-    return Date.now();
+    console.error('コンテンツスクリプトの登録に失敗しました:', error);
   }
 }
 
 /**
- * Codespace の最終アクセス時刻を更新
- * @param {string} codespaceName - Codespace名
- * @param {number} timestamp - タイムスタンプ（ミリ秒）
- * @returns {Promise<boolean>} 成功した場合true
+ * アラームを設定
  */
-async function updateCodespaceLastAccess(codespaceName, timestamp = Date.now()) {
-  try {
-    const key = `codespace_access_${codespaceName}`;
-    await chrome.storage.local.set({ [key]: timestamp });
-    return true;
-  } catch (error) {
-    console.error('最終アクセス時刻の更新に失敗しました:', error);
-    return false;
-  }
+async function setupAlarm() {
+  // 既存のアラームをクリア
+  await chrome.alarms.clear(ALARM_NAME);
+
+  // 新しいアラームを作成
+  await chrome.alarms.create(ALARM_NAME, {
+    periodInMinutes: CHECK_INTERVAL_MINUTES
+  });
+
+  console.log(`定期チェックを ${CHECK_INTERVAL_MINUTES} 分ごとに設定しました`);
 }
 
 /**
- * Codespace の最終アクセス時刻を削除
- * @param {string} codespaceName - Codespace名
- * @returns {Promise<boolean>} 成功した場合true
+ * アラームのトリガー
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === ALARM_NAME) {
+    console.log('定期チェックを実行します...');
+    await performCodespaceCheck();
+  } else if (alarm.name.startsWith(PENDING_STOP_PREFIX)) {
+    // 警告の期限までに応答がなかった Codespace を停止
+    await executePendingStop(alarm.name.slice(PENDING_STOP_PREFIX.length));
+  }
+});
+
+/**
+ * 警告通知のボタンを処理
  */
-async function removeCodespaceAccess(codespaceName) {
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(PENDING_STOP_PREFIX)) {
+    return;
+  }
+
+  const codespaceName = notificationId.slice(PENDING_STOP_PREFIX.length);
+
+  if (buttonIndex === KEEP_RUNNING_BUTTON_INDEX) {
+    await keepCodespaceRunning(codespaceName);
+  } else if (buttonIndex === STOP_NOW_BUTTON_INDEX) {
+    await executePendingStop(codespaceName);
+  }
+});
+
+/**
+ * キーボードショートカットを処理
+ */
+chrome.commands.onCommand.addListener(async (command) => {
   try {
-    const key = `codespace_access_${codespaceName}`;
-    await chrome.storage.local.remove(key);
-    return true;
+    await loadLanguage();
+
+    if (command === COMMANDS.STOP_ALL_EXCEPT_CURRENT) {
+      await stopAllExceptCurrent();
+    } else if (command === COMMANDS.SWITCH_TO_RECENT) {
+      await switchToRecentCodespace();
+    }
   } catch (error) {
-    console.error('最終アクセス時刻の削除に失敗しました:', error);
-    return false;
+    console.error('キーボードショートカットの処理に失敗しました:', error);
+    await showNotification(t('notifyErrorTitle'), error.message, 'error');
   }
-}
+});
 
-// ==================== API Module ====================
-const GITHUB_API_BASE_URL = 'https://api.github.com';
-const MAX_RETRY_ATTEMPTS = 3;
-const RETRY_DELAY_MS = 1000;
+/**
+ * アドレスバー（キーワード cs）の入力開始
+ * 入力中は同じ一覧から候補を作るため、ここで取得し直す
+ */
+chrome.omnibox.onInputStarted.addListener(async () => {
+  omniboxCodespaces = null;
+  await loadLanguage();
+  chrome.omnibox.setDefaultSuggestion({ description: t('omniboxDefault', '%s') });
+});
 
 /**
- * API リクエストのエラークラス
+ * アドレスバーの入力に応じて候補を表示
  */
-class APIError extends Error {
-  constructor(message, status, response) {
-    super(message);
-    this.name = 'APIError';
-    this.status = status;
-    this.response = response;
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  try {
+    await loadLanguage();
+    suggest(suggestCodespaces(await getOmniboxCodespaces(), text));
+  } catch (error) {
+    console.error('アドレスバーの候補の作成に失敗しました:', error);
+    suggest([]);
   }
-}
+});
 
 /**
- * スリープ
- * @param {number} ms - ミリ秒
- * @returns {Promise<void>}
+ * アドレスバーで確定した操作を実行
+ * Codespace はポップアップから開く場合と同じく新しいタブ（または開いているタブ）で開くため、開き方の指定は使わない
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  try {
+    await loadLanguage();
+    const { action, codespace, ambiguous } = resolveOmniboxInput(await getOmniboxCodespaces(), text);
+    omniboxCodespaces = null;
+
+    if (ambiguous) {
+      await chooseInPopup();
+      return;
+    }
+    if (!codespace) {
+      await showNotification(t('extName'), t('noMatchingCodespaces'));
+      return;
+    }
+
+    await runOmniboxAction(action, codespace);
+  } catch (error) {
+    omniboxCodespaces = null;
+    console.error('アドレスバーの操作に失敗しました:', error);
+    await showNotification(t('notifyErrorTitle'), error.message, 'error');
+  }
+});
 
 /**
- * 指数バックオフでリトライを実行
- * @param {Function} fn - 実行する関数
- * @param {number} maxAttempts - 最大試行回数
- * @returns {Promise<any>} 関数の戻り値
+ * アドレスバーの入力の取り消し
  */
-async function retryWithBackoff(fn, maxAttempts = MAX_RETRY_ATTEMPTS) {
-  let lastError;
+chrome.omnibox.onInputCancelled.addListener(() => {
+  omniboxCodespaces = null;
+});
 
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-
-      // レート制限エラーの場合は特別な処理
-      if (error.status === 429) {
-        const retryAfter = error.response?.headers?.get('Retry-After');
-        const delay = retryAfter ? parseInt(retryAfter) * 1000 : RETRY_DELAY_MS * Math.pow(2, attempt);
-        console.warn(`レート制限に達しました。${delay}ms 後にリトライします...`);
-        await sleep(delay);
-        continue;
-      }
+/**
+ * タブのアクティブ化を監視
+ */
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  try {
+    const tab = await chrome.tabs.get(activeInfo.tabId);
+    await handleTabActivity(tab);
+  } catch (error) {
+    console.error('タブアクティブ化の処理に失敗しました:', error);
+  }
+});
 
-      // リトライ不可能なエラーの場合は即座に失敗
-      if (error.status === 401 || error.status === 403 || error.status === 404) {
-        throw error;
-      }
+/**
+ * タブの更新を監視
+ */
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete') {
+    await handleTabActivity(tab);
+  }
+});
 
-      // その他のエラーは指数バックオフでリトライ
-      if (attempt < maxAttempts - 1) {
-        const delay = RETRY_DELAY_MS * Math.pow(2, attempt);
-        console.warn(`APIリクエストが失敗しました。${delay}ms 後にリトライします... (試行 ${attempt + 1}/${maxAttempts})`);
-        await sleep(delay);
-      }
-    }
+/**
+ * URL から Codespace 名を取得
+ * いずれかのアカウントの Codespace のドメインに一致する URL を対象にする
+ * @param {string|undefined} url - URL
+ * @returns {Promise<string|null>} Codespace名（Codespace の URL でない場合は null）
+ */
+async function resolveCodespaceName(url) {
+  if (!url?.startsWith('https://')) {
+    return null;
   }
 
-  throw lastError;
+  return getCodespaceNameFromUrl(url, await getCodespaceDomains());
 }
 
 /**
- * GitHub API にリクエストを送信
- * @param {string} endpoint - APIエンドポイント
- * @param {string} token - GitHub Personal Access Token
- * @param {Object} options - fetchオプション
- * @returns {Promise<Object>} レスポンスデータ
+ * 画面がロックされているかを確認
+ * ロック中はタブの読み込みなどがあってもアクティビティとして扱わない
+ * @returns {Promise<boolean>} ロックされている場合true
  */
-async function makeAPIRequest(endpoint, token, options = {}) {
-  const url = `${GITHUB_API_BASE_URL}${endpoint}`;
+async function isScreenLocked() {
+  try {
+    const state = await chrome.idle.queryState(IDLE_DETECTION_INTERVAL_SECONDS);
+    return state === 'locked';
+  } catch (error) {
+    console.error('アイドル状態の取得に失敗しました:', error);
+    return false;
+  }
+}
 
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'Authorization': `Bearer ${token}`,
-    'X-GitHub-Api-Version': '2022-11-28',
-    ...options.headers
-  };
+/**
+ * タブのアクティビティを処理
+ * @param {Object} tab - タブオブジェクト
+ */
+export async function handleTabActivity(tab) {
+  const codespaceName = await resolveCodespaceName(tab.url);
+  if (codespaceName) {
+    if (await isScreenLocked()) {
+      return;
+    }
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
+    console.log(`Codespace がアクティブになりました: ${codespaceName}`);
 
-    // レスポンスボディを取得
-    const responseData = await response.json().catch(() => ({}));
+    // 最終アクセス時刻を更新
+    await updateCodespaceLastAccess(codespaceName);
 
-    if (!response.ok) {
-      throw new APIError(
-        responseData.message || `APIリクエストが失敗しました: ${response.status}`,
-        response.status,
-        { headers: response.headers, data: responseData }
-      );
-    }
+    // 使用が再開されたため、保留中の自動停止を取り消す
+    await cancelPendingStop(codespaceName);
 
-    return responseData;
-  } catch (error) {
-    if (error instanceof APIError) {
-      throw error;
-    }
-    throw new APIError(
-      `ネットワークエラー: ${error.message}`,
-      0,
-      null
-    );
+    // 自動管理を実行
+    await enforceMaxCodespaces();
   }
 }
 
 /**
- * すべての Codespace を取得
- * @param {string} token - GitHub Personal Access Token
- * @returns {Promise<Array>} Codespace の配列
+ * コンテンツスクリプトから通知された操作（キーボード・マウス・フォーカス）を処理
+ * タブの切り替えと異なり、最大数の強制は行わず最終アクセス時刻のみ更新する
+ * @param {Object|undefined} tab - 通知元のタブ
  */
-async function getAllCodespaces(token) {
-  if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+export async function handleCodespaceActivity(tab) {
+  const codespaceName = await resolveCodespaceName(tab?.url);
+  if (!codespaceName || await isScreenLocked()) {
+    return;
   }
 
-  return retryWithBackoff(async () => {
-    const data = await makeAPIRequest('/user/codespaces', token);
-    return data.codespaces || [];
-  });
+  await updateCodespaceLastAccess(codespaceName);
+
+  // 使用が再開されたため、保留中の自動停止を取り消す
+  await cancelPendingStop(codespaceName);
 }
 
 /**
- * Codespace を停止
+ * Codespace を開いているタブを探す
+ * タブのアクティビティと同じく、いずれかのアカウントの Codespace のドメインに一致する URL を対象にする
  * @param {string} codespaceName - Codespace名
- * @param {string} token - GitHub Personal Access Token
- * @returns {Promise<Object>} 停止後の Codespace の詳細
+ * @returns {Promise<Object|null>} タブ（開いていない場合は null）
  */
-async function stopCodespace(codespaceName, token) {
-  if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+async function findCodespaceTab(codespaceName) {
+  for (const tab of await chrome.tabs.query({})) {
+    if (await resolveCodespaceName(tab.url) === codespaceName) {
+      return tab;
+    }
   }
 
-  return retryWithBackoff(async () => {
-    return await makeAPIRequest(
-      `/user/codespaces/${codespaceName}/stop`,
-      token,
-      { method: 'POST' }
-    );
-  });
+  return null;
 }
 
 /**
- * アクティブな Codespace を取得
- * @param {string} token - GitHub Personal Access Token
- * @returns {Promise<Array>} アクティブな Codespace の配列
+ * 表示中のタブで開いている Codespace の名前を取得
+ * @returns {Promise<string|null>} Codespace名（Codespace のタブでない場合は null）
  */
-async function getActiveCodespaces(token) {
-  const allCodespaces = await getAllCodespaces(token);
-  return allCodespaces.filter(cs => cs.state === 'Available');
+async function getActiveTabCodespaceName() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab ? resolveCodespaceName(tab.url) : null;
 }
 
 /**
- * リポジトリ名から Codespace をフィルタリング
- * @param {Array} codespaces - Codespace の配列
- * @param {Array} excludedRepos - 除外するリポジトリ名の配列
- * @returns {Array} フィルタリングされた Codespace の配列
+ * Codespace を開く
+ * ブラウザで開く場合は、同じ Codespace のタブがあればそのタブに切り替える
+ * タブがない場合や VS Code で開く場合は、停止中であれば最大数を適用して起動してから開く
+ * @param {Object} settings - アカウントの設定
+ * @param {string} codespaceName - Codespace名
+ * @param {string} editor - 開くエディター（OPEN_EDITORS）
+ * @returns {Promise<Object>} { focusedTab, started, stoppedNames }
  */
-function filterCodespacesByRepo(codespaces, excludedRepos) {
-  if (!excludedRepos || excludedRepos.length === 0) {
-    return codespaces;
+async function openCodespace(settings, codespaceName, editor) {
+  if (editor !== OPEN_EDITORS.VSCODE) {
+    const tab = await findCodespaceTab(codespaceName);
+    if (tab) {
+      // 最終アクセス時刻はタブの切り替えで更新される
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return { focusedTab: true, started: false, stoppedNames: [] };
+    }
   }
 
-  return codespaces.filter(cs => {
-    const repoFullName = cs.repository?.full_name || '';
-    return !excludedRepos.some(excluded => {
-      // 完全一致または部分一致をサポート
-      return repoFullName === excluded || repoFullName.includes(excluded);
-    });
-  });
-}
+  const codespace = await getCodespace(codespaceName, settings.githubToken, settings.apiBaseUrl);
+  const started = codespace.state === 'Shutdown';
+  let stoppedNames = [];
 
-// ==================== Background Script ====================
+  if (started) {
+    ({ stoppedNames } = await startCodespaceWithinLimit(settings, codespaceName));
+  } else {
+    // VS Code で開いた場合はタブのアクティビティとして記録されないため、開いた時点で使用中とみなす
+    await updateCodespaceLastAccess(codespaceName);
+    await cancelPendingStop(codespaceName);
+  }
 
-// 定期チェックの間隔（分）
-const CHECK_INTERVAL_MINUTES = 5;
-const ALARM_NAME = 'codespaceCheck';
+  if (editor === OPEN_EDITORS.VSCODE) {
+    await openExternalUrl(getVSCodeUrl(codespaceName));
+  } else {
+    await chrome.tabs.create({ url: codespace.web_url });
+  }
 
-// Codespace URL パターン
-const CODESPACE_URL_PATTERN = /https:\/\/([^.]+)\.github\.dev/;
+  return { focusedTab: false, started, stoppedNames };
+}
 
 /**
- * 拡張機能インストール時の初期化
+ * 外部アプリケーションの URL（vscode:// など）を開く
+ * 表示中のタブで開くと、ページは移動せずにアプリケーションが起動するため、空のタブが残らない
+ * @param {string} url - URL
  */
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('One Codespace 拡張機能がインストールされました');
+async function openExternalUrl(url) {
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
 
-  // 定期チェックのアラームを設定
-  await setupAlarm();
-
-  // デフォルト設定を保存
-  const settings = await getSettings();
-  if (!settings.githubToken) {
-    await showNotification(
-      'One Codespace',
-      '設定画面で GitHub Personal Access Token を登録してください',
-      'settings'
-    );
+  if (activeTab) {
+    await chrome.tabs.update(activeTab.id, { url });
+  } else {
+    await chrome.tabs.create({ url });
   }
-});
+}
 
 /**
- * アラームを設定
+ * ユーザーの指示で Codespace を停止
+ * 監査ログ・使用履歴に手動の停止として記録し、アクセス履歴と保留中の自動停止を削除する
+ * @param {Object} settings - アカウントの設定
+ * @param {string} codespaceName - Codespace名
  */
-async function setupAlarm() {
-  // 既存のアラームをクリア
-  await chrome.alarms.clear(ALARM_NAME);
+async function stopCodespaceManually(settings, codespaceName) {
+  const stop = {
+    codespaceName,
+    repository: (await getCodespaceStart(codespaceName))?.repository,
+    trigger: STOP_TRIGGERS.MANUAL,
+    detail: t('triggerManual'),
+    lastAccess: await getCodespaceLastAccess(codespaceName)
+  };
 
-  // 新しいアラームを作成
-  await chrome.alarms.create(ALARM_NAME, {
-    periodInMinutes: CHECK_INTERVAL_MINUTES
+  await stopCodespaceWithAudit(stop, settings);
+  await finishCodespaceRun(codespaceName, { reason: STOP_REASONS.MANUAL });
+  await removeCodespaceAccess(codespaceName);
+  await cancelPendingStop(codespaceName);
+  await markCodespaceStopped(codespaceName);
+}
+
+/**
+ * 最大同時起動数を適用してから Codespace を起動
+ * ユーザー自身が起動を指示しているため、猶予時間は設けずに最も古い Codespace から停止して枠を空ける
+ * @param {Object} settings - アカウントの設定
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<Object>} { codespace, stoppedNames }
+ */
+async function startCodespaceWithinLimit(settings, codespaceName) {
+  const stoppedNames = await enforceMaxCodespaces({
+    profileId: settings.profileId,
+    reserveSlots: 1,
+    immediate: true
   });
 
-  console.log(`定期チェックを ${CHECK_INTERVAL_MINUTES} 分ごとに設定しました`);
+  const codespace = await startCodespace(codespaceName, settings.githubToken, settings.apiBaseUrl);
+
+  // 起動直後に最大数の強制対象にならないよう最終アクセス時刻を更新
+  await updateCodespaceLastAccess(codespaceName);
+  await recordCodespaceStart(codespaceName, { codespace });
+
+  return { codespace, stoppedNames };
 }
 
 /**
- * アラームのトリガー
+ * 起動したことを通知（最大数の適用で停止した Codespace があれば、その数も伝える）
+ * @param {string} codespaceName - Codespace名
+ * @param {Array<string>} stoppedNames - 起動の前に停止した Codespace の名前
  */
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === ALARM_NAME) {
-    console.log('定期チェックを実行します...');
-    await performCodespaceCheck();
+async function notifyCodespaceStarted(codespaceName, stoppedNames) {
+  await showNotification(
+    stoppedNames.length > 0 ? tPlural('codespaceStartedStopping', stoppedNames.length) : t('codespaceStarted'),
+    codespaceName
+  );
+}
+
+/**
+ * 表示中のタブで開いている Codespace 以外の実行中の Codespace をすべて停止（キーボードショートカット）
+ * ポップアップの一括停止と同じく固定中の Codespace は停止せず、結果はまとめて 1 回だけ通知する
+ */
+async function stopAllExceptCurrent() {
+  const activeName = await getActiveTabCodespaceName();
+  const running = (await listAllCodespaces())
+    .filter(codespace => codespace.state === 'Available' && codespace.name !== activeName);
+  const protections = await Promise.all(running.map(codespace => getCodespaceProtection(codespace.name)));
+  const targets = running.filter((codespace, index) => !protections[index].pinned);
+
+  if (targets.length === 0) {
+    await showNotification(t('extName'), t('bulkStopNone'));
+    return;
+  }
+
+  // 進み具合を表示しないため並行にはせず、同じアカウントのトークンの更新が重ならないよう 1 つずつ停止する
+  let stoppedCount = 0;
+  for (const codespace of targets) {
+    try {
+      await stopCodespaceManually(await getFreshSettings(codespace.profileId), codespace.name);
+      stoppedCount++;
+    } catch (error) {
+      console.error(`Codespace ${codespace.name} の停止に失敗しました:`, error);
+    }
   }
-});
+
+  const failedCount = targets.length - stoppedCount;
+
+  await showNotification(
+    t('extName'),
+    failedCount === 0 ? tPlural('bulkStopDone', stoppedCount) : tPlural('bulkStopPartial', stoppedCount, [failedCount]),
+    failedCount === 0 ? 'stop' : 'error'
+  );
+}
 
 /**
- * タブのアクティブ化を監視
+ * 最近使った Codespace に切り替える（キーボードショートカット）
+ * 表示中のタブの Codespace を除き、最終アクセス時刻が最も新しい Codespace を開く（停止中であれば起動してから開く）
  */
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
+async function switchToRecentCodespace() {
+  const activeName = await getActiveTabCodespaceName();
+  const candidates = (await listAllCodespaces()).filter(codespace => codespace.name !== activeName);
+  const lastAccesses = await Promise.all(candidates.map(codespace => resolveCodespaceLastAccess(codespace)));
+
+  let recent = null;
+  let recentAt = null;
+  candidates.forEach((codespace, index) => {
+    const { timestamp } = lastAccesses[index];
+    if (timestamp !== null && (recentAt === null || timestamp > recentAt)) {
+      recent = codespace;
+      recentAt = timestamp;
+    }
+  });
+
+  if (!recent) {
+    await showNotification(t('extName'), t('noRecentCodespace'));
+    return;
+  }
+
+  const settings = await getFreshSettings(recent.profileId);
+  const { started, stoppedNames } = await openCodespace(settings, recent.name, settings.openEditor);
+
+  if (started) {
+    await notifyCodespaceStarted(recent.name, stoppedNames);
+  }
+}
+
+/**
+ * アドレスバーで使う Codespace の一覧を取得（入力の開始後に初めて呼ばれたときだけ API から取得する）
+ * @returns {Promise<Array>} Codespace の配列（listAllCodespaces を参照）
+ */
+async function getOmniboxCodespaces() {
+  if (!omniboxCodespaces) {
+    omniboxCodespaces = listAllCodespaces();
+  }
+
   try {
-    const tab = await chrome.tabs.get(activeInfo.tabId);
-    await handleTabActivity(tab);
+    return await omniboxCodespaces;
   } catch (error) {
-    console.error('タブアクティブ化の処理に失敗しました:', error);
+    omniboxCodespaces = null;
+    throw error;
   }
-});
+}
 
 /**
- * タブの更新を監視
+ * 起動・停止する Codespace をアドレスバーの入力から決められない場合に、ポップアップを開いて選んでもらう
+ * ポップアップを開けない場合（フォーカスされたウィンドウがないなど）は通知で名前の入力を促す
  */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete') {
-    await handleTabActivity(tab);
+async function chooseInPopup() {
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    console.error('ポップアップを開けませんでした:', error);
+    await showNotification(t('extName'), t('omniboxAmbiguous'));
   }
-});
+}
 
 /**
- * タブのアクティビティを処理
- * @param {Object} tab - タブオブジェクト
+ * アドレスバーで選んだ操作を Codespace に実行
+ * @param {string} action - 操作（OMNIBOX_ACTIONS）
+ * @param {Object} codespace - Codespace オブジェクト（profileId は取得したアカウント）
  */
-async function handleTabActivity(tab) {
-  if (!tab.url) return;
+async function runOmniboxAction(action, codespace) {
+  const settings = await getFreshSettings(codespace.profileId);
 
-  const match = tab.url.match(CODESPACE_URL_PATTERN);
-  if (match) {
-    const codespaceName = match[1];
-    console.log(`Codespace がアクティブになりました: ${codespaceName}`);
+  if (action === OMNIBOX_ACTIONS.STOP) {
+    await stopCodespaceManually(settings, codespace.name);
+    await showNotification(t('codespaceStopped'), codespace.name, 'stop');
 
-    // 最終アクセス時刻を更新
-    await updateCodespaceLastAccess(codespaceName);
+  } else if (action === OMNIBOX_ACTIONS.START) {
+    const { stoppedNames } = await startCodespaceWithinLimit(settings, codespace.name);
+    await notifyCodespaceStarted(codespace.name, stoppedNames);
 
-    // 自動管理を実行
-    await enforceMaxCodespaces();
+  } else {
+    const { started, stoppedNames } = await openCodespace(settings, codespace.name, settings.openEditor);
+    if (started) {
+      await notifyCodespaceStarted(codespace.name, stoppedNames);
+    }
   }
 }
 
 /**
  * Codespace の定期チェックを実行
+ * トークンが設定されているすべてのアカウントを、それぞれの設定でチェックする
  */
-async function performCodespaceCheck() {
+export async function performCodespaceCheck() {
   try {
-    const settings = await getSettings();
+    await loadLanguage();
+    await ensureFreshToken();
 
-    if (!settings.githubToken) {
+    const profiles = (await getAllProfileSettings()).filter(settings => settings.githubToken);
+
+    if (profiles.length === 0) {
       console.log('GitHub トークンが設定されていません');
       return;
     }
 
+    const existingNames = [];
+    let fetchedAll = true;
+
+    for (const profileSettings of profiles) {
+      const names = await checkProfileCodespaces(profileSettings);
+      if (names) {
+        existingNames.push(...names);
+      } else {
+        fetchedAll = false;
+      }
+    }
+
+    // 削除された Codespace の固定・見送り・起動時刻を整理（一覧を取得できなかったアカウントがある場合は見送る）
+    if (fetchedAll) {
+      await pruneCodespaceProtection(existingNames);
+    }
+
+  } catch (error) {
+    console.error('定期チェック中にエラーが発生しました:', error);
+  }
+}
+
+/**
+ * アカウントごとの定期チェックを実行
+ * 自動停止が無効な場合も、バッジに表示する状態を更新するため一覧は取得する
+ * @param {Object} profileSettings - アカウントの設定（getSettings の戻り値）
+ * @returns {Promise<Array<string>|null>} 取得した Codespace 名の配列（失敗した場合は null）
+ */
+async function checkProfileCodespaces(profileSettings) {
+  // 現在の時間帯のスケジュールルールを反映
+  const { rule, settings } = resolveScheduledSettings(profileSettings);
+
+  try {
+    // すべての Codespace を取得
+    const allCodespaces = await fetchAccountCodespaces(profileSettings);
+
     if (!settings.autoStopEnabled) {
-      console.log('自動停止が無効になっています');
-      return;
+      console.log(rule ? `スケジュールにより自動停止を行いません: ${describeScheduleRule(rule)}` : '自動停止が無効になっています');
+      return allCodespaces.map(cs => cs.name);
     }
 
-    // アクティブな Codespace を取得
-    const codespaces = await getActiveCodespaces(settings.githubToken);
-    console.log(`アクティブな Codespace: ${codespaces.length} 個`);
+    const codespaces = allCodespaces.filter(cs => cs.state === 'Available');
+    console.log(`${settings.profileName}: アクティブな Codespace: ${codespaces.length} 個`);
 
     // 除外リポジトリでフィルタリング
     const filteredCodespaces = filterCodespacesByRepo(codespaces, settings.excludedRepos);
 
-    // 自動停止の対象をチェック
-    await checkAndStopInactiveCodespaces(filteredCodespaces, settings);
+    if (settings.stopAll) {
+      // 停止時間帯はすべての Codespace を停止
+      await stopAllCodespaces(filteredCodespaces, rule, settings);
+    } else {
+      // 自動停止の対象をチェック
+      await checkAndStopInactiveCodespaces(filteredCodespaces, settings);
+    }
+
+    return allCodespaces.map(cs => cs.name);
 
   } catch (error) {
-    console.error('定期チェック中にエラーが発生しました:', error);
+    console.error(`アカウント ${settings.profileName} の定期チェック中にエラーが発生しました:`, error);
+    return null;
+  }
+}
+
+/**
+ * アカウントの Codespace の一覧を取得し、起動時刻の記録・アカウントの状態・バッジを更新
+ * トークンが無効な場合は状態をエラーにし、エラーになったときだけ通知する（チェックのたびには通知しない）
+ * @param {Object} account - アカウントの設定（getSettings の戻り値）
+ * @returns {Promise<Array>} Codespace の配列
+ * @throws {APIError} 取得に失敗した場合
+ */
+async function fetchAccountCodespaces(account) {
+  let codespaces;
 
+  try {
+    codespaces = await getAllCodespaces(account.githubToken, account.apiBaseUrl);
+  } catch (error) {
     if (error.status === 401) {
-      await showNotification(
-        'One Codespace エラー',
-        'GitHub トークンが無効です。設定を確認してください。',
-        'error'
-      );
+      const previous = (await getCodespaceStatus())[account.profileId];
+      await saveAccountStatus(createInvalidTokenStatus(account));
+      await updateBadge();
+
+      if (previous?.error !== ACCOUNT_ERRORS.INVALID_TOKEN) {
+        await showNotification(t('notifyErrorTitle'), t('notifyInvalidToken', account.profileName), 'error');
+      }
     }
+    throw error;
   }
+
+  await syncCodespaceStarts(codespaces);
+  await updateAccountStatus(account, codespaces);
+  await updateBadge();
+  return codespaces;
+}
+
+/**
+ * トークンが設定されているすべてのアカウントの Codespace を取得（キーボードショートカットとアドレスバーで使う）
+ * 定期チェックやポップアップと同じく fetchAccountCodespaces で取得し、取得できなかったアカウントは除いて続ける
+ * @returns {Promise<Array>} 実行中・停止中の Codespace の配列（profileId は取得したアカウント）
+ */
+async function listAllCodespaces() {
+  await ensureFreshToken();
+
+  const accounts = (await getAllProfileSettings()).filter(settings => settings.githubToken);
+  const codespaces = [];
+
+  for (const account of accounts) {
+    try {
+      const list = await fetchAccountCodespaces(account);
+      codespaces.push(...list
+        .filter(codespace => LISTED_STATES.includes(codespace.state))
+        .map(codespace => ({ ...codespace, profileId: account.profileId })));
+    } catch (error) {
+      console.error(`アカウント ${account.profileName} の Codespace を取得できませんでした:`, error);
+    }
+  }
+
+  return codespaces;
+}
+
+/**
+ * 取得した一覧からアカウントの状態を作成して保存
+ * @param {Object} account - アカウントの設定（getSettings の戻り値）
+ * @param {Array} codespaces - Codespace の配列
+ */
+async function updateAccountStatus(account, codespaces) {
+  const { settings } = resolveScheduledSettings(account);
+  const available = codespaces.filter(cs => cs.state === 'Available');
+
+  // 最大数の対象（enforceProfileMaxCodespaces と同じ条件）
+  const limitedNames = new Set(
+    (await filterProtectedCodespaces(filterCodespacesByRepo(available, settings.excludedRepos))).map(cs => cs.name)
+  );
+
+  const running = await Promise.all(available.map(async (cs) => ({
+    name: cs.name,
+    autoStopAt: calculateAutoStopAt(cs, {
+      lastAccess: await resolveCodespaceLastAccess(cs),
+      protection: await getCodespaceProtection(cs.name),
+      pendingStop: await getPendingStop(cs.name),
+      settings: account
+    }),
+    limited: limitedNames.has(cs.name)
+  })));
+
+  await saveAccountStatus(createAccountStatus(account, running));
+}
+
+/**
+ * ツールバーのバッジに実行中の Codespace の数と状態を表示
+ * トークンが設定されているアカウントの状態をまとめる
+ */
+export async function updateBadge() {
+  try {
+    const statuses = await getCodespaceStatus();
+    const accounts = (await getAllProfileSettings())
+      .filter(settings => settings.githubToken && statuses[settings.profileId])
+      .map(settings => statuses[settings.profileId]);
+
+    const { text, color, title } = getBadgeAppearance(summarizeStatus(accounts));
+
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color });
+    await chrome.action.setTitle({ title });
+  } catch (error) {
+    console.error('バッジの更新に失敗しました:', error);
+  }
+}
+
+/**
+ * 停止した Codespace を状態から外してバッジを更新
+ * @param {string} codespaceName - Codespace名
+ */
+async function markCodespaceStopped(codespaceName) {
+  await removeRunningCodespaceStatus(codespaceName);
+  await updateBadge();
 }
 
 /**
@@ -398,29 +852,32 @@ async function performCodespaceCheck() {
  * @param {Array} codespaces - Codespace の配列
  * @param {Object} settings - 設定
  */
-async function checkAndStopInactiveCodespaces(codespaces, settings) {
+export async function checkAndStopInactiveCodespaces(codespaces, settings) {
   const now = Date.now();
   const inactiveThreshold = settings.autoStopMinutes * 60 * 1000; // ミリ秒に変換
 
-  for (const codespace of codespaces) {
-    const lastAccess = await getCodespaceLastAccess(codespace.name);
-    const inactiveDuration = now - lastAccess;
+  // 固定・見送り中の Codespace は対象外
+  const targetCodespaces = await filterProtectedCodespaces(codespaces);
 
-    if (inactiveDuration > inactiveThreshold) {
-      console.log(`Codespace ${codespace.name} が ${settings.autoStopMinutes} 分以上非アクティブです。停止します...`);
+  for (const codespace of targetCodespaces) {
+    const lastAccess = await resolveCodespaceLastAccess(codespace);
 
-      try {
-        await stopCodespace(codespace.name, settings.githubToken);
+    // 拡張機能の記録も API の last_used_at もない場合は判定できない
+    if (lastAccess.timestamp === null) {
+      console.log(`Codespace ${codespace.name} の最終アクセス時刻が不明のため、判定をスキップします`);
+      continue;
+    }
 
-        await showNotification(
-          'Codespace を自動停止しました',
-          `${codespace.repository?.full_name || codespace.name} (${settings.autoStopMinutes}分非アクティブ)`,
-          'stop'
-        );
+    const inactiveDuration = now - lastAccess.timestamp;
 
-        // アクセス履歴を削除
-        await removeCodespaceAccess(codespace.name);
+    if (inactiveDuration > inactiveThreshold) {
+      console.log(`Codespace ${codespace.name} が ${settings.autoStopMinutes} 分以上非アクティブです。停止します...`);
 
+      try {
+        await requestAutoStop(codespace, {
+          trigger: STOP_TRIGGERS.INACTIVE,
+          detail: t('stopReasonInactive', settings.autoStopMinutes)
+        }, settings);
       } catch (error) {
         console.error(`Codespace ${codespace.name} の停止に失敗しました:`, error);
       }
@@ -428,56 +885,118 @@ async function checkAndStopInactiveCodespaces(codespaces, settings) {
   }
 }
 
+/**
+ * スケジュールルールによりすべての Codespace を停止
+ * @param {Array} codespaces - Codespace の配列
+ * @param {Object} rule - 有効なスケジュールルール
+ * @param {Object} settings - 設定
+ */
+async function stopAllCodespaces(codespaces, rule, settings) {
+  // 固定・見送り中の Codespace は対象外
+  const targetCodespaces = await filterProtectedCodespaces(codespaces);
+  const detail = t('scheduleStatus', rule.name || describeScheduleRule(rule));
+
+  for (const codespace of targetCodespaces) {
+    console.log(`スケジュールにより Codespace ${codespace.name} を停止します...`);
+
+    try {
+      await requestAutoStop(codespace, { trigger: STOP_TRIGGERS.SCHEDULE, detail }, settings);
+    } catch (error) {
+      console.error(`Codespace ${codespace.name} の停止に失敗しました:`, error);
+    }
+  }
+}
+
 /**
  * 最大 Codespace 数を強制
+ * 最大数はアカウントごとに適用する
+ * @param {Object} options - オプション
+ * @param {string} options.profileId - 対象のアカウントID（省略時はすべてのアカウント）
+ * @param {number} options.reserveSlots - これから起動する Codespace のために空けておく枠の数
+ * @param {boolean} options.immediate - 警告せずにすぐ停止する（ユーザー自身が切り替えを指示した場合）
+ * @returns {Promise<Array<string>>} 停止した Codespace 名の配列（警告して保留にしたものは含まない）
  */
-async function enforceMaxCodespaces() {
+export async function enforceMaxCodespaces({ profileId, reserveSlots = 0, immediate = false } = {}) {
+  const stoppedNames = [];
+
   try {
-    const settings = await getSettings();
+    await loadLanguage();
+    await ensureFreshToken(profileId);
+
+    const profiles = profileId ? [await getSettings(profileId)] : await getAllProfileSettings();
+
+    for (const profileSettings of profiles) {
+      stoppedNames.push(...await enforceProfileMaxCodespaces(profileSettings, { reserveSlots, immediate }));
+    }
+
+  } catch (error) {
+    console.error('最大 Codespace 数の強制に失敗しました:', error);
+  }
+
+  return stoppedNames;
+}
+
+/**
+ * アカウントの最大 Codespace 数を強制
+ * @param {Object} profileSettings - アカウントの設定（getSettings の戻り値）
+ * @param {Object} options - オプション（enforceMaxCodespaces を参照）
+ * @returns {Promise<Array<string>>} 停止した Codespace 名の配列
+ */
+async function enforceProfileMaxCodespaces(profileSettings, { reserveSlots, immediate }) {
+  const stoppedNames = [];
+
+  try {
+    // 「制限なし」の時間帯は最大数を適用しない
+    const { settings } = resolveScheduledSettings(profileSettings);
 
     if (!settings.githubToken || !settings.autoStopEnabled) {
-      return;
+      return stoppedNames;
     }
 
     // アクティブな Codespace を取得
-    const codespaces = await getActiveCodespaces(settings.githubToken);
+    const codespaces = await getActiveCodespaces(settings.githubToken, settings.apiBaseUrl);
 
-    // 除外リポジトリでフィルタリング
-    const filteredCodespaces = filterCodespacesByRepo(codespaces, settings.excludedRepos);
+    // 除外リポジトリと固定・見送り中の Codespace を除外
+    const filteredCodespaces = await filterProtectedCodespaces(
+      filterCodespacesByRepo(codespaces, settings.excludedRepos)
+    );
+
+    // 起動予定の分を差し引いた上限
+    const limit = Math.max(settings.maxCodespaces - reserveSlots, 0);
 
-    if (filteredCodespaces.length <= settings.maxCodespaces) {
-      return; // 制限内
+    if (filteredCodespaces.length <= limit) {
+      return stoppedNames; // 制限内
     }
 
     // 最終アクセス時刻を取得
     const codespacesWithAccess = await Promise.all(
       filteredCodespaces.map(async (cs) => ({
         ...cs,
-        lastAccess: await getCodespaceLastAccess(cs.name)
+        lastAccess: (await resolveCodespaceLastAccess(cs)).timestamp ?? 0
       }))
     );
 
-    // 最終アクセス時刻でソート（古い順）
+    // 最終アクセス時刻でソート（古い順。時刻が不明なものは最も古いものとして扱う）
     codespacesWithAccess.sort((a, b) => a.lastAccess - b.lastAccess);
 
     // 超過分を停止
-    const excessCount = codespacesWithAccess.length - settings.maxCodespaces;
+    const excessCount = codespacesWithAccess.length - limit;
     const codespacesToStop = codespacesWithAccess.slice(0, excessCount);
 
     for (const codespace of codespacesToStop) {
       console.log(`最大数を超えているため、Codespace ${codespace.name} を停止します...`);
 
       try {
-        await stopCodespace(codespace.name, settings.githubToken);
-
-        await showNotification(
-          'Codespace を自動停止しました',
-          `${codespace.repository?.full_name || codespace.name} (最大数: ${settings.maxCodespaces})`,
-          'stop'
+        const stopped = await requestAutoStop(
+          codespace,
+          { trigger: STOP_TRIGGERS.MAX_CODESPACES, detail: t('stopReasonMaxCodespaces', settings.maxCodespaces) },
+          settings,
+          { immediate }
         );
 
-        // アクセス履歴を削除
-        await removeCodespaceAccess(codespace.name);
+        if (stopped) {
+          stoppedNames.push(codespace.name);
+        }
 
       } catch (error) {
         console.error(`Codespace ${codespace.name} の停止に失敗しました:`, error);
@@ -485,25 +1004,301 @@ async function enforceMaxCodespaces() {
     }
 
   } catch (error) {
-    console.error('最大 Codespace 数の強制に失敗しました:', error);
+    console.error(`アカウント ${profileSettings.profileName} の最大 Codespace 数の強制に失敗しました:`, error);
+  }
+
+  return stoppedNames;
+}
+
+/**
+ * GitHub でサインインして取得したトークンの有効期限を確認し、必要に応じて更新
+ * 更新できずに期限切れになった場合はサインアウトされるため、再サインインを促す
+ * @param {string} profileId - 対象のアカウントID（省略時はすべてのアカウント）
+ */
+async function ensureFreshToken(profileId) {
+  try {
+    const profiles = profileId ? [await getSettings(profileId)] : await getAllProfileSettings();
+
+    for (const settings of profiles.filter(profile => profile.authMethod === 'oauth')) {
+      const { expired } = await refreshTokenIfNeeded({ profileId: settings.profileId });
+
+      if (expired) {
+        await showNotification(t('extName'), t('notifySignInExpired', settings.profileName), 'settings');
+      }
+    }
+  } catch (error) {
+    console.error('トークンの更新に失敗しました:', error);
   }
 }
 
+/**
+ * 指定したアカウントのトークンを必要に応じて更新し、設定を取得
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<Object>} アカウントの設定
+ */
+async function getFreshSettings(profileId) {
+  const { profileId: resolvedId } = await getSettings(profileId);
+  await ensureFreshToken(resolvedId);
+  return getSettings(resolvedId);
+}
+
+/**
+ * 固定・見送り中の Codespace を除外
+ * @param {Array} codespaces - Codespace の配列
+ * @returns {Promise<Array>} 自動停止の対象となる Codespace の配列
+ */
+async function filterProtectedCodespaces(codespaces) {
+  const protections = await Promise.all(codespaces.map(cs => getCodespaceProtection(cs.name)));
+  return codespaces.filter((cs, index) => {
+    const { pinned, snoozeUntil } = protections[index];
+    return !pinned && snoozeUntil === null;
+  });
+}
+
+/**
+ * 停止を判断したときのポリシーを取得（監査ログに記録する）
+ * @param {Object} settings - 設定
+ * @returns {Object} { autoStopEnabled, maxCodespaces, autoStopMinutes, warningMinutes, scheduleRule }
+ */
+function getStopPolicy(settings) {
+  const { rule, settings: effective } = resolveScheduledSettings(settings);
+
+  return {
+    autoStopEnabled: effective.autoStopEnabled,
+    maxCodespaces: effective.maxCodespaces,
+    autoStopMinutes: effective.autoStopMinutes,
+    warningMinutes: effective.warningMinutes,
+    scheduleRule: rule ? rule.name || describeScheduleRule(rule) : null
+  };
+}
+
+/**
+ * Codespace の自動停止を要求
+ * 猶予時間が設定されている場合は、すぐに停止せず警告通知を出して保留にする
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {Object} reason - 停止の理由
+ * @param {string} reason.trigger - 停止のきっかけ（STOP_TRIGGERS）
+ * @param {string} reason.detail - 停止理由（通知に表示）
+ * @param {Object} settings - 設定
+ * @param {Object} options - オプション
+ * @param {boolean} options.immediate - 警告せずにすぐ停止する
+ * @returns {Promise<boolean>} すぐに停止した場合true
+ */
+async function requestAutoStop(codespace, { trigger, detail }, settings, { immediate = false } = {}) {
+  const stop = {
+    codespaceName: codespace.name,
+    repository: codespace.repository?.full_name || null,
+    label: codespace.repository?.full_name || codespace.name,
+    trigger,
+    detail,
+    policy: getStopPolicy(settings),
+    lastAccess: (await resolveCodespaceLastAccess(codespace)).timestamp
+  };
+
+  if (immediate || !(settings.warningMinutes > 0)) {
+    await autoStopCodespace(stop, settings);
+    return true;
+  }
+
+  // 既に警告済みの場合は期限を待つ
+  if (await getPendingStop(codespace.name)) {
+    return false;
+  }
+
+  const warnedAt = Date.now();
+  const deadline = warnedAt + settings.warningMinutes * 60 * 1000;
+  const id = `${PENDING_STOP_PREFIX}${codespace.name}`;
+
+  await savePendingStop({ ...stop, profileId: settings.profileId, warnedAt, deadline });
+
+  // Service Worker が停止していても期限に起動されるようアラームで管理する
+  await chrome.alarms.create(id, { when: deadline });
+
+  await showNotification(
+    t('notifyStoppingSoonTitle'),
+    t('notifyStoppingSoon', [stop.label, detail, settings.warningMinutes]),
+    'stop',
+    {
+      notificationId: id,
+      buttons: [
+        { title: t('keepRunning', settings.snoozeMinutes) },
+        { title: t('stopNow') }
+      ],
+      requireInteraction: true
+    }
+  );
+
+  return false;
+}
+
+/**
+ * Codespace を停止して通知
+ * @param {Object} stop - 停止の要求 { codespaceName, repository, label, trigger, detail, policy, lastAccess, warnedAt }
+ * @param {Object} settings - 設定
+ * @throws {APIError} 停止に失敗した場合
+ */
+async function autoStopCodespace(stop, settings) {
+  await stopCodespaceWithAudit(stop, settings);
+
+  await showNotification(
+    t('notifyAutoStoppedTitle'),
+    `${stop.label} (${stop.detail})`,
+    'stop'
+  );
+
+  // 実行期間を使用履歴に移し（アクセス履歴を参照するため先に行う）、アクセス履歴を削除
+  await finishCodespaceRun(stop.codespaceName, { reason: STOP_REASONS.AUTO });
+  await removeCodespaceAccess(stop.codespaceName);
+  await markCodespaceStopped(stop.codespaceName);
+}
+
+/**
+ * Codespace を停止し、成功・失敗のどちらも監査ログに記録する
+ * @param {Object} stop - 停止の要求 { codespaceName, repository, trigger, detail, policy, lastAccess, warnedAt }
+ * @param {Object} settings - 設定
+ * @throws {APIError} 停止に失敗した場合
+ */
+async function stopCodespaceWithAudit(stop, settings) {
+  try {
+    await stopCodespace(stop.codespaceName, settings.githubToken, settings.apiBaseUrl);
+  } catch (error) {
+    await recordStopAudit(stop, settings, { result: STOP_RESULTS.FAILED, error: error.message });
+    throw error;
+  }
+
+  await recordStopAudit(stop, settings, { result: STOP_RESULTS.STOPPED });
+}
+
+/**
+ * 停止操作を監査ログに記録
+ * @param {Object} stop - 停止の要求 { codespaceName, repository, trigger, detail, policy, lastAccess, warnedAt }
+ * @param {Object} settings - 設定
+ * @param {Object} outcome - 結果 { result, error }
+ */
+async function recordStopAudit(stop, settings, { result, error = null }) {
+  await appendAuditLog({
+    timestamp: Date.now(),
+    codespaceName: stop.codespaceName,
+    repository: stop.repository ?? null,
+    profileId: settings.profileId,
+    profileName: settings.profileName,
+    // 以前のバージョンで保留にした自動停止にはきっかけが記録されていない
+    trigger: stop.trigger ?? null,
+    detail: stop.detail,
+    policy: stop.policy ?? getStopPolicy(settings),
+    lastAccess: stop.lastAccess ?? null,
+    warnedAt: stop.warnedAt ?? null,
+    result,
+    error
+  });
+}
+
+/**
+ * 保留中の自動停止を実行
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<boolean>} 停止した場合true
+ */
+export async function executePendingStop(codespaceName) {
+  const pendingStop = await getPendingStop(codespaceName);
+  if (!pendingStop) {
+    return false;
+  }
+
+  await clearPendingStop(codespaceName);
+
+  // 警告の後に固定・見送りされた場合は停止しない
+  const { pinned, snoozeUntil } = await getCodespaceProtection(codespaceName);
+  if (pinned || snoozeUntil !== null) {
+    console.log(`Codespace ${codespaceName} は固定・見送り中のため自動停止しません`);
+    return false;
+  }
+
+  try {
+    await loadLanguage();
+    const settings = await getSettings(pendingStop.profileId);
+
+    // 保留中に別の経路で停止された場合は何もしない
+    const codespace = await getCodespace(codespaceName, settings.githubToken, settings.apiBaseUrl);
+    if (codespace.state !== 'Available') {
+      return false;
+    }
+
+    await autoStopCodespace(pendingStop, settings);
+    return true;
+  } catch (error) {
+    console.error(`Codespace ${codespaceName} の停止に失敗しました:`, error);
+    return false;
+  }
+}
+
+/**
+ * 「実行を続ける」が選ばれた Codespace の自動停止を見送る
+ * 見送る時間は、選択中のアカウントではなく警告したアカウントの設定に従う
+ * @param {string} codespaceName - Codespace名
+ */
+export async function keepCodespaceRunning(codespaceName) {
+  const pendingStop = await getPendingStop(codespaceName);
+  const settings = await getSettings(pendingStop?.profileId);
+
+  await snoozeCodespace(codespaceName, Date.now() + settings.snoozeMinutes * 60 * 1000);
+  await clearPendingStop(codespaceName);
+
+  console.log(`Codespace ${codespaceName} の自動停止を ${settings.snoozeMinutes} 分間見送ります`);
+}
+
+/**
+ * 保留中の自動停止があれば取り消す
+ * @param {string} codespaceName - Codespace名
+ */
+async function cancelPendingStop(codespaceName) {
+  if (await getPendingStop(codespaceName)) {
+    console.log(`Codespace ${codespaceName} の保留中の自動停止を取り消します`);
+    await clearPendingStop(codespaceName);
+  }
+}
+
+/**
+ * 保留中の自動停止の記録・アラーム・警告通知を削除
+ * @param {string} codespaceName - Codespace名
+ */
+async function clearPendingStop(codespaceName) {
+  const id = `${PENDING_STOP_PREFIX}${codespaceName}`;
+
+  await removePendingStop(codespaceName);
+  await chrome.alarms.clear(id);
+  await chrome.notifications.clear(id);
+}
+
 /**
  * 通知を表示
  * @param {string} title - タイトル
  * @param {string} message - メッセージ
  * @param {string} iconType - アイコンタイプ
+ * @param {Object} options - オプション
+ * @param {string} options.notificationId - 通知ID（ボタンの応答を識別する場合に指定）
+ * @param {Array} options.buttons - ボタン [{ title }]
+ * @param {boolean} options.requireInteraction - ユーザーが操作するまで表示し続ける
  */
-async function showNotification(title, message, iconType = 'info') {
+async function showNotification(title, message, iconType = 'info', { notificationId, buttons, requireInteraction = false } = {}) {
   try {
-    await chrome.notifications.create({
+    const notificationOptions = {
       type: 'basic',
       title: title,
       message: message,
       iconUrl: getNotificationIcon(iconType),
-      priority: 2
-    });
+      priority: 2,
+      requireInteraction
+    };
+
+    if (buttons) {
+      notificationOptions.buttons = buttons;
+    }
+
+    if (notificationId) {
+      await chrome.notifications.create(notificationId, notificationOptions);
+    } else {
+      await chrome.notifications.create(notificationOptions);
+    }
   } catch (error) {
     console.error('通知の表示に失敗しました:', error);
   }
@@ -534,22 +1329,109 @@ function getNotificationIcon(iconType) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     try {
+      // エラーメッセージや通知を設定の言語で作る
+      await loadLanguage();
+
       if (request.action === 'getCodespaces') {
-        const settings = await getSettings();
-        const codespaces = await getAllCodespaces(settings.githubToken);
+        const settings = await getFreshSettings(request.profileId);
+        const codespaces = await fetchAccountCodespaces(settings);
         sendResponse({ success: true, data: codespaces });
 
       } else if (request.action === 'stopCodespace') {
-        const settings = await getSettings();
-        await stopCodespace(request.codespaceName, settings.githubToken);
+        const settings = await getFreshSettings(request.profileId);
+        await stopCodespaceManually(settings, request.codespaceName);
+
+        // 一括停止ではポップアップがまとめて結果を表示するため、1 件ずつは通知しない
+        if (request.notify !== false) {
+          await showNotification(
+            t('codespaceStopped'),
+            request.codespaceName,
+            'stop'
+          );
+        }
+
+        sendResponse({ success: true });
+
+      } else if (request.action === 'startCodespace') {
+        const settings = await getFreshSettings(request.profileId);
+
+        // 起動する前に同じアカウントの最大数を適用し、最も古い Codespace から停止して枠を空ける
+        const { stoppedNames } = await startCodespaceWithinLimit(settings, request.codespaceName);
+
+        sendResponse({ success: true, stoppedNames });
+
+      } else if (request.action === 'openCodespace') {
+        const settings = await getFreshSettings(request.profileId);
+        const result = await openCodespace(settings, request.codespaceName, request.editor || settings.openEditor);
+
+        sendResponse({ success: true, ...result });
+
+      } else if (request.action === 'createCodespace') {
+        const settings = await getFreshSettings(request.profileId);
+
+        // 作成した Codespace はそのまま起動するため、起動と同じく先に最大数の枠を空ける
+        const stoppedNames = await enforceMaxCodespaces({
+          profileId: settings.profileId,
+          reserveSlots: 1,
+          immediate: true
+        });
+
+        const codespace = await createCodespace(request.repository, {
+          ref: request.ref,
+          machine: request.machine,
+          displayName: request.displayName
+        }, settings.githubToken, settings.apiBaseUrl);
+
+        await updateCodespaceLastAccess(codespace.name);
+        await recordCodespaceStart(codespace.name, { codespace });
+
+        sendResponse({ success: true, data: codespace, stoppedNames });
+
+      } else if (request.action === 'deleteCodespace') {
+        const settings = await getFreshSettings(request.profileId);
+        await deleteCodespace(request.codespaceName, settings.githubToken, settings.apiBaseUrl);
+
+        // 実行中に削除した場合は実行期間を使用履歴に移す（固定・見送りの記録は次の定期チェックで整理される）
+        await finishCodespaceRun(request.codespaceName, { reason: STOP_REASONS.MANUAL });
         await removeCodespaceAccess(request.codespaceName);
+        await cancelPendingStop(request.codespaceName);
+        await markCodespaceStopped(request.codespaceName);
 
-        await showNotification(
-          'Codespace を停止しました',
-          request.codespaceName,
-          'stop'
-        );
+        sendResponse({ success: true });
+
+      } else if (request.action === 'updateCodespace') {
+        const settings = await getFreshSettings(request.profileId);
+        const codespace = await updateCodespace(request.codespaceName, {
+          machine: request.machine,
+          displayName: request.displayName
+        }, settings.githubToken, settings.apiBaseUrl);
+
+        sendResponse({ success: true, data: codespace });
+
+      } else if (request.action === 'getMachines') {
+        // 既存の Codespace の場合は変更できるマシン、そうでなければリポジトリで作成できるマシン
+        const settings = await getFreshSettings(request.profileId);
+        const machines = request.codespaceName
+          ? await getCodespaceMachines(request.codespaceName, settings.githubToken, settings.apiBaseUrl)
+          : await getRepositoryMachines(request.repository, request.ref, settings.githubToken, settings.apiBaseUrl);
+
+        sendResponse({ success: true, data: machines });
+
+      } else if (request.action === 'cancelPendingStop') {
+        // ポップアップで固定・見送りされた場合は、警告済みの自動停止を取り消す
+        await cancelPendingStop(request.codespaceName);
+        sendResponse({ success: true });
+
+      } else if (request.action === 'getActiveTabCodespace') {
+        sendResponse({ success: true, codespaceName: await getActiveTabCodespaceName() });
+
+      } else if (request.action === 'codespaceActivity') {
+        await handleCodespaceActivity(sender.tab);
+        sendResponse({ success: true });
 
+      } else if (request.action === 'syncContentScripts') {
+        // 設定画面で接続先が変更された場合
+        await syncContentScripts();
         sendResponse({ success: true });
 
       } else if (request.action === 'refreshCheck') {
@@ -557,11 +1439,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: true });
 
       } else {
-        sendResponse({ success: false, error: '不明なアクション' });
+        sendResponse({ success: false, error: t('errorUnknownAction') });
       }
     } catch (error) {
       console.error('メッセージ処理中にエラーが発生しました:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, status: error.status });
     }
   })();
 
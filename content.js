@@ -0,0 +1,54 @@
+/**
+ * コンテンツスクリプト
+ * *.github.dev 上のキーボード・マウス・フォーカス操作を検知し、バックグラウンドに通知する
+ */
+
+// アクティビティ通知の最小間隔（ミリ秒）
+const ACTIVITY_REPORT_INTERVAL_MS = 60 * 1000;
+
+// アクティビティとして扱うイベント
+const ACTIVITY_EVENTS = ['keydown', 'mousedown', 'mousemove', 'wheel', 'touchstart', 'focus'];
+
+let lastReportedAt = 0;
+
+/**
+ * アクティビティをバックグラウンドに通知（間引きあり）
+ */
+async function reportActivity() {
+  // 非表示のタブでの操作は対象外
+  if (document.visibilityState !== 'visible') {
+    return;
+  }
+
+  const now = Date.now();
+  if (now - lastReportedAt < ACTIVITY_REPORT_INTERVAL_MS) {
+    return;
+  }
+  lastReportedAt = now;
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'codespaceActivity' });
+  } catch (error) {
+    // 拡張機能の更新などでコンテキストが無効になった場合は監視を終了
+    console.warn('アクティビティの通知に失敗しました:', error);
+    stopListening();
+  }
+}
+
+/**
+ * イベントの監視を終了
+ */
+function stopListening() {
+  for (const eventName of ACTIVITY_EVENTS) {
+    window.removeEventListener(eventName, reportActivity, true);
+  }
+  document.removeEventListener('visibilitychange', reportActivity);
+}
+
+for (const eventName of ACTIVITY_EVENTS) {
+  window.addEventListener(eventName, reportActivity, { capture: true, passive: true });
+}
+document.addEventListener('visibilitychange', reportActivity);
+
+// 読み込み時点でのアクセスを記録
+reportActivity();
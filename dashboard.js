@@ -0,0 +1,231 @@
+/**
+ * 使用量ダッシュボードのロジック
+ * 記録した実行期間から、日別・週別・リポジトリ別・マシン別の使用時間と推定コストを表示する
+ */
+
+import { getSettings, saveSettings, getUsageHistory, getAllCodespaceStarts } from './storage.js';
+import { summarizeUsage, usageToCsv, getPeriodStart } from './usage.js';
+import { setLanguage, getLanguage, localizePage, t } from './i18n.js';
+
+// 実行中の Codespace の停止の理由（CSV に出力する）
+const RUNNING_REASON = 'running';
+
+let costPerCoreHour = 0;
+
+/**
+ * 初期化
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const settings = await getSettings();
+    costPerCoreHour = settings.costPerCoreHour;
+
+    await setLanguage(settings.language);
+    localizePage();
+    localizePeriodOptions();
+
+    if (settings.darkMode) {
+      document.body.classList.add('dark-mode');
+    }
+
+    document.getElementById('costPerCoreHour').value = costPerCoreHour;
+    setupEventListeners();
+    await render();
+  } catch (error) {
+    console.error('使用量の読み込みに失敗しました:', error);
+    showSnackbar(t('errorLoadUsage'), 'error');
+  }
+});
+
+/**
+ * 期間の選択肢の文言を現在の言語に置き換える
+ */
+function localizePeriodOptions() {
+  document.querySelectorAll('#periodSelect option').forEach(option => {
+    option.textContent = t('usagePeriodDays', option.value);
+  });
+}
+
+/**
+ * イベントリスナーを設定
+ */
+function setupEventListeners() {
+  document.getElementById('periodSelect').addEventListener('change', render);
+  document.getElementById('costPerCoreHour').addEventListener('change', saveCostHandler);
+  document.getElementById('exportCsvBtn').addEventListener('click', exportCsvHandler);
+}
+
+/**
+ * 選択中の期間（日数）を取得
+ * @returns {number} 日数
+ */
+function getSelectedDays() {
+  return Number(document.getElementById('periodSelect').value);
+}
+
+/**
+ * 使用履歴と実行中の Codespace から実行期間の一覧を作成
+ * 実行中の Codespace は現在時刻までを 1 つの実行期間として扱う
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Promise<Array<Object>>} 実行期間の配列（開始の古い順）
+ */
+async function loadRuns(now) {
+  const [history, starts] = await Promise.all([getUsageHistory(), getAllCodespaceStarts()]);
+
+  const running = Object.entries(starts).map(([codespaceName, start]) => ({
+    codespaceName,
+    repository: start.repository || null,
+    machine: start.machine || null,
+    cpus: start.cpus || null,
+    startedAt: start.timestamp,
+    startObserved: start.observed === true,
+    stoppedAt: now,
+    stopReason: RUNNING_REASON,
+    lastUsedAt: start.lastUsedAt || null,
+    idleTimeoutMinutes: start.idleTimeoutMinutes || null
+  }));
+
+  return [...history, ...running].sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * 使用量を集計して表示
+ */
+async function render() {
+  const now = Date.now();
+  const summary = summarizeUsage(await loadRuns(now), { days: getSelectedDays(), costPerCoreHour, now });
+
+  document.getElementById('totalHours').textContent = formatHours(summary.total.hours);
+  document.getElementById('totalCost').textContent = formatCost(summary.total.cost);
+  document.getElementById('savedHours').textContent = formatHours(summary.saved.hours);
+  document.getElementById('savedCost').textContent = formatCost(summary.saved.cost);
+
+  renderTable('dailyTable', summary.daily);
+  renderTable('weeklyTable', summary.weekly);
+  renderTable('repositoryTable', summary.byRepository);
+  renderTable('machineTable', summary.byMachine.map(row => ({ ...row, key: row.key || t('unknownMachine') })));
+}
+
+/**
+ * 集計の表を描画
+ * @param {string} id - tbody の ID
+ * @param {Array<Object>} rows - 行の配列 { key, hours, cost }
+ */
+function renderTable(id, rows) {
+  const tbody = document.getElementById(id);
+  tbody.replaceChildren();
+
+  if (rows.length === 0) {
+    const row = document.createElement('tr');
+    row.className = 'empty-row';
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.textContent = t('usageNoData');
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  for (const { key, hours, cost } of rows) {
+    const row = document.createElement('tr');
+
+    const label = document.createElement('td');
+    label.textContent = key;
+
+    const hoursCell = document.createElement('td');
+    hoursCell.className = 'number';
+    hoursCell.textContent = formatHours(hours);
+
+    const costCell = document.createElement('td');
+    costCell.className = 'number';
+    costCell.textContent = formatCost(cost);
+
+    row.append(label, hoursCell, costCell);
+    tbody.appendChild(row);
+  }
+}
+
+/**
+ * 時間を表示用に整形
+ * @param {number} hours - 時間
+ * @returns {string} 表示用の文字列（小数第1位まで）
+ */
+function formatHours(hours) {
+  const value = new Intl.NumberFormat(getLanguage(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(hours);
+  return t('hoursValue', value);
+}
+
+/**
+ * コストを表示用に整形
+ * @param {number} cost - コスト（USD）
+ * @returns {string} 表示用の文字列
+ */
+function formatCost(cost) {
+  return new Intl.NumberFormat(getLanguage(), { style: 'currency', currency: 'USD' }).format(cost);
+}
+
+/**
+ * 1 コア時間あたりの料金を保存
+ */
+async function saveCostHandler() {
+  const input = document.getElementById('costPerCoreHour');
+  const value = Number(input.value);
+
+  if (input.value.trim() === '' || !Number.isFinite(value) || value < 0) {
+    showSnackbar(t('errorInvalidCost'), 'error');
+    input.value = costPerCoreHour;
+    return;
+  }
+
+  if (!(await saveSettings({ costPerCoreHour: value }))) {
+    showSnackbar(t('errorSaveSettings'), 'error');
+    return;
+  }
+
+  costPerCoreHour = value;
+  await render();
+  showSnackbar(t('costSaved'), 'success');
+}
+
+/**
+ * 選択中の期間の実行期間を CSV としてダウンロード
+ */
+async function exportCsvHandler() {
+  try {
+    const now = Date.now();
+    const since = getPeriodStart(getSelectedDays(), now);
+    const runs = (await loadRuns(now)).filter(run => run.stoppedAt >= since);
+
+    const blob = new Blob([usageToCsv(runs, costPerCoreHour)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `one-codespace-usage-${new Date(now).toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('CSV のエクスポートに失敗しました:', error);
+    showSnackbar(t('errorExportUsage'), 'error');
+  }
+}
+
+/**
+ * スナックバーを表示
+ * @param {string} message - メッセージ
+ * @param {string} type - タイプ（'success', 'error', 'info'）
+ */
+function showSnackbar(message, type = 'info') {
+  document.querySelector('.snackbar')?.remove();
+
+  const snackbar = document.createElement('div');
+  snackbar.className = `snackbar ${type}`;
+  snackbar.textContent = message;
+  document.body.appendChild(snackbar);
+
+  // 3秒後に自動的に削除
+  setTimeout(() => {
+    snackbar.remove();
+  }, 3000);
+}
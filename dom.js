@@ -0,0 +1,97 @@
+/**
+ * DOM 構築モジュール
+ * 拡張機能のページは GitHub のトークンを扱うため、API の値や利用者の入力を HTML として解釈させない
+ * 文字列の子要素は常にテキストノードとして追加し、innerHTML は使わない
+ */
+
+// 要素のプロパティとして設定しない名前（HTML として解釈される）
+const UNSAFE_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+/**
+ * 要素を作成
+ * @param {string} tag - タグ名
+ * @param {Object} props - 要素のプロパティ
+ * @param {string} props.className - クラス名
+ * @param {Object} props.dataset - data 属性
+ * @param {Object} props.attrs - 属性（aria-* など）。値が null / undefined / false の場合は設定しない
+ * @param {Object} props.on - イベントリスナー（例: { click: handler }）
+ *   その他の値（title・type・value・disabled など）は要素のプロパティとして設定する
+ * @param {...(Node|string|number|Array|null|undefined|false)} children - 子要素
+ *   文字列と数値はテキストノードとして追加し、null / undefined / false は無視する
+ * @returns {HTMLElement} 作成した要素
+ */
+export function createElement(tag, props = {}, ...children) {
+  const element = document.createElement(tag);
+  const { dataset = {}, attrs = {}, on = {}, ...properties } = props;
+
+  for (const [name, value] of Object.entries(properties)) {
+    if (UNSAFE_PROPERTIES.includes(name) || name.startsWith('on')) {
+      throw new Error(`設定できないプロパティです: ${name}`);
+    }
+    if (value !== undefined) {
+      element[name] = value;
+    }
+  }
+
+  for (const [name, value] of Object.entries(dataset)) {
+    if (value !== null && value !== undefined) {
+      element.dataset[name] = String(value);
+    }
+  }
+
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name.toLowerCase().startsWith('on')) {
+      throw new Error(`設定できない属性です: ${name}`);
+    }
+    if (value !== null && value !== undefined && value !== false) {
+      element.setAttribute(name, String(value));
+    }
+  }
+
+  for (const [type, listener] of Object.entries(on)) {
+    element.addEventListener(type, listener);
+  }
+
+  element.append(...toNodes(children));
+  return element;
+}
+
+/**
+ * 要素の中身を置き換える
+ * @param {HTMLElement} element - 対象の要素
+ * @param {...(Node|string|number|Array|null|undefined|false)} children - 子要素（createElement と同じ）
+ */
+export function replaceChildren(element, ...children) {
+  element.replaceChildren(...toNodes(children));
+}
+
+/**
+ * Material Icons のアイコンを作成
+ * @param {string} name - アイコン名
+ * @param {string} size - サイズのクラス（例: 'md-18'）。省略時は既定のサイズ
+ * @returns {HTMLElement} アイコンの要素
+ */
+export function createIcon(name, size = 'md-18') {
+  return createElement('span', { className: size ? `material-icons ${size}` : 'material-icons' }, name);
+}
+
+/**
+ * 読み込み中のスピナーを作成
+ * @returns {HTMLElement} スピナーの要素
+ */
+export function createSpinner() {
+  return createElement('div', { className: 'spinner' });
+}
+
+/**
+ * 子要素をノードの配列に変換
+ * @param {Array} children - 子要素
+ * @returns {Array<Node>} ノードの配列
+ */
+function toNodes(children) {
+  return children.flat(Infinity)
+    .filter(child => child !== null && child !== undefined && child !== false)
+    .map(child => typeof child === 'string' || typeof child === 'number'
+      ? document.createTextNode(String(child))
+      : child);
+}
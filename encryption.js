@@ -0,0 +1,176 @@
+/**
+ * 暗号化モジュール
+ * WebCrypto（AES-GCM）でトークンなどの秘密情報を暗号化・復号する
+ */
+
+// 端末ごとの鍵を保存する IndexedDB（鍵は取り出せない CryptoKey として保存する）
+const KEY_DATABASE_NAME = 'one-codespace';
+const KEY_STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+// パスフレーズから鍵を導出するときの PBKDF2 の反復回数
+const PBKDF2_ITERATIONS = 310000;
+
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// 同時に呼ばれても鍵が二重に作られないよう、読み込み中の Promise を共有する
+let deviceKeyPromise = null;
+
+/**
+ * バイト列を Base64 に変換
+ * @param {ArrayBuffer|Uint8Array} buffer - バイト列
+ * @returns {string} Base64 文字列
+ */
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Base64 をバイト列に変換
+ * @param {string} base64 - Base64 文字列
+ * @returns {Uint8Array} バイト列
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * IndexedDB のリクエストを Promise に変換
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<any>} リクエストの結果
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 鍵を保存する IndexedDB を開く
+ * @returns {Promise<IDBDatabase>} データベース
+ */
+function openKeyDatabase() {
+  const request = indexedDB.open(KEY_DATABASE_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(KEY_STORE_NAME);
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * 端末ごとの暗号化鍵を取得（なければ作成）
+ * chrome.storage には保存されないため、ストレージの内容だけではトークンを復号できない
+ * @returns {Promise<CryptoKey>} AES-GCM の鍵
+ */
+export function getDeviceKey() {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = (async () => {
+      const db = await openKeyDatabase();
+      const existingKey = await promisifyRequest(
+        db.transaction(KEY_STORE_NAME, 'readonly').objectStore(KEY_STORE_NAME).get(DEVICE_KEY_ID)
+      );
+
+      if (existingKey) {
+        return existingKey;
+      }
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await promisifyRequest(
+        db.transaction(KEY_STORE_NAME, 'readwrite').objectStore(KEY_STORE_NAME).put(key, DEVICE_KEY_ID)
+      );
+      return key;
+    })().catch(error => {
+      deviceKeyPromise = null;
+      throw error;
+    });
+  }
+
+  return deviceKeyPromise;
+}
+
+/**
+ * ランダムなソルトを作成
+ * @returns {string} Base64 のソルト
+ */
+export function generateSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_LENGTH)));
+}
+
+/**
+ * パスフレーズから暗号化鍵を導出
+ * ロック解除中にセッションへ保持できるよう、取り出し可能な鍵として作成する
+ * @param {string} passphrase - パスフレーズ
+ * @param {string} salt - Base64 のソルト
+ * @returns {Promise<CryptoKey>} AES-GCM の鍵
+ */
+export async function deriveKeyFromPassphrase(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * 鍵を Base64 で書き出す
+ * @param {CryptoKey} key - 取り出し可能な鍵
+ * @returns {Promise<string>} Base64 の鍵
+ */
+export async function exportKey(key) {
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+/**
+ * Base64 で書き出した鍵を読み込む
+ * @param {string} keyData - Base64 の鍵
+ * @returns {Promise<CryptoKey>} AES-GCM の鍵
+ */
+export async function importKey(keyData) {
+  return crypto.subtle.importKey('raw', fromBase64(keyData), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * 値を JSON にして暗号化
+ * @param {any} value - 暗号化する値
+ * @param {CryptoKey} key - AES-GCM の鍵
+ * @returns {Promise<Object>} { iv, ciphertext }（Base64）
+ */
+export async function encryptJSON(value, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+/**
+ * encryptJSON で暗号化した値を復号
+ * 鍵が異なる場合（パスフレーズの誤りなど）は例外になる
+ * @param {Object} encrypted - { iv, ciphertext }（Base64）
+ * @param {CryptoKey} key - AES-GCM の鍵
+ * @returns {Promise<any>} 復号した値
+ */
+export async function decryptJSON(encrypted, key) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+    key,
+    fromBase64(encrypted.ciphertext)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,164 @@
+/**
+ * 接続先モジュール
+ * アカウントごとの API の URL と Codespace のドメイン（GitHub Enterprise やデータ所在地の環境など）を解釈する
+ */
+
+import { t } from './i18n.js';
+
+// github.com の接続先
+export const DEFAULT_API_BASE_URL = 'https://api.github.com';
+export const DEFAULT_CODESPACE_DOMAIN = 'github.dev';
+
+// Codespace を開くエディター
+export const OPEN_EDITORS = {
+  WEB: 'web', // ブラウザ（web_url）
+  VSCODE: 'vscode' // VS Code デスクトップ（vscode:// の URL）
+};
+
+// manifest.json の host_permissions に含まれ、実行時に許可を求める必要がないオリジン
+const BUILT_IN_ORIGINS = ['https://github.com/*', 'https://api.github.com/*', 'https://*.github.dev/*'];
+
+// http を許可するホスト（ローカルのモックサーバーなど）
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+/**
+ * 入力された API の URL を正規化
+ * - 末尾の / を取り除く
+ * - https のみ（localhost と 127.0.0.1 は http も可）
+ * @param {string} input - 入力された URL（空の場合は github.com）
+ * @returns {string} 正規化した URL
+ * @throws {Error} 形式が不正な場合
+ */
+export function normalizeApiBaseUrl(input) {
+  const text = (input || '').trim();
+
+  if (!text) {
+    return DEFAULT_API_BASE_URL;
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    throw new Error(t('errorApiBaseUrlInvalid'));
+  }
+
+  const isLocal = LOCAL_HOSTNAMES.includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    throw new Error(t('errorApiBaseUrlInsecure'));
+  }
+  if (url.search || url.hash) {
+    throw new Error(t('errorApiBaseUrlQuery'));
+  }
+
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+/**
+ * 入力された Codespace のドメインを正規化
+ * @param {string} input - 入力されたドメイン（例: github.dev、空の場合は github.dev）
+ * @returns {string} 正規化したドメイン（小文字）
+ * @throws {Error} 形式が不正な場合
+ */
+export function normalizeCodespaceDomain(input) {
+  const text = (input || '').trim().toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+
+  if (!text) {
+    return DEFAULT_CODESPACE_DOMAIN;
+  }
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(text)) {
+    throw new Error(t('errorCodespaceDomainInvalid'));
+  }
+
+  return text;
+}
+
+/**
+ * API の URL から OAuth（デバイスフロー）のエンドポイントの URL を求める
+ * - https://api.github.com → https://github.com/login
+ * - https://api.<サブドメイン>.ghe.com → https://<サブドメイン>.ghe.com/login
+ * - https://<ホスト>/api/v3（GitHub Enterprise Server）→ https://<ホスト>/login
+ * - それ以外 → <オリジン>/login
+ * @param {string} apiBaseUrl - API の URL
+ * @returns {string} ログインのエンドポイントの URL
+ */
+export function getLoginBaseUrl(apiBaseUrl = DEFAULT_API_BASE_URL) {
+  const url = new URL(apiBaseUrl);
+
+  if (url.hostname.startsWith('api.')) {
+    url.hostname = url.hostname.slice('api.'.length);
+  }
+
+  return `${url.origin}/login`;
+}
+
+/**
+ * URL から Codespace 名を取得
+ * @param {string|undefined} url - URL
+ * @param {Array<string>} domains - Codespace のドメインの配列
+ * @returns {string|null} Codespace名（Codespace の URL でない場合は null）
+ */
+export function getCodespaceNameFromUrl(url, domains = [DEFAULT_CODESPACE_DOMAIN]) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  for (const domain of domains) {
+    const suffix = `.${domain}`;
+    if (parsed.hostname.endsWith(suffix)) {
+      const name = parsed.hostname.slice(0, -suffix.length);
+      // ポート転送の URL（<名前>-<ポート>.app.github.dev など）は対象外
+      return name.includes('.') ? null : name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * VS Code デスクトップで Codespace を開く URL
+ * VS Code の GitHub Codespaces 拡張機能が受け取って接続する
+ * @param {string} codespaceName - Codespace名
+ * @returns {string} vscode:// の URL
+ */
+export function getVSCodeUrl(codespaceName) {
+  return `vscode://github.codespaces/connect?name=${encodeURIComponent(codespaceName)}`;
+}
+
+/**
+ * Codespace のドメインに一致する URL のパターン（コンテンツスクリプトと権限の指定用）
+ * @param {string} domain - Codespace のドメイン
+ * @returns {string} URL のパターン
+ */
+export function getCodespaceUrlPattern(domain) {
+  return `https://*.${domain}/*`;
+}
+
+/**
+ * 接続先へのアクセスに必要で、manifest.json に含まれていないオリジンを取得
+ * 拡張機能の optional_host_permissions から実行時に許可を求める
+ * @param {Object} settings - 設定 { apiBaseUrl, codespaceDomain }
+ * @returns {Array<string>} オリジンのパターンの配列
+ */
+export function getRequiredHostOrigins({ apiBaseUrl = DEFAULT_API_BASE_URL, codespaceDomain = DEFAULT_CODESPACE_DOMAIN }) {
+  const toPattern = url => {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+  };
+
+  const origins = [
+    toPattern(apiBaseUrl),
+    toPattern(getLoginBaseUrl(apiBaseUrl)),
+    getCodespaceUrlPattern(codespaceDomain)
+  ];
+
+  return [...new Set(origins)].filter(origin => !BUILT_IN_ORIGINS.includes(origin));
+}
@@ -0,0 +1,137 @@
+/**
+ * 多言語対応モジュール
+ * _locales/<言語>/messages.json（chrome.i18n と同じ形式）から、設定の言語のメッセージを取得する
+ * chrome.i18n.getMessage はブラウザの言語に固定されるため、設定で切り替えられるよう自前で読み込む
+ */
+
+// 対応している言語
+export const SUPPORTED_LANGUAGES = ['ja', 'en'];
+
+// 既定の言語（メッセージが見つからない場合もこの言語で表示する）
+export const DEFAULT_LANGUAGE = 'ja';
+
+// 読み込み済みのメッセージ（言語 → messages.json の内容）
+const catalogs = new Map();
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * 言語のメッセージを読み込む（読み込み済みの場合はそれを返す）
+ * @param {string} language - 言語
+ * @returns {Promise<Object>} messages.json の内容
+ */
+async function loadCatalog(language) {
+  if (!catalogs.has(language)) {
+    const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+    catalogs.set(language, await response.json());
+  }
+
+  return catalogs.get(language);
+}
+
+/**
+ * 表示する言語を切り替える
+ * 以降の t() はこの言語のメッセージを返す
+ * @param {string} language - 言語（対応していない場合は既定の言語）
+ * @returns {Promise<string>} 切り替えた言語
+ */
+export async function setLanguage(language) {
+  const resolved = SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+  try {
+    // 翻訳のないメッセージに備えて既定の言語も読み込んでおく
+    await loadCatalog(DEFAULT_LANGUAGE);
+    await loadCatalog(resolved);
+    currentLanguage = resolved;
+  } catch (error) {
+    console.error('メッセージの読み込みに失敗しました:', error);
+  }
+
+  return currentLanguage;
+}
+
+/**
+ * 現在の言語を取得
+ * @returns {string} 言語
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * メッセージの $NAME$ と $1 を置き換える（chrome.i18n.getMessage と同じ規則）
+ * @param {Object} entry - messages.json のメッセージ { message, placeholders }
+ * @param {Array<string>} substitutions - 置き換える値
+ * @returns {string} メッセージ
+ */
+function formatMessage({ message, placeholders = {} }, substitutions) {
+  const substitute = text => text.replace(/\$(\$|[1-9])/g, (match, index) => (
+    index === '$' ? '$' : String(substitutions[index - 1] ?? '')
+  ));
+
+  return message
+    .replace(/\$([A-Za-z0-9_@]+)\$/g, (match, name) => {
+      const placeholder = placeholders[name.toLowerCase()];
+      return placeholder ? substitute(placeholder.content) : match;
+    })
+    .replace(/\$\$/g, '$');
+}
+
+/**
+ * メッセージを探す（現在の言語になければ既定の言語から）
+ * @param {string} key - メッセージ名
+ * @returns {Object|undefined} messages.json のメッセージ
+ */
+function findEntry(key) {
+  return catalogs.get(currentLanguage)?.[key] || catalogs.get(DEFAULT_LANGUAGE)?.[key];
+}
+
+/**
+ * メッセージを取得
+ * @param {string} key - メッセージ名
+ * @param {string|number|Array} substitutions - $1, $2... に入れる値
+ * @returns {string} メッセージ（見つからない場合はメッセージ名）
+ */
+export function t(key, substitutions = []) {
+  const entry = findEntry(key);
+  if (!entry) {
+    return key;
+  }
+
+  return formatMessage(entry, Array.isArray(substitutions) ? substitutions : [substitutions]);
+}
+
+/**
+ * 数に応じた形のメッセージを取得
+ * 言語の複数形の規則（Intl.PluralRules）に従い、<key>_one や <key>_other を使う
+ * 数は $1、それ以降の値は $2 以降に入る
+ * @param {string} key - メッセージ名（_one などを除いた部分）
+ * @param {number} count - 数
+ * @param {Array} substitutions - $2 以降に入れる値
+ * @returns {string} メッセージ
+ */
+export function tPlural(key, count, substitutions = []) {
+  const pluralKey = `${key}_${new Intl.PluralRules(currentLanguage).select(count)}`;
+
+  return t(findEntry(pluralKey) ? pluralKey : `${key}_other`, [count, ...substitutions]);
+}
+
+/**
+ * ページの文言を現在の言語に置き換える
+ * - data-i18n: テキスト
+ * - data-i18n-title / data-i18n-placeholder / data-i18n-aria-label: 属性
+ * @param {Document} root - 対象のドキュメント
+ */
+export function localizePage(root = document) {
+  root.documentElement.lang = currentLanguage;
+
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  for (const attribute of ['title', 'placeholder', 'aria-label']) {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * 一覧表示モジュール
+ * ポップアップの Codespace の一覧の検索・並べ替え・グループ化を行う
+ * 一覧の Codespace には popup.js が最終アクセス時刻（lastAccess）と起動時刻（start）を付与している
+ */
+
+// 並べ替えの順序
+export const SORT_ORDERS = {
+  STATE: 'state', // 実行中を先頭に（API の順序のまま）
+  LAST_ACCESS: 'lastAccess', // 最終アクセスが新しい順
+  UPTIME: 'uptime', // 実行時間が長い順
+  REPOSITORY: 'repository', // リポジトリ名の順
+  MACHINE: 'machine' // マシンサイズが大きい順
+};
+
+// グループ化の単位
+export const GROUP_BY = {
+  NONE: 'none',
+  REPOSITORY: 'repository',
+  OWNER: 'owner'
+};
+
+// 状態の並び順（ここにない状態は最後）
+const STATE_ORDER = ['Available', 'Shutdown'];
+
+/**
+ * Codespace が検索語に一致するか判定
+ * 空白で区切った語がすべて、名前・表示名・リポジトリ・ブランチのいずれかに含まれる場合に一致する（大文字小文字は区別しない）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {string} query - 検索語
+ * @returns {boolean} 一致する場合 true
+ */
+export function matchesCodespaceQuery(codespace, query) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(term => term);
+  const text = [
+    codespace.name,
+    codespace.display_name,
+    codespace.repository?.full_name,
+    codespace.git_status?.ref
+  ].filter(value => value).join('\n').toLowerCase();
+
+  return terms.every(term => text.includes(term));
+}
+
+/**
+ * Codespace を並べ替える（元の配列は変更しない）
+ * 同じ順位の Codespace は元の順序を保つ
+ * @param {Array<Object>} codespaces - Codespace の配列
+ * @param {string} order - 並べ替えの順序（SORT_ORDERS）
+ * @returns {Array<Object>} 並べ替えた配列
+ */
+export function sortCodespaces(codespaces, order = SORT_ORDERS.STATE) {
+  const compare = {
+    [SORT_ORDERS.LAST_ACCESS]: (a, b) => compareNumbers(a.lastAccess?.timestamp, b.lastAccess?.timestamp, -1),
+    [SORT_ORDERS.UPTIME]: (a, b) => compareNumbers(getUptimeStart(a), getUptimeStart(b), 1),
+    [SORT_ORDERS.REPOSITORY]: (a, b) => getRepositoryName(a).localeCompare(getRepositoryName(b)) ||
+      (a.display_name || a.name).localeCompare(b.display_name || b.name),
+    [SORT_ORDERS.MACHINE]: (a, b) => compareNumbers(a.machine?.cpus, b.machine?.cpus, -1) ||
+      compareNumbers(a.machine?.memory_in_bytes, b.machine?.memory_in_bytes, -1)
+  }[order];
+
+  const byState = [...codespaces].sort((a, b) => getStateRank(a) - getStateRank(b));
+  return compare ? byState.sort(compare) : byState;
+}
+
+/**
+ * Codespace をグループに分ける
+ * グループは最初の Codespace が現れた順に並ぶ
+ * @param {Array<Object>} codespaces - Codespace の配列（並べ替え済み）
+ * @param {string} groupBy - グループ化の単位（GROUP_BY）
+ * @returns {Array<Object>} グループの配列 [{ key, codespaces }]。グループ化しない場合は key が null のグループ 1 つ
+ */
+export function groupCodespaces(codespaces, groupBy = GROUP_BY.NONE) {
+  if (groupBy !== GROUP_BY.REPOSITORY && groupBy !== GROUP_BY.OWNER) {
+    return [{ key: null, codespaces }];
+  }
+
+  const groups = new Map();
+  for (const codespace of codespaces) {
+    const repository = getRepositoryName(codespace);
+    const key = groupBy === GROUP_BY.OWNER ? repository.split('/')[0] : repository;
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(codespace);
+  }
+
+  return [...groups].map(([key, members]) => ({ key, codespaces: members }));
+}
+
+/**
+ * 検索・並べ替え・グループ化をまとめて適用
+ * @param {Array<Object>} codespaces - Codespace の配列
+ * @param {Object} view - 表示の条件 { query, sort, groupBy }
+ * @returns {Array<Object>} グループの配列（groupCodespaces を参照）。一致する Codespace がない場合は空
+ */
+export function applyListView(codespaces, { query = '', sort = SORT_ORDERS.STATE, groupBy = GROUP_BY.NONE } = {}) {
+  const matched = codespaces.filter(codespace => matchesCodespaceQuery(codespace, query));
+  if (matched.length === 0) {
+    return [];
+  }
+
+  return groupCodespaces(sortCodespaces(matched, sort), groupBy);
+}
+
+/**
+ * リポジトリ名を取得（不明な場合は空文字列）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {string} リポジトリ名
+ */
+function getRepositoryName(codespace) {
+  return codespace.repository?.full_name || '';
+}
+
+/**
+ * 状態の並び順を取得
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {number} 並び順
+ */
+function getStateRank(codespace) {
+  const rank = STATE_ORDER.indexOf(codespace.state);
+  return rank === -1 ? STATE_ORDER.length : rank;
+}
+
+/**
+ * 実行時間の起点を取得（実行中でない場合や起動時刻が不明な場合は null）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {number|null} 起動時刻（ミリ秒）
+ */
+function getUptimeStart(codespace) {
+  return codespace.state === 'Available' ? codespace.start?.timestamp ?? null : null;
+}
+
+/**
+ * 数値を比較（null / undefined は方向に関係なく最後）
+ * @param {number|null} a - 比較する値
+ * @param {number|null} b - 比較する値
+ * @param {number} direction - 1 は小さい順、-1 は大きい順
+ * @returns {number} 比較結果
+ */
+function compareNumbers(a, b, direction) {
+  const hasA = typeof a === 'number';
+  const hasB = typeof b === 'number';
+
+  if (!hasA || !hasB) {
+    return hasA === hasB ? 0 : (hasA ? -1 : 1);
+  }
+  return (a - b) * direction;
+}
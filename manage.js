@@ -0,0 +1,562 @@
+/**
+ * Codespace 管理画面のロジック
+ * Codespace の作成・削除・マシンタイプの変更・表示名の変更を行う
+ * API の呼び出しはポップアップと同じくバックグラウンドにメッセージで依頼する
+ */
+
+import { getSettings, getProfiles } from './storage.js';
+import { APIError } from './api.js';
+import { setLanguage, getLanguage, localizePage, t, tPlural } from './i18n.js';
+
+// 最後の使用からこの日数が経った Codespace を「長期間未使用」として表示する
+const STALE_DAYS = 30;
+
+// 行ごとの操作パネルの種類
+const PANELS = {
+  RENAME: 'rename',
+  MACHINE: 'machine',
+  DELETE: 'delete'
+};
+
+let profileId = null;
+let codespaces = [];
+
+/**
+ * 初期化
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await getSettings();
+  profileId = settings.profileId;
+
+  await setLanguage(settings.language);
+  localizePage();
+
+  if (settings.darkMode) {
+    document.body.classList.add('dark-mode');
+  }
+
+  await renderProfileSelect();
+  setupEventListeners();
+  await loadCodespaces();
+});
+
+/**
+ * イベントリスナーを設定
+ */
+function setupEventListeners() {
+  document.getElementById('profileSelect').addEventListener('change', async (event) => {
+    profileId = event.target.value;
+    resetMachineOptions();
+    await loadCodespaces();
+  });
+
+  document.getElementById('refreshBtn').addEventListener('click', loadCodespaces);
+
+  // リポジトリかブランチが変わったら、作成できるマシンタイプを読み込み直す
+  document.getElementById('createRepository').addEventListener('change', loadCreateMachines);
+  document.getElementById('createRef').addEventListener('change', loadCreateMachines);
+
+  document.getElementById('createBtn').addEventListener('click', createCodespaceHandler);
+}
+
+/**
+ * アカウントの選択肢を描画（アカウントが1つの場合は表示しない）
+ * 管理画面での切り替えは、選択中のアカウントの設定を変更しない
+ */
+async function renderProfileSelect() {
+  const { profiles } = await getProfiles();
+  const select = document.getElementById('profileSelect');
+
+  select.replaceChildren();
+  select.classList.toggle('hidden', profiles.length < 2);
+
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+
+  select.value = profileId;
+}
+
+/**
+ * バックグラウンドに処理を依頼する
+ * @param {Object} message - メッセージ（profileId は選択中のアカウントを付ける）
+ * @param {string} fallbackKey - 失敗した理由が分からない場合のメッセージ名
+ * @returns {Promise<Object>} 応答
+ * @throws {APIError} 失敗した場合
+ */
+async function sendRequest(message, fallbackKey) {
+  const response = await chrome.runtime.sendMessage({ ...message, profileId });
+
+  if (!response?.success) {
+    throw new APIError(response?.error || t(fallbackKey), response?.status, null);
+  }
+
+  return response;
+}
+
+/**
+ * エラーを表示用のメッセージにする
+ * @param {APIError} error - エラー
+ * @param {string} fallbackKey - 失敗した理由が分からない場合のメッセージ名
+ * @returns {string} メッセージ
+ */
+function describeError(error, fallbackKey) {
+  if (error.status === 401) {
+    return t('errorInvalidToken');
+  } else if (error.status === 403) {
+    return t('errorAccessDenied');
+  } else if (error.status === 404) {
+    return t('errorNotFound');
+  } else if (error.status === 0) {
+    return t('errorNetwork');
+  } else if (error.status === 400 || error.status === 422) {
+    // 入力の誤りやマシンタイプが使えない場合は GitHub の説明をそのまま表示する
+    return t('errorWithDetail', [t(fallbackKey), error.message]);
+  }
+
+  return t(fallbackKey);
+}
+
+/**
+ * Codespace の一覧を読み込む
+ */
+async function loadCodespaces() {
+  try {
+    const response = await sendRequest({ action: 'getCodespaces' }, 'errorLoadCodespaces');
+
+    // 最近使ったものから表示する
+    codespaces = (response.data || [])
+      .slice()
+      .sort((a, b) => Date.parse(b.last_used_at || 0) - Date.parse(a.last_used_at || 0));
+    renderCodespaces();
+  } catch (error) {
+    console.error('Codespace の読み込みに失敗しました:', error);
+    codespaces = [];
+    renderCodespaces(describeError(error, 'errorLoadCodespaces'));
+  }
+}
+
+/**
+ * Codespace の一覧を描画
+ * @param {string} emptyMessage - 一覧が空のときに表示するメッセージ（省略時は「Codespace がありません」）
+ */
+function renderCodespaces(emptyMessage = t('noCodespaces')) {
+  const tbody = document.getElementById('codespaceTable');
+  tbody.replaceChildren();
+
+  if (codespaces.length === 0) {
+    const row = document.createElement('tr');
+    row.className = 'empty-row';
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.textContent = emptyMessage;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  for (const codespace of codespaces) {
+    tbody.appendChild(createCodespaceRow(codespace));
+  }
+}
+
+/**
+ * Codespace の行を作成
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {HTMLTableRowElement} 行
+ */
+function createCodespaceRow(codespace) {
+  const row = document.createElement('tr');
+  row.className = 'codespace-row';
+  row.dataset.name = codespace.name;
+
+  // 表示名と Codespace 名
+  const nameCell = document.createElement('td');
+  const displayName = document.createElement('div');
+  displayName.className = 'codespace-display-name';
+  displayName.textContent = codespace.display_name || codespace.name;
+  const name = document.createElement('div');
+  name.className = 'codespace-sub';
+  name.textContent = codespace.name;
+  nameCell.append(displayName, name);
+
+  // リポジトリとブランチ
+  const repoCell = document.createElement('td');
+  repoCell.textContent = codespace.repository?.full_name || '';
+  if (codespace.git_status?.ref) {
+    const ref = document.createElement('div');
+    ref.className = 'codespace-sub';
+    ref.textContent = codespace.git_status.ref;
+    repoCell.appendChild(ref);
+  }
+
+  // マシンタイプ（実行中に変更した場合は次回の起動で反映される）
+  const machineCell = document.createElement('td');
+  machineCell.className = 'codespace-machine';
+  machineCell.textContent = codespace.machine?.display_name || t('unknownMachine');
+  if (codespace.pending_operation) {
+    const pending = document.createElement('div');
+    pending.className = 'codespace-sub';
+    pending.textContent = t('machineChangePending');
+    machineCell.appendChild(pending);
+  }
+
+  const stateCell = document.createElement('td');
+  stateCell.textContent = formatState(codespace.state);
+
+  const lastUsedCell = document.createElement('td');
+  lastUsedCell.textContent = codespace.last_used_at ? new Date(codespace.last_used_at).toLocaleString(getLanguage()) : t('unknown');
+  if (isStale(codespace)) {
+    const stale = document.createElement('span');
+    stale.className = 'stale-chip';
+    stale.textContent = tPlural('staleCodespace', STALE_DAYS);
+    lastUsedCell.appendChild(stale);
+  }
+
+  const actionsCell = document.createElement('td');
+  const actions = document.createElement('div');
+  actions.className = 'manage-actions';
+  actions.append(
+    createActionButton('rename-btn', 'edit', t('renameCodespace'), () => openPanel(row, codespace, PANELS.RENAME)),
+    createActionButton('machine-btn', 'memory', t('changeMachine'), () => openPanel(row, codespace, PANELS.MACHINE)),
+    createActionButton('delete-btn', 'delete', t('deleteCodespace'), () => openPanel(row, codespace, PANELS.DELETE))
+  );
+  actionsCell.appendChild(actions);
+
+  row.append(nameCell, repoCell, machineCell, stateCell, lastUsedCell, actionsCell);
+  return row;
+}
+
+/**
+ * 行の操作ボタンを作成
+ * @param {string} className - ボタンのクラス名
+ * @param {string} icon - Material Icons のアイコン名
+ * @param {string} title - ツールチップ
+ * @param {Function} onClick - クリック時の処理
+ * @returns {HTMLButtonElement} ボタン
+ */
+function createActionButton(className, icon, title, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-icon ${className}`;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+
+  const iconElement = document.createElement('span');
+  iconElement.className = 'material-icons md-18';
+  iconElement.textContent = icon;
+  button.appendChild(iconElement);
+
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Codespace の状態の表示名を取得
+ * @param {string} state - API の状態（Available, Shutdown など）
+ * @returns {string} 表示名
+ */
+function formatState(state) {
+  switch (state) {
+    case 'Available':
+      return t('statusActive');
+    case 'Shutdown':
+      return t('statusStopped');
+    default:
+      return state;
+  }
+}
+
+/**
+ * 長期間使われていない Codespace かどうか
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {boolean} 最後の使用から STALE_DAYS 日以上経っている場合true
+ */
+function isStale(codespace) {
+  const lastUsedAt = Date.parse(codespace.last_used_at || '');
+  return Number.isFinite(lastUsedAt) && Date.now() - lastUsedAt >= STALE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * 行の下に操作パネルを開く（開いているパネルは閉じる）
+ * @param {HTMLTableRowElement} row - Codespace の行
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {string} type - パネルの種類（PANELS）
+ */
+async function openPanel(row, codespace, type) {
+  closePanel();
+
+  const panel = document.createElement('tr');
+  panel.className = `manage-panel manage-panel-${type}`;
+  const cell = document.createElement('td');
+  cell.colSpan = 6;
+  const content = document.createElement('div');
+  content.className = 'manage-panel-content';
+  cell.appendChild(content);
+  panel.appendChild(cell);
+  row.after(panel);
+
+  if (type === PANELS.RENAME) {
+    renderRenamePanel(content, codespace);
+  } else if (type === PANELS.MACHINE) {
+    await renderMachinePanel(content, codespace);
+  } else {
+    renderDeletePanel(content, codespace);
+  }
+}
+
+/**
+ * 開いている操作パネルを閉じる
+ */
+function closePanel() {
+  document.querySelector('.manage-panel')?.remove();
+}
+
+/**
+ * パネルのボタンを作成
+ * @param {string} className - ボタンのクラス名
+ * @param {string} label - ボタンの文言
+ * @param {Function} onClick - クリック時の処理
+ * @returns {HTMLButtonElement} ボタン
+ */
+function createPanelButton(className, label, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * 表示名の変更パネルを描画
+ * @param {HTMLElement} content - パネルの中身
+ * @param {Object} codespace - Codespace オブジェクト
+ */
+function renderRenamePanel(content, codespace) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'form-input rename-input';
+  input.maxLength = 48;
+  input.value = codespace.display_name || '';
+  input.setAttribute('aria-label', t('displayName'));
+
+  const save = createPanelButton('btn-primary panel-save-btn', t('save'), async () => {
+    const value = input.value.trim();
+    if (!value) {
+      showSnackbar(t('errorDisplayNameEmpty'), 'error');
+      return;
+    }
+    await updateCodespaceHandler(codespace, { displayName: value }, save, 'codespaceRenamed');
+  });
+
+  content.append(input, save, createPanelButton('panel-cancel-btn', t('cancel'), closePanel));
+  input.focus();
+}
+
+/**
+ * マシンタイプの変更パネルを描画
+ * 選べるマシンタイプは Codespace ごとに異なるため、開いたときに読み込む
+ * @param {HTMLElement} content - パネルの中身
+ * @param {Object} codespace - Codespace オブジェクト
+ */
+async function renderMachinePanel(content, codespace) {
+  const select = document.createElement('select');
+  select.className = 'form-input machine-select';
+  select.disabled = true;
+  select.setAttribute('aria-label', t('machineType'));
+
+  const save = createPanelButton('btn-primary panel-save-btn', t('save'), async () => {
+    await updateCodespaceHandler(codespace, { machine: select.value }, save, 'machineChanged');
+  });
+  save.disabled = true;
+
+  const note = document.createElement('span');
+  note.className = 'codespace-sub';
+  note.textContent = t('machineChangeHelp');
+
+  content.append(select, save, createPanelButton('panel-cancel-btn', t('cancel'), closePanel), note);
+
+  try {
+    const { data: machines } = await sendRequest({ action: 'getMachines', codespaceName: codespace.name }, 'errorLoadMachines');
+    fillMachineOptions(select, machines);
+    select.value = codespace.machine?.name || '';
+    select.disabled = false;
+    save.disabled = false;
+  } catch (error) {
+    console.error('マシンタイプの読み込みに失敗しました:', error);
+    showSnackbar(describeError(error, 'errorLoadMachines'), 'error');
+  }
+}
+
+/**
+ * 削除の確認パネルを描画
+ * @param {HTMLElement} content - パネルの中身
+ * @param {Object} codespace - Codespace オブジェクト
+ */
+function renderDeletePanel(content, codespace) {
+  const message = document.createElement('span');
+  message.className = 'delete-warning';
+  message.textContent = t('confirmDeleteCodespace', codespace.display_name || codespace.name);
+
+  const confirm = createPanelButton('btn-error panel-confirm-delete-btn', t('deleteCodespace'), async () => {
+    await deleteCodespaceHandler(codespace, confirm);
+  });
+
+  content.append(message, confirm, createPanelButton('panel-cancel-btn', t('cancel'), closePanel));
+}
+
+/**
+ * マシンタイプの選択肢を設定
+ * @param {HTMLSelectElement} select - セレクトボックス
+ * @param {Array} machines - マシンタイプの配列 [{ name, display_name }]
+ * @param {Array<HTMLOptionElement>} leading - 先頭に残す選択肢
+ */
+function fillMachineOptions(select, machines, leading = []) {
+  select.replaceChildren(...leading);
+
+  for (const machine of machines) {
+    const option = document.createElement('option');
+    option.value = machine.name;
+    option.textContent = machine.display_name || machine.name;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * 作成のマシンタイプの選択肢を「リポジトリの既定」だけに戻す
+ * @returns {HTMLOptionElement} 「リポジトリの既定」の選択肢
+ */
+function resetMachineOptions() {
+  const select = document.getElementById('createMachine');
+  const defaultOption = select.options[0];
+  select.replaceChildren(defaultOption);
+  select.value = '';
+  return defaultOption;
+}
+
+/**
+ * 入力したリポジトリ・ブランチで作成できるマシンタイプを読み込む
+ */
+async function loadCreateMachines() {
+  const defaultOption = resetMachineOptions();
+  const repository = document.getElementById('createRepository').value.trim();
+
+  if (!repository) {
+    return;
+  }
+
+  try {
+    const { data: machines } = await sendRequest({
+      action: 'getMachines',
+      repository,
+      ref: document.getElementById('createRef').value.trim()
+    }, 'errorLoadMachines');
+
+    fillMachineOptions(document.getElementById('createMachine'), machines, [defaultOption]);
+  } catch (error) {
+    console.error('マシンタイプの読み込みに失敗しました:', error);
+    showSnackbar(describeError(error, 'errorLoadMachines'), 'error');
+  }
+}
+
+/**
+ * Codespace を作成
+ */
+async function createCodespaceHandler() {
+  const button = document.getElementById('createBtn');
+  const repository = document.getElementById('createRepository').value.trim();
+
+  if (!/^[^/\s]+\/[^/\s]+$/.test(repository)) {
+    showSnackbar(t('errorInvalidRepository'), 'error');
+    return;
+  }
+
+  button.disabled = true;
+
+  try {
+    const response = await sendRequest({
+      action: 'createCodespace',
+      repository,
+      ref: document.getElementById('createRef').value.trim(),
+      machine: document.getElementById('createMachine').value,
+      displayName: document.getElementById('createDisplayName').value.trim()
+    }, 'errorCreateCodespace');
+
+    document.getElementById('createDisplayName').value = '';
+    await loadCodespaces();
+
+    const stoppedCount = response.stoppedNames?.length || 0;
+    showSnackbar(
+      stoppedCount > 0
+        ? tPlural('codespaceCreatedStopping', stoppedCount)
+        : t('codespaceCreated', response.data.display_name || response.data.name),
+      'success'
+    );
+  } catch (error) {
+    console.error('Codespace の作成に失敗しました:', error);
+    showSnackbar(describeError(error, 'errorCreateCodespace'), 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Codespace の表示名・マシンタイプを変更
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {Object} changes - 変更する項目 { displayName } または { machine }
+ * @param {HTMLButtonElement} button - 保存ボタン
+ * @param {string} successKey - 成功したときのメッセージ名
+ */
+async function updateCodespaceHandler(codespace, changes, button, successKey) {
+  button.disabled = true;
+
+  try {
+    await sendRequest({ action: 'updateCodespace', codespaceName: codespace.name, ...changes }, 'errorUpdateCodespace');
+    await loadCodespaces();
+    showSnackbar(t(successKey), 'success');
+  } catch (error) {
+    console.error('Codespace の変更に失敗しました:', error);
+    showSnackbar(describeError(error, 'errorUpdateCodespace'), 'error');
+    button.disabled = false;
+  }
+}
+
+/**
+ * Codespace を削除
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {HTMLButtonElement} button - 削除ボタン
+ */
+async function deleteCodespaceHandler(codespace, button) {
+  button.disabled = true;
+
+  try {
+    await sendRequest({ action: 'deleteCodespace', codespaceName: codespace.name }, 'errorDeleteCodespace');
+    await loadCodespaces();
+    showSnackbar(t('codespaceDeleted'), 'success');
+  } catch (error) {
+    console.error('Codespace の削除に失敗しました:', error);
+    showSnackbar(describeError(error, 'errorDeleteCodespace'), 'error');
+    button.disabled = false;
+  }
+}
+
+/**
+ * スナックバーを表示
+ * @param {string} message - メッセージ
+ * @param {string} type - タイプ（'success', 'error', 'info'）
+ */
+function showSnackbar(message, type = 'info') {
+  document.querySelector('.snackbar')?.remove();
+
+  const snackbar = document.createElement('div');
+  snackbar.className = `snackbar ${type}`;
+  snackbar.textContent = message;
+  document.body.appendChild(snackbar);
+
+  // 3秒後に自動的に削除
+  setTimeout(() => {
+    snackbar.remove();
+  }, 3000);
+}
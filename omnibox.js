@@ -0,0 +1,214 @@
+/**
+ * アドレスバー（omnibox）モジュール
+ * キーワード（cs）に続けて入力した語で Codespace をあいまい検索し、開く・起動・停止の候補を作る
+ * 一覧の取得と操作は background.js が行う
+ */
+
+import { t } from './i18n.js';
+
+// 操作（入力の先頭の語で指定する。省略した場合は開く）
+export const OMNIBOX_ACTIONS = {
+  OPEN: 'open',
+  START: 'start',
+  STOP: 'stop'
+};
+
+// 候補の説明に表示する操作名（メッセージ名）
+const ACTION_MESSAGES = {
+  [OMNIBOX_ACTIONS.OPEN]: 'omniboxOpen',
+  [OMNIBOX_ACTIONS.START]: 'omniboxStart',
+  [OMNIBOX_ACTIONS.STOP]: 'omniboxStop'
+};
+
+// アドレスバーに表示する候補の最大数
+export const MAX_SUGGESTIONS = 5;
+
+// 語の区切りとみなす文字（直後の文字に一致すると点数を加える）
+const WORD_SEPARATOR = /[\s/_.-]/;
+
+/**
+ * 入力を操作と検索語に分ける
+ * @param {string} text - キーワードに続けて入力した文字列（例: 'stop api main'）
+ * @returns {Object} { action, query }
+ */
+export function parseOmniboxInput(text) {
+  const [first = '', ...rest] = (text || '').trim().split(/\s+/);
+  const action = first.toLowerCase();
+
+  if (Object.values(OMNIBOX_ACTIONS).includes(action)) {
+    return { action, query: rest.join(' ') };
+  }
+  return { action: OMNIBOX_ACTIONS.OPEN, query: (text || '').trim() };
+}
+
+/**
+ * 文字列が検索語にあいまいに一致するか判定し、点数を付ける
+ * 検索語の文字が順に含まれていれば一致とし、連続する文字と語の先頭の文字に点数を加える（大文字小文字は区別しない）
+ * @param {string} text - 対象の文字列
+ * @param {string} term - 検索語
+ * @returns {number|null} 点数（一致しない場合は null）
+ */
+export function fuzzyScore(text, term) {
+  const target = text.toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of term.toLowerCase()) {
+    const index = target.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+
+    score += 1;
+    if (index === previous + 1) {
+      score += 2;
+    }
+    if (index === 0 || WORD_SEPARATOR.test(target[index - 1])) {
+      score += 3;
+    }
+
+    previous = index;
+    position = index + 1;
+  }
+
+  return score;
+}
+
+/**
+ * 検索語に一致する Codespace を点数の高い順に並べる（元の配列は変更しない）
+ * 空白で区切った語がすべて、リポジトリ・ブランチ・表示名・名前のいずれかに一致するものを対象にする
+ * 同じ点数の Codespace は元の順序を保つ
+ * @param {Array<Object>} codespaces - Codespace の配列
+ * @param {string} query - 検索語
+ * @returns {Array<Object>} 一致した Codespace の配列
+ */
+export function rankCodespaces(codespaces, query) {
+  const terms = (query || '').split(/\s+/).filter(term => term);
+
+  return codespaces
+    .map((codespace, index) => ({ codespace, index, score: scoreCodespace(codespace, terms) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.codespace);
+}
+
+/**
+ * 操作を Codespace に適用できるか判定（起動は停止中のみ、停止は実行中のみ）
+ * @param {string} action - 操作（OMNIBOX_ACTIONS）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {boolean} 適用できる場合 true
+ */
+export function canApplyOmniboxAction(action, codespace) {
+  if (action === OMNIBOX_ACTIONS.START) {
+    return codespace.state === 'Shutdown';
+  }
+  if (action === OMNIBOX_ACTIONS.STOP) {
+    return codespace.state === 'Available';
+  }
+  return true;
+}
+
+/**
+ * 入力に対するアドレスバーの候補を作成
+ * 候補を選ぶと content がそのまま入力として渡されるため、操作と Codespace の名前を content にする
+ * @param {Array<Object>} codespaces - Codespace の配列
+ * @param {string} text - キーワードに続けて入力した文字列
+ * @returns {Array<Object>} 候補の配列 [{ content, description }]
+ */
+export function suggestCodespaces(codespaces, text) {
+  const { action, query } = parseOmniboxInput(text);
+  const candidates = codespaces.filter(codespace => canApplyOmniboxAction(action, codespace));
+
+  return rankCodespaces(candidates, query)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(codespace => ({
+      content: `${action} ${codespace.name}`,
+      description: describeSuggestion(codespace, action)
+    }));
+}
+
+/**
+ * 確定した入力から操作と対象の Codespace を決める
+ * 候補を選んだ場合は名前が完全に一致する Codespace を対象にする
+ * それ以外は、開く場合は最も点数の高い Codespace、起動と停止は検索語に一致する Codespace が1つだけの場合にそれを対象にする
+ * （取り違えると別の Codespace が起動・停止されるため、空の検索語やあいまいな検索語では決めない）
+ * @param {Array<Object>} codespaces - Codespace の配列
+ * @param {string} text - キーワードに続けて入力した文字列
+ * @returns {Object} { action, codespace, ambiguous }
+ *   codespace: 対象の Codespace（決まらない場合は null）
+ *   ambiguous: 一致する Codespace があるが1つに決められない場合 true
+ */
+export function resolveOmniboxInput(codespaces, text) {
+  const { action, query } = parseOmniboxInput(text);
+  const candidates = codespaces.filter(codespace => canApplyOmniboxAction(action, codespace));
+
+  const exact = candidates.find(candidate => candidate.name === query);
+  if (exact) {
+    return { action, codespace: exact, ambiguous: false };
+  }
+
+  const matches = rankCodespaces(candidates, query);
+  if (action === OMNIBOX_ACTIONS.OPEN) {
+    return { action, codespace: matches[0] || null, ambiguous: false };
+  }
+
+  const unique = query !== '' && matches.length === 1;
+  return { action, codespace: unique ? matches[0] : null, ambiguous: !unique && matches.length > 0 };
+}
+
+/**
+ * 候補の説明を作成（アドレスバーは XML として解釈するため、値はエスケープする）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {string} action - 操作（OMNIBOX_ACTIONS）
+ * @returns {string} 説明
+ */
+function describeSuggestion(codespace, action) {
+  const details = [
+    codespace.repository?.full_name,
+    codespace.git_status?.ref,
+    t(codespace.state === 'Available' ? 'statusActive' : 'statusStopped')
+  ].filter(value => value).join(' · ');
+
+  return `${escapeXml(t(ACTION_MESSAGES[action]))}: ${escapeXml(codespace.display_name || codespace.name)} <dim>${escapeXml(details)}</dim>`;
+}
+
+/**
+ * XML の特殊文字をエスケープ
+ * @param {string} text - 文字列
+ * @returns {string} エスケープした文字列
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Codespace の点数を計算
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {Array<string>} terms - 検索語の配列
+ * @returns {number|null} 語ごとの最も高い点数の合計（一致しない語がある場合は null）
+ */
+function scoreCodespace(codespace, terms) {
+  const fields = [
+    codespace.repository?.full_name,
+    codespace.git_status?.ref,
+    codespace.display_name,
+    codespace.name
+  ].filter(value => value);
+
+  let total = 0;
+  for (const term of terms) {
+    const scores = fields.map(field => fuzzyScore(field, term)).filter(score => score !== null);
+    if (scores.length === 0) {
+      return null;
+    }
+    total += Math.max(...scores);
+  }
+
+  return total;
+}
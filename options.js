@@ -3,112 +3,45 @@
  * ユーザー設定の管理とUI操作
  */
 
-// ==================== Storage Functions ====================
-const DEFAULT_SETTINGS = {
-  githubToken: '',
-  autoStopEnabled: true,
-  maxCodespaces: 1,
-  autoStopMinutes: 30,
-  excludedRepos: [],
-  darkMode: false,
-  language: 'ja'
-};
-
-async function getSettings() {
-  try {
-    const result = await chrome.storage.local.get('settings');
-    return { ...DEFAULT_SETTINGS, ...result.settings };
-  } catch (error) {
-    console.error('設定の取得に失敗しました:', error);
-    return DEFAULT_SETTINGS;
-  }
-}
-
-async function saveSettings(settings) {
-  try {
-    await chrome.storage.local.set({ settings });
-    return true;
-  } catch (error) {
-    console.error('設定の保存に失敗しました:', error);
-    return false;
-  }
-}
-
-async function exportSettings() {
-  try {
-    const settings = await getSettings();
-    const exportData = { ...settings };
-    delete exportData.githubToken;
-    return exportData;
-  } catch (error) {
-    console.error('設定のエクスポートに失敗しました:', error);
-    return {};
-  }
-}
-
-async function importSettings(settings) {
-  try {
-    const currentSettings = await getSettings();
-    const newSettings = {
-      ...currentSettings,
-      ...settings,
-      githubToken: currentSettings.githubToken
-    };
-    return await saveSettings(newSettings);
-  } catch (error) {
-    console.error('設定のインポートに失敗しました:', error);
-    return false;
-  }
-}
-
-// ==================== API Functions ====================
-const GITHUB_API_BASE_URL = 'https://api.github.com';
-
-async function validateToken(token) {
-  if (!token) {
-    return { valid: false, scopes: [], error: 'トークンが空です' };
-  }
-
-  try {
-    const response = await fetch(`${GITHUB_API_BASE_URL}/user`, {
-      headers: {
-        'Accept': 'application/vnd.github+json',
-        'Authorization': `Bearer ${token}`,
-        'X-GitHub-Api-Version': '2022-11-28'
-      }
-    });
-
-    if (!response.ok) {
-      return {
-        valid: false,
-        scopes: [],
-        error: response.status === 401 ? '認証に失敗しました' : `エラー: ${response.status}`
-      };
-    }
-
-    const scopesHeader = response.headers.get('X-OAuth-Scopes') || '';
-    const scopes = scopesHeader.split(',').map(s => s.trim()).filter(s => s);
-    const hasCodespaceScope = scopes.includes('codespace');
-
-    return {
-      valid: true,
-      scopes,
-      hasCodespaceScope,
-      error: hasCodespaceScope ? '' : 'codespace スコープが必要です'
-    };
-  } catch (error) {
-    return {
-      valid: false,
-      scopes: [],
-      error: `ネットワークエラー: ${error.message}`
-    };
-  }
-}
-
-// ==================== Options UI Logic ====================
+import {
+  getSettings,
+  saveSettings,
+  exportSettings,
+  importSettings,
+  getOAuthCredentials,
+  getTokenProtection,
+  setTokenPassphrase,
+  unlockToken,
+  lockToken,
+  getProfiles,
+  setActiveProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  getAllProfileSettings,
+  getAuditLog
+} from './storage.js';
+import { validateToken } from './api.js';
+import { requestDeviceCode, pollForAccessToken, completeSignIn, signOut } from './auth.js';
+import { SCHEDULE_ACTIONS, parseTime, describeScheduleRule } from './schedule.js';
+import { getRepoPatternTypeLabel, parseRepoPattern, matchesRepoPattern } from './patterns.js';
+import { STOP_RESULTS, getStopTriggerLabel, filterAuditLog } from './audit.js';
+import {
+  DEFAULT_API_BASE_URL,
+  DEFAULT_CODESPACE_DOMAIN,
+  normalizeApiBaseUrl,
+  normalizeCodespaceDomain,
+  getRequiredHostOrigins
+} from './hosts.js';
+import { setLanguage, getLanguage, localizePage, t, tPlural } from './i18n.js';
+import { createElement, createIcon, createSpinner, replaceChildren } from './dom.js';
 
 let currentSettings = null;
 let excludedRepos = [];
+let scheduleRules = [];
+let knownCodespaces = [];
+let auditLog = [];
+let signInAbortController = null;
 
 /**
  * 初期化
@@ -119,8 +52,36 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // イベントリスナーを設定
   setupEventListeners();
+
+  // 停止の履歴
+  await loadAuditLog();
+
+  // 除外パターンのプレビュー用に Codespace 一覧を取得
+  await loadKnownCodespaces();
 });
 
+/**
+ * 除外パターンのプレビューに使う Codespace 一覧を取得
+ * ETag のキャッシュを共有するため、バックグラウンド経由で取得する
+ */
+async function loadKnownCodespaces() {
+  if (!currentSettings?.githubToken) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCodespaces', profileId: currentSettings.profileId });
+
+    if (response?.success) {
+      knownCodespaces = response.data || [];
+      renderChips();
+      updatePatternPreview();
+    }
+  } catch (error) {
+    console.error('プレビュー用の Codespace 一覧の取得に失敗しました:', error);
+  }
+}
+
 /**
  * 設定を読み込み
  */
@@ -128,27 +89,71 @@ async function loadSettings() {
   try {
     currentSettings = await getSettings();
 
-    // GitHub トークン
-    document.getElementById('githubToken').value = currentSettings.githubToken || '';
+    // 言語
+    document.getElementById('language').value = currentSettings.language;
+    await applyLanguage(currentSettings.language);
+
+    // アカウント
+    await renderProfiles();
+
+    // GitHub 認証
+    document.getElementById('oauthClientId').value = currentSettings.oauthClientId || '';
+    document.getElementById('apiBaseUrl').value = currentSettings.apiBaseUrl || DEFAULT_API_BASE_URL;
+    document.getElementById('codespaceDomain').value = currentSettings.codespaceDomain || DEFAULT_CODESPACE_DOMAIN;
+    // github.com 以外に接続する場合は最初から開いておく
+    document.getElementById('connectionSettings').open =
+      currentSettings.apiBaseUrl !== DEFAULT_API_BASE_URL || currentSettings.codespaceDomain !== DEFAULT_CODESPACE_DOMAIN;
+    document.getElementById('tokenStorage').value = currentSettings.tokenStorage || 'local';
+    await renderAuthState();
 
     // 自動停止設定
     document.getElementById('autoStopEnabled').checked = currentSettings.autoStopEnabled;
     document.getElementById('maxCodespaces').value = currentSettings.maxCodespaces;
     document.getElementById('maxCodespacesValue').textContent = currentSettings.maxCodespaces;
     document.getElementById('autoStopMinutes').value = currentSettings.autoStopMinutes;
-    document.getElementById('autoStopMinutesValue').textContent = `${currentSettings.autoStopMinutes} 分`;
+    document.getElementById('autoStopMinutesValue').textContent = t('minutesValue', currentSettings.autoStopMinutes);
+    document.getElementById('warningMinutes').value = currentSettings.warningMinutes;
+    document.getElementById('warningMinutesValue').textContent = t('minutesValue', currentSettings.warningMinutes);
+    document.getElementById('snoozeMinutes').value = currentSettings.snoozeMinutes;
+    document.getElementById('snoozeMinutesValue').textContent = t('minutesValue', currentSettings.snoozeMinutes);
 
     // 除外リポジトリ
-    excludedRepos = currentSettings.excludedRepos || [];
+    // 既定値の配列を書き換えないよう複製して編集する
+    excludedRepos = [...(currentSettings.excludedRepos || [])];
     renderChips();
 
+    // スケジュール
+    scheduleRules = [...(currentSettings.scheduleRules || [])];
+    renderScheduleRules();
+
     // ダークモード
     document.getElementById('darkMode').checked = currentSettings.darkMode;
     applyDarkMode(currentSettings.darkMode);
 
+    // Codespace を開くエディター
+    document.getElementById('openEditor').value = currentSettings.openEditor;
+
   } catch (error) {
     console.error('設定の読み込みに失敗しました:', error);
-    showSnackbar('設定の読み込みに失敗しました', 'error');
+    showSnackbar(t('errorLoadSettings'), 'error');
+  }
+}
+
+/**
+ * 画面の文言を指定した言語に切り替える
+ * @param {string} language - 言語
+ */
+async function applyLanguage(language) {
+  await setLanguage(language);
+  localizePage();
+}
+
+/**
+ * スライダーの値（分）の表示を更新
+ */
+function updateSliderValues() {
+  for (const id of ['autoStopMinutes', 'warningMinutes', 'snoozeMinutes']) {
+    document.getElementById(`${id}Value`).textContent = t('minutesValue', document.getElementById(id).value);
   }
 }
 
@@ -156,19 +161,46 @@ async function loadSettings() {
  * イベントリスナーを設定
  */
 function setupEventListeners() {
+  // アカウント
+  document.getElementById('profileSelect').addEventListener('change', (e) => switchProfileHandler(e.target.value));
+  document.getElementById('addProfileBtn').addEventListener('click', addProfileHandler);
+  document.getElementById('renameProfileBtn').addEventListener('click', renameProfileHandler);
+  document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfileHandler);
+
   // トークンの表示/非表示切り替え
   document.getElementById('toggleTokenVisibility').addEventListener('click', toggleTokenVisibility);
 
   // トークン検証ボタン
   document.getElementById('validateTokenBtn').addEventListener('click', validateTokenHandler);
 
+  // GitHub でサインイン
+  document.getElementById('signInBtn').addEventListener('click', signInHandler);
+  document.getElementById('cancelSignInBtn').addEventListener('click', () => {
+    signInAbortController?.abort();
+  });
+  document.getElementById('signOutBtn').addEventListener('click', signOutHandler);
+
+  // トークンのパスフレーズ
+  document.getElementById('unlockTokenBtn').addEventListener('click', unlockTokenHandler);
+  document.getElementById('setPassphraseBtn').addEventListener('click', () => updatePassphrase(true));
+  document.getElementById('removePassphraseBtn').addEventListener('click', () => updatePassphrase(false));
+  document.getElementById('lockTokenBtn').addEventListener('click', lockTokenHandler);
+
   // スライダーの値変更
   document.getElementById('maxCodespaces').addEventListener('input', (e) => {
     document.getElementById('maxCodespacesValue').textContent = e.target.value;
   });
 
   document.getElementById('autoStopMinutes').addEventListener('input', (e) => {
-    document.getElementById('autoStopMinutesValue').textContent = `${e.target.value} 分`;
+    document.getElementById('autoStopMinutesValue').textContent = t('minutesValue', e.target.value);
+  });
+
+  document.getElementById('warningMinutes').addEventListener('input', (e) => {
+    document.getElementById('warningMinutesValue').textContent = t('minutesValue', e.target.value);
+  });
+
+  document.getElementById('snoozeMinutes').addEventListener('input', (e) => {
+    document.getElementById('snoozeMinutesValue').textContent = t('minutesValue', e.target.value);
   });
 
   // 除外リポジトリの追加
@@ -178,12 +210,24 @@ function setupEventListeners() {
       addRepo();
     }
   });
+  document.getElementById('repoInput').addEventListener('input', updatePatternPreview);
+
+  // スケジュールルールの追加
+  document.getElementById('scheduleAction').addEventListener('change', (e) => {
+    document.getElementById('scheduleAutoStopMinutes').classList.toggle('hidden', e.target.value !== SCHEDULE_ACTIONS.IDLE_TIMEOUT);
+  });
+  document.getElementById('addScheduleRuleBtn').addEventListener('click', addScheduleRule);
 
   // ダークモード切り替え
   document.getElementById('darkMode').addEventListener('change', (e) => {
     applyDarkMode(e.target.checked);
   });
 
+  // 停止の履歴の絞り込みとエクスポート
+  document.getElementById('auditTrigger').addEventListener('change', renderAuditLog);
+  document.getElementById('auditQuery').addEventListener('input', renderAuditLog);
+  document.getElementById('exportAuditBtn').addEventListener('click', exportAuditLogHandler);
+
   // エクスポート
   document.getElementById('exportBtn').addEventListener('click', exportSettingsHandler);
 
@@ -219,131 +263,587 @@ function toggleTokenVisibility() {
  */
 async function validateTokenHandler() {
   const token = document.getElementById('githubToken').value.trim();
-  const statusDiv = document.getElementById('tokenStatus');
   const validateBtn = document.getElementById('validateTokenBtn');
 
   if (!token) {
-    statusDiv.className = 'token-status invalid';
-    statusDiv.innerHTML = '<span class="material-icons md-18">error</span> トークンを入力してください';
-    statusDiv.classList.remove('hidden');
+    showTokenStatus('invalid', 'error', t('enterToken'));
     return;
   }
 
   try {
     // ボタンを無効化
     validateBtn.disabled = true;
-    validateBtn.innerHTML = '<div class="spinner"></div> 検証中...';
+    replaceChildren(validateBtn, createSpinner(), ` ${t('validating')}`);
+
+    // 入力中の接続先で検証する
+    const connection = readConnectionSettings();
+    if (!(await requestHostPermissions(connection))) {
+      throw new Error(t('hostAccessDenied'));
+    }
 
     // トークンを検証
-    const result = await validateToken(token);
-
-    if (result.valid) {
-      statusDiv.className = 'token-status valid';
-
-      if (result.hasCodespaceScope) {
-        statusDiv.innerHTML = `
-          <span class="material-icons md-18">check_circle</span>
-          トークンは有効です（スコープ: ${result.scopes.join(', ')}）
-        `;
-      } else {
-        statusDiv.className = 'token-status invalid';
-        statusDiv.innerHTML = `
-          <span class="material-icons md-18">warning</span>
-          トークンは有効ですが、codespace スコープがありません
-        `;
-      }
+    const result = await validateToken(token, connection.apiBaseUrl);
+
+    if (!result.valid) {
+      showTokenStatus('invalid', 'error', result.error);
+    } else if (result.hasCodespaceAccess) {
+      const detail = result.tokenType === 'classic'
+        ? t('tokenScopes', result.scopes.join(', '))
+        : t('fineGrainedToken');
+      showTokenStatus('valid', 'check_circle', t('tokenValid', detail));
     } else {
-      statusDiv.className = 'token-status invalid';
-      statusDiv.innerHTML = `
-        <span class="material-icons md-18">error</span>
-        ${result.error}
-      `;
+      showTokenStatus('invalid', 'warning', t('tokenValidBut', result.error));
     }
 
-    statusDiv.classList.remove('hidden');
-
   } catch (error) {
     console.error('トークンの検証に失敗しました:', error);
-    statusDiv.className = 'token-status invalid';
-    statusDiv.innerHTML = `
-      <span class="material-icons md-18">error</span>
-      検証に失敗しました: ${error.message}
-    `;
-    statusDiv.classList.remove('hidden');
+    showTokenStatus('invalid', 'error', t('validationFailed', error.message));
 
   } finally {
     // ボタンを再度有効化
     validateBtn.disabled = false;
-    validateBtn.innerHTML = '<span class="material-icons md-18">check_circle</span> トークンを検証';
+    replaceChildren(validateBtn,
+      createIcon('check_circle'),
+      ' ',
+      createElement('span', { dataset: { i18n: 'validateToken' } }, t('validateToken')));
+  }
+}
+
+/**
+ * トークンの検証結果を表示
+ * メッセージには API やネットワークのエラーの文言が含まれるため、テキストとして追加する
+ * @param {string} result - 'valid' または 'invalid'
+ * @param {string} icon - アイコン名
+ * @param {string} message - メッセージ
+ */
+function showTokenStatus(result, icon, message) {
+  const statusDiv = document.getElementById('tokenStatus');
+  statusDiv.className = `token-status ${result}`;
+  replaceChildren(statusDiv, createIcon(icon), ` ${message}`);
+}
+
+/**
+ * 入力された接続先を取得
+ * @returns {Object} { apiBaseUrl, codespaceDomain }
+ * @throws {Error} 形式が不正な場合
+ */
+function readConnectionSettings() {
+  return {
+    apiBaseUrl: normalizeApiBaseUrl(document.getElementById('apiBaseUrl').value),
+    codespaceDomain: normalizeCodespaceDomain(document.getElementById('codespaceDomain').value)
+  };
+}
+
+/**
+ * インポートするファイルに含まれる接続先を取得
+ * @param {Object} data - インポートする設定
+ * @returns {Array<Object>} 接続先の配列 [{ apiBaseUrl, codespaceDomain }]
+ * @throws {Error} 形式が不正な場合
+ */
+function readImportedConnections(data) {
+  const entries = Array.isArray(data?.profiles) ? data.profiles : [data];
+  return entries.map(entry => ({
+    apiBaseUrl: normalizeApiBaseUrl(entry?.apiBaseUrl),
+    codespaceDomain: normalizeCodespaceDomain(entry?.codespaceDomain)
+  }));
+}
+
+/**
+ * github.com 以外の接続先へのアクセスの許可を求める
+ * ユーザーの操作の中で呼び出す必要がある（chrome.permissions.request の制約）
+ * @param {...Object} connections - 接続先 { apiBaseUrl, codespaceDomain }
+ * @returns {Promise<boolean>} 許可された場合（または許可が不要な場合）true
+ */
+async function requestHostPermissions(...connections) {
+  const origins = [...new Set(connections.flatMap(connection => getRequiredHostOrigins(connection)))];
+  if (origins.length === 0) {
+    return true;
+  }
+
+  return chrome.permissions.request({ origins });
+}
+
+/**
+ * 接続先の変更をバックグラウンドに通知（コンテンツスクリプトの登録を更新する）
+ */
+async function notifyConnectionChanged() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'syncContentScripts' });
+  } catch (error) {
+    console.error('接続先の変更の通知に失敗しました:', error);
+  }
+}
+
+/**
+ * アカウントの一覧を描画
+ */
+async function renderProfiles() {
+  const { profiles } = await getProfiles();
+  const select = document.getElementById('profileSelect');
+
+  replaceChildren(select);
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+
+  select.value = currentSettings.profileId;
+  // 最後のアカウントは削除できない
+  document.getElementById('deleteProfileBtn').disabled = profiles.length < 2;
+}
+
+/**
+ * 編集するアカウントを切り替える（ポップアップで選択中のアカウントも切り替わる）
+ * @param {string} profileId - アカウントID
+ */
+async function switchProfileHandler(profileId) {
+  if (!(await setActiveProfile(profileId))) {
+    showSnackbar(t('errorSwitchAccount'), 'error');
+    return;
   }
+
+  await reloadProfile();
+}
+
+/**
+ * 切り替えたアカウントの設定と Codespace 一覧を読み込み直す
+ */
+async function reloadProfile() {
+  knownCodespaces = [];
+  await loadSettings();
+  await loadKnownCodespaces();
 }
 
 /**
- * 除外リポジトリを追加
+ * アカウントを追加し、追加したアカウントの編集に切り替える
+ */
+async function addProfileHandler() {
+  const input = document.getElementById('profileName');
+  const name = input.value.trim();
+
+  if (!name) {
+    showSnackbar(t('enterAccountName'), 'error');
+    return;
+  }
+
+  const profile = await createProfile(name);
+  if (!profile || !(await setActiveProfile(profile.id))) {
+    showSnackbar(t('errorAddAccount'), 'error');
+    return;
+  }
+
+  input.value = '';
+  await reloadProfile();
+  showSnackbar(t('accountAdded', name), 'success');
+}
+
+/**
+ * 編集中のアカウントの名前を変更
+ */
+async function renameProfileHandler() {
+  const input = document.getElementById('profileName');
+  const name = input.value.trim();
+
+  if (!name) {
+    showSnackbar(t('enterAccountName'), 'error');
+    return;
+  }
+
+  if (!(await renameProfile(currentSettings.profileId, name))) {
+    showSnackbar(t('errorRenameAccount'), 'error');
+    return;
+  }
+
+  input.value = '';
+  currentSettings.profileName = name;
+  await renderProfiles();
+  showSnackbar(t('accountRenamed'), 'success');
+}
+
+/**
+ * 編集中のアカウントとそのトークンを削除
+ */
+async function deleteProfileHandler() {
+  const name = currentSettings.profileName;
+
+  if (!(await deleteProfile(currentSettings.profileId))) {
+    showSnackbar(t('errorDeleteAccount'), 'error');
+    return;
+  }
+
+  await reloadProfile();
+  showSnackbar(t('accountDeleted', name), 'success');
+}
+
+/**
+ * 認証方法に応じて表示を切り替え
+ */
+async function renderAuthState() {
+  const protection = await getTokenProtection();
+  const signedIn = !protection.locked && currentSettings.authMethod === 'oauth' && Boolean(currentSettings.githubToken);
+
+  // ロック中は解除フォームのみを表示
+  document.getElementById('tokenLockedPanel').classList.toggle('hidden', !protection.locked);
+  document.getElementById('tokenStorageSection').classList.toggle('hidden', protection.locked);
+  document.getElementById('passphraseSection').classList.toggle('hidden', protection.locked || protection.storage !== 'local');
+  document.getElementById('passphraseActions').classList.toggle('hidden', protection.protection !== 'passphrase');
+
+  document.getElementById('signInBtn').classList.toggle('hidden', signedIn || protection.locked);
+  document.getElementById('patSection').classList.toggle('hidden', signedIn || protection.locked);
+  document.getElementById('oauthStatus').classList.toggle('hidden', !signedIn);
+  document.getElementById('githubToken').value = signedIn ? '' : (currentSettings.githubToken || '');
+
+  if (signedIn) {
+    const credentials = await getOAuthCredentials(currentSettings.profileId);
+    document.getElementById('oauthStatusText').textContent = credentials?.expiresAt
+      ? t('signedInUntil', new Date(credentials.expiresAt).toLocaleString(getLanguage()))
+      : t('signedIn');
+  }
+}
+
+/**
+ * GitHub でサインイン（デバイスフロー）
+ */
+async function signInHandler() {
+  const clientId = document.getElementById('oauthClientId').value.trim();
+  const signInBtn = document.getElementById('signInBtn');
+  const panel = document.getElementById('deviceFlowPanel');
+
+  if (!clientId) {
+    document.querySelector('.oauth-client').open = true;
+    showSnackbar(t('enterClientId'), 'error');
+    return;
+  }
+
+  signInAbortController = new AbortController();
+  signInBtn.disabled = true;
+
+  try {
+    const connection = readConnectionSettings();
+    if (!(await requestHostPermissions(connection))) {
+      throw new Error(t('hostAccessDenied'));
+    }
+
+    const deviceCode = await requestDeviceCode(clientId, connection.apiBaseUrl);
+
+    // コードを表示し、GitHub の承認ページを開く
+    document.getElementById('userCode').textContent = deviceCode.userCode;
+    document.getElementById('verificationLink').href = deviceCode.verificationUri;
+    document.getElementById('deviceFlowStatus').textContent = t('waitingForApproval');
+    panel.classList.remove('hidden');
+    chrome.tabs.create({ url: deviceCode.verificationUri });
+
+    const credentials = await pollForAccessToken(clientId, deviceCode, {
+      signal: signInAbortController.signal,
+      apiBaseUrl: connection.apiBaseUrl
+    });
+
+    // トークンの更新に使うため、サインインした接続先を保存する
+    await saveSettings({ profileId: currentSettings.profileId, ...connection });
+    currentSettings = await completeSignIn(credentials, clientId, currentSettings.profileId);
+    await notifyConnectionChanged();
+    await renderAuthState();
+    showSnackbar(t('signInSucceeded'), 'success');
+
+  } catch (error) {
+    console.error('サインインに失敗しました:', error);
+    showSnackbar(error.message, error.code === 'aborted' ? 'info' : 'error');
+
+  } finally {
+    panel.classList.add('hidden');
+    signInBtn.disabled = false;
+    signInAbortController = null;
+  }
+}
+
+/**
+ * サインアウト
+ */
+async function signOutHandler() {
+  try {
+    currentSettings = await signOut(currentSettings.profileId);
+    await renderAuthState();
+    showSnackbar(t('signedOut'), 'success');
+  } catch (error) {
+    console.error('サインアウトに失敗しました:', error);
+    showSnackbar(t('errorSignOut'), 'error');
+  }
+}
+
+/**
+ * パスフレーズでトークンのロックを解除
+ */
+async function unlockTokenHandler() {
+  const input = document.getElementById('unlockPassphrase');
+
+  if (!(await unlockToken(input.value))) {
+    showSnackbar(t('wrongPassphrase'), 'error');
+    return;
+  }
+
+  input.value = '';
+  currentSettings = await getSettings(currentSettings.profileId);
+  await renderAuthState();
+  showSnackbar(t('tokenUnlocked'), 'success');
+}
+
+/**
+ * トークンのパスフレーズを設定または解除
+ * @param {boolean} enable - 設定する場合true、解除する場合false
+ */
+async function updatePassphrase(enable) {
+  const input = document.getElementById('tokenPassphrase');
+  const passphrase = enable ? input.value : '';
+
+  if (enable && !passphrase) {
+    showSnackbar(t('enterPassphrase'), 'error');
+    return;
+  }
+
+  if (!(await setTokenPassphrase(passphrase))) {
+    showSnackbar(t('errorSetPassphrase'), 'error');
+    return;
+  }
+
+  input.value = '';
+  await renderAuthState();
+  showSnackbar(enable ? t('passphraseSet') : t('passphraseRemoved'), 'success');
+}
+
+/**
+ * トークンをロック
+ */
+async function lockTokenHandler() {
+  if (!(await lockToken())) {
+    showSnackbar(t('errorLockToken'), 'error');
+    return;
+  }
+
+  currentSettings = await getSettings(currentSettings.profileId);
+  await renderAuthState();
+  showSnackbar(t('tokenLockedNow'), 'success');
+}
+
+/**
+ * 除外リポジトリのパターンを追加
  */
 function addRepo() {
   const input = document.getElementById('repoInput');
-  const repo = input.value.trim();
-
-  if (!repo) return;
+  if (!input.value.trim()) return;
 
-  // 既に追加されているかチェック
-  if (excludedRepos.includes(repo)) {
-    showSnackbar('このリポジトリは既に追加されています', 'error');
+  let pattern;
+  try {
+    pattern = parseRepoPattern(input.value);
+  } catch (error) {
+    showSnackbar(error.message, 'error');
     return;
   }
 
-  // リポジトリ名の形式を簡単にチェック
-  if (!repo.includes('/')) {
-    showSnackbar('リポジトリ名は "owner/repository" 形式で入力してください', 'error');
+  // 既に追加されているかチェック
+  if (excludedRepos.some(p => p.type === pattern.type && p.pattern === pattern.pattern)) {
+    showSnackbar(t('patternAlreadyAdded'), 'error');
     return;
   }
 
-  excludedRepos.push(repo);
+  excludedRepos.push(pattern);
   renderChips();
 
   // 入力をクリア
   input.value = '';
+  updatePatternPreview();
 }
 
 /**
- * 除外リポジトリを削除
- * @param {string} repo - リポジトリ名
+ * 除外リポジトリのパターンを削除
+ * @param {number} index - パターンの位置
  */
-function removeRepo(repo) {
-  excludedRepos = excludedRepos.filter(r => r !== repo);
+function removeRepo(index) {
+  excludedRepos = excludedRepos.filter((p, i) => i !== index);
   renderChips();
 }
 
+/**
+ * パターンに一致する Codespace のリポジトリ名を取得
+ * @param {Object} pattern - パターン { type, pattern }
+ * @returns {Array<string>} リポジトリ名の配列（重複なし）
+ */
+function findMatchingRepos(pattern) {
+  const repos = knownCodespaces
+    .map(cs => cs.repository?.full_name || '')
+    .filter(repo => matchesRepoPattern(pattern, repo));
+  return [...new Set(repos)];
+}
+
+/**
+ * 入力中のパターンに一致する Codespace をプレビュー
+ */
+function updatePatternPreview() {
+  const preview = document.getElementById('repoPatternPreview');
+  const text = document.getElementById('repoInput').value.trim();
+
+  preview.classList.remove('error');
+
+  if (!text) {
+    preview.classList.add('hidden');
+    return;
+  }
+
+  preview.classList.remove('hidden');
+
+  let pattern;
+  try {
+    pattern = parseRepoPattern(text);
+  } catch (error) {
+    preview.classList.add('error');
+    preview.textContent = error.message;
+    return;
+  }
+
+  const matches = findMatchingRepos(pattern);
+  const typeLabel = getRepoPatternTypeLabel(pattern.type);
+
+  preview.textContent = matches.length > 0
+    ? t('patternPreviewMatches', [typeLabel, matches.join(', ')])
+    : t('patternPreviewNoMatch', typeLabel);
+}
+
 /**
  * チップを描画
  */
 function renderChips() {
   const container = document.getElementById('chipsDisplay');
-  container.innerHTML = '';
 
   if (excludedRepos.length === 0) {
-    container.innerHTML = '<span class="text-muted" style="font-size: var(--font-size-sm);">除外リポジトリなし</span>';
+    replaceChildren(container, createEmptyText(t('noExcludedRepos')));
     return;
   }
 
-  excludedRepos.forEach(repo => {
-    const chip = document.createElement('div');
-    chip.className = 'chip';
-    chip.innerHTML = `
-      ${repo}
-      <span class="material-icons md-18 remove-icon" data-repo="${repo}">close</span>
-    `;
+  replaceChildren(container, excludedRepos.map((pattern, index) => {
+    const matches = findMatchingRepos(pattern);
+
+    return createElement('div', {
+      className: 'chip',
+      dataset: { type: pattern.type },
+      title: matches.length > 0 ? t('chipMatches', matches.join(', ')) : t('chipNoMatch')
+    },
+    createElement('span', { className: 'chip-type' }, getRepoPatternTypeLabel(pattern.type)),
+    createElement('span', { className: 'chip-pattern' }, pattern.pattern),
+    createElement('span', { className: 'chip-count' }, matches.length),
+    createElement('span', {
+      className: 'material-icons md-18 remove-icon',
+      on: { click: () => removeRepo(index) }
+    }, 'close'));
+  }));
+}
 
-    // 削除アイコンのイベントリスナー
-    chip.querySelector('.remove-icon').addEventListener('click', () => {
-      removeRepo(repo);
-    });
+/**
+ * 一覧が空のときの文言を作成
+ * @param {string} message - 文言
+ * @returns {HTMLElement} 文言の要素
+ */
+function createEmptyText(message) {
+  return createElement('span', {
+    className: 'text-muted text-small'
+  }, message);
+}
+
+/**
+ * スケジュールルールを追加
+ */
+function addScheduleRule() {
+  const days = [...document.querySelectorAll('#scheduleDays input:checked')].map(input => parseInt(input.value));
+  const startTime = document.getElementById('scheduleStart').value;
+  const endTime = document.getElementById('scheduleEnd').value;
+  const action = document.getElementById('scheduleAction').value;
+
+  if (days.length === 0) {
+    showSnackbar(t('selectWeekday'), 'error');
+    return;
+  }
+
+  if (parseTime(startTime) === null || parseTime(endTime) === null || startTime === endTime) {
+    showSnackbar(t('invalidScheduleTime'), 'error');
+    return;
+  }
 
-    container.appendChild(chip);
+  const rule = {
+    name: document.getElementById('scheduleName').value.trim(),
+    days,
+    startTime,
+    endTime,
+    action
+  };
+
+  if (action === SCHEDULE_ACTIONS.IDLE_TIMEOUT) {
+    const minutes = parseInt(document.getElementById('scheduleAutoStopMinutes').value);
+    if (!(minutes >= 5 && minutes <= 240)) {
+      showSnackbar(t('invalidScheduleMinutes'), 'error');
+      return;
+    }
+    rule.autoStopMinutes = minutes;
+  }
+
+  scheduleRules.push(rule);
+  renderScheduleRules();
+
+  // 入力をクリア
+  document.getElementById('scheduleName').value = '';
+  document.querySelectorAll('#scheduleDays input').forEach(input => {
+    input.checked = false;
   });
 }
 
+/**
+ * スケジュールルールを削除
+ * @param {number} index - ルールの位置
+ */
+function removeScheduleRule(index) {
+  scheduleRules = scheduleRules.filter((rule, i) => i !== index);
+  renderScheduleRules();
+}
+
+/**
+ * スケジュールルールの優先度を 1 つ上げる
+ * @param {number} index - ルールの位置
+ */
+function moveScheduleRuleUp(index) {
+  if (index <= 0) return;
+
+  [scheduleRules[index - 1], scheduleRules[index]] = [scheduleRules[index], scheduleRules[index - 1]];
+  renderScheduleRules();
+}
+
+/**
+ * スケジュールルールを描画
+ */
+function renderScheduleRules() {
+  const container = document.getElementById('scheduleRuleList');
+
+  if (scheduleRules.length === 0) {
+    replaceChildren(container, createEmptyText(t('noScheduleRules')));
+    return;
+  }
+
+  replaceChildren(container, scheduleRules.map((rule, index) => createElement('div', { className: 'schedule-rule' },
+    createElement('div', { className: 'schedule-rule-text' },
+      rule.name && createElement('div', { className: 'schedule-rule-name' }, rule.name),
+      createElement('div', { className: 'text-muted schedule-rule-description' }, describeScheduleRule(rule))
+    ),
+    index > 0 && createElement('span', {
+      className: 'material-icons md-18 move-up-icon',
+      title: t('raisePriority'),
+      on: { click: () => moveScheduleRuleUp(index) }
+    }, 'arrow_upward'),
+    createElement('span', {
+      className: 'material-icons md-18 remove-icon',
+      title: t('delete'),
+      on: { click: () => removeScheduleRule(index) }
+    }, 'close')
+  )));
+}
+
 /**
  * ダークモードを適用
  * @param {boolean} enabled - ダークモード有効
@@ -360,40 +860,226 @@ function applyDarkMode(enabled) {
  * 設定を保存
  */
 async function saveSettingsHandler() {
+  let connection;
+  try {
+    connection = readConnectionSettings();
+  } catch (error) {
+    showSnackbar(error.message, 'error');
+    return;
+  }
+
+  // 保存ボタンの操作の中で許可を求める
+  if (!(await requestHostPermissions(connection))) {
+    showSnackbar(t('hostAccessDeniedNotSaved'), 'error');
+    return;
+  }
+
   try {
     const saveBtn = document.getElementById('saveBtn');
     saveBtn.disabled = true;
-    saveBtn.innerHTML = '<div class="spinner"></div> 保存中...';
+    replaceChildren(saveBtn, createSpinner(), ` ${t('saving')}`);
+
+    // サインイン中はバックグラウンドで更新されたトークンを上書きしないよう、保存済みのものを使う
+    const signedIn = currentSettings.authMethod === 'oauth';
+    const githubToken = signedIn
+      ? (await getSettings(currentSettings.profileId)).githubToken
+      : document.getElementById('githubToken').value.trim();
 
-    // 設定を取得
+    // 設定を取得（アカウントごとの項目は編集中のアカウントに保存される）
     const settings = {
-      githubToken: document.getElementById('githubToken').value.trim(),
+      profileId: currentSettings.profileId,
+      githubToken,
+      authMethod: signedIn ? 'oauth' : 'pat',
+      tokenStorage: document.getElementById('tokenStorage').value,
+      oauthClientId: document.getElementById('oauthClientId').value.trim(),
+      apiBaseUrl: connection.apiBaseUrl,
+      codespaceDomain: connection.codespaceDomain,
       autoStopEnabled: document.getElementById('autoStopEnabled').checked,
       maxCodespaces: parseInt(document.getElementById('maxCodespaces').value),
       autoStopMinutes: parseInt(document.getElementById('autoStopMinutes').value),
+      warningMinutes: parseInt(document.getElementById('warningMinutes').value),
+      snoozeMinutes: parseInt(document.getElementById('snoozeMinutes').value),
       excludedRepos: excludedRepos,
+      scheduleRules: scheduleRules,
       darkMode: document.getElementById('darkMode').checked,
-      language: currentSettings.language || 'ja'
+      language: document.getElementById('language').value,
+      openEditor: document.getElementById('openEditor').value
     };
 
     // 保存
     const success = await saveSettings(settings);
 
     if (success) {
-      currentSettings = settings;
-      showSnackbar('設定を保存しました', 'success');
+      const languageChanged = settings.language !== currentSettings.language;
+      currentSettings = { ...currentSettings, ...settings };
+
+      // 言語を変更した場合は、画面の文言と描画済みの一覧を切り替える
+      if (languageChanged) {
+        await applyLanguage(settings.language);
+        renderChips();
+        renderScheduleRules();
+        updateSliderValues();
+        renderAuditLog();
+      }
+
+      // 保存方法によってパスフレーズの設定欄の表示が変わる
+      await renderAuthState();
+      await notifyConnectionChanged();
+      showSnackbar(t('settingsSaved'), 'success');
     } else {
-      showSnackbar('設定の保存に失敗しました', 'error');
+      showSnackbar(t('errorSaveSettings'), 'error');
     }
 
   } catch (error) {
     console.error('設定の保存に失敗しました:', error);
-    showSnackbar('設定の保存に失敗しました', 'error');
+    showSnackbar(t('errorSaveSettings'), 'error');
 
   } finally {
     const saveBtn = document.getElementById('saveBtn');
     saveBtn.disabled = false;
-    saveBtn.innerHTML = '<span class="material-icons md-18">save</span> 保存';
+    replaceChildren(saveBtn,
+      createIcon('save'),
+      ' ',
+      createElement('span', { dataset: { i18n: 'save' } }, t('save')));
+  }
+}
+
+/**
+ * 停止の履歴を読み込んで表示
+ */
+async function loadAuditLog() {
+  auditLog = await getAuditLog();
+  renderAuditLog();
+}
+
+/**
+ * 絞り込みの条件に一致する停止の履歴を取得
+ * @returns {Array<Object>} 記録の配列（新しい順）
+ */
+function getFilteredAuditLog() {
+  return filterAuditLog(auditLog, {
+    trigger: document.getElementById('auditTrigger').value,
+    query: document.getElementById('auditQuery').value
+  });
+}
+
+/**
+ * 停止の履歴を描画
+ */
+function renderAuditLog() {
+  const container = document.getElementById('auditLogList');
+  const entries = getFilteredAuditLog();
+
+  container.replaceChildren(...entries.map(createAuditEntryElement));
+  document.getElementById('auditCount').textContent = tPlural('auditCount', entries.length);
+
+  if (entries.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'text-muted text-small';
+    empty.textContent = t('noAuditEntries');
+    container.appendChild(empty);
+  }
+}
+
+/**
+ * 停止の履歴の 1 件を表す要素を作成
+ * @param {Object} entry - 記録
+ * @returns {HTMLElement} 要素
+ */
+function createAuditEntryElement(entry) {
+  const formatTime = timestamp => new Date(timestamp).toLocaleString(getLanguage());
+  const failed = entry.result === STOP_RESULTS.FAILED;
+
+  const item = document.createElement('div');
+  item.className = `audit-entry${failed ? ' failed' : ''}`;
+  item.dataset.trigger = entry.trigger || '';
+
+  // 日時・Codespace・結果
+  const header = document.createElement('div');
+  header.className = 'audit-entry-header';
+
+  const icon = document.createElement('span');
+  icon.className = 'material-icons md-18 audit-entry-result';
+  icon.textContent = failed ? 'error' : 'stop_circle';
+
+  const name = document.createElement('span');
+  name.className = 'audit-entry-name';
+  name.textContent = entry.repository ? `${entry.repository} (${entry.codespaceName})` : entry.codespaceName;
+  name.title = name.textContent;
+
+  const time = document.createElement('span');
+  time.className = 'text-muted';
+  time.textContent = formatTime(entry.timestamp);
+
+  header.append(icon, name, time);
+
+  // きっかけと理由
+  const reason = document.createElement('div');
+  reason.className = 'audit-entry-reason';
+  const trigger = entry.trigger ? getStopTriggerLabel(entry.trigger) : t('triggerUnknown');
+  reason.textContent = entry.detail && entry.detail !== trigger ? `${trigger}: ${entry.detail}` : trigger;
+
+  // そのときのポリシーなど
+  const details = [entry.profileName, describeAuditPolicy(entry.policy)];
+  if (entry.lastAccess) {
+    details.push(t('auditLastAccess', formatTime(entry.lastAccess)));
+  }
+  if (entry.warnedAt) {
+    details.push(t('auditAfterWarning', formatTime(entry.warnedAt)));
+  }
+  if (failed) {
+    details.push(t('auditFailed', entry.error || ''));
+  }
+
+  const policy = document.createElement('div');
+  policy.className = 'text-muted audit-entry-policy';
+  policy.textContent = details.filter(Boolean).join(' / ');
+
+  item.append(header, reason, policy);
+  return item;
+}
+
+/**
+ * 停止したときのポリシーの説明文を作成
+ * @param {Object|null} policy - ポリシー { autoStopEnabled, maxCodespaces, autoStopMinutes, warningMinutes, scheduleRule }
+ * @returns {string} 説明文
+ */
+function describeAuditPolicy(policy) {
+  if (!policy) {
+    return '';
+  }
+
+  const parts = [policy.autoStopEnabled === false
+    ? t('auditPolicyAutoStopOff')
+    : t('auditPolicy', [policy.maxCodespaces, policy.autoStopMinutes, policy.warningMinutes])];
+
+  if (policy.scheduleRule) {
+    parts.push(t('scheduleStatus', policy.scheduleRule));
+  }
+
+  return parts.join(' / ');
+}
+
+/**
+ * 表示中の停止の履歴を JSON としてダウンロード
+ */
+async function exportAuditLogHandler() {
+  try {
+    const blob = new Blob([JSON.stringify(getFilteredAuditLog(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `one-codespace-stop-history-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showSnackbar(t('auditLogExported'), 'success');
+
+  } catch (error) {
+    console.error('停止の履歴のエクスポートに失敗しました:', error);
+    showSnackbar(t('errorExportAuditLog'), 'error');
   }
 }
 
@@ -415,11 +1101,11 @@ async function exportSettingsHandler() {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 
-    showSnackbar('設定をエクスポートしました', 'success');
+    showSnackbar(t('settingsExported'), 'success');
 
   } catch (error) {
     console.error('設定のエクスポートに失敗しました:', error);
-    showSnackbar('設定のエクスポートに失敗しました', 'error');
+    showSnackbar(t('errorExportSettings'), 'error');
   }
 }
 
@@ -434,20 +1120,45 @@ async function importSettingsHandler(event) {
     const text = await file.text();
     const data = JSON.parse(text);
 
+    // 手動で接続先を変更した場合と同じく、github.com 以外の接続先へのアクセスの許可を求める
+    let connections;
+    try {
+      connections = readImportedConnections(data);
+    } catch (error) {
+      showSnackbar(error.message, 'error');
+      return;
+    }
+    if (!(await requestHostPermissions(...connections))) {
+      showSnackbar(t('hostAccessDeniedNotImported'), 'error');
+      return;
+    }
+
+    // API の URL が変わるアカウントのトークンは削除されるため、インポート前の状態と比べる
+    const previousProfiles = await getAllProfileSettings();
+
     // 設定をインポート
     const success = await importSettings(data);
 
     if (success) {
+      const importedProfiles = await getAllProfileSettings();
+      const removedNames = previousProfiles
+        .filter(previous => previous.githubToken && !importedProfiles.find(profile => profile.profileId === previous.profileId)?.githubToken)
+        .map(previous => previous.profileName);
+
       // UI を更新
       await loadSettings();
-      showSnackbar('設定をインポートしました', 'success');
+      await notifyConnectionChanged();
+      showSnackbar(
+        removedNames.length > 0 ? t('settingsImportedTokensRemoved', removedNames.join(', ')) : t('settingsImported'),
+        'success'
+      );
     } else {
-      showSnackbar('設定のインポートに失敗しました', 'error');
+      showSnackbar(t('errorImportSettings'), 'error');
     }
 
   } catch (error) {
     console.error('設定のインポートに失敗しました:', error);
-    showSnackbar('設定のインポートに失敗しました（無効なファイル形式）', 'error');
+    showSnackbar(t('errorImportInvalidFile'), 'error');
 
   } finally {
     // ファイル入力をリセット
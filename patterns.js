@@ -0,0 +1,141 @@
+/**
+ * リポジトリパターンモジュール
+ * 除外リポジトリの指定（完全一致・オーナー単位・グロブ・正規表現）を解釈する
+ */
+
+import { t } from './i18n.js';
+
+// パターンの種類
+export const REPO_PATTERN_TYPES = {
+  EXACT: 'exact', // owner/repo
+  OWNER: 'owner', // owner/*
+  GLOB: 'glob', // org/app-* など
+  REGEX: 'regex' // /^org\/app-\d+$/i など
+};
+
+// パターンの種類の表示名のメッセージ名（_locales を参照）
+const REPO_PATTERN_TYPE_MESSAGES = {
+  exact: 'patternTypeExact',
+  owner: 'patternTypeOwner',
+  glob: 'patternTypeGlob',
+  regex: 'patternTypeRegex'
+};
+
+/**
+ * パターンの種類の表示名を取得
+ * @param {string} type - パターンの種類
+ * @returns {string} 表示名
+ */
+export function getRepoPatternTypeLabel(type) {
+  return t(REPO_PATTERN_TYPE_MESSAGES[type]);
+}
+
+/**
+ * 入力された文字列をパターンに変換
+ * - /.../flags → 正規表現
+ * - owner/* → オーナー単位
+ * - * や ? を含む → グロブ（* と ? は / をまたがない）
+ * - それ以外 → 完全一致（owner/repository 形式）
+ * @param {string} input - 入力された文字列
+ * @returns {Object} パターン { type, pattern }
+ * @throws {Error} 形式が不正な場合
+ */
+export function parseRepoPattern(input) {
+  const text = (input || '').trim();
+
+  if (!text) {
+    throw new Error(t('errorPatternEmpty'));
+  }
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (regexMatch) {
+    try {
+      new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(t('errorPatternRegex', error.message));
+    }
+    return { type: REPO_PATTERN_TYPES.REGEX, pattern: text };
+  }
+
+  if (/^[^/*?]+\/\*$/.test(text)) {
+    return { type: REPO_PATTERN_TYPES.OWNER, pattern: text };
+  }
+
+  if (/[*?]/.test(text)) {
+    return { type: REPO_PATTERN_TYPES.GLOB, pattern: text };
+  }
+
+  if (!/^[^/\s]+\/[^/\s]+$/.test(text)) {
+    throw new Error(t('errorPatternFormat'));
+  }
+
+  return { type: REPO_PATTERN_TYPES.EXACT, pattern: text };
+}
+
+/**
+ * 保存されている除外リポジトリをパターンの配列に正規化
+ * 以前の形式（文字列）は完全一致として扱う
+ * @param {Array} excludedRepos - 除外リポジトリ（文字列またはパターン）の配列
+ * @returns {Array} パターンの配列
+ */
+export function normalizeRepoPatterns(excludedRepos) {
+  if (!Array.isArray(excludedRepos)) {
+    return [];
+  }
+
+  return excludedRepos
+    .map(entry => (typeof entry === 'string'
+      ? { type: REPO_PATTERN_TYPES.EXACT, pattern: entry }
+      : entry))
+    .filter(entry => entry && typeof entry.pattern === 'string' && REPO_PATTERN_TYPE_MESSAGES[entry.type]);
+}
+
+/**
+ * パターンを正規表現に変換
+ * @param {Object} pattern - パターン { type, pattern }
+ * @returns {RegExp|null} 正規表現。不正なパターンの場合は null
+ */
+function toRegExp(pattern) {
+  try {
+    if (pattern.type === REPO_PATTERN_TYPES.REGEX) {
+      const [, source, flags] = /^\/(.+)\/([a-z]*)$/.exec(pattern.pattern);
+      return new RegExp(source, flags);
+    }
+
+    if (pattern.type === REPO_PATTERN_TYPES.OWNER || pattern.type === REPO_PATTERN_TYPES.GLOB) {
+      const source = pattern.pattern
+        .split('')
+        .map(char => {
+          if (char === '*') return '[^/]*';
+          if (char === '?') return '[^/]';
+          return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        })
+        .join('');
+      // GitHub のオーナー名・リポジトリ名は大文字と小文字を区別しない
+      return new RegExp(`^${source}$`, 'i');
+    }
+  } catch (error) {
+    console.error('パターンの変換に失敗しました:', error);
+  }
+
+  return null;
+}
+
+/**
+ * リポジトリ名がパターンに一致するか判定
+ * @param {Object} pattern - パターン { type, pattern }
+ * @param {string} repoFullName - リポジトリ名（owner/repository）
+ * @returns {boolean} 一致する場合true
+ */
+export function matchesRepoPattern(pattern, repoFullName) {
+  if (!repoFullName) {
+    return false;
+  }
+
+  if (pattern.type === REPO_PATTERN_TYPES.EXACT) {
+    return repoFullName.toLowerCase() === pattern.pattern.toLowerCase();
+  }
+
+  const regex = toRegExp(pattern);
+  return regex ? regex.test(repoFullName) : false;
+}
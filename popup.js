@@ -3,115 +3,92 @@
  * Codespace の一覧表示と操作を管理
  */
 
-// ==================== Storage Functions ====================
-const DEFAULT_SETTINGS = {
-  githubToken: '',
-  autoStopEnabled: true,
-  maxCodespaces: 1,
-  autoStopMinutes: 30,
-  excludedRepos: [],
-  darkMode: false,
-  language: 'ja'
+import {
+  getSettings,
+  saveSettings,
+  getProfiles,
+  setActiveProfile,
+  getAllProfileSettings,
+  getTokenProtection,
+  resolveCodespaceLastAccess,
+  getCodespaceProtection,
+  setCodespacePinned,
+  snoozeCodespace,
+  clearCodespaceSnooze,
+  getCodespaceStart,
+  getPendingStop,
+  getCodespaceStatus
+} from './storage.js';
+import { APIError } from './api.js';
+import { getActiveScheduleRule, describeScheduleRule } from './schedule.js';
+import { STATUS_LEVELS, calculateAutoStopAt, summarizeStatus, describeStatus } from './status.js';
+import { GROUP_BY, applyListView } from './listview.js';
+import { setLanguage, localizePage, t, tPlural } from './i18n.js';
+import { createElement, createIcon, createSpinner, replaceChildren } from './dom.js';
+
+// ポップアップに表示する Codespace の状態
+const LISTED_STATES = ['Available', 'Shutdown'];
+
+// 最終アクセス時刻の情報源の表示名（メッセージ名）
+const LAST_ACCESS_SOURCE_MESSAGES = {
+  local: 'lastAccessSourceLocal',
+  api: 'lastAccessSourceApi',
+  none: 'lastAccessSourceNone'
 };
 
-async function getSettings() {
-  try {
-    const result = await chrome.storage.local.get('settings');
-    return { ...DEFAULT_SETTINGS, ...result.settings };
-  } catch (error) {
-    console.error('設定の取得に失敗しました:', error);
-    return DEFAULT_SETTINGS;
-  }
-}
-
-async function removeCodespaceAccess(codespaceName) {
-  try {
-    const key = `codespace_access_${codespaceName}`;
-    await chrome.storage.local.remove(key);
-    return true;
-  } catch (error) {
-    console.error('最終アクセス時刻の削除に失敗しました:', error);
-    return false;
-  }
-}
-
-// ==================== API Functions ====================
-const GITHUB_API_BASE_URL = 'https://api.github.com';
-
-class APIError extends Error {
-  constructor(message, status, response) {
-    super(message);
-    this.name = 'APIError';
-    this.status = status;
-    this.response = response;
-  }
-}
+// 自動停止の見送りの選択肢（label はメッセージ名）
+const SNOOZE_OPTIONS = [
+  { id: '1h', label: 'snooze1h' },
+  { id: '4h', label: 'snooze4h' },
+  { id: 'tomorrow', label: 'snoozeTomorrow' }
+];
+
+// 一括停止の対象
+const BULK_STOP_SCOPES = {
+  SELECTED: 'selected', // チェックした Codespace（固定中も含む）
+  ALL: 'all', // 実行中のすべて
+  EXCEPT_ACTIVE: 'exceptActive', // 表示中のタブで開いている Codespace 以外
+  REPOSITORY: 'repository' // 指定したリポジトリ
+};
 
-async function makeAPIRequest(endpoint, token, options = {}) {
-  const url = `${GITHUB_API_BASE_URL}${endpoint}`;
+// アカウントの選択肢で「すべてのアカウント」を表す値
+const ALL_ACCOUNTS_VALUE = 'all';
 
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'Authorization': `Bearer ${token}`,
-    'X-GitHub-Api-Version': '2022-11-28',
-    ...options.headers
-  };
+// 実行時間・最終アクセスからの時間・自動停止までの時間の表示を更新する間隔（ミリ秒）
+const TIMER_INTERVAL_MS = 1000;
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
+let currentSettings = null;
+let codespaces = [];
 
-    const responseData = await response.json().catch(() => ({}));
+// 最後に読み込んだ一覧 [{ account, codespaces, error }]（検索や並べ替えを変えたときは再取得せずに描画し直す）
+// アカウントを 1 つだけ表示している場合は account が null
+let loadedGroups = [];
 
-    if (!response.ok) {
-      throw new APIError(
-        responseData.message || `APIリクエストが失敗しました: ${response.status}`,
-        response.status,
-        { headers: response.headers, data: responseData }
-      );
-    }
+// キーボードで選択中の Codespace の名前（一覧を描画し直した後も選択を保つ）
+let selectedCodespaceName = null;
 
-    return responseData;
-  } catch (error) {
-    if (error instanceof APIError) {
-      throw error;
-    }
-    throw new APIError(
-      `ネットワークエラー: ${error.message}`,
-      0,
-      null
-    );
-  }
-}
+// 一括停止のためにチェックした Codespace の名前（一覧を描画し直した後もチェックを保つ）
+const checkedCodespaceNames = new Set();
 
-async function getAllCodespaces(token) {
-  if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
-  }
+// 一括停止の実行中は true（重ねて実行しない）
+let bulkStopping = false;
 
-  const data = await makeAPIRequest('/user/codespaces', token);
-  return data.codespaces || [];
-}
+/**
+ * すべての Codespace を取得
+ * ページングと ETag による条件付きリクエストはバックグラウンドでまとめて処理する
+ * @param {string} profileId - アカウントID
+ * @returns {Promise<Array>} Codespace の配列
+ */
+async function getAllCodespaces(profileId) {
+  const response = await chrome.runtime.sendMessage({ action: 'getCodespaces', profileId });
 
-async function stopCodespace(codespaceName, token) {
-  if (!token) {
-    throw new APIError('GitHub Personal Access Token が設定されていません', 401, null);
+  if (!response?.success) {
+    throw new APIError(response?.error || t('errorFetchCodespaces'), response?.status, null);
   }
 
-  return await makeAPIRequest(
-    `/user/codespaces/${codespaceName}/stop`,
-    token,
-    { method: 'POST' }
-  );
+  return response.data || [];
 }
 
-// ==================== Popup UI Logic ====================
-
-let currentSettings = null;
-let codespaces = [];
-
 /**
  * 初期化
  */
@@ -119,11 +96,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   // イベントリスナーを設定
   setupEventListeners();
 
-  // ダークモードの適用
+  // 言語とダークモードの適用
+  await applyLanguage();
   await applyDarkMode();
 
   // Codespace を読み込み
   await loadCodespaces();
+
+  // ポップアップを開いている間は経過時間と残り時間を更新し続ける
+  window.setInterval(updateTimers, TIMER_INTERVAL_MS);
 });
 
 /**
@@ -135,6 +116,16 @@ function setupEventListeners() {
     await loadCodespaces();
   });
 
+  // Codespace の管理ボタン
+  document.getElementById('manageBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('manage.html') });
+  });
+
+  // 使用量ダッシュボードボタン
+  document.getElementById('dashboardBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
   // 設定ボタン
   document.getElementById('settingsBtn').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -144,6 +135,117 @@ function setupEventListeners() {
   document.getElementById('retryBtn').addEventListener('click', async () => {
     await loadCodespaces();
   });
+
+  // アカウントの切り替え
+  document.getElementById('profileSelect').addEventListener('change', async (event) => {
+    await switchAccountHandler(event.target.value);
+  });
+
+  // 検索
+  const searchInput = document.getElementById('searchInput');
+  searchInput.addEventListener('input', () => {
+    renderList();
+  });
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      document.querySelector('.codespace-item')?.focus();
+    } else if (event.key === 'Escape' && searchInput.value) {
+      // ポップアップを閉じずに検索語だけを消す
+      event.preventDefault();
+      searchInput.value = '';
+      renderList();
+    }
+  });
+
+  // 並べ替えとグループ化（すべてのアカウントで共通の設定として保存する）
+  document.getElementById('sortSelect').addEventListener('change', async (event) => {
+    await changeListViewHandler({ popupSort: event.target.value });
+  });
+  document.getElementById('groupSelect').addEventListener('change', async (event) => {
+    await changeListViewHandler({ popupGroupBy: event.target.value });
+  });
+
+  // 一括停止メニュー（開くたびに実行中の Codespace から選択肢を作り直す）
+  const bulkStopMenu = document.getElementById('bulkStopMenu');
+  document.getElementById('bulkStopBtn').addEventListener('click', () => {
+    if (bulkStopMenu.classList.contains('hidden')) {
+      renderBulkStopMenu();
+    }
+    bulkStopMenu.classList.toggle('hidden');
+  });
+
+  // 「/」で検索欄に移動、Shift+S で実行中の Codespace をすべて停止
+  document.addEventListener('keydown', async (event) => {
+    if (isTextInput(event.target) || event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    if (event.key === '/') {
+      event.preventDefault();
+      searchInput.focus();
+    } else if (event.key === 'S' && event.shiftKey) {
+      event.preventDefault();
+      await bulkStopHandler(BULK_STOP_SCOPES.ALL);
+    }
+  });
+}
+
+/**
+ * アカウントの選択肢を描画（アカウントが1つの場合は表示しない）
+ * @param {Object} settings - 設定
+ * @returns {Promise<number>} アカウントの数
+ */
+async function renderProfileSelect(settings) {
+  const { profiles } = await getProfiles();
+  const select = document.getElementById('profileSelect');
+
+  replaceChildren(select);
+  select.classList.toggle('hidden', profiles.length < 2);
+
+  if (profiles.length < 2) {
+    return profiles.length;
+  }
+
+  const options = [
+    ...profiles.map(profile => ({ value: profile.id, label: profile.name })),
+    { value: ALL_ACCOUNTS_VALUE, label: t('allAccounts') }
+  ];
+
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+
+  select.value = settings.showAllAccounts ? ALL_ACCOUNTS_VALUE : settings.profileId;
+  return profiles.length;
+}
+
+/**
+ * 表示するアカウントを切り替える
+ * @param {string} value - アカウントID、またはすべてのアカウントの場合は ALL_ACCOUNTS_VALUE
+ */
+async function switchAccountHandler(value) {
+  const showAllAccounts = value === ALL_ACCOUNTS_VALUE;
+  const success = (showAllAccounts || await setActiveProfile(value)) && await saveSettings({ showAllAccounts });
+
+  if (!success) {
+    showSnackbar(t('errorSwitchAccount'), 'error');
+  }
+
+  await loadCodespaces();
+}
+
+/**
+ * 設定の言語で画面の文言を表示
+ */
+async function applyLanguage() {
+  const settings = await getSettings();
+  await setLanguage(settings.language);
+  localizePage();
+  document.getElementById('codespaceCount').textContent = tPlural('codespaceCount', 0);
 }
 
 /**
@@ -166,41 +268,133 @@ async function loadCodespaces() {
 
     // 設定を取得
     currentSettings = await getSettings();
+    updateScheduleStatus(currentSettings);
+    document.getElementById('sortSelect').value = currentSettings.popupSort;
+    document.getElementById('groupSelect').value = currentSettings.popupGroupBy;
+    const profileCount = await renderProfileSelect(currentSettings);
+
+    if (!currentSettings.githubToken && (await getTokenProtection()).locked) {
+      showError(t('popupTokenLocked'));
+      updateStatus('error', t('statusLocked'));
+      return;
+    }
+
+    if (currentSettings.showAllAccounts && profileCount > 1) {
+      await loadAllAccounts();
+      return;
+    }
 
     if (!currentSettings.githubToken) {
-      showError('GitHub Personal Access Token が設定されていません。設定画面で登録してください。');
-      updateStatus('error', '未設定');
+      showError(t('popupTokenMissing'));
+      updateStatus('error', t('statusNotConfigured'));
       return;
     }
 
     // Codespace を取得
-    codespaces = await getAllCodespaces(currentSettings.githubToken);
+    codespaces = await getAllCodespaces(currentSettings.profileId);
 
-    // アクティブな Codespace のみフィルタリング
-    const activeCodespaces = codespaces.filter(cs => cs.state === 'Available');
+    const codespacesWithAccess = await prepareCodespaces(codespaces, currentSettings);
+    const activeCount = codespacesWithAccess.filter(cs => cs.state === 'Available').length;
+    const sharedStatus = await getSharedStatus();
 
     // UI を更新
-    renderCodespaces(activeCodespaces);
-    updateStatus('connected', `${activeCodespaces.length} 個のアクティブな Codespace`);
+    loadedGroups = [{ account: null, codespaces: codespacesWithAccess, error: null }];
+    renderList();
+    updateStatus('connected', tPlural('activeCodespaceCount', activeCount));
+    updateSharedStatus(sharedStatus);
 
   } catch (error) {
     console.error('Codespace の読み込みに失敗しました:', error);
 
-    let errorMessage = 'Codespace の読み込みに失敗しました';
+    let errorMessage = t('errorLoadCodespaces');
 
     if (error.status === 401) {
-      errorMessage = 'GitHub トークンが無効です。設定を確認してください。';
+      errorMessage = t('errorInvalidTokenCheckSettings');
     } else if (error.status === 403) {
-      errorMessage = 'アクセスが拒否されました。トークンのスコープを確認してください。';
+      errorMessage = t('errorAccessDenied');
     } else if (error.status === 0) {
-      errorMessage = 'ネットワークエラーが発生しました。';
+      errorMessage = t('errorNetwork');
     }
 
     showError(errorMessage);
-    updateStatus('error', 'エラー');
+    updateStatus('error', t('statusError'));
   }
 }
 
+/**
+ * すべてのアカウントの Codespace をまとめて読み込み、アカウントごとに表示
+ * 取得に失敗したアカウントはエラーとして表示し、他のアカウントの表示は続ける
+ */
+async function loadAllAccounts() {
+  const accounts = await getAllProfileSettings();
+  const results = await Promise.allSettled(accounts.map(account => (
+    account.githubToken
+      ? getAllCodespaces(account.profileId)
+      : Promise.reject(new APIError(t('errorTokenNotSet'), 401, null))
+  )));
+
+  const groups = await Promise.all(accounts.map(async (account, index) => {
+    const result = results[index];
+    return result.status === 'fulfilled'
+      ? { account, codespaces: await prepareCodespaces(result.value, account), error: null }
+      : { account, codespaces: [], error: result.reason.message };
+  }));
+
+  codespaces = groups.flatMap(group => group.codespaces);
+  const activeCount = codespaces.filter(cs => cs.state === 'Available').length;
+  const sharedStatus = await getSharedStatus();
+
+  loadedGroups = groups;
+  renderList();
+
+  if (groups.every(group => group.error)) {
+    updateStatus('error', t('statusError'));
+  } else {
+    updateStatus('connected', tPlural('activeCodespaceCount', activeCount));
+    updateSharedStatus(sharedStatus);
+  }
+}
+
+/**
+ * 表示対象の Codespace を選び、表示に必要な情報を付与
+ * @param {Array} list - API から取得した Codespace の配列
+ * @param {Object} account - 取得したアカウントの設定
+ * @returns {Promise<Array>} 表示用の Codespace の配列
+ */
+async function prepareCodespaces(list, account) {
+  // アクティブな Codespace と停止中の Codespace を表示対象にする（並び順は表示するときに listview.js で決める）
+  const listedCodespaces = list.filter(cs => LISTED_STATES.includes(cs.state));
+
+  // 最終アクセス時刻とその情報源、固定・見送りの状態、起動時刻、自動停止の予定時刻、操作に使うアカウントを付与
+  return Promise.all(
+    listedCodespaces.map(async (cs) => {
+      const lastAccess = await resolveCodespaceLastAccess(cs);
+      const protection = await getCodespaceProtection(cs.name);
+
+      return {
+        ...cs,
+        profileId: account.profileId,
+        lastAccess,
+        protection,
+        start: await getCodespaceStart(cs.name),
+        autoStopAt: calculateAutoStopAt(cs, {
+          lastAccess,
+          protection,
+          pendingStop: await getPendingStop(cs.name),
+          settings: account
+        })
+      };
+    })
+  );
+}
+
+/**
+ * 一覧に表示中のアイテムとアカウントの見出しを削除
+ */
+function clearListItems() {
+  document.querySelectorAll('.codespace-item, .account-group-header, .list-group-header').forEach(item => item.remove());
+}
+
 /**
  * ローディング状態を表示
  */
@@ -208,10 +402,10 @@ function showLoadingState() {
   document.getElementById('loadingState').classList.remove('hidden');
   document.getElementById('errorState').classList.add('hidden');
   document.getElementById('emptyState').classList.add('hidden');
+  document.getElementById('noMatchState').classList.add('hidden');
 
   // 既存のアイテムを削除
-  const existingItems = document.querySelectorAll('.codespace-item');
-  existingItems.forEach(item => item.remove());
+  clearListItems();
 }
 
 /**
@@ -221,159 +415,850 @@ function showLoadingState() {
 function showError(message) {
   document.getElementById('loadingState').classList.add('hidden');
   document.getElementById('emptyState').classList.add('hidden');
+  document.getElementById('noMatchState').classList.add('hidden');
   document.getElementById('errorState').classList.remove('hidden');
   document.getElementById('errorMessage').textContent = message;
 }
 
 /**
- * Codespace を描画
- * @param {Array} codespaces - Codespace の配列
+ * 読み込んだ一覧を検索・並べ替え・グループ化して描画
+ * すべてのアカウントを表示している場合は、アカウントごとに分けてから同じ条件を適用する
  */
-function renderCodespaces(codespaces) {
+function renderList() {
   // ローディングとエラー状態を非表示
   document.getElementById('loadingState').classList.add('hidden');
   document.getElementById('errorState').classList.add('hidden');
 
   const listContainer = document.getElementById('codespaceList');
+  const view = {
+    query: document.getElementById('searchInput').value,
+    sort: document.getElementById('sortSelect').value,
+    groupBy: document.getElementById('groupSelect').value
+  };
+
+  // 選択中の Codespace が描画し直しで消える場合は、描画した後に選択し直す
+  const restoreSelection = selectedCodespaceName !== null &&
+    (document.activeElement === document.body || listContainer.contains(document.activeElement));
 
   // 既存のアイテムを削除
-  const existingItems = document.querySelectorAll('.codespace-item');
-  existingItems.forEach(item => item.remove());
+  clearListItems();
 
-  if (codespaces.length === 0) {
-    document.getElementById('emptyState').classList.remove('hidden');
-    document.getElementById('codespaceCount').textContent = '0 個の Codespace';
-    return;
+  let total = 0;
+  let shown = 0;
+
+  for (const { account, codespaces: accountCodespaces, error } of loadedGroups) {
+    if (account) {
+      listContainer.appendChild(createAccountHeader(account, error));
+    }
+
+    for (const group of applyListView(accountCodespaces, view)) {
+      if (group.key !== null) {
+        listContainer.appendChild(createGroupHeader(group.key, view.groupBy));
+      }
+      group.codespaces.forEach(codespace => listContainer.appendChild(createCodespaceItem(codespace)));
+      shown += group.codespaces.length;
+    }
+    total += accountCodespaces.length;
   }
 
-  document.getElementById('emptyState').classList.add('hidden');
-  document.getElementById('codespaceCount').textContent = `${codespaces.length} 個の Codespace`;
+  // アカウントごとに表示している場合は、Codespace がなくても見出しを表示する
+  const showingAccounts = loadedGroups.some(group => group.account);
+  document.getElementById('emptyState').classList.toggle('hidden', total > 0 || showingAccounts);
+  document.getElementById('noMatchState').classList.toggle('hidden', total === 0 || shown > 0);
+  document.getElementById('codespaceCount').textContent = tPlural('codespaceCount', shown);
 
-  // Codespace アイテムを作成
-  codespaces.forEach(codespace => {
-    const item = createCodespaceItem(codespace);
-    listContainer.appendChild(item);
-  });
+  if (restoreSelection) {
+    const items = [...listContainer.querySelectorAll('.codespace-item')];
+    items.find(item => item.dataset.name === selectedCodespaceName)?.focus();
+  }
+}
+
+/**
+ * アカウントの見出しを作成
+ * @param {Object} account - アカウントの設定
+ * @param {string|null} error - 一覧の取得に失敗した場合のエラーメッセージ
+ * @returns {HTMLElement} 見出しの要素
+ */
+function createAccountHeader(account, error) {
+  return createElement('div', { className: 'account-group-header', dataset: { profileId: account.profileId } },
+    createIcon('account_circle'),
+    createElement('span', {}, account.profileName),
+    error && createElement('span', { className: 'account-group-error' }, error)
+  );
+}
+
+/**
+ * リポジトリ・オーナーごとのグループの見出しを作成
+ * @param {string} key - リポジトリ名またはオーナー名（不明な場合は空文字列）
+ * @param {string} groupBy - グループ化の単位（GROUP_BY）
+ * @returns {HTMLElement} 見出しの要素
+ */
+function createGroupHeader(key, groupBy) {
+  return createElement('div', { className: 'list-group-header', dataset: { group: key } },
+    createIcon(groupBy === GROUP_BY.OWNER ? 'person' : 'folder'),
+    key || t('unknownRepository')
+  );
+}
+
+/**
+ * 並べ替え・グループ化の選択を保存して描画し直す
+ * @param {Object} values - 保存する設定（popupSort または popupGroupBy）
+ */
+async function changeListViewHandler(values) {
+  renderList();
+
+  if (!(await saveSettings(values))) {
+    showSnackbar(t('errorSaveSettings'), 'error');
+  }
 }
 
 /**
  * Codespace アイテムを作成
+ * 表示名やリポジトリ名は API の値なので、すべてテキストとして追加する
  * @param {Object} codespace - Codespace オブジェクト
  * @returns {HTMLElement} Codespace アイテム要素
  */
 function createCodespaceItem(codespace) {
-  const item = document.createElement('div');
-  item.className = 'codespace-item';
-
-  // 起動時間を計算
-  const uptime = calculateUptime(codespace.created_at);
+  // 最終アクセス時刻（拡張機能の記録または API の last_used_at）
+  const lastAccess = codespace.lastAccess || { timestamp: null, source: 'none' };
+  const lastAccessSource = t(LAST_ACCESS_SOURCE_MESSAGES[lastAccess.source]);
 
   // リポジトリ名
   const repoName = codespace.repository?.full_name || codespace.name;
 
-  item.innerHTML = `
-    <div class="codespace-info">
-      <div class="codespace-name">
-        <span class="material-icons md-18">code</span>
-        ${codespace.display_name || codespace.name}
-      </div>
-      <div class="codespace-repo">${repoName}</div>
-      <div class="codespace-meta">
-        <div class="status status-active">
-          <span class="material-icons md-18">play_arrow</span>
-          アクティブ
-        </div>
-        <div class="codespace-uptime">
-          <span class="material-icons md-18">schedule</span>
-          ${uptime}
-        </div>
-      </div>
-    </div>
-    <div class="codespace-actions">
-      <button class="btn btn-error btn-small stop-btn" data-name="${codespace.name}">
-        <span class="material-icons md-18">stop</span>
-        停止
-      </button>
-    </div>
-  `;
-
-  // 停止ボタンのイベントリスナー
-  const stopBtn = item.querySelector('.stop-btn');
-  stopBtn.addEventListener('click', async () => {
-    await stopCodespaceHandler(codespace.name, stopBtn);
+  // 状態に応じたバッジと操作ボタン
+  const isActive = codespace.state === 'Available';
+
+  // 実行時間（起動してからの時間）と自動停止までの時間は実行中のみ表示
+  const start = isActive ? codespace.start : null;
+  const runningTime = start && createElement('div', {
+    className: 'codespace-uptime codespace-running',
+    dataset: { startedAt: start.timestamp, observed: start.observed },
+    title: formatStartTitle(start)
+  },
+  createIcon('timer'),
+  createElement('span', { className: 'timer-text' }, formatRunningTime(start)));
+
+  const autoStopAt = isActive ? codespace.autoStopAt ?? null : null;
+  const autoStopCountdown = autoStopAt !== null && createElement('div', {
+    className: 'codespace-uptime codespace-auto-stop',
+    dataset: { autoStopAt },
+    title: t('autoStopTitle', formatDeadline(autoStopAt))
+  },
+  createIcon('hourglass_bottom'),
+  createElement('span', { className: 'timer-text' }, formatAutoStop(autoStopAt)));
+
+  const statusBadge = isActive
+    ? createElement('div', { className: 'status status-active' }, createIcon('play_arrow'), t('statusActive'))
+    : createElement('div', { className: 'status status-inactive' }, createIcon('pause'), t('statusStopped'));
+
+  const actionButton = isActive
+    ? createElement('button', {
+      className: 'btn btn-error btn-small stop-btn',
+      dataset: { name: codespace.name },
+      on: { click: async () => await stopCodespaceHandler(codespace, actionButton) }
+    }, createStopButtonContent())
+    : createElement('button', {
+      className: 'btn btn-accent btn-small start-btn',
+      dataset: { name: codespace.name },
+      on: { click: async () => await startCodespaceHandler(codespace, actionButton) }
+    }, createStartButtonContent());
+
+  // 固定・見送りの状態
+  const protection = codespace.protection || { pinned: false, snoozeUntil: null };
+  let protectionBadge = null;
+  if (protection.pinned) {
+    protectionBadge = createElement('div', {
+      className: 'codespace-uptime codespace-protection',
+      dataset: { protection: 'pinned' }
+    }, createIcon('push_pin'), t('pinnedBadge'));
+  } else if (protection.snoozeUntil !== null) {
+    protectionBadge = createElement('div', {
+      className: 'codespace-uptime codespace-protection',
+      dataset: { protection: 'snoozed' }
+    }, createIcon('snooze'), t('snoozedUntil', formatDeadline(protection.snoozeUntil)));
+  }
+
+  // 見送りメニュー
+  const snoozeChoices = [
+    ...SNOOZE_OPTIONS.map(option => ({ id: option.id, label: t(option.label) })),
+    ...(protection.snoozeUntil !== null ? [{ id: 'clear', label: t('clearSnooze') }] : [])
+  ];
+  const snoozeMenu = createElement('div', { className: 'snooze-menu hidden' },
+    snoozeChoices.map(choice => createElement('button', {
+      className: 'snooze-option',
+      dataset: { snooze: choice.id },
+      on: {
+        click: async () => {
+          snoozeMenu.classList.add('hidden');
+          await snoozeHandler(codespace.name, choice.id);
+        }
+      }
+    }, choice.label))
+  );
+
+  // 一括停止のチェックボックス（実行中のみ。キーボードではアイテムで Space を押す）
+  const checkbox = isActive && createElement('input', {
+    type: 'checkbox',
+    className: 'select-checkbox',
+    checked: checkedCodespaceNames.has(codespace.name),
+    tabIndex: -1,
+    title: t('selectCodespace'),
+    attrs: { 'aria-label': t('selectCodespace') },
+    on: { change: (event) => setCodespaceChecked(codespace.name, event.target.checked) }
   });
 
-  return item;
+  return createElement('div', {
+    className: 'codespace-item',
+    tabIndex: 0,
+    dataset: { name: codespace.name },
+    attrs: { 'aria-keyshortcuts': isActive ? 'Enter S Space' : 'Enter' },
+    on: {
+      focus: () => {
+        selectedCodespaceName = codespace.name;
+      },
+      keydown: async (event) => await itemKeydownHandler(event, codespace, actionButton),
+      click: async (event) => {
+        // 固定・見送り・停止などのボタンやチェックボックスの操作では開かない
+        if (!event.target.closest('button, input, .snooze-menu')) {
+          await openCodespaceHandler(codespace);
+        }
+      }
+    }
+  },
+    checkbox,
+    createElement('div', { className: 'codespace-info', title: t('openCodespaceTitle') },
+      createElement('div', { className: 'codespace-name' },
+        createIcon('code'),
+        codespace.display_name || codespace.name
+      ),
+      createElement('div', { className: 'codespace-repo' }, repoName),
+      createElement('div', { className: 'codespace-meta' },
+        statusBadge,
+        runningTime,
+        createElement('div', {
+          className: 'codespace-uptime codespace-last-access',
+          dataset: { source: lastAccess.source, lastAccessAt: lastAccess.timestamp ?? '' },
+          title: t('lastAccessTitle', lastAccessSource)
+        },
+        createIcon('history'),
+        createElement('span', { className: 'timer-text' }, formatLastAccess(lastAccess))),
+        autoStopCountdown,
+        protectionBadge
+      )
+    ),
+    createElement('div', { className: 'codespace-actions' },
+      createElement('button', {
+        className: `btn btn-icon pin-btn${protection.pinned ? ' active' : ''}`,
+        title: protection.pinned ? t('unpin') : t('pin'),
+        attrs: { 'aria-pressed': String(protection.pinned) },
+        on: { click: async () => await togglePinHandler(codespace.name, !protection.pinned) }
+      }, createIcon('push_pin')),
+      createElement('div', { className: 'snooze-container' },
+        createElement('button', {
+          className: `btn btn-icon snooze-btn${protection.snoozeUntil !== null ? ' active' : ''}`,
+          title: t('snoozeAutoStop'),
+          on: { click: () => snoozeMenu.classList.toggle('hidden') }
+        }, createIcon('snooze')),
+        snoozeMenu
+      ),
+      actionButton
+    )
+  );
+}
+
+/**
+ * 一覧のアイテムのキーボード操作
+ * - ↑ / ↓ / Home / End: 選択する Codespace を移動（先頭で ↑ を押すと検索欄に戻る）
+ * - Enter: Codespace を開く（クリックと同じ）
+ * - S: 実行中の Codespace を停止
+ * - Space: 実行中の Codespace を一括停止の対象としてチェック・解除
+ * @param {KeyboardEvent} event - キーボードイベント
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {HTMLElement} actionButton - 停止・起動ボタン要素
+ */
+async function itemKeydownHandler(event, codespace, actionButton) {
+  // アイテム内のボタンを操作しているときは、ボタンの既定の動作に任せる
+  if (event.target !== event.currentTarget || event.ctrlKey || event.metaKey || event.altKey) {
+    return;
+  }
+
+  const items = [...document.querySelectorAll('.codespace-item')];
+  const index = items.indexOf(event.currentTarget);
+
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      items[Math.min(index + 1, items.length - 1)].focus();
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      if (index === 0) {
+        document.getElementById('searchInput').focus();
+      } else {
+        items[index - 1].focus();
+      }
+      break;
+    case 'Home':
+      event.preventDefault();
+      items[0].focus();
+      break;
+    case 'End':
+      event.preventDefault();
+      items[items.length - 1].focus();
+      break;
+    case 'Enter':
+      event.preventDefault();
+      await openCodespaceHandler(codespace);
+      break;
+    case 's':
+    case 'S':
+      // Shift+S は一括停止（ドキュメントのショートカット）
+      if (!event.shiftKey && codespace.state === 'Available' && !actionButton.disabled) {
+        event.preventDefault();
+        await stopCodespaceHandler(codespace, actionButton);
+      }
+      break;
+    case ' ': {
+      const checkbox = event.currentTarget.querySelector('.select-checkbox');
+      if (checkbox) {
+        event.preventDefault();
+        checkbox.checked = !checkbox.checked;
+        setCodespaceChecked(codespace.name, checkbox.checked);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Codespace を開く
+ * 開いているタブがあれば切り替え、停止中であれば起動してから開く（設定によっては VS Code で開く）
+ * タブを切り替えるとポップアップは閉じるため、処理はバックグラウンドで行う
+ * @param {Object} codespace - Codespace オブジェクト（profileId は取得したアカウント）
+ */
+async function openCodespaceHandler(codespace) {
+  const starting = codespace.state !== 'Available';
+
+  try {
+    if (starting) {
+      document.getElementById('loadingOverlay').classList.add('active');
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'openCodespace',
+      codespaceName: codespace.name,
+      profileId: codespace.profileId
+    });
+
+    if (!response?.success) {
+      throw new APIError(response?.error || t('errorOpenCodespace'), response?.status, null);
+    }
+
+    if (response.started) {
+      await loadCodespaces();
+
+      const stoppedCount = response.stoppedNames?.length || 0;
+      showSnackbar(
+        stoppedCount > 0
+          ? tPlural('codespaceStartedStopping', stoppedCount)
+          : t('codespaceStarted'),
+        'success'
+      );
+    }
+
+  } catch (error) {
+    console.error('Codespace を開けませんでした:', error);
+
+    let errorMessage = t('errorOpenCodespace');
+
+    if (error.status === 401) {
+      errorMessage = t('errorInvalidToken');
+    } else if (error.status === 404) {
+      errorMessage = t('errorCodespaceNotFound');
+    }
+
+    showSnackbar(errorMessage, 'error');
+
+  } finally {
+    document.getElementById('loadingOverlay').classList.remove('active');
+  }
+}
+
+/**
+ * 文字を入力する要素か判定（キーボードのショートカットを無視する）
+ * @param {EventTarget} target - イベントの対象
+ * @returns {boolean} 入力欄・選択肢の場合 true
+ */
+function isTextInput(target) {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
 }
 
 /**
- * 起動時間を計算
- * @param {string} createdAt - 作成日時
- * @returns {string} 起動時間の文字列
+ * 停止ボタンの中身を作成
+ * @returns {Array<Node|string>} アイコンと文言
  */
-function calculateUptime(createdAt) {
-  const created = new Date(createdAt);
+function createStopButtonContent() {
+  return [createIcon('stop'), t('stop')];
+}
+
+/**
+ * 起動ボタンの中身を作成
+ * @returns {Array<Node|string>} アイコンと文言
+ */
+function createStartButtonContent() {
+  return [createIcon('play_arrow'), t('start')];
+}
+
+/**
+ * 見送りの期限を計算
+ * @param {string} option - 見送りの選択肢（'1h' / '4h' / 'tomorrow'）
+ * @param {Date} now - 現在時刻
+ * @returns {number} 期限のタイムスタンプ（ミリ秒）
+ */
+function calculateSnoozeUntil(option, now = new Date()) {
+  if (option === 'tomorrow') {
+    // 翌日の 0:00（ローカル時刻）
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return tomorrow.getTime();
+  }
+
+  const hours = option === '4h' ? 4 : 1;
+  return now.getTime() + hours * 60 * 60 * 1000;
+}
+
+/**
+ * 見送りや自動停止の期限を表示用に整形
+ * @param {number} timestamp - 期限のタイムスタンプ（ミリ秒）
+ * @returns {string} 期限の文字列（例: 14:30、翌日以降は 1/2 0:00）
+ */
+function formatDeadline(timestamp) {
+  const until = new Date(timestamp);
   const now = new Date();
-  const diffMs = now - created;
+  const time = `${until.getHours()}:${String(until.getMinutes()).padStart(2, '0')}`;
+
+  if (until.toDateString() === now.toDateString()) {
+    return time;
+  }
+  return `${until.getMonth() + 1}/${until.getDate()} ${time}`;
+}
+
+/**
+ * 起動してからの時間を計算
+ * @param {number} startedAt - 起動時刻（ミリ秒）
+ * @returns {string} 実行時間の文字列（例: 2時間15分）
+ */
+function calculateUptime(startedAt) {
+  const diffMins = Math.max(Math.floor((Date.now() - startedAt) / 60000), 0);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffDays > 0) {
+    return t('durationDaysHours', [diffDays, diffHours % 24]);
+  } else if (diffHours > 0) {
+    return t('durationHoursMinutes', [diffHours, diffMins % 60]);
+  } else {
+    return t('durationMinutes', diffMins);
+  }
+}
+
+/**
+ * 実行時間を表示用に整形
+ * @param {Object} start - 起動時刻 { timestamp, observed }
+ * @returns {string} 実行時間（実行中を確認した時刻からの場合は「以上」を付ける）
+ */
+function formatRunningTime(start) {
+  const duration = calculateUptime(start.timestamp);
+  return start.observed ? t('runningForAtLeast', duration) : t('runningFor', duration);
+}
+
+/**
+ * 実行時間の補足（起動時刻）を作成
+ * @param {Object} start - 起動時刻 { timestamp, observed }
+ * @returns {string} 補足の文字列
+ */
+function formatStartTitle(start) {
+  const time = formatDeadline(start.timestamp);
+  return start.observed ? t('runningSinceObservedTitle', time) : t('runningSinceTitle', time);
+}
+
+/**
+ * 最終アクセスからの時間を表示用に整形
+ * @param {Object} lastAccess - 最終アクセス時刻 { timestamp, source }
+ * @returns {string} 最終アクセスの文字列（例: 5分前（拡張機能の記録））
+ */
+function formatLastAccess(lastAccess) {
+  const time = lastAccess.timestamp === null ? t('unknown') : formatTimeAgo(lastAccess.timestamp);
+  return t('lastAccessText', [time, t(LAST_ACCESS_SOURCE_MESSAGES[lastAccess.source])]);
+}
+
+/**
+ * 自動停止までの時間を表示用に整形
+ * @param {number} autoStopAt - 自動停止の予定時刻（ミリ秒）
+ * @returns {string} 残り時間の文字列（予定時刻を過ぎている場合は次回のチェックで停止される旨）
+ */
+function formatAutoStop(autoStopAt) {
+  const remainingMs = autoStopAt - Date.now();
+  return remainingMs > 0 ? t('autoStopIn', formatCountdown(remainingMs)) : t('autoStopDue');
+}
+
+/**
+ * 残り時間を時計の形式に整形
+ * @param {number} ms - 残り時間（ミリ秒）
+ * @returns {string} 残り時間（例: 29:59、1時間以上は 1:05:09）
+ */
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * 表示中の実行時間・最終アクセスからの時間・自動停止までの時間を現在時刻に合わせて更新
+ */
+function updateTimers() {
+  document.querySelectorAll('.codespace-running').forEach(element => {
+    const start = { timestamp: Number(element.dataset.startedAt), observed: element.dataset.observed === 'true' };
+    element.querySelector('.timer-text').textContent = formatRunningTime(start);
+  });
+
+  document.querySelectorAll('.codespace-last-access').forEach(element => {
+    const timestamp = element.dataset.lastAccessAt ? Number(element.dataset.lastAccessAt) : null;
+    element.querySelector('.timer-text').textContent = formatLastAccess({ timestamp, source: element.dataset.source });
+  });
+
+  document.querySelectorAll('.codespace-auto-stop').forEach(element => {
+    element.querySelector('.timer-text').textContent = formatAutoStop(Number(element.dataset.autoStopAt));
+  });
+}
+
+/**
+ * 経過時間を計算
+ * @param {number} timestamp - 基準の時刻（ミリ秒）
+ * @returns {string} 経過時間の文字列（例: 5分前）
+ */
+function formatTimeAgo(timestamp) {
+  const diffMs = Date.now() - timestamp;
 
   const diffMins = Math.floor(diffMs / 60000);
   const diffHours = Math.floor(diffMins / 60);
   const diffDays = Math.floor(diffHours / 24);
 
   if (diffDays > 0) {
-    return `${diffDays}日前`;
+    return tPlural('relativeDays', diffDays);
   } else if (diffHours > 0) {
-    return `${diffHours}時間前`;
+    return tPlural('relativeHours', diffHours);
   } else if (diffMins > 0) {
-    return `${diffMins}分前`;
+    return tPlural('relativeMinutes', diffMins);
   } else {
-    return '1分未満';
+    return t('relativeLessThanMinute');
   }
 }
 
 /**
  * Codespace を停止
- * @param {string} codespaceName - Codespace名
+ * @param {Object} codespace - Codespace オブジェクト（profileId は取得したアカウント）
  * @param {HTMLElement} button - 停止ボタン要素
  */
-async function stopCodespaceHandler(codespaceName, button) {
+async function stopCodespaceHandler(codespace, button) {
   try {
     // ボタンを無効化
     button.disabled = true;
-    button.innerHTML = '<div class="spinner"></div>';
+    replaceChildren(button, createSpinner());
 
     // ローディングオーバーレイを表示
     document.getElementById('loadingOverlay').classList.add('active');
 
-    // Codespace を停止
-    await stopCodespace(codespaceName, currentSettings.githubToken);
+    // バックグラウンドで停止し、アクセス履歴と保留中の自動停止を削除
+    const response = await chrome.runtime.sendMessage({
+      action: 'stopCodespace',
+      codespaceName: codespace.name,
+      profileId: codespace.profileId
+    });
 
-    // アクセス履歴を削除
-    await removeCodespaceAccess(codespaceName);
+    if (!response?.success) {
+      throw new APIError(response?.error || t('errorStopCodespace'), response?.status, null);
+    }
 
     // Codespace を再読み込み
     await loadCodespaces();
 
     // 成功通知
-    showSnackbar('Codespace を停止しました', 'success');
+    showSnackbar(t('codespaceStopped'), 'success');
 
   } catch (error) {
     console.error('Codespace の停止に失敗しました:', error);
 
     // エラー通知
-    let errorMessage = 'Codespace の停止に失敗しました';
+    let errorMessage = t('errorStopCodespace');
 
     if (error.status === 401) {
-      errorMessage = 'GitHub トークンが無効です';
+      errorMessage = t('errorInvalidToken');
     } else if (error.status === 404) {
-      errorMessage = 'Codespace が見つかりません';
+      errorMessage = t('errorCodespaceNotFound');
     }
 
     showSnackbar(errorMessage, 'error');
 
     // ボタンを再度有効化
     button.disabled = false;
-    button.innerHTML = '<span class="material-icons md-18">stop</span> 停止';
+    replaceChildren(button, createStopButtonContent());
+
+  } finally {
+    // ローディングオーバーレイを非表示
+    document.getElementById('loadingOverlay').classList.remove('active');
+  }
+}
+
+/**
+ * 一括停止の対象としてチェック・解除
+ * @param {string} codespaceName - Codespace の名前
+ * @param {boolean} checked - チェックする場合 true
+ */
+function setCodespaceChecked(codespaceName, checked) {
+  if (checked) {
+    checkedCodespaceNames.add(codespaceName);
+  } else {
+    checkedCodespaceNames.delete(codespaceName);
+  }
+}
+
+/**
+ * 読み込んだ一覧から実行中の Codespace を取得（検索で絞り込んでいても対象にする）
+ * @returns {Array<Object>} 実行中の Codespace の配列
+ */
+function getRunningCodespaces() {
+  return loadedGroups
+    .flatMap(group => group.codespaces)
+    .filter(codespace => codespace.state === 'Available');
+}
+
+/**
+ * 一括停止メニューを描画
+ * 固定中の Codespace は「選択した Codespace」以外の選択肢の対象に含めない
+ */
+function renderBulkStopMenu() {
+  const menu = document.getElementById('bulkStopMenu');
+  const running = getRunningCodespaces();
+  const unpinned = running.filter(codespace => !codespace.protection?.pinned);
+  const checkedCount = running.filter(codespace => checkedCodespaceNames.has(codespace.name)).length;
+
+  // リポジトリごとの実行中の数（最初に現れた順）
+  const repositories = new Map();
+  for (const codespace of unpinned) {
+    const repository = codespace.repository?.full_name;
+    if (repository) {
+      repositories.set(repository, (repositories.get(repository) || 0) + 1);
+    }
+  }
+
+  const createOption = (label, count, scope, repository = null) => createElement('button', {
+    className: 'bulk-option',
+    disabled: count === 0,
+    dataset: { bulk: scope, repository },
+    attrs: { role: 'menuitem' },
+    on: {
+      click: async () => {
+        menu.classList.add('hidden');
+        await bulkStopHandler(scope, repository);
+      }
+    }
+  }, label);
+
+  replaceChildren(menu,
+    createOption(t('bulkStopSelected', checkedCount), checkedCount, BULK_STOP_SCOPES.SELECTED),
+    createOption(t('bulkStopAll', unpinned.length), unpinned.length, BULK_STOP_SCOPES.ALL),
+    createOption(t('bulkStopExceptActive'), unpinned.length, BULK_STOP_SCOPES.EXCEPT_ACTIVE),
+    [...repositories].map(([repository, count]) =>
+      createOption(t('bulkStopRepository', [repository, count]), count, BULK_STOP_SCOPES.REPOSITORY, repository)),
+    createElement('div', { className: 'bulk-menu-note' }, t('bulkStopPinnedNote'))
+  );
+}
+
+/**
+ * 一括停止の対象を取得
+ * @param {string} scope - 一括停止の対象（BULK_STOP_SCOPES）
+ * @param {string|null} repository - 対象のリポジトリ（REPOSITORY の場合）
+ * @returns {Promise<Array<Object>>} 停止する Codespace の配列
+ */
+async function resolveBulkStopTargets(scope, repository = null) {
+  const running = getRunningCodespaces();
+
+  if (scope === BULK_STOP_SCOPES.SELECTED) {
+    return running.filter(codespace => checkedCodespaceNames.has(codespace.name));
+  }
+
+  const unpinned = running.filter(codespace => !codespace.protection?.pinned);
+
+  if (scope === BULK_STOP_SCOPES.REPOSITORY) {
+    return unpinned.filter(codespace => codespace.repository?.full_name === repository);
+  }
+
+  if (scope === BULK_STOP_SCOPES.EXCEPT_ACTIVE) {
+    const response = await chrome.runtime.sendMessage({ action: 'getActiveTabCodespace' });
+    const activeName = response?.success ? response.codespaceName : null;
+    return unpinned.filter(codespace => codespace.name !== activeName);
+  }
+
+  return unpinned;
+}
+
+/**
+ * Codespace をまとめて停止
+ * 停止は並行して行い、各アイテムに進み具合を表示する。一覧の再読み込みと結果の通知は最後に 1 回だけ行う
+ * @param {string} scope - 一括停止の対象（BULK_STOP_SCOPES）
+ * @param {string|null} repository - 対象のリポジトリ（REPOSITORY の場合）
+ */
+async function bulkStopHandler(scope, repository = null) {
+  if (bulkStopping) {
+    return;
+  }
+
+  const bulkStopButton = document.getElementById('bulkStopBtn');
+
+  try {
+    bulkStopping = true;
+    bulkStopButton.disabled = true;
+
+    const targets = await resolveBulkStopTargets(scope, repository);
+    if (targets.length === 0) {
+      showSnackbar(t('bulkStopNone'));
+      return;
+    }
+
+    // 期限が近いトークンの更新は auth.js で1回にまとめられるため、並行して送ってよい
+    const results = await Promise.all(targets.map(codespace => stopWithProgress(codespace)));
+
+    // 停止できた Codespace のチェックを外す（失敗したものは再実行できるように残す）
+    targets.forEach((codespace, index) => {
+      if (results[index]) {
+        checkedCodespaceNames.delete(codespace.name);
+      }
+    });
+
+    const stoppedCount = results.filter(stopped => stopped).length;
+    const failedCount = results.length - stoppedCount;
+
+    await loadCodespaces();
+
+    if (failedCount === 0) {
+      showSnackbar(tPlural('bulkStopDone', stoppedCount), 'success');
+    } else {
+      showSnackbar(tPlural('bulkStopPartial', stoppedCount, [failedCount]), 'error');
+    }
+
+  } catch (error) {
+    console.error('Codespace の一括停止に失敗しました:', error);
+    showSnackbar(t('errorStopCodespace'), 'error');
+
+  } finally {
+    bulkStopping = false;
+    bulkStopButton.disabled = false;
+  }
+}
+
+/**
+ * 一括停止の 1 件を停止し、アイテムに進み具合と結果を表示
+ * 通知は一括停止の結果としてまとめて表示するため、バックグラウンドの通知は行わない
+ * @param {Object} codespace - Codespace オブジェクト（profileId は取得したアカウント）
+ * @returns {Promise<boolean>} 停止できた場合 true
+ */
+async function stopWithProgress(codespace) {
+  // 検索で絞り込まれているなどで表示していない場合は、進み具合を表示しない
+  const item = [...document.querySelectorAll('.codespace-item')]
+    .find(element => element.dataset.name === codespace.name);
+  const button = item?.querySelector('.stop-btn');
+
+  item?.classList.add('stopping');
+  if (button) {
+    button.disabled = true;
+    replaceChildren(button, createSpinner());
+  }
+
+  let stopped = false;
+  let errorMessage = t('errorStopCodespace');
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'stopCodespace',
+      codespaceName: codespace.name,
+      profileId: codespace.profileId,
+      notify: false
+    });
+    stopped = response?.success === true;
+    errorMessage = response?.error || errorMessage;
+  } catch (error) {
+    console.error('Codespace の停止に失敗しました:', error);
+  }
+
+  if (button) {
+    replaceChildren(button, createElement('span', {
+      className: `material-icons md-18 stop-result ${stopped ? 'success' : 'error'}`,
+      title: stopped ? t('codespaceStopped') : errorMessage
+    }, stopped ? 'check_circle' : 'error'));
+  }
+  return stopped;
+}
+
+/**
+ * Codespace を起動
+ * 最大同時起動数の制限はバックグラウンドで適用され、超過する場合は最も古い Codespace が先に停止される
+ * @param {Object} codespace - Codespace オブジェクト（profileId は取得したアカウント）
+ * @param {HTMLElement} button - 起動ボタン要素
+ */
+async function startCodespaceHandler(codespace, button) {
+  try {
+    // ボタンを無効化
+    button.disabled = true;
+    replaceChildren(button, createSpinner());
+
+    // ローディングオーバーレイを表示
+    document.getElementById('loadingOverlay').classList.add('active');
+
+    // バックグラウンドで最大数の適用と起動を実行
+    const response = await chrome.runtime.sendMessage({
+      action: 'startCodespace',
+      codespaceName: codespace.name,
+      profileId: codespace.profileId
+    });
+
+    if (!response?.success) {
+      throw new APIError(response?.error || t('errorStartCodespace'), response?.status, null);
+    }
+
+    // Codespace を再読み込み
+    await loadCodespaces();
+
+    // 成功通知
+    const stoppedCount = response.stoppedNames?.length || 0;
+    showSnackbar(
+      stoppedCount > 0
+        ? tPlural('codespaceStartedStopping', stoppedCount)
+        : t('codespaceStarted'),
+      'success'
+    );
+
+  } catch (error) {
+    console.error('Codespace の起動に失敗しました:', error);
+
+    // エラー通知
+    let errorMessage = t('errorStartCodespace');
+
+    if (error.status === 401) {
+      errorMessage = t('errorInvalidToken');
+    } else if (error.status === 404) {
+      errorMessage = t('errorCodespaceNotFound');
+    }
+
+    showSnackbar(errorMessage, 'error');
+
+    // ボタンを再度有効化
+    button.disabled = false;
+    replaceChildren(button, createStartButtonContent());
 
   } finally {
     // ローディングオーバーレイを非表示
@@ -390,6 +1275,9 @@ function updateStatus(status, text) {
   const indicator = document.getElementById('statusIndicator');
   const statusText = document.getElementById('statusText');
 
+  indicator.classList.remove('warning');
+  indicator.parentElement.title = '';
+
   if (status === 'connected') {
     indicator.classList.remove('error');
     statusText.textContent = text;
@@ -399,6 +1287,109 @@ function updateStatus(status, text) {
   }
 }
 
+/**
+ * バックグラウンドがまとめた状態（ツールバーのバッジと同じもの）を取得
+ * @returns {Promise<Object>} summarizeStatus の戻り値
+ */
+async function getSharedStatus() {
+  const statuses = await getCodespaceStatus();
+  const accounts = (await getAllProfileSettings())
+    .filter(account => account.githubToken && statuses[account.profileId])
+    .map(account => statuses[account.profileId]);
+
+  return summarizeStatus(accounts);
+}
+
+/**
+ * バックグラウンドがまとめた状態をステータスに反映
+ * 最大数の超過・自動停止が近いこと・他のアカウントのトークンが無効なことを警告として表示する
+ * @param {Object} summary - getSharedStatus の戻り値
+ */
+function updateSharedStatus(summary) {
+  if (summary.level === STATUS_LEVELS.WARNING || summary.level === STATUS_LEVELS.ERROR) {
+    const indicator = document.getElementById('statusIndicator');
+    indicator.classList.add('warning');
+    indicator.parentElement.title = describeStatus(summary).join('\n');
+  }
+}
+
+/**
+ * Codespace の固定を切り替える
+ * @param {string} codespaceName - Codespace名
+ * @param {boolean} pinned - 固定する場合true
+ */
+async function togglePinHandler(codespaceName, pinned) {
+  const success = await setCodespacePinned(codespaceName, pinned);
+
+  if (!success) {
+    showSnackbar(t('errorSavePin'), 'error');
+    return;
+  }
+
+  if (pinned) {
+    await cancelPendingStop(codespaceName);
+  }
+
+  await loadCodespaces();
+  showSnackbar(pinned ? t('codespacePinned') : t('codespaceUnpinned'), 'success');
+}
+
+/**
+ * 警告済みの自動停止を取り消す（記録・アラーム・警告の通知はバックグラウンドで削除する）
+ * 取り消せなくても、期限の時点で固定・見送りを確認して停止を見送る
+ * @param {string} codespaceName - Codespace名
+ */
+async function cancelPendingStop(codespaceName) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'cancelPendingStop', codespaceName });
+  } catch (error) {
+    console.error('保留中の自動停止の取り消しに失敗しました:', error);
+  }
+}
+
+/**
+ * Codespace の自動停止を見送る
+ * @param {string} codespaceName - Codespace名
+ * @param {string} option - 見送りの選択肢（'1h' / '4h' / 'tomorrow' / 'clear'）
+ */
+async function snoozeHandler(codespaceName, option) {
+  const success = option === 'clear'
+    ? await clearCodespaceSnooze(codespaceName)
+    : await snoozeCodespace(codespaceName, calculateSnoozeUntil(option));
+
+  if (!success) {
+    showSnackbar(t('errorSaveSnooze'), 'error');
+    return;
+  }
+
+  if (option !== 'clear') {
+    await cancelPendingStop(codespaceName);
+  }
+
+  await loadCodespaces();
+  showSnackbar(option === 'clear' ? t('snoozeCleared') : t('autoStopSnoozed'), 'success');
+}
+
+/**
+ * 現在有効なスケジュールルールをフッターに表示
+ * @param {Object} settings - 設定
+ */
+function updateScheduleStatus(settings) {
+  const rule = getActiveScheduleRule(settings.scheduleRules);
+  const status = document.getElementById('scheduleStatus');
+
+  if (!rule) {
+    status.classList.add('hidden');
+    return;
+  }
+
+  const description = describeScheduleRule(rule);
+  document.getElementById('scheduleStatusText').textContent = rule.name
+    ? t('scheduleStatusNamed', [rule.name, description])
+    : t('scheduleStatus', description);
+  status.classList.remove('hidden');
+}
+
 /**
  * スナックバー（トースト通知）を表示
  * @param {string} message - メッセージ
@@ -0,0 +1,148 @@
+/**
+ * スケジュールルールモジュール
+ * 曜日と時間帯に応じて自動停止のポリシーを切り替える
+ */
+
+import { t } from './i18n.js';
+
+// ルールの種類
+export const SCHEDULE_ACTIONS = {
+  STOP_ALL: 'stopAll', // すべての Codespace を停止
+  IDLE_TIMEOUT: 'idleTimeout', // 自動停止までの時間を変更
+  NO_LIMITS: 'noLimits' // 自動停止を行わない
+};
+
+// ルールの種類の表示名のメッセージ名（_locales を参照）
+const SCHEDULE_ACTION_MESSAGES = {
+  stopAll: 'scheduleActionStopAll',
+  idleTimeout: 'scheduleActionIdleTimeout',
+  noLimits: 'scheduleActionNoLimits'
+};
+
+/**
+ * ルールの種類の表示名を取得
+ * @param {string} action - ルールの種類
+ * @returns {string} 表示名
+ */
+export function getScheduleActionLabel(action) {
+  return t(SCHEDULE_ACTION_MESSAGES[action]);
+}
+
+/**
+ * 曜日の表示名を取得
+ * @param {number} day - 曜日（Date#getDay() の値）
+ * @returns {string} 表示名
+ */
+export function getWeekdayLabel(day) {
+  return t(`weekday${day}`);
+}
+
+/**
+ * "HH:MM" を 0:00 からの分に変換
+ * @param {string} time - 時刻（"HH:MM"）
+ * @returns {number|null} 分。形式が不正な場合は null
+ */
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * ルールが指定時刻に有効か判定
+ * 終了時刻が開始時刻以前の場合は日をまたぐ時間帯として扱い、開始した日の曜日で判定する
+ * @param {Object} rule - ルール { days, startTime, endTime }
+ * @param {Date} now - 判定する時刻
+ * @returns {boolean} 有効な場合true
+ */
+export function isScheduleRuleActive(rule, now = new Date()) {
+  const start = parseTime(rule.startTime);
+  const end = parseTime(rule.endTime);
+  if (start === null || end === null || !Array.isArray(rule.days)) {
+    return false;
+  }
+
+  const day = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  if (start < end) {
+    return rule.days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // 日をまたぐ時間帯（例: 19:00 ～ 7:00）
+  const previousDay = (day + 6) % 7;
+  return (rule.days.includes(day) && minutes >= start) ||
+    (rule.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * 指定時刻に有効なルールを取得
+ * 複数のルールが該当する場合は、一覧の先頭に近いものを優先する
+ * @param {Array} rules - ルールの配列
+ * @param {Date} now - 判定する時刻
+ * @returns {Object|null} 有効なルール。該当しない場合は null
+ */
+export function getActiveScheduleRule(rules, now = new Date()) {
+  if (!Array.isArray(rules)) {
+    return null;
+  }
+
+  return rules.find(rule => isScheduleRuleActive(rule, now)) || null;
+}
+
+/**
+ * ルールを適用した設定を取得
+ * @param {Object} settings - 設定
+ * @param {Object|null} rule - 有効なルール
+ * @returns {Object} ルールを反映した設定（stopAll が true の場合はすべて停止する）
+ */
+export function applyScheduleRule(settings, rule) {
+  if (!rule) {
+    return { ...settings, stopAll: false };
+  }
+
+  switch (rule.action) {
+    case SCHEDULE_ACTIONS.STOP_ALL:
+      return { ...settings, stopAll: true };
+    case SCHEDULE_ACTIONS.IDLE_TIMEOUT:
+      return { ...settings, autoStopMinutes: rule.autoStopMinutes || settings.autoStopMinutes, stopAll: false };
+    case SCHEDULE_ACTIONS.NO_LIMITS:
+      return { ...settings, autoStopEnabled: false, stopAll: false };
+    default:
+      return { ...settings, stopAll: false };
+  }
+}
+
+/**
+ * 現在のルールを反映した設定を取得
+ * @param {Object} settings - 設定
+ * @param {Date} now - 判定する時刻
+ * @returns {Object} { rule, settings }
+ */
+export function resolveScheduledSettings(settings, now = new Date()) {
+  const rule = getActiveScheduleRule(settings.scheduleRules, now);
+  return { rule, settings: applyScheduleRule(settings, rule) };
+}
+
+/**
+ * ルールの説明文を作成
+ * @param {Object} rule - ルール
+ * @returns {string} 説明文（例: 月火水木金 19:00～24:00 すべて停止）
+ */
+export function describeScheduleRule(rule) {
+  const days = [...rule.days].sort((a, b) => a - b).map(getWeekdayLabel).join(t('weekdaySeparator'));
+  const action = rule.action === SCHEDULE_ACTIONS.IDLE_TIMEOUT
+    ? t('scheduleIdleTimeout', rule.autoStopMinutes)
+    : getScheduleActionLabel(rule.action);
+
+  return t('scheduleRuleDescription', [days, rule.startTime, rule.endTime, action]);
+}
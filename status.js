@@ -0,0 +1,188 @@
+/**
+ * 状態モジュール
+ * 実行中の Codespace の数・最大数の超過・自動停止の予定・トークンの状態をアカウントごとにまとめ、
+ * ツールバーのバッジ・ポップアップ・通知で同じ判定を使う
+ * 状態の保存と読み込みは storage.js が行う
+ */
+
+import { filterCodespacesByRepo } from './api.js';
+import { resolveScheduledSettings } from './schedule.js';
+import { t, tPlural } from './i18n.js';
+
+// 全体の状態
+export const STATUS_LEVELS = {
+  IDLE: 'idle', // 実行中の Codespace がない
+  OK: 'ok', // 実行中の Codespace がある
+  WARNING: 'warning', // 最大数を超過している、または自動停止が近い
+  ERROR: 'error' // トークンが無効なアカウントがある
+};
+
+// アカウントの状態のエラー
+export const ACCOUNT_ERRORS = {
+  INVALID_TOKEN: 'invalidToken'
+};
+
+// 自動停止が近いとみなす残り時間（分）
+export const AUTO_STOP_SOON_MINUTES = 10;
+
+// バッジの背景色（styles.css の色に合わせる）
+export const BADGE_COLORS = {
+  [STATUS_LEVELS.IDLE]: '#757575',
+  [STATUS_LEVELS.OK]: '#4caf50',
+  [STATUS_LEVELS.WARNING]: '#ff9800',
+  [STATUS_LEVELS.ERROR]: '#f44336'
+};
+
+/**
+ * 現在の設定で自動停止される予定時刻を求める
+ * バックグラウンドの checkAndStopInactiveCodespaces と同じ条件で判定する
+ * @param {Object} codespace - Codespace オブジェクト
+ * @param {Object} context - 判定に使う情報
+ * @param {Object} context.lastAccess - 最終アクセス時刻 { timestamp, source }
+ * @param {Object} context.protection - 固定・見送りの状態 { pinned, snoozeUntil }
+ * @param {Object|null} context.pendingStop - 保留中の自動停止
+ * @param {Object} context.settings - アカウントの設定（スケジュールを反映する前のもの）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {number|null} 予定時刻（ミリ秒）。自動停止の対象でない場合は null
+ */
+export function calculateAutoStopAt(codespace, { lastAccess, protection, pendingStop, settings: account }, now = Date.now()) {
+  if (codespace.state !== 'Available' || protection.pinned || protection.snoozeUntil !== null) {
+    return null;
+  }
+
+  // 警告済みの場合は猶予の期限に停止される
+  if (pendingStop) {
+    return pendingStop.deadline;
+  }
+
+  const { settings } = resolveScheduledSettings(account);
+  if (!settings.autoStopEnabled || filterCodespacesByRepo([codespace], settings.excludedRepos).length === 0) {
+    return null;
+  }
+
+  // 停止時間帯は次回のチェックで停止される
+  if (settings.stopAll) {
+    return now;
+  }
+
+  // 最終アクセス時刻が不明な Codespace は自動停止されない
+  if (lastAccess.timestamp === null) {
+    return null;
+  }
+
+  return lastAccess.timestamp + settings.autoStopMinutes * 60 * 1000;
+}
+
+/**
+ * アカウントの状態を作成
+ * @param {Object} account - アカウントの設定（スケジュールを反映する前のもの）
+ * @param {Array<Object>} running - 実行中の Codespace [{ name, autoStopAt, limited }]
+ *   limited は最大数の対象（除外リポジトリ・固定・見送りでない）の場合 true
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Object} { profileId, profileName, updatedAt, error, maxCodespaces, running }
+ *   maxCodespaces は自動停止が無効な時間帯は null
+ */
+export function createAccountStatus(account, running, now = Date.now()) {
+  const { settings } = resolveScheduledSettings(account);
+
+  return {
+    profileId: account.profileId,
+    profileName: account.profileName,
+    updatedAt: now,
+    error: null,
+    maxCodespaces: settings.autoStopEnabled ? settings.maxCodespaces : null,
+    running
+  };
+}
+
+/**
+ * トークンが無効なアカウントの状態を作成
+ * @param {Object} account - アカウントの設定
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Object} アカウントの状態（createAccountStatus を参照）
+ */
+export function createInvalidTokenStatus(account, now = Date.now()) {
+  return {
+    profileId: account.profileId,
+    profileName: account.profileName,
+    updatedAt: now,
+    error: ACCOUNT_ERRORS.INVALID_TOKEN,
+    maxCodespaces: null,
+    running: []
+  };
+}
+
+/**
+ * アカウントごとの状態をまとめる
+ * @param {Array<Object>} accounts - アカウントの状態の配列
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Object} { level, running, overLimitAccounts, nextAutoStopAt, autoStopSoon, invalidTokenAccounts }
+ */
+export function summarizeStatus(accounts, now = Date.now()) {
+  const running = accounts.reduce((count, account) => count + account.running.length, 0);
+
+  const overLimitAccounts = accounts
+    .filter(account => account.maxCodespaces !== null &&
+      account.running.filter(cs => cs.limited).length > account.maxCodespaces)
+    .map(account => account.profileName);
+
+  const autoStopTimes = accounts
+    .flatMap(account => account.running.map(cs => cs.autoStopAt))
+    .filter(autoStopAt => autoStopAt !== null);
+  const nextAutoStopAt = autoStopTimes.length > 0 ? Math.min(...autoStopTimes) : null;
+  const autoStopSoon = nextAutoStopAt !== null && nextAutoStopAt - now <= AUTO_STOP_SOON_MINUTES * 60 * 1000;
+
+  const invalidTokenAccounts = accounts
+    .filter(account => account.error === ACCOUNT_ERRORS.INVALID_TOKEN)
+    .map(account => account.profileName);
+
+  let level = running > 0 ? STATUS_LEVELS.OK : STATUS_LEVELS.IDLE;
+  if (invalidTokenAccounts.length > 0) {
+    level = STATUS_LEVELS.ERROR;
+  } else if (overLimitAccounts.length > 0 || autoStopSoon) {
+    level = STATUS_LEVELS.WARNING;
+  }
+
+  return { level, running, overLimitAccounts, nextAutoStopAt, autoStopSoon, invalidTokenAccounts };
+}
+
+/**
+ * 状態の説明文を作成（バッジのツールチップとポップアップで使う）
+ * @param {Object} summary - summarizeStatus の戻り値
+ * @returns {Array<string>} 説明文の行
+ */
+export function describeStatus(summary) {
+  const lines = [tPlural('activeCodespaceCount', summary.running)];
+
+  if (summary.overLimitAccounts.length > 0) {
+    lines.push(t('statusOverLimit', summary.overLimitAccounts.join(', ')));
+  }
+
+  if (summary.autoStopSoon) {
+    lines.push(t('statusAutoStopSoon'));
+  }
+
+  if (summary.invalidTokenAccounts.length > 0) {
+    lines.push(t('statusInvalidToken', summary.invalidTokenAccounts.join(', ')));
+  }
+
+  return lines;
+}
+
+/**
+ * ツールバーのバッジの表示を求める
+ * @param {Object} summary - summarizeStatus の戻り値
+ * @returns {Object} { text, color, title }
+ */
+export function getBadgeAppearance(summary) {
+  let text = summary.running > 0 ? String(summary.running) : '';
+  if (summary.level === STATUS_LEVELS.ERROR) {
+    text = '!';
+  }
+
+  return {
+    text,
+    color: BADGE_COLORS[summary.level],
+    title: [t('extName'), ...describeStatus(summary)].join('\n')
+  };
+}
@@ -3,158 +3,1408 @@
  * Chrome Storage API を使用してデータを管理
  */
 
+import { normalizeRepoPatterns } from './patterns.js';
+import { DEFAULT_API_BASE_URL, DEFAULT_CODESPACE_DOMAIN, normalizeApiBaseUrl, normalizeCodespaceDomain } from './hosts.js';
+import { STOP_REASONS, estimateExternalStop } from './usage.js';
+import { t } from './i18n.js';
+import {
+  getDeviceKey,
+  generateSalt,
+  deriveKeyFromPassphrase,
+  exportKey,
+  importKey,
+  encryptJSON,
+  decryptJSON
+} from './encryption.js';
+
 // デフォルト設定
-const DEFAULT_SETTINGS = {
-  githubToken: '',
+export const DEFAULT_SETTINGS = {
+  githubToken: '', // 設定とは別に暗号化して保存される（getSettings で復号して返す）
+  tokenStorage: 'local', // 'local'（暗号化して保存）または 'session'（ブラウザを閉じると消去）
+  authMethod: 'pat', // 'pat'（トークンを貼り付け）または 'oauth'（GitHub でサインイン）
+  oauthClientId: '', // デバイスフローに使用する OAuth App / GitHub App のクライアント ID
+  apiBaseUrl: DEFAULT_API_BASE_URL, // GitHub API の URL（GitHub Enterprise Server は https://<ホスト>/api/v3）
+  codespaceDomain: DEFAULT_CODESPACE_DOMAIN, // Codespace を開くドメイン（<名前>.<ドメイン>）
   autoStopEnabled: true,
   maxCodespaces: 1,
   autoStopMinutes: 30,
-  excludedRepos: [],
+  excludedRepos: [], // 除外リポジトリのパターン { type, pattern }（patterns.js を参照）
+  scheduleRules: [], // 曜日・時間帯ごとのルール（schedule.js を参照）
+  warningMinutes: 5, // 自動停止前の猶予時間（0 の場合は警告せずに停止）
+  snoozeMinutes: 30, // 「実行を続ける」を選んだときに自動停止を見送る時間
+  showAllAccounts: false, // ポップアップですべてのアカウントの Codespace をまとめて表示する
+  popupSort: 'state', // ポップアップの一覧の並べ替え（listview.js の SORT_ORDERS）
+  popupGroupBy: 'none', // ポップアップの一覧のグループ化（listview.js の GROUP_BY）
+  openEditor: 'web', // ポップアップから Codespace を開くエディター（hosts.js の OPEN_EDITORS）
+  costPerCoreHour: 0.09, // 使用量ダッシュボードの推定コストに使う 1 コア時間あたりの料金（USD）
   darkMode: false,
   language: 'ja' // 'ja' or 'en'
 };
 
+// アカウント（プロファイル）ごとに保存する設定項目
+// それ以外の項目（スケジュールや表示設定など）はすべてのアカウントで共通
+export const PROFILE_FIELDS = [
+  'authMethod',
+  'oauthClientId',
+  'apiBaseUrl',
+  'codespaceDomain',
+  'maxCodespaces',
+  'autoStopMinutes',
+  'excludedRepos'
+];
+
+// 以前のバージョン（アカウントが1つ）の設定を引き継ぐアカウント
+export const DEFAULT_PROFILE_ID = 'default';
+// 以前のバージョンがデフォルトのアカウントに保存していた名前（言語に関係なく日本語だった）
+const LEGACY_DEFAULT_PROFILE_NAME = 'デフォルト';
+
+// 停止済みの Codespace の状態（実行期間を終了して使用履歴に移す）
+const STOPPED_STATES = ['Shutdown', 'Archived'];
+
+// 使用履歴（停止した実行期間の配列）のキーと保存期間（日）
+const USAGE_HISTORY_KEY = 'usage_history';
+const USAGE_RETENTION_DAYS = 90;
+
+// 停止操作の監査ログのキーと保存する件数の上限（超えた分は古いものから削除する）
+const AUDIT_LOG_KEY = 'audit_log';
+const AUDIT_LOG_MAX_ENTRIES = 500;
+
+// アカウントごとの状態（バッジ・ポップアップ・通知で共有する）のキー
+const CODESPACE_STATUS_KEY = 'codespace_status';
+
+// Codespace 一覧キャッシュのキー（chrome.storage.session に保存）
+const CODESPACE_LIST_CACHE_KEY = 'codespace_list_cache';
+
+// 以前のバージョンで OAuth の資格情報を平文で保存していたキー
+const LEGACY_OAUTH_CREDENTIALS_KEY = 'oauth_credentials';
+
+// 暗号化した認証情報（アカウントごとのトークンと OAuth の資格情報）のキー（chrome.storage.local に保存）
+const CREDENTIALS_KEY = 'credentials';
+
+// 復号済みの認証情報のキー（chrome.storage.session に保存）
+// セッションのみの保存、またはパスフレーズでロックを解除している間だけ存在する
+const SESSION_CREDENTIALS_KEY = 'credentials_session';
+
+// キーごとの実行中の更新（読み込み→変更→保存）。同じキーの更新は前の更新が終わってから始める
+const pendingUpdates = new Map();
+
+/**
+ * 同じキーの更新を 1 つずつ実行
+ * 一括停止などで並行して呼ばれても、前の更新の保存を読み込んでから変更するため、記録が失われない
+ * @param {string} key - ストレージのキー
+ * @param {Function} update - 更新処理（Promise を返す）
+ * @returns {Promise<any>} 更新処理の戻り値
+ */
+function serializeUpdate(key, update) {
+  const result = (pendingUpdates.get(key) || Promise.resolve()).then(update);
+  const settled = result.catch(() => {});
+
+  pendingUpdates.set(key, settled);
+  settled.then(() => {
+    if (pendingUpdates.get(key) === settled) {
+      pendingUpdates.delete(key);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * オブジェクトから指定した項目を取り出す
+ * @param {Object} source - 元のオブジェクト
+ * @param {Array<string>} keys - 取り出す項目
+ * @returns {Object} 指定した項目のみのオブジェクト
+ */
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+/**
+ * オブジェクトから指定した項目を除く
+ * @param {Object} source - 元のオブジェクト
+ * @param {Array<string>} keys - 除く項目
+ * @returns {Object} 指定した項目を除いたオブジェクト
+ */
+function omit(source, keys) {
+  return Object.fromEntries(Object.entries(source).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * 保存されている設定を共通の設定とアカウントの一覧に分けて読み込む
+ * 以前の形式（アカウントが1つ）は、その値を持つデフォルトのアカウントとして扱う
+ * @returns {Promise<Object>} { global, profiles: [{ id, name, ...PROFILE_FIELDS }], activeProfileId }
+ */
+async function readStoredSettings() {
+  const result = await chrome.storage.local.get('settings');
+  const { profiles, activeProfileId, ...values } = result.settings || {};
+
+  const profileList = Array.isArray(profiles) && profiles.length > 0
+    ? profiles
+    : [{ id: DEFAULT_PROFILE_ID, name: '', ...pick(values, PROFILE_FIELDS) }];
+
+  return {
+    global: omit(values, PROFILE_FIELDS),
+    profiles: profileList,
+    activeProfileId: profileList.some(profile => profile.id === activeProfileId) ? activeProfileId : profileList[0].id
+  };
+}
+
+/**
+ * アカウントの表示名を取得
+ * 名前のないデフォルトのアカウントは、表示する言語の名前（t('defaultAccountName')）にする
+ * @param {Object} profile - アカウント { id, name }
+ * @returns {string} 表示名
+ */
+function getProfileName(profile) {
+  const unnamed = !profile.name || (profile.id === DEFAULT_PROFILE_ID && profile.name === LEGACY_DEFAULT_PROFILE_NAME);
+  return unnamed ? t('defaultAccountName') : profile.name;
+}
+
+/**
+ * 共通の設定とアカウントの一覧を保存
+ * @param {Object} stored - readStoredSettings の戻り値
+ */
+async function writeStoredSettings({ global, profiles, activeProfileId }) {
+  await chrome.storage.local.set({ settings: { ...global, profiles, activeProfileId } });
+}
+
+/**
+ * 設定を取得
+ * 共通の設定に、指定したアカウント（省略時は選択中のアカウント）の設定とトークンを合わせて返す
+ * @param {string} profileId - アカウントID
+ * @returns {Promise<Object>} 設定オブジェクト（profileId と profileName を含む）
+ */
+export async function getSettings(profileId) {
+  try {
+    const { global, profiles, activeProfileId } = await readStoredSettings();
+    const profile = profiles.find(p => p.id === profileId) || profiles.find(p => p.id === activeProfileId);
+
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...global,
+      ...omit(profile, ['id', 'name']),
+      profileId: profile.id,
+      profileName: getProfileName(profile)
+    };
+
+    // 以前の形式（設定に平文で保存されたトークン）は移行されるまでデフォルトのアカウントで使う
+    const legacyToken = profile.id === DEFAULT_PROFILE_ID ? global.githubToken : '';
+    settings.githubToken = legacyToken || await getGitHubToken(profile.id);
+
+    // 以前の形式（文字列）の除外リポジトリは完全一致のパターンとして扱う
+    settings.excludedRepos = normalizeRepoPatterns(settings.excludedRepos);
+
+    return settings;
+  } catch (error) {
+    console.error('設定の取得に失敗しました:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * すべてのアカウントの設定を取得
+ * @returns {Promise<Array<Object>>} アカウントごとの設定（getSettings の戻り値）の配列
+ */
+export async function getAllProfileSettings() {
+  try {
+    const { profiles } = await readStoredSettings();
+    return await Promise.all(profiles.map(profile => getSettings(profile.id)));
+  } catch (error) {
+    console.error('アカウントごとの設定の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 保存されている設定を現在の形式に移行
+ * @returns {Promise<boolean>} 移行した場合true
+ */
+export async function migrateSettings() {
+  try {
+    const result = await chrome.storage.local.get(['settings', LEGACY_OAUTH_CREDENTIALS_KEY]);
+    if (!result.settings && !result[LEGACY_OAUTH_CREDENTIALS_KEY]) {
+      return false;
+    }
+
+    const stored = await readStoredSettings();
+    let migrated = false;
+
+    if (result.settings && !Array.isArray(result.settings.profiles)) {
+      console.log('設定をアカウントごとの形式に移行しました');
+      migrated = true;
+    }
+
+    for (const profile of stored.profiles) {
+      if (Array.isArray(profile.excludedRepos) && profile.excludedRepos.some(entry => typeof entry === 'string')) {
+        profile.excludedRepos = normalizeRepoPatterns(profile.excludedRepos);
+        console.log('除外リポジトリを完全一致のパターンに移行しました');
+        migrated = true;
+      }
+    }
+
+    // 平文で保存されていたトークンと OAuth の資格情報を暗号化して保存し直す
+    const legacyToken = stored.global.githubToken;
+    const legacyCredentials = result[LEGACY_OAUTH_CREDENTIALS_KEY];
+    if (legacyToken || legacyCredentials) {
+      const store = await readCredentialStore();
+      const current = store.secrets.profiles[DEFAULT_PROFILE_ID] || {};
+
+      await writeCredentialStore({
+        profiles: {
+          ...store.secrets.profiles,
+          [DEFAULT_PROFILE_ID]: {
+            ...current,
+            ...(legacyToken ? { githubToken: legacyToken } : {}),
+            ...(legacyCredentials ? { oauth: legacyCredentials } : {})
+          }
+        }
+      }, stored.global.tokenStorage || DEFAULT_SETTINGS.tokenStorage);
+
+      delete stored.global.githubToken;
+      await chrome.storage.local.remove(LEGACY_OAUTH_CREDENTIALS_KEY);
+      console.log('トークンを暗号化して保存し直しました');
+      migrated = true;
+    }
+
+    if (migrated && result.settings) {
+      await writeStoredSettings(stored);
+    }
+
+    return migrated;
+  } catch (error) {
+    console.error('設定の移行に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * 設定を保存
+ * アカウントごとの項目は settings.profileId（省略時は選択中）のアカウントに保存し、
+ * トークンは設定から分離して tokenStorage に従って暗号化して保存する
+ * @param {Object} settings - 保存する設定
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function saveSettings(settings) {
+  try {
+    const { githubToken, profileId, profileName, profiles, activeProfileId, ...values } = settings;
+    const stored = await readStoredSettings();
+    const targetId = stored.profiles.some(profile => profile.id === profileId) ? profileId : stored.activeProfileId;
+
+    if (githubToken !== undefined && !(await saveGitHubToken(githubToken, values.tokenStorage, targetId))) {
+      return false;
+    }
+
+    stored.profiles = stored.profiles.map(profile =>
+      profile.id === targetId ? { ...profile, ...pick(values, PROFILE_FIELDS) } : profile
+    );
+    stored.global = { ...stored.global, ...omit(values, PROFILE_FIELDS) };
+
+    // 平文のトークン（以前の形式）はデフォルトのアカウントのトークンとして保存し直した時点で削除する
+    if (githubToken !== undefined && targetId === DEFAULT_PROFILE_ID) {
+      delete stored.global.githubToken;
+    }
+
+    await writeStoredSettings(stored);
+    return true;
+  } catch (error) {
+    console.error('設定の保存に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * アカウントの一覧を取得
+ * @returns {Promise<Object>} { profiles: [{ id, name }], activeProfileId }
+ */
+export async function getProfiles() {
+  try {
+    const { profiles, activeProfileId } = await readStoredSettings();
+    return { profiles: profiles.map(profile => ({ id: profile.id, name: getProfileName(profile) })), activeProfileId };
+  } catch (error) {
+    console.error('アカウントの一覧の取得に失敗しました:', error);
+    return { profiles: [], activeProfileId: DEFAULT_PROFILE_ID };
+  }
+}
+
+/**
+ * すべてのアカウントの Codespace のドメインを取得
+ * トークンを復号せずに読み込めるため、タブの切り替えなど頻繁に呼ばれる処理で使用する
+ * @returns {Promise<Array<string>>} 重複のないドメインの配列
+ */
+export async function getCodespaceDomains() {
+  try {
+    const { profiles } = await readStoredSettings();
+    return [...new Set(profiles.map(profile => profile.codespaceDomain || DEFAULT_SETTINGS.codespaceDomain))];
+  } catch (error) {
+    console.error('Codespace のドメインの取得に失敗しました:', error);
+    return [DEFAULT_SETTINGS.codespaceDomain];
+  }
+}
+
+/**
+ * 表示する言語の設定を取得
+ * トークンを復号せずに読み込めるため、バックグラウンドの処理を始めるたびに呼ばれても負担にならない
+ * @returns {Promise<string>} 言語（'ja' または 'en'）
+ */
+export async function getLanguageSetting() {
+  try {
+    const { global } = await readStoredSettings();
+    return global.language || DEFAULT_SETTINGS.language;
+  } catch (error) {
+    console.error('言語の設定の取得に失敗しました:', error);
+    return DEFAULT_SETTINGS.language;
+  }
+}
+
+/**
+ * 選択中のアカウントを切り替える
+ * @param {string} profileId - アカウントID
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function setActiveProfile(profileId) {
+  try {
+    const stored = await readStoredSettings();
+    if (!stored.profiles.some(profile => profile.id === profileId)) {
+      return false;
+    }
+
+    await writeStoredSettings({ ...stored, activeProfileId: profileId });
+    return true;
+  } catch (error) {
+    console.error('アカウントの切り替えに失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * アカウントを追加
+ * 最大数などの項目はデフォルト値で作成する
+ * @param {string} name - アカウント名
+ * @returns {Promise<Object|null>} 追加したアカウント { id, name }
+ */
+export async function createProfile(name) {
+  try {
+    const stored = await readStoredSettings();
+    const profile = { id: crypto.randomUUID(), name, ...pick(DEFAULT_SETTINGS, PROFILE_FIELDS) };
+
+    await writeStoredSettings({ ...stored, profiles: [...stored.profiles, profile] });
+    return { id: profile.id, name: profile.name };
+  } catch (error) {
+    console.error('アカウントの追加に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * アカウントの名前を変更
+ * @param {string} profileId - アカウントID
+ * @param {string} name - 新しい名前
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function renameProfile(profileId, name) {
+  try {
+    const stored = await readStoredSettings();
+    stored.profiles = stored.profiles.map(profile => (profile.id === profileId ? { ...profile, name } : profile));
+
+    await writeStoredSettings(stored);
+    return true;
+  } catch (error) {
+    console.error('アカウントの名前の変更に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * アカウントを削除し、そのトークンも削除する
+ * 最後の1つは削除できない
+ * @param {string} profileId - アカウントID
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function deleteProfile(profileId) {
+  try {
+    const stored = await readStoredSettings();
+    const profiles = stored.profiles.filter(profile => profile.id !== profileId);
+
+    if (profiles.length === 0 || profiles.length === stored.profiles.length) {
+      return false;
+    }
+
+    await removeProfileSecrets([profileId]);
+
+    await writeStoredSettings({
+      ...stored,
+      profiles,
+      activeProfileId: stored.activeProfileId === profileId ? profiles[0].id : stored.activeProfileId
+    });
+    return true;
+  } catch (error) {
+    console.error('アカウントの削除に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * 復号した認証情報を現在の形式（アカウントごと）に正規化
+ * 以前の形式（アカウントが1つ）はデフォルトのアカウントの認証情報として扱う
+ * @param {Object} secrets - 復号した認証情報
+ * @returns {Object} { profiles: { [profileId]: { githubToken, oauth } } }
+ */
+function normalizeSecrets(secrets = {}) {
+  if (secrets.profiles) {
+    return secrets;
+  }
+
+  const { githubToken, oauth } = secrets;
+  return { profiles: githubToken || oauth ? { [DEFAULT_PROFILE_ID]: { githubToken, oauth } } : {} };
+}
+
+/**
+ * 保存されている認証情報を読み込む
+ * @returns {Promise<Object>} { secrets: { profiles }, storage, protection, locked }
+ *   storage: 'local' | 'session' | null（未保存）
+ *   protection: 'device'（端末の鍵）| 'passphrase'（パスフレーズ）| null
+ */
+async function readCredentialStore() {
+  const [localResult, sessionResult] = await Promise.all([
+    chrome.storage.local.get(CREDENTIALS_KEY),
+    chrome.storage.session.get(SESSION_CREDENTIALS_KEY)
+  ]);
+  const record = localResult[CREDENTIALS_KEY];
+  const session = sessionResult[SESSION_CREDENTIALS_KEY];
+  const empty = normalizeSecrets();
+
+  if (!record) {
+    return session
+      ? { secrets: normalizeSecrets(session.secrets), storage: 'session', protection: null, locked: false }
+      : { secrets: empty, storage: null, protection: null, locked: false };
+  }
+
+  if (record.protection === 'passphrase') {
+    return session
+      ? { secrets: normalizeSecrets(session.secrets), storage: 'local', protection: 'passphrase', locked: false }
+      : { secrets: empty, storage: 'local', protection: 'passphrase', locked: true };
+  }
+
+  try {
+    const secrets = normalizeSecrets(await decryptJSON(record, await getDeviceKey()));
+    return { secrets, storage: 'local', protection: 'device', locked: false };
+  } catch (error) {
+    // 端末の鍵が失われた場合（ブラウザのデータ削除など）は復号できない
+    console.error('トークンの復号に失敗しました:', error);
+    return { secrets: empty, storage: 'local', protection: 'device', locked: false };
+  }
+}
+
+/**
+ * 認証情報を保存
+ * パスフレーズで保護されている場合は、ロック解除中に保持している鍵で暗号化し直す
+ * @param {Object} secrets - 認証情報 { profiles: { [profileId]: { githubToken, oauth } } }
+ * @param {string} storage - 'local' または 'session'
+ * @param {Object} options - オプション
+ * @param {string} options.passphrase - 新しいパスフレーズ（'' の場合はパスフレーズを解除）
+ */
+async function writeCredentialStore(secrets, storage, { passphrase } = {}) {
+  const hasSecrets = Object.values(secrets.profiles).some(profile => profile.githubToken || profile.oauth);
+  if (!hasSecrets) {
+    await chrome.storage.local.remove(CREDENTIALS_KEY);
+    await chrome.storage.session.remove(SESSION_CREDENTIALS_KEY);
+    return;
+  }
+
+  if (storage === 'session') {
+    await chrome.storage.session.set({ [SESSION_CREDENTIALS_KEY]: { secrets } });
+    await chrome.storage.local.remove(CREDENTIALS_KEY);
+    return;
+  }
+
+  let passphraseKey = null;
+  let salt = null;
+
+  if (passphrase) {
+    salt = generateSalt();
+    passphraseKey = await exportKey(await deriveKeyFromPassphrase(passphrase, salt));
+  } else if (passphrase === undefined) {
+    // 現在の保護方法を引き継ぐ
+    const [localResult, sessionResult] = await Promise.all([
+      chrome.storage.local.get(CREDENTIALS_KEY),
+      chrome.storage.session.get(SESSION_CREDENTIALS_KEY)
+    ]);
+    const record = localResult[CREDENTIALS_KEY];
+
+    if (record?.protection === 'passphrase') {
+      if (!sessionResult[SESSION_CREDENTIALS_KEY]?.passphraseKey) {
+        throw new Error(t('errorTokenLocked'));
+      }
+      salt = record.salt;
+      passphraseKey = sessionResult[SESSION_CREDENTIALS_KEY].passphraseKey;
+    }
+  }
+
+  if (passphraseKey) {
+    const encrypted = await encryptJSON(secrets, await importKey(passphraseKey));
+    await chrome.storage.local.set({ [CREDENTIALS_KEY]: { protection: 'passphrase', salt, ...encrypted } });
+    await chrome.storage.session.set({ [SESSION_CREDENTIALS_KEY]: { secrets, passphraseKey } });
+    return;
+  }
+
+  const encrypted = await encryptJSON(secrets, await getDeviceKey());
+  await chrome.storage.local.set({ [CREDENTIALS_KEY]: { protection: 'device', ...encrypted } });
+  await chrome.storage.session.remove(SESSION_CREDENTIALS_KEY);
+}
+
+/**
+ * 認証情報の保存先（未保存の場合は設定の tokenStorage）を取得
+ * @param {Object} store - readCredentialStore の戻り値
+ * @returns {Promise<string>} 'local' または 'session'
+ */
+async function resolveTokenStorage(store) {
+  if (store.storage) {
+    return store.storage;
+  }
+
+  const result = await chrome.storage.local.get('settings');
+  return result.settings?.tokenStorage || DEFAULT_SETTINGS.tokenStorage;
+}
+
+/**
+ * アカウントIDを解決（省略時は選択中のアカウント）
+ * @param {string} profileId - アカウントID
+ * @returns {Promise<string>} アカウントID
+ */
+async function resolveProfileId(profileId) {
+  return profileId || (await readStoredSettings()).activeProfileId;
+}
+
+/**
+ * 認証情報の一部を更新して保存
+ * @param {Object} store - readCredentialStore の戻り値
+ * @param {string} profileId - アカウントID
+ * @param {Object} changes - 変更する項目 { githubToken } または { oauth }
+ * @param {string} storage - 'local' または 'session'
+ */
+async function updateProfileSecrets(store, profileId, changes, storage) {
+  const profiles = {
+    ...store.secrets.profiles,
+    [profileId]: { ...store.secrets.profiles[profileId], ...changes }
+  };
+  await writeCredentialStore({ profiles }, storage);
+}
+
+/**
+ * アカウントのトークンと OAuth の資格情報を削除
+ * @param {Array<string>} profileIds - アカウントIDの配列
+ */
+async function removeProfileSecrets(profileIds) {
+  if (profileIds.length === 0) {
+    return;
+  }
+
+  const store = await readCredentialStore();
+  if (store.locked && store.protection === 'passphrase') {
+    throw new Error(t('errorTokenLocked'));
+  }
+  if (profileIds.some(id => store.secrets.profiles[id])) {
+    await writeCredentialStore({ profiles: omit(store.secrets.profiles, profileIds) }, store.storage);
+  }
+}
+
+/**
+ * GitHub Personal Access Token を取得
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<string>} トークン（ロック中の場合は空文字）
+ */
+export async function getGitHubToken(profileId) {
+  try {
+    const id = await resolveProfileId(profileId);
+    const { secrets } = await readCredentialStore();
+    return secrets.profiles[id]?.githubToken || '';
+  } catch (error) {
+    console.error('トークンの取得に失敗しました:', error);
+    return '';
+  }
+}
+
+/**
+ * GitHub Personal Access Token を保存
+ * @param {string} token - トークン
+ * @param {string} storage - 'local'（暗号化して保存）または 'session'（セッションのみ）
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function saveGitHubToken(token, storage = DEFAULT_SETTINGS.tokenStorage, profileId) {
+  try {
+    const id = await resolveProfileId(profileId);
+    const store = await readCredentialStore();
+
+    // ロック中は空のトークン（復号できなかったもの）で上書きしない
+    if (store.locked && !token) {
+      return true;
+    }
+
+    if (token === (store.secrets.profiles[id]?.githubToken || '') && (store.storage === storage || !token)) {
+      return true;
+    }
+
+    await updateProfileSecrets(store, id, { githubToken: token }, storage);
+    return true;
+  } catch (error) {
+    console.error('トークンの保存に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * トークンの保存方法と保護の状態を取得
+ * @returns {Promise<Object>} { storage, protection, locked }
+ */
+export async function getTokenProtection() {
+  try {
+    const { storage, protection, locked } = await readCredentialStore();
+    return { storage, protection, locked };
+  } catch (error) {
+    console.error('トークンの保護状態の取得に失敗しました:', error);
+    return { storage: null, protection: null, locked: false };
+  }
+}
+
+/**
+ * トークンをパスフレーズで保護する（空文字の場合は保護を解除）
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function setTokenPassphrase(passphrase) {
+  try {
+    const store = await readCredentialStore();
+
+    if (store.locked) {
+      throw new Error(t('errorTokenLocked'));
+    }
+    if (store.storage !== 'local') {
+      throw new Error(t('errorPassphraseRequiresLocal'));
+    }
+
+    await writeCredentialStore(store.secrets, 'local', { passphrase });
+    return true;
+  } catch (error) {
+    console.error('パスフレーズの設定に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * パスフレーズでトークンのロックを解除
+ * 解除したトークンはブラウザを閉じるまで chrome.storage.session に保持する
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<boolean>} 解除できた場合true
+ */
+export async function unlockToken(passphrase) {
+  try {
+    const result = await chrome.storage.local.get(CREDENTIALS_KEY);
+    const record = result[CREDENTIALS_KEY];
+
+    if (record?.protection !== 'passphrase') {
+      return false;
+    }
+
+    const key = await deriveKeyFromPassphrase(passphrase, record.salt);
+    const secrets = await decryptJSON(record, key);
+
+    await chrome.storage.session.set({
+      [SESSION_CREDENTIALS_KEY]: { secrets, passphraseKey: await exportKey(key) }
+    });
+    return true;
+  } catch (error) {
+    // パスフレーズが異なる場合は復号に失敗する
+    console.error('トークンのロック解除に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * パスフレーズで保護されたトークンをロック
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function lockToken() {
+  try {
+    const { protection } = await readCredentialStore();
+    if (protection !== 'passphrase') {
+      return false;
+    }
+
+    await chrome.storage.session.remove(SESSION_CREDENTIALS_KEY);
+    return true;
+  } catch (error) {
+    console.error('トークンのロックに失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * Codespace の最終アクセス時刻を取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<number|null>} タイムスタンプ（ミリ秒）。記録がない場合は null
+ */
+export async function getCodespaceLastAccess(codespaceName) {
+  try {
+    const key = `codespace_access_${codespaceName}`;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  } catch (error) {
+    console.error('最終アクセス時刻の取得に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * Codespace の最終アクセス時刻を決定
+ * 拡張機能が記録した時刻と API の last_used_at のうち新しい方を採用する
+ * （CLI や別のマシンから使われた Codespace も判定できるようにするため）
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {Promise<Object>} { timestamp: number|null, source: 'local'|'api'|'none' }
+ */
+export async function resolveCodespaceLastAccess(codespace) {
+  const localAccess = await getCodespaceLastAccess(codespace.name);
+  const apiAccess = codespace.last_used_at ? Date.parse(codespace.last_used_at) || null : null;
+
+  if (localAccess === null && apiAccess === null) {
+    return { timestamp: null, source: 'none' };
+  }
+
+  if (apiAccess === null || (localAccess !== null && localAccess >= apiAccess)) {
+    return { timestamp: localAccess, source: 'local' };
+  }
+
+  return { timestamp: apiAccess, source: 'api' };
+}
+
+/**
+ * Codespace の最終アクセス時刻を更新
+ * @param {string} codespaceName - Codespace名
+ * @param {number} timestamp - タイムスタンプ（ミリ秒）
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function updateCodespaceLastAccess(codespaceName, timestamp = Date.now()) {
+  try {
+    const key = `codespace_access_${codespaceName}`;
+    await chrome.storage.local.set({ [key]: timestamp });
+    return true;
+  } catch (error) {
+    console.error('最終アクセス時刻の更新に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * すべての Codespace の最終アクセス時刻を取得
+ * @returns {Promise<Object>} キーがCodespace名、値がタイムスタンプのオブジェクト
+ */
+export async function getAllCodespaceAccess() {
+  try {
+    const allData = await chrome.storage.local.get(null);
+    const accessData = {};
+
+    for (const [key, value] of Object.entries(allData)) {
+      if (key.startsWith('codespace_access_')) {
+        const codespaceName = key.replace('codespace_access_', '');
+        accessData[codespaceName] = value;
+      }
+    }
+
+    return accessData;
+  } catch (error) {
+    console.error('すべての最終アクセス時刻の取得に失敗しました:', error);
+    return {};
+  }
+}
+
+/**
+ * Codespace の最終アクセス時刻を削除
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function removeCodespaceAccess(codespaceName) {
+  try {
+    const key = `codespace_access_${codespaceName}`;
+    await chrome.storage.local.remove(key);
+    return true;
+  } catch (error) {
+    console.error('最終アクセス時刻の削除に失敗しました:', error);
+    return false;
+  }
+}
+
 /**
- * 設定を取得
- * @returns {Promise<Object>} 設定オブジェクト
+ * Codespace の起動時刻を取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<Object|null>} { timestamp, observed, lastSeenAt, repository, machine, cpus, idleTimeoutMinutes, lastUsedAt }。observed は起動の操作ではなく、実行中であることを確認した時刻の場合true。記録がない場合は null
  */
-export async function getSettings() {
+export async function getCodespaceStart(codespaceName) {
   try {
-    const result = await chrome.storage.local.get('settings');
-    return { ...DEFAULT_SETTINGS, ...result.settings };
+    const key = `codespace_start_${codespaceName}`;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
   } catch (error) {
-    console.error('設定の取得に失敗しました:', error);
-    return DEFAULT_SETTINGS;
+    console.error('起動時刻の取得に失敗しました:', error);
+    return null;
   }
 }
 
 /**
- * 設定を保存
- * @param {Object} settings - 保存する設定
+ * 実行中のすべての Codespace の起動時刻を取得
+ * @returns {Promise<Object>} キーがCodespace名、値が起動時刻の記録のオブジェクト
+ */
+export async function getAllCodespaceStarts() {
+  try {
+    const allData = await chrome.storage.local.get(null);
+    const starts = {};
+
+    for (const [key, value] of Object.entries(allData)) {
+      if (key.startsWith('codespace_start_')) {
+        starts[key.replace('codespace_start_', '')] = value;
+      }
+    }
+
+    return starts;
+  } catch (error) {
+    console.error('すべての起動時刻の取得に失敗しました:', error);
+    return {};
+  }
+}
+
+/**
+ * API の Codespace から使用量の記録に必要な情報を取り出す
+ * @param {Object} codespace - Codespace オブジェクト
+ * @returns {Object} { repository, machine, cpus, idleTimeoutMinutes, lastUsedAt }
+ */
+function getCodespaceUsageDetails(codespace) {
+  return {
+    repository: codespace.repository?.full_name || null,
+    machine: codespace.machine?.display_name || codespace.machine?.name || null,
+    cpus: codespace.machine?.cpus || null,
+    idleTimeoutMinutes: codespace.idle_timeout_minutes || null,
+    lastUsedAt: codespace.last_used_at ? Date.parse(codespace.last_used_at) || null : null
+  };
+}
+
+/**
+ * Codespace の起動時刻を記録
+ * @param {string} codespaceName - Codespace名
+ * @param {Object} options - オプション
+ * @param {number} options.timestamp - タイムスタンプ（ミリ秒）
+ * @param {boolean} options.observed - 実行中であることを確認した時刻の場合true（実際の起動はそれ以前）
+ * @param {Object} options.codespace - API の Codespace オブジェクト（リポジトリやマシンの種類を記録する）
  * @returns {Promise<boolean>} 成功した場合true
  */
-export async function saveSettings(settings) {
+export async function recordCodespaceStart(codespaceName, { timestamp = Date.now(), observed = false, codespace = null } = {}) {
   try {
-    await chrome.storage.local.set({ settings });
+    const key = `codespace_start_${codespaceName}`;
+    const details = codespace ? getCodespaceUsageDetails(codespace) : {};
+    await chrome.storage.local.set({ [key]: { timestamp, observed, lastSeenAt: timestamp, ...details } });
     return true;
   } catch (error) {
-    console.error('設定の保存に失敗しました:', error);
+    console.error('起動時刻の保存に失敗しました:', error);
     return false;
   }
 }
 
 /**
- * GitHub Personal Access Token を取得
- * @returns {Promise<string>} トークン
+ * Codespace の起動時刻を削除
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<boolean>} 成功した場合true
  */
-export async function getGitHubToken() {
+export async function removeCodespaceStart(codespaceName) {
   try {
-    const settings = await getSettings();
-    return settings.githubToken || '';
+    const key = `codespace_start_${codespaceName}`;
+    await chrome.storage.local.remove(key);
+    return true;
   } catch (error) {
-    console.error('トークンの取得に失敗しました:', error);
-    return '';
+    console.error('起動時刻の削除に失敗しました:', error);
+    return false;
   }
 }
 
 /**
- * GitHub Personal Access Token を保存
- * @param {string} token - トークン
+ * 使用履歴（停止した実行期間）を取得
+ * @returns {Promise<Array>} 実行期間の配列（古い順）
+ */
+export async function getUsageHistory() {
+  try {
+    const result = await chrome.storage.local.get(USAGE_HISTORY_KEY);
+    return result[USAGE_HISTORY_KEY] || [];
+  } catch (error) {
+    console.error('使用履歴の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * Codespace の実行期間を終了して使用履歴に追加し、起動時刻の記録を削除
+ * 保存期間を過ぎた履歴はこのときに削除する
+ * @param {string} codespaceName - Codespace名
+ * @param {Object} options - オプション
+ * @param {string} options.reason - 停止の理由（'manual' / 'auto' / 'external'、usage.js の STOP_REASONS）
+ * @param {number} options.stoppedAt - 停止した時刻（ミリ秒）
+ * @returns {Promise<Object|null>} 追加した実行期間。起動時刻の記録がない場合や失敗した場合は null
+ */
+export async function finishCodespaceRun(codespaceName, { reason, stoppedAt = Date.now() }) {
+  return serializeUpdate(USAGE_HISTORY_KEY, async () => {
+    try {
+      const start = await getCodespaceStart(codespaceName);
+      if (!start) {
+        return null;
+      }
+
+      const localAccess = await getCodespaceLastAccess(codespaceName);
+      const lastUsedAt = Math.max(localAccess ?? 0, start.lastUsedAt ?? 0) || null;
+
+      const run = {
+        codespaceName,
+        repository: start.repository || null,
+        machine: start.machine || null,
+        cpus: start.cpus || null,
+        startedAt: start.timestamp,
+        startObserved: start.observed === true,
+        stoppedAt: Math.max(stoppedAt, start.timestamp),
+        stopReason: reason,
+        lastUsedAt,
+        idleTimeoutMinutes: start.idleTimeoutMinutes || null
+      };
+
+      const retentionStart = Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const history = (await getUsageHistory()).filter(entry => entry.stoppedAt >= retentionStart);
+
+      await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: [...history, run] });
+      await removeCodespaceStart(codespaceName);
+      return run;
+    } catch (error) {
+      console.error('使用履歴の保存に失敗しました:', error);
+      return null;
+    }
+  });
+}
+
+/**
+ * API から取得した Codespace の状態に合わせて起動時刻の記録を更新
+ * - 実行中で記録がない（拡張機能の外で起動された）場合は、確認した時刻を記録する
+ * - 実行中で記録がある場合は、確認した時刻とマシンの種類などを更新する
+ * - 停止済み（拡張機能の外で停止された）場合は、停止時刻を推定して使用履歴に移す
+ * - 起動中などの途中の状態では記録を変更しない
+ * @param {Array} codespaces - Codespace の配列
+ */
+export async function syncCodespaceStarts(codespaces) {
+  const now = Date.now();
+
+  for (const codespace of codespaces) {
+    if (codespace.state === 'Available') {
+      // 停止（finishCodespaceRun）が削除した記録を書き戻さないよう、停止と同じキーで順に更新する
+      await serializeUpdate(USAGE_HISTORY_KEY, async () => {
+        const start = await getCodespaceStart(codespace.name);
+        if (!start) {
+          await recordCodespaceStart(codespace.name, { timestamp: now, observed: true, codespace });
+          return;
+        }
+
+        const key = `codespace_start_${codespace.name}`;
+        await chrome.storage.local.set({
+          [key]: { ...start, ...getCodespaceUsageDetails(codespace), lastSeenAt: now }
+        });
+      });
+      continue;
+    }
+
+    const start = await getCodespaceStart(codespace.name);
+    if (STOPPED_STATES.includes(codespace.state) && start) {
+      const { lastUsedAt } = getCodespaceUsageDetails(codespace);
+      const localAccess = await getCodespaceLastAccess(codespace.name);
+      const lastUsed = Math.max(localAccess ?? 0, lastUsedAt ?? 0, start.lastUsedAt ?? 0) || null;
+
+      await finishCodespaceRun(codespace.name, {
+        reason: STOP_REASONS.EXTERNAL,
+        stoppedAt: estimateExternalStop(start, lastUsed, now)
+      });
+    }
+  }
+}
+
+/**
+ * Codespace の自動停止の見送り期限を取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<number|null>} 期限のタイムスタンプ（ミリ秒）。期限切れまたは未設定の場合は null
+ */
+export async function getCodespaceSnoozeUntil(codespaceName) {
+  try {
+    const key = `codespace_snooze_${codespaceName}`;
+    const result = await chrome.storage.local.get(key);
+    return result[key] && result[key] > Date.now() ? result[key] : null;
+  } catch (error) {
+    console.error('見送り期限の取得に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * Codespace の自動停止を指定時刻まで見送る
+ * @param {string} codespaceName - Codespace名
+ * @param {number} until - 期限のタイムスタンプ（ミリ秒）
  * @returns {Promise<boolean>} 成功した場合true
  */
-export async function saveGitHubToken(token) {
+export async function snoozeCodespace(codespaceName, until) {
   try {
-    const settings = await getSettings();
-    settings.githubToken = token;
-    return await saveSettings(settings);
+    const key = `codespace_snooze_${codespaceName}`;
+    await chrome.storage.local.set({ [key]: until });
+    return true;
   } catch (error) {
-    console.error('トークンの保存に失敗しました:', error);
+    console.error('見送り期限の保存に失敗しました:', error);
     return false;
   }
 }
 
 /**
- * Codespace の最終アクセス時刻を取得
+ * Codespace の自動停止の見送りを解除
  * @param {string} codespaceName - Codespace名
- * @returns {Promise<number>} タイムスタンプ（ミリ秒）
+ * @returns {Promise<boolean>} 成功した場合true
  */
-export async function getCodespaceLastAccess(codespaceName) {
+export async function clearCodespaceSnooze(codespaceName) {
   try {
-    const key = `codespace_access_${codespaceName}`;
+    const key = `codespace_snooze_${codespaceName}`;
+    await chrome.storage.local.remove(key);
+    return true;
+  } catch (error) {
+    console.error('見送り期限の削除に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * Codespace が固定（自動停止しない）されているか取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<boolean>} 固定されている場合true
+ */
+export async function isCodespacePinned(codespaceName) {
+  try {
+    const key = `codespace_pin_${codespaceName}`;
     const result = await chrome.storage.local.get(key);
-    return result[key] || Date.now();
+    return result[key] === true;
   } catch (error) {
-    console.error('最終アクセス時刻の取得に失敗しました:', error);
-    return Date.now();
+    console.error('固定状態の取得に失敗しました:', error);
+    return false;
   }
 }
 
 /**
- * Codespace の最終アクセス時刻を更新
+ * Codespace の固定を設定
  * @param {string} codespaceName - Codespace名
- * @param {number} timestamp - タイムスタンプ（ミリ秒）
+ * @param {boolean} pinned - 固定する場合true
  * @returns {Promise<boolean>} 成功した場合true
  */
-export async function updateCodespaceLastAccess(codespaceName, timestamp = Date.now()) {
+export async function setCodespacePinned(codespaceName, pinned) {
   try {
-    const key = `codespace_access_${codespaceName}`;
-    await chrome.storage.local.set({ [key]: timestamp });
+    const key = `codespace_pin_${codespaceName}`;
+    if (pinned) {
+      await chrome.storage.local.set({ [key]: true });
+    } else {
+      await chrome.storage.local.remove(key);
+    }
     return true;
   } catch (error) {
-    console.error('最終アクセス時刻の更新に失敗しました:', error);
+    console.error('固定状態の保存に失敗しました:', error);
     return false;
   }
 }
 
 /**
- * すべての Codespace の最終アクセス時刻を取得
- * @returns {Promise<Object>} キーがCodespace名、値がタイムスタンプのオブジェクト
+ * Codespace の自動停止からの保護状態を取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<Object>} { pinned, snoozeUntil }
  */
-export async function getAllCodespaceAccess() {
+export async function getCodespaceProtection(codespaceName) {
+  const [pinned, snoozeUntil] = await Promise.all([
+    isCodespacePinned(codespaceName),
+    getCodespaceSnoozeUntil(codespaceName)
+  ]);
+  return { pinned, snoozeUntil };
+}
+
+/**
+ * 存在しなくなった Codespace の固定・見送り・起動時刻を削除
+ * 実行中のまま削除された Codespace は、最後に実行中を確認した時刻で実行期間を終了して使用履歴に移す
+ * @param {Array<string>} existingNames - 現在存在する Codespace 名の配列
+ * @returns {Promise<Array<string>>} 削除したキーの配列
+ */
+export async function pruneCodespaceProtection(existingNames) {
   try {
     const allData = await chrome.storage.local.get(null);
-    const accessData = {};
+    const existing = new Set(existingNames);
+    const staleKeys = [];
 
-    for (const [key, value] of Object.entries(allData)) {
-      if (key.startsWith('codespace_access_')) {
-        const codespaceName = key.replace('codespace_access_', '');
-        accessData[codespaceName] = value;
+    for (const [codespaceName, start] of Object.entries(await getAllCodespaceStarts())) {
+      if (!existing.has(codespaceName)) {
+        await finishCodespaceRun(codespaceName, {
+          reason: STOP_REASONS.EXTERNAL,
+          stoppedAt: start.lastSeenAt ?? start.timestamp
+        });
       }
     }
 
-    return accessData;
+    for (const key of Object.keys(allData)) {
+      for (const prefix of ['codespace_pin_', 'codespace_snooze_', 'codespace_start_']) {
+        if (key.startsWith(prefix) && !existing.has(key.slice(prefix.length))) {
+          staleKeys.push(key);
+        }
+      }
+    }
+
+    if (staleKeys.length > 0) {
+      await chrome.storage.local.remove(staleKeys);
+    }
+
+    return staleKeys;
   } catch (error) {
-    console.error('すべての最終アクセス時刻の取得に失敗しました:', error);
+    console.error('固定・見送りの整理に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 停止操作の監査ログを取得
+ * @returns {Promise<Array>} 記録の配列（古い順）
+ */
+export async function getAuditLog() {
+  try {
+    const result = await chrome.storage.local.get(AUDIT_LOG_KEY);
+    return result[AUDIT_LOG_KEY] || [];
+  } catch (error) {
+    console.error('監査ログの取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 停止操作を監査ログに追加
+ * 上限の件数を超えた場合は古いものから削除する
+ * @param {Object} entry - 記録 { timestamp, codespaceName, repository, profileId, profileName, trigger, detail, policy, lastAccess, warnedAt, result, error }
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function appendAuditLog(entry) {
+  return serializeUpdate(AUDIT_LOG_KEY, async () => {
+    try {
+      const entries = [...await getAuditLog(), entry].slice(-AUDIT_LOG_MAX_ENTRIES);
+      await chrome.storage.local.set({ [AUDIT_LOG_KEY]: entries });
+      return true;
+    } catch (error) {
+      console.error('監査ログの保存に失敗しました:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * アカウントごとの状態を取得
+ * @returns {Promise<Object>} アカウントIDをキーにした状態（status.js の createAccountStatus を参照）
+ */
+export async function getCodespaceStatus() {
+  try {
+    const result = await chrome.storage.local.get(CODESPACE_STATUS_KEY);
+    return result[CODESPACE_STATUS_KEY] || {};
+  } catch (error) {
+    console.error('状態の取得に失敗しました:', error);
     return {};
   }
 }
 
 /**
- * Codespace の最終アクセス時刻を削除
+ * アカウントの状態を保存
+ * @param {Object} status - アカウントの状態 { profileId, profileName, updatedAt, error, maxCodespaces, running }
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function saveAccountStatus(status) {
+  return serializeUpdate(CODESPACE_STATUS_KEY, async () => {
+    try {
+      const statuses = await getCodespaceStatus();
+      await chrome.storage.local.set({ [CODESPACE_STATUS_KEY]: { ...statuses, [status.profileId]: status } });
+      return true;
+    } catch (error) {
+      console.error('状態の保存に失敗しました:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * 停止した Codespace を状態の実行中の一覧から削除
+ * 次に一覧を取得するまでの間もバッジの表示を合わせる
  * @param {string} codespaceName - Codespace名
  * @returns {Promise<boolean>} 成功した場合true
  */
-export async function removeCodespaceAccess(codespaceName) {
+export async function removeRunningCodespaceStatus(codespaceName) {
+  return serializeUpdate(CODESPACE_STATUS_KEY, async () => {
+    try {
+      const statuses = await getCodespaceStatus();
+      const updated = Object.fromEntries(Object.entries(statuses).map(([profileId, status]) => [
+        profileId,
+        { ...status, running: status.running.filter(cs => cs.name !== codespaceName) }
+      ]));
+      await chrome.storage.local.set({ [CODESPACE_STATUS_KEY]: updated });
+      return true;
+    } catch (error) {
+      console.error('状態の更新に失敗しました:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * 保留中の自動停止を取得
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<Object|null>} 保留中の自動停止 { codespaceName, repository, profileId, label, trigger, detail, policy, lastAccess, warnedAt, deadline }
+ */
+export async function getPendingStop(codespaceName) {
   try {
-    const key = `codespace_access_${codespaceName}`;
+    const key = `pending_stop_${codespaceName}`;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  } catch (error) {
+    console.error('保留中の自動停止の取得に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * 保留中の自動停止を保存
+ * Service Worker が再起動しても失われないよう chrome.storage.local に保存する
+ * @param {Object} pendingStop - 保留中の自動停止 { codespaceName, repository, profileId, label, trigger, detail, policy, lastAccess, warnedAt, deadline }
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function savePendingStop(pendingStop) {
+  try {
+    const key = `pending_stop_${pendingStop.codespaceName}`;
+    await chrome.storage.local.set({ [key]: pendingStop });
+    return true;
+  } catch (error) {
+    console.error('保留中の自動停止の保存に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * 保留中の自動停止を削除
+ * @param {string} codespaceName - Codespace名
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function removePendingStop(codespaceName) {
+  try {
+    const key = `pending_stop_${codespaceName}`;
     await chrome.storage.local.remove(key);
     return true;
   } catch (error) {
-    console.error('最終アクセス時刻の削除に失敗しました:', error);
+    console.error('保留中の自動停止の削除に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * OAuth の資格情報を取得
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<Object|null>} 資格情報 { accessToken, expiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+export async function getOAuthCredentials(profileId) {
+  try {
+    const id = await resolveProfileId(profileId);
+    const { secrets } = await readCredentialStore();
+    return secrets.profiles[id]?.oauth || null;
+  } catch (error) {
+    console.error('OAuth の資格情報の取得に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * OAuth の資格情報を保存
+ * @param {Object} credentials - 資格情報 { accessToken, expiresAt, refreshToken, refreshTokenExpiresAt }
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function saveOAuthCredentials(credentials, profileId) {
+  try {
+    const id = await resolveProfileId(profileId);
+    const store = await readCredentialStore();
+    await updateProfileSecrets(store, id, { oauth: credentials }, await resolveTokenStorage(store));
+    return true;
+  } catch (error) {
+    console.error('OAuth の資格情報の保存に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * OAuth の資格情報を削除
+ * @param {string} profileId - アカウントID（省略時は選択中のアカウント）
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function removeOAuthCredentials(profileId) {
+  try {
+    const id = await resolveProfileId(profileId);
+    const store = await readCredentialStore();
+    if (store.secrets.profiles[id]?.oauth) {
+      await updateProfileSecrets(store, id, { oauth: undefined }, store.storage);
+    }
+    return true;
+  } catch (error) {
+    console.error('OAuth の資格情報の削除に失敗しました:', error);
+    return false;
+  }
+}
+
+/**
+ * Codespace 一覧のキャッシュを取得
+ * ETag とページごとの内容をトークン（アカウント）ごとに保持し、条件付きリクエストに使用する
+ * @param {string} tokenHash - トークンのハッシュ
+ * @returns {Promise<Object|null>} ページごとのキャッシュ { [endpoint]: { etag, codespaces, nextUrl } }
+ */
+export async function getCodespaceListCache(tokenHash) {
+  try {
+    const result = await chrome.storage.session.get(CODESPACE_LIST_CACHE_KEY);
+    return result[CODESPACE_LIST_CACHE_KEY]?.[tokenHash] || null;
+  } catch (error) {
+    console.error('Codespace 一覧キャッシュの取得に失敗しました:', error);
+    return null;
+  }
+}
+
+/**
+ * Codespace 一覧のキャッシュを保存
+ * @param {string} tokenHash - トークンのハッシュ
+ * @param {Object} pages - ページごとのキャッシュ
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+export async function saveCodespaceListCache(tokenHash, pages) {
+  try {
+    const result = await chrome.storage.session.get(CODESPACE_LIST_CACHE_KEY);
+    const cache = result[CODESPACE_LIST_CACHE_KEY] || {};
+    await chrome.storage.session.set({ [CODESPACE_LIST_CACHE_KEY]: { ...cache, [tokenHash]: pages } });
+    return true;
+  } catch (error) {
+    console.error('Codespace 一覧キャッシュの保存に失敗しました:', error);
     return false;
   }
 }
 
 /**
  * 設定をエクスポート
+ * 共通の設定と、アカウントごとの設定（名前・最大数・除外リポジトリなど）を含める
  * @returns {Promise<Object>} エクスポートデータ
  */
 export async function exportSettings() {
   try {
-    const settings = await getSettings();
-    // トークンは除外する（セキュリティのため）
-    const exportData = { ...settings };
-    delete exportData.githubToken;
+    const { profiles, activeProfileId } = await readStoredSettings();
+    // トークンと認証方法は除外する（セキュリティのため）
+    // 以前のバージョンでも読み込めるよう、選択中のアカウントの設定も最上位に含める
+    const exportData = omit(await getSettings(), ['githubToken', 'authMethod', 'profileId', 'profileName']);
+    exportData.profiles = profiles.map(profile => ({
+      ...omit(profile, ['authMethod']),
+      excludedRepos: normalizeRepoPatterns(profile.excludedRepos)
+    }));
+    exportData.activeProfileId = activeProfileId;
     return exportData;
   } catch (error) {
     console.error('設定のエクスポートに失敗しました:', error);
@@ -162,21 +1412,94 @@ export async function exportSettings() {
   }
 }
 
+/**
+ * インポートする接続先（API の URL・Codespace のドメイン）を検証して正規化
+ * @param {Object} fields - アカウントごとの設定
+ * @returns {Object} 接続先を正規化した設定
+ * @throws {Error} 形式が不正な場合
+ */
+function normalizeImportedConnection(fields) {
+  const normalized = { ...fields };
+  if ('apiBaseUrl' in fields) {
+    normalized.apiBaseUrl = normalizeApiBaseUrl(fields.apiBaseUrl);
+  }
+  if ('codespaceDomain' in fields) {
+    normalized.codespaceDomain = normalizeCodespaceDomain(fields.codespaceDomain);
+  }
+  return normalized;
+}
+
+/**
+ * インポートで API の URL が変わるか判定
+ * @param {Object} profile - 保存されているアカウントの設定
+ * @param {Object} fields - インポートする設定（正規化済み）
+ * @returns {boolean} 変わる場合true
+ */
+function changesApiBaseUrl(profile, fields) {
+  return fields.apiBaseUrl !== undefined && fields.apiBaseUrl !== (profile.apiBaseUrl || DEFAULT_API_BASE_URL);
+}
+
 /**
  * 設定をインポート
+ * アカウントの一覧を含む場合は ID ごとに反映し、含まない場合（以前の形式）は選択中のアカウントに反映する
+ * 接続先は検証し、API の URL が変わるアカウントのトークンは別のホストに送られないよう削除する
  * @param {Object} settings - インポートする設定
  * @returns {Promise<boolean>} 成功した場合true
  */
 export async function importSettings(settings) {
   try {
-    const currentSettings = await getSettings();
-    // トークンは保持する
-    const newSettings = {
-      ...currentSettings,
-      ...settings,
-      githubToken: currentSettings.githubToken
-    };
-    return await saveSettings(newSettings);
+    const { profiles: importedProfiles, activeProfileId: importedActiveId, ...values } = settings;
+
+    if (!Array.isArray(importedProfiles)) {
+      // 認証方法は保持する（トークンは API の URL が変わる場合のみ削除する）
+      const { githubToken, authMethod, profileId, profileName, ...imported } = values;
+      const fields = normalizeImportedConnection(imported);
+      const currentSettings = await getSettings();
+      if (!changesApiBaseUrl(currentSettings, fields)) {
+        return await saveSettings({ ...omit(currentSettings, ['githubToken']), ...fields });
+      }
+
+      await removeProfileSecrets([currentSettings.profileId]);
+      return await saveSettings({ ...currentSettings, ...fields, githubToken: '' });
+    }
+
+    const stored = await readStoredSettings();
+    const profiles = [...stored.profiles];
+    const changedProfileIds = [];
+
+    for (const imported of importedProfiles) {
+      if (!imported?.id) {
+        continue;
+      }
+
+      // 認証方法は保持する
+      const fields = normalizeImportedConnection(omit(pick(imported, ['name', ...PROFILE_FIELDS]), ['authMethod']));
+      const index = profiles.findIndex(profile => profile.id === imported.id);
+
+      if (index >= 0) {
+        if (changesApiBaseUrl(profiles[index], fields)) {
+          changedProfileIds.push(imported.id);
+        }
+        profiles[index] = { ...profiles[index], ...fields };
+      } else {
+        profiles.push({ ...pick(DEFAULT_SETTINGS, PROFILE_FIELDS), id: imported.id, name: imported.id, ...fields });
+      }
+    }
+
+    await removeProfileSecrets(changedProfileIds);
+
+    const global = { ...stored.global, ...omit(values, ['githubToken', 'profileId', 'profileName', ...PROFILE_FIELDS]) };
+    // 平文のトークン（以前の形式）はデフォルトのアカウントのトークンとして扱われる
+    if (changedProfileIds.includes(DEFAULT_PROFILE_ID)) {
+      delete global.githubToken;
+    }
+
+    await writeStoredSettings({
+      global,
+      profiles,
+      activeProfileId: profiles.some(profile => profile.id === importedActiveId) ? importedActiveId : stored.activeProfileId
+    });
+    return true;
   } catch (error) {
     console.error('設定のインポートに失敗しました:', error);
     return false;
@@ -190,6 +1513,7 @@ export async function importSettings(settings) {
 export async function clearAllData() {
   try {
     await chrome.storage.local.clear();
+    await chrome.storage.session.clear();
     return true;
   } catch (error) {
     console.error('データのクリアに失敗しました:', error);
@@ -0,0 +1,229 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo, createCodespace } from './helpers/github-server.js';
+import {
+  APIError,
+  retryWithBackoff,
+  getAllCodespaces,
+  stopCodespace,
+  startCodespace,
+  createCodespace as createCodespaceRequest,
+  deleteCodespace,
+  updateCodespace,
+  getRepositoryMachines,
+  getCodespaceMachines,
+  filterCodespacesByRepo,
+  validateToken
+} from '../api.js';
+import { setLanguage } from '../i18n.js';
+
+let server;
+let restoreFetch;
+
+beforeEach(async () => {
+  installChrome();
+  await setLanguage('ja');
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+});
+
+afterEach(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+test('getAllCodespaces follows the Link header across every page', async () => {
+  server.state.codespaces = Array.from({ length: 150 }, (_, i) => createCodespace(`cs-${i}`));
+
+  const codespaces = await getAllCodespaces('token');
+
+  assert.equal(codespaces.length, 150);
+  assert.equal(codespaces[149].name, 'cs-149');
+
+  const listRequests = server.requestsTo('GET', '/user/codespaces');
+  assert.equal(listRequests.length, 2);
+  assert.match(listRequests[0].search, /per_page=100/);
+});
+
+test('getAllCodespaces sends If-None-Match and reuses the cache on 304', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+
+  await getAllCodespaces('token');
+  const codespaces = await getAllCodespaces('token');
+
+  const [first, second] = server.requestsTo('GET', '/user/codespaces');
+  assert.equal(first.headers['if-none-match'], undefined);
+  assert.ok(second.headers['if-none-match']);
+  assert.deepEqual(codespaces.map(cs => cs.name), ['alpha']);
+});
+
+test('getAllCodespaces ignores a cache written for another token', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+
+  await getAllCodespaces('token-a');
+  await getAllCodespaces('token-b');
+
+  const [, second] = server.requestsTo('GET', '/user/codespaces');
+  assert.equal(second.headers['if-none-match'], undefined);
+});
+
+test('requests go to the configured API base URL', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+  // github.com への振り分けを外し、接続先の URL だけでサーバーに届くことを確かめる
+  restoreFetch();
+  restoreFetch = () => {};
+
+  const codespaces = await getAllCodespaces('token', server.origin);
+  await stopCodespace('alpha', 'token', server.origin);
+
+  assert.deepEqual(codespaces.map(cs => cs.name), ['alpha']);
+  assert.equal(server.requestsTo('POST', '/user/codespaces/alpha/stop').length, 1);
+});
+
+test('getAllCodespaces rejects without a token', async () => {
+  await assert.rejects(getAllCodespaces(''), error => error instanceof APIError && error.status === 401);
+});
+
+test('stopCodespace and startCodespace post to the action endpoints', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+
+  await stopCodespace('alpha', 'token');
+  assert.equal(server.state.codespaces[0].state, 'Shutdown');
+
+  await startCodespace('alpha', 'token');
+  assert.equal(server.state.codespaces[0].state, 'Available');
+});
+
+test('createCodespace posts the branch, machine and display name to the repository', async () => {
+  const codespace = await createCodespaceRequest('org/app', {
+    ref: 'feature/x',
+    machine: 'standardLinux32gb',
+    displayName: 'Feature X'
+  }, 'token');
+
+  const [request] = server.requestsTo('POST', '/repos/org/app/codespaces');
+  assert.deepEqual(JSON.parse(request.body), { ref: 'feature/x', machine: 'standardLinux32gb', display_name: 'Feature X' });
+  assert.equal(codespace.display_name, 'Feature X');
+  assert.equal(codespace.machine.name, 'standardLinux32gb');
+});
+
+test('createCodespace is not retried and rejects repositories that are not owner/repo', async () => {
+  server.failNext(502);
+
+  await assert.rejects(createCodespaceRequest('org/app', {}, 'token'), error => error.status === 502);
+  assert.equal(server.requestsTo('POST', '/repos/org/app/codespaces').length, 1);
+
+  await assert.rejects(createCodespaceRequest('org', {}, 'token'), error => error instanceof APIError && error.status === 400);
+  await assert.rejects(createCodespaceRequest('org/app', {}, ''), error => error.status === 401);
+});
+
+test('updateCodespace patches only the given fields and deleteCodespace removes the codespace', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+
+  await updateCodespace('alpha', { displayName: 'Renamed' }, 'token');
+  await updateCodespace('alpha', { machine: 'standardLinux32gb' }, 'token');
+
+  const [rename, machine] = server.requestsTo('PATCH', '/user/codespaces/alpha');
+  assert.deepEqual(JSON.parse(rename.body), { display_name: 'Renamed' });
+  assert.deepEqual(JSON.parse(machine.body), { machine: 'standardLinux32gb' });
+  assert.equal(server.state.codespaces[0].display_name, 'Renamed');
+
+  await deleteCodespace('alpha', 'token');
+  assert.deepEqual(server.state.codespaces, []);
+  await assert.rejects(deleteCodespace('alpha', 'token'), error => error.status === 404);
+});
+
+test('machine types are listed for a repository branch and for an existing codespace', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+
+  const forRepository = await getRepositoryMachines('org/app', 'main', 'token');
+  const forCodespace = await getCodespaceMachines('alpha', 'token');
+
+  assert.deepEqual(forRepository.map(machine => machine.name), ['basicLinux32gb', 'standardLinux32gb']);
+  assert.deepEqual(forCodespace, forRepository);
+  assert.equal(server.requestsTo('GET', '/repos/org/app/codespaces/machines')[0].search, '?ref=main');
+});
+
+test('requests retry after a 429 using Retry-After', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+  server.failNext(429, { 'Retry-After': '0' });
+
+  const codespaces = await getAllCodespaces('token');
+
+  assert.equal(codespaces.length, 1);
+  assert.equal(server.requestsTo('GET', '/user/codespaces').length, 2);
+});
+
+test('requests retry after a 5xx response', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+  server.failNext(502);
+
+  await stopCodespace('alpha', 'token');
+
+  assert.equal(server.requestsTo('POST', '/user/codespaces/alpha/stop').length, 2);
+  assert.equal(server.state.codespaces[0].state, 'Shutdown');
+});
+
+test('requests fail immediately on 401, 403 and 404', async () => {
+  for (const status of [401, 403, 404]) {
+    let attempts = 0;
+
+    await assert.rejects(
+      retryWithBackoff(async () => {
+        attempts++;
+        throw new APIError('failure', status, null);
+      }),
+      error => error.status === status
+    );
+
+    assert.equal(attempts, 1);
+  }
+});
+
+test('filterCodespacesByRepo removes excluded repositories', () => {
+  const codespaces = [
+    createCodespace('a', { repository: { full_name: 'org/app' } }),
+    createCodespace('b', { repository: { full_name: 'org/site' } })
+  ];
+
+  assert.deepEqual(filterCodespacesByRepo(codespaces, []).map(cs => cs.name), ['a', 'b']);
+  assert.deepEqual(filterCodespacesByRepo(codespaces, ['org/app']).map(cs => cs.name), ['b']);
+  assert.deepEqual(filterCodespacesByRepo(codespaces, [{ type: 'owner', pattern: 'org/*' }]).map(cs => cs.name), []);
+});
+
+test('filterCodespacesByRepo does not treat exact patterns as substrings', () => {
+  const codespaces = [
+    createCodespace('a', { repository: { full_name: 'org/app' } }),
+    createCodespace('b', { repository: { full_name: 'org/app-legacy' } })
+  ];
+
+  assert.deepEqual(filterCodespacesByRepo(codespaces, [{ type: 'exact', pattern: 'org/app' }]).map(cs => cs.name), ['b']);
+});
+
+test('validateToken reports the codespace scope', async () => {
+  const valid = await validateToken('token');
+  assert.equal(valid.valid, true);
+  assert.equal(valid.tokenType, 'classic');
+  assert.equal(valid.hasCodespaceAccess, true);
+
+  server.state.scopes = 'repo';
+  const missingScope = await validateToken('token');
+  assert.equal(missingScope.hasCodespaceAccess, false);
+  assert.match(missingScope.error, /codespace スコープ/);
+});
+
+test('validateToken checks Codespaces access for fine-grained tokens', async () => {
+  server.state.scopes = null;
+  const valid = await validateToken('github_pat_token');
+  assert.equal(valid.valid, true);
+  assert.equal(valid.tokenType, 'fine-grained');
+  assert.equal(valid.hasCodespaceAccess, true);
+
+  server.state.codespacesAccess = false;
+  const missingPermission = await validateToken('github_pat_token');
+  assert.equal(missingPermission.valid, true);
+  assert.equal(missingPermission.hasCodespaceAccess, false);
+  assert.match(missingPermission.error, /Codespaces の権限/);
+});
@@ -0,0 +1,33 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import { STOP_TRIGGERS, getStopTriggerLabel, filterAuditLog } from '../audit.js';
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+const entries = [
+  { timestamp: 1, codespaceName: 'app-cs', repository: 'org/app', profileName: 'デフォルト', trigger: 'inactive' },
+  { timestamp: 3, codespaceName: 'api-cs', repository: 'org/api', profileName: '仕事用', trigger: 'manual' },
+  { timestamp: 2, codespaceName: 'web-cs', repository: null, profileName: 'デフォルト', trigger: 'inactive' }
+];
+
+test('every trigger has a label', () => {
+  assert.equal(getStopTriggerLabel(STOP_TRIGGERS.MANUAL), 'ポップアップから停止');
+  assert.equal(getStopTriggerLabel(STOP_TRIGGERS.MAX_CODESPACES), '最大同時起動数');
+  assert.equal(getStopTriggerLabel(STOP_TRIGGERS.INACTIVE), '非アクティブ');
+  assert.equal(getStopTriggerLabel(STOP_TRIGGERS.SCHEDULE), 'スケジュール');
+});
+
+test('filterAuditLog sorts newest first and filters by trigger and text', () => {
+  assert.deepEqual(filterAuditLog(entries).map(entry => entry.timestamp), [3, 2, 1]);
+  assert.deepEqual(filterAuditLog(entries, { trigger: 'inactive' }).map(entry => entry.codespaceName), ['web-cs', 'app-cs']);
+  assert.deepEqual(filterAuditLog(entries, { query: ' ORG/ ' }).map(entry => entry.codespaceName), ['api-cs', 'app-cs']);
+  assert.deepEqual(filterAuditLog(entries, { query: '仕事' }).map(entry => entry.codespaceName), ['api-cs']);
+  assert.deepEqual(filterAuditLog(entries, { trigger: 'manual', query: 'app' }), []);
+});
@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo } from './helpers/github-server.js';
+import {
+  getSettings,
+  saveSettings,
+  getOAuthCredentials,
+  saveOAuthCredentials,
+  createProfile
+} from '../storage.js';
+import {
+  OAuthError,
+  TOKEN_REFRESH_MARGIN_MS,
+  requestDeviceCode,
+  pollForAccessToken,
+  completeSignIn,
+  signOut,
+  refreshTokenIfNeeded
+} from '../auth.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let server;
+let restoreFetch;
+
+/**
+ * サインイン済みの状態を保存
+ * @param {Object} credentials - 上書きする資格情報
+ */
+async function signIn(credentials = {}) {
+  server.state.oauth.refreshToken = 'ghr_saved';
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghu_saved', authMethod: 'oauth', oauthClientId: 'client' });
+  await saveOAuthCredentials({
+    accessToken: 'ghu_saved',
+    expiresAt: Date.now() + 8 * HOUR,
+    refreshToken: 'ghr_saved',
+    refreshTokenExpiresAt: Date.now() + 24 * HOUR,
+    ...credentials
+  });
+}
+
+beforeEach(async () => {
+  installChrome();
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+});
+
+afterEach(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+test('requestDeviceCode requires a client ID', async () => {
+  await assert.rejects(requestDeviceCode(''), error => error instanceof OAuthError && error.code === 'missing_client_id');
+  assert.equal(server.requestsTo('POST', '/login/device/code').length, 0);
+});
+
+test('the device flow polls until the user authorizes the code', async () => {
+  server.state.oauth.pollErrors = ['authorization_pending', 'authorization_pending'];
+
+  const deviceCode = await requestDeviceCode('client');
+  assert.equal(deviceCode.userCode, 'ABCD-1234');
+  assert.equal(deviceCode.verificationUri, 'https://github.com/login/device');
+
+  const credentials = await pollForAccessToken('client', deviceCode);
+
+  assert.equal(credentials.accessToken, 'ghu_1');
+  assert.equal(credentials.refreshToken, 'ghr_1');
+  assert.ok(credentials.expiresAt > Date.now());
+
+  const polls = server.requestsTo('POST', '/login/oauth/access_token');
+  assert.equal(polls.length, 3);
+  const params = new URLSearchParams(polls[0].body);
+  assert.equal(params.get('client_id'), 'client');
+  assert.equal(params.get('device_code'), 'device-code');
+});
+
+test('the device flow fails when the user denies access', async () => {
+  server.state.oauth.pollErrors = ['access_denied'];
+
+  const deviceCode = await requestDeviceCode('client');
+
+  await assert.rejects(pollForAccessToken('client', deviceCode), error => error.code === 'access_denied');
+});
+
+test('the device flow keeps polling after being asked to slow down', async () => {
+  server.state.oauth.pollErrors = ['slow_down', 'authorization_pending'];
+
+  const credentials = await pollForAccessToken('client', await requestDeviceCode('client'));
+
+  assert.equal(credentials.accessToken, 'ghu_1');
+  assert.equal(server.requestsTo('POST', '/login/oauth/access_token').length, 3);
+});
+
+test('polling can be cancelled', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    pollForAccessToken('client', { deviceCode: 'device-code', expiresIn: 900, interval: 5 }, { signal: controller.signal }),
+    error => error.code === 'aborted'
+  );
+});
+
+test('completeSignIn and signOut update the token in the settings', async () => {
+  await completeSignIn({ accessToken: 'ghu_new', expiresAt: null, refreshToken: null, refreshTokenExpiresAt: null }, 'client');
+
+  let settings = await getSettings();
+  assert.equal(settings.githubToken, 'ghu_new');
+  assert.equal(settings.authMethod, 'oauth');
+  assert.equal(settings.oauthClientId, 'client');
+  assert.equal((await getOAuthCredentials()).accessToken, 'ghu_new');
+
+  await signOut();
+
+  settings = await getSettings();
+  assert.equal(settings.githubToken, '');
+  assert.equal(settings.authMethod, 'pat');
+  assert.equal(await getOAuthCredentials(), null);
+});
+
+test('signing in and out of one account leaves the other accounts alone', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_personal' });
+  const work = await createProfile('仕事用');
+
+  await completeSignIn({ accessToken: 'ghu_work', expiresAt: null, refreshToken: null, refreshTokenExpiresAt: null }, 'client', work.id);
+
+  assert.equal((await getSettings(work.id)).githubToken, 'ghu_work');
+  assert.equal((await getSettings(work.id)).authMethod, 'oauth');
+  assert.equal((await getSettings()).githubToken, 'ghp_personal');
+  assert.equal(await getOAuthCredentials(), null);
+
+  await signOut(work.id);
+
+  assert.equal((await getSettings(work.id)).githubToken, '');
+  assert.equal((await getSettings()).githubToken, 'ghp_personal');
+});
+
+test('refreshTokenIfNeeded leaves fresh tokens alone', async () => {
+  await signIn();
+
+  assert.deepEqual(await refreshTokenIfNeeded(), { refreshed: false, expired: false });
+  assert.equal(server.requestsTo('POST', '/login/oauth/access_token').length, 0);
+});
+
+test('refreshTokenIfNeeded refreshes tokens that are about to expire', async () => {
+  await signIn({ expiresAt: Date.now() + TOKEN_REFRESH_MARGIN_MS - 1000 });
+
+  assert.deepEqual(await refreshTokenIfNeeded(), { refreshed: true, expired: false });
+
+  const params = new URLSearchParams(server.requestsTo('POST', '/login/oauth/access_token')[0].body);
+  assert.equal(params.get('grant_type'), 'refresh_token');
+  assert.equal(params.get('refresh_token'), 'ghr_saved');
+
+  assert.equal((await getSettings()).githubToken, 'ghu_1');
+  assert.equal((await getOAuthCredentials()).refreshToken, 'ghr_1');
+});
+
+test('refreshTokenIfNeeded signs out when the refresh token has expired', async () => {
+  await signIn({ expiresAt: Date.now() - 1000, refreshTokenExpiresAt: Date.now() - 1000 });
+
+  assert.deepEqual(await refreshTokenIfNeeded(), { refreshed: false, expired: true });
+
+  const settings = await getSettings();
+  assert.equal(settings.githubToken, '');
+  assert.equal(settings.authMethod, 'pat');
+});
+
+test('refreshTokenIfNeeded signs out when an expired token cannot be refreshed', async () => {
+  await signIn({ expiresAt: Date.now() - 1000 });
+  server.state.oauth.refreshToken = 'ghr_revoked';
+
+  assert.deepEqual(await refreshTokenIfNeeded(), { refreshed: false, expired: true });
+  assert.equal((await getSettings()).githubToken, '');
+});
+
+test('concurrent refreshes of an expired token share one request and keep the account signed in', async () => {
+  await signIn({ expiresAt: Date.now() - 1000 });
+
+  const results = await Promise.all([refreshTokenIfNeeded(), refreshTokenIfNeeded(), refreshTokenIfNeeded()]);
+
+  assert.deepEqual(results, Array(3).fill({ refreshed: true, expired: false }));
+  assert.equal(server.requestsTo('POST', '/login/oauth/access_token').length, 1);
+  assert.equal((await getSettings()).githubToken, 'ghu_1');
+  assert.equal((await getSettings()).authMethod, 'oauth');
+  assert.equal((await getOAuthCredentials()).refreshToken, 'ghr_1');
+
+  // 更新が終わった後は、新しいトークンで判定する
+  assert.deepEqual(await refreshTokenIfNeeded(), { refreshed: false, expired: false });
+});
+
+test('refreshTokenIfNeeded keeps a valid token when the refresh fails', async () => {
+  await signIn({ expiresAt: Date.now() + 60 * 1000 });
+  server.state.oauth.refreshToken = 'ghr_revoked';
+
+  await assert.rejects(refreshTokenIfNeeded(), OAuthError);
+  assert.equal((await getSettings()).githubToken, 'ghu_saved');
+});
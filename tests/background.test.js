@@ -0,0 +1,1119 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo, createCodespace } from './helpers/github-server.js';
+import {
+  getSettings,
+  saveSettings as saveProfileSettings,
+  saveOAuthCredentials,
+  createProfile
+} from '../storage.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * オブジェクトから指定したキーだけを取り出す
+ * @param {Object} object - 元のオブジェクト
+ * @param {Array<string>} keys - 取り出すキー
+ * @returns {Object} 取り出したオブジェクト
+ */
+function pick(object, keys) {
+  return Object.fromEntries(keys.map(key => [key, object[key]]));
+}
+
+let chrome;
+let server;
+let restoreFetch;
+let background;
+let importCount = 0;
+
+/**
+ * 設定を保存
+ * @param {Object} overrides - 上書きする設定
+ */
+async function saveSettings(overrides = {}) {
+  await chrome.storage.local.set({
+    settings: {
+      githubToken: 'token',
+      autoStopEnabled: true,
+      maxCodespaces: 1,
+      autoStopMinutes: 30,
+      warningMinutes: 0,
+      ...overrides
+    }
+  });
+}
+
+/**
+ * 2つ目のアカウントを追加
+ * @param {Object} overrides - アカウントの設定
+ * @returns {Promise<string>} アカウントID
+ */
+async function addSecondAccount(overrides = {}) {
+  const { id } = await createProfile('仕事用');
+  await saveProfileSettings({ ...(await getSettings(id)), githubToken: 'token-b', ...overrides });
+  return id;
+}
+
+/**
+ * 最終アクセス時刻を保存
+ * @param {string} name - Codespace名
+ * @param {number} minutesAgo - 何分前にアクセスしたか
+ */
+async function setLastAccess(name, minutesAgo) {
+  await chrome.storage.local.set({ [`codespace_access_${name}`]: Date.now() - minutesAgo * MINUTE });
+}
+
+/**
+ * 常に有効なスケジュールルールを作成
+ * @param {Object} overrides - 上書きする項目
+ * @returns {Object} ルール
+ */
+function alwaysActiveRule(overrides) {
+  return { days: [0, 1, 2, 3, 4, 5, 6], startTime: '00:00', endTime: '24:00', ...overrides };
+}
+
+/**
+ * 停止済みの Codespace 名を取得
+ * @returns {Array<string>} Codespace名の配列
+ */
+function stoppedNames() {
+  return server.state.codespaces.filter(cs => cs.state === 'Shutdown').map(cs => cs.name);
+}
+
+beforeEach(async () => {
+  // バックグラウンドのログが標準出力に大量に出ると、Node 20 のテストランナーが結果を読み取れなくなることがある
+  mock.method(console, 'log', () => {});
+  chrome = installChrome();
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+  // リスナーを現在の chrome フェイクに登録するため、テストごとに読み込み直す
+  background = await import(`../background.js?test=${++importCount}`);
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  restoreFetch();
+  await server.close();
+});
+
+test('enforceMaxCodespaces stops the least recently used codespaces over the limit', async () => {
+  await saveSettings({ maxCodespaces: 2 });
+  server.state.codespaces = ['old', 'mid', 'new'].map(name => createCodespace(name));
+  await setLastAccess('old', 60);
+  await setLastAccess('mid', 20);
+  await setLastAccess('new', 1);
+
+  const stopped = await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stopped, ['old']);
+  assert.deepEqual(stoppedNames(), ['old']);
+  assert.equal(chrome.notifications.notifications.size, 1);
+});
+
+test('enforceMaxCodespaces ignores codespaces in excluded repositories', async () => {
+  await saveSettings({ maxCodespaces: 1, excludedRepos: ['owner/pinned'] });
+  server.state.codespaces = ['pinned', 'work'].map(name => createCodespace(name));
+  await setLastAccess('pinned', 90);
+  await setLastAccess('work', 1);
+
+  const stopped = await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stopped, []);
+  assert.deepEqual(stoppedNames(), []);
+});
+
+test('enforceMaxCodespaces does nothing when auto-stop is disabled', async () => {
+  await saveSettings({ autoStopEnabled: false });
+  server.state.codespaces = ['a', 'b'].map(name => createCodespace(name));
+
+  await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stoppedNames(), []);
+  assert.equal(server.state.requests.length, 0);
+});
+
+test('pinned and snoozed codespaces are neither counted nor stopped', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = ['pinned', 'snoozed', 'old', 'new'].map(name => createCodespace(name));
+  await setLastAccess('pinned', 90);
+  await setLastAccess('snoozed', 80);
+  await setLastAccess('old', 60);
+  await setLastAccess('new', 1);
+  await chrome.storage.local.set({
+    codespace_pin_pinned: true,
+    codespace_snooze_snoozed: Date.now() + 60 * MINUTE
+  });
+
+  const stopped = await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stopped, ['old']);
+  assert.deepEqual(stoppedNames(), ['old']);
+});
+
+test('enforceMaxCodespaces applies the limit to each account separately', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  await addSecondAccount({ maxCodespaces: 2 });
+  server.state.codespaces = [
+    createCodespace('a-old', { ownerToken: 'token' }),
+    createCodespace('a-new', { ownerToken: 'token' }),
+    createCodespace('b-old', { ownerToken: 'token-b' }),
+    createCodespace('b-new', { ownerToken: 'token-b' })
+  ];
+  await setLastAccess('a-old', 60);
+  await setLastAccess('a-new', 1);
+  await setLastAccess('b-old', 90);
+  await setLastAccess('b-new', 2);
+
+  const stopped = await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stopped, ['a-old']);
+  assert.deepEqual(stoppedNames(), ['a-old']);
+});
+
+test('accounts on another API host are checked against that host', async () => {
+  await saveSettings({ maxCodespaces: 1, apiBaseUrl: server.origin });
+  server.state.codespaces = ['old', 'new'].map(name => createCodespace(name));
+  await setLastAccess('old', 60);
+  await setLastAccess('new', 1);
+  // api.github.com への振り分けを外し、接続先の URL だけでサーバーに届くことを確かめる
+  restoreFetch();
+  restoreFetch = () => {};
+
+  const stopped = await background.enforceMaxCodespaces();
+
+  assert.deepEqual(stopped, ['old']);
+  assert.deepEqual(stoppedNames(), ['old']);
+});
+
+test('the periodic check stops idle codespaces in every account', async () => {
+  await saveSettings({ autoStopMinutes: 30 });
+  await addSecondAccount({ autoStopMinutes: 120 });
+  server.state.codespaces = [
+    createCodespace('a-idle', { ownerToken: 'token' }),
+    createCodespace('b-idle', { ownerToken: 'token-b' }),
+    createCodespace('b-long', { ownerToken: 'token-b' })
+  ];
+  await setLastAccess('a-idle', 60);
+  await setLastAccess('b-idle', 180);
+  await setLastAccess('b-long', 60);
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(stoppedNames().sort(), ['a-idle', 'b-idle']);
+});
+
+test('the startCodespace message frees a slot only in the target account', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  const profileId = await addSecondAccount({ maxCodespaces: 1 });
+  server.state.codespaces = [
+    createCodespace('a-running', { ownerToken: 'token' }),
+    createCodespace('b-running', { ownerToken: 'token-b' }),
+    createCodespace('b-target', { ownerToken: 'token-b', state: 'Shutdown' })
+  ];
+
+  const response = await chrome.runtime.sendMessage({ action: 'startCodespace', codespaceName: 'b-target', profileId });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.stoppedNames, ['b-running']);
+  assert.deepEqual(stoppedNames(), ['b-running']);
+  assert.equal(server.state.codespaces[2].state, 'Available');
+});
+
+test('checkAndStopInactiveCodespaces skips pinned and snoozed codespaces', async () => {
+  const settings = { githubToken: 'token', autoStopMinutes: 30 };
+  server.state.codespaces = ['pinned', 'snoozed', 'expired'].map(name => createCodespace(name));
+  for (const name of ['pinned', 'snoozed', 'expired']) {
+    await setLastAccess(name, 45);
+  }
+  await chrome.storage.local.set({
+    codespace_pin_pinned: true,
+    codespace_snooze_snoozed: Date.now() + 60 * MINUTE,
+    codespace_snooze_expired: Date.now() - MINUTE
+  });
+
+  await background.checkAndStopInactiveCodespaces(server.state.codespaces.map(cs => ({ ...cs })), settings);
+
+  assert.deepEqual(stoppedNames(), ['expired']);
+});
+
+test('the periodic check removes pins and snoozes of deleted codespaces', async () => {
+  await saveSettings({ maxCodespaces: 5 });
+  server.state.codespaces = [createCodespace('kept', { state: 'Shutdown' })];
+  await chrome.storage.local.set({
+    codespace_pin_kept: true,
+    codespace_pin_deleted: true,
+    codespace_snooze_deleted: Date.now() + 60 * MINUTE
+  });
+
+  await background.performCodespaceCheck();
+
+  const stored = await chrome.storage.local.get(null);
+  assert.equal(stored.codespace_pin_kept, true);
+  assert.equal(stored.codespace_pin_deleted, undefined);
+  assert.equal(stored.codespace_snooze_deleted, undefined);
+});
+
+test('checkAndStopInactiveCodespaces stops only codespaces idle past the threshold', async () => {
+  const settings = { githubToken: 'token', autoStopMinutes: 30 };
+  server.state.codespaces = ['idle', 'busy'].map(name => createCodespace(name));
+  await setLastAccess('idle', 45);
+  await setLastAccess('busy', 5);
+
+  await background.checkAndStopInactiveCodespaces(server.state.codespaces.map(cs => ({ ...cs })), settings);
+
+  assert.deepEqual(stoppedNames(), ['idle']);
+  const stored = await chrome.storage.local.get(['codespace_access_idle', 'codespace_access_busy']);
+  assert.equal(stored.codespace_access_idle, undefined);
+  assert.ok(stored.codespace_access_busy);
+});
+
+test('codespaces without a local record fall back to last_used_at', async () => {
+  const settings = { githubToken: 'token', autoStopMinutes: 30 };
+  server.state.codespaces = [
+    createCodespace('from-cli', { last_used_at: new Date(Date.now() - 90 * MINUTE).toISOString() }),
+    createCodespace('used-elsewhere', { last_used_at: new Date(Date.now() - 5 * MINUTE).toISOString() })
+  ];
+  // 別のマシンで使われている Codespace は、古いローカル記録より API の時刻が優先される
+  await setLastAccess('used-elsewhere', 120);
+
+  await background.checkAndStopInactiveCodespaces(server.state.codespaces.map(cs => ({ ...cs })), settings);
+
+  assert.deepEqual(stoppedNames(), ['from-cli']);
+});
+
+test('codespaces with no known access time are not auto-stopped', async () => {
+  const settings = { githubToken: 'token', autoStopMinutes: 30 };
+  server.state.codespaces = [createCodespace('unknown', { last_used_at: null })];
+
+  await background.checkAndStopInactiveCodespaces(server.state.codespaces.map(cs => ({ ...cs })), settings);
+
+  assert.deepEqual(stoppedNames(), []);
+});
+
+test('the codespaceCheck alarm runs the inactivity check', async () => {
+  await saveSettings({ maxCodespaces: 5, autoStopMinutes: 30 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 31);
+
+  await chrome.alarms.fire('codespaceCheck');
+
+  assert.deepEqual(stoppedNames(), ['idle']);
+});
+
+test('a stop-all schedule rule stops every running codespace', async () => {
+  await saveSettings({ maxCodespaces: 5, scheduleRules: [alwaysActiveRule({ name: '夜間停止', action: 'stopAll' })] });
+  server.state.codespaces = ['a', 'b', 'pinned'].map(name => createCodespace(name));
+  await setLastAccess('a', 1);
+  await setLastAccess('b', 1);
+  await chrome.storage.local.set({ codespace_pin_pinned: true });
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(stoppedNames(), ['a', 'b']);
+  const [notification] = chrome.notifications.notifications.values();
+  assert.equal(notification.message, 'owner/a (スケジュール: 夜間停止)');
+});
+
+test('an idle-timeout schedule rule replaces autoStopMinutes', async () => {
+  await saveSettings({
+    maxCodespaces: 5,
+    autoStopMinutes: 30,
+    scheduleRules: [alwaysActiveRule({ action: 'idleTimeout', autoStopMinutes: 90 })]
+  });
+  server.state.codespaces = ['short', 'long'].map(name => createCodespace(name));
+  await setLastAccess('short', 45);
+  await setLastAccess('long', 120);
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(stoppedNames(), ['long']);
+});
+
+test('a no-limits schedule rule disables enforcement and the periodic check', async () => {
+  await saveSettings({ maxCodespaces: 1, scheduleRules: [alwaysActiveRule({ action: 'noLimits' })] });
+  server.state.codespaces = ['a', 'b'].map(name => createCodespace(name));
+  await setLastAccess('a', 120);
+
+  assert.deepEqual(await background.enforceMaxCodespaces(), []);
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(stoppedNames(), []);
+});
+
+test('installing or updating migrates plain excluded repositories to exact patterns', async () => {
+  await saveSettings({ excludedRepos: ['org/app'] });
+
+  await chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+
+  const { settings } = await chrome.storage.local.get('settings');
+  assert.deepEqual(settings.profiles[0].excludedRepos, [{ type: 'exact', pattern: 'org/app' }]);
+  assert.equal((await getSettings()).githubToken, 'token');
+});
+
+test('installing or updating moves a plain-text token into encrypted storage', async () => {
+  await saveSettings({ githubToken: 'ghp_plaintext' });
+
+  await chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+
+  const { settings } = await chrome.storage.local.get('settings');
+  assert.equal(settings.githubToken, undefined);
+  assert.equal(JSON.stringify(Object.fromEntries(chrome.storage.local.data)).includes('ghp_plaintext'), false);
+  assert.equal((await getSettings()).githubToken, 'ghp_plaintext');
+});
+
+test('an invalid token during the periodic check raises a notification', async () => {
+  await saveSettings();
+  server.state.token = 'another-token';
+
+  await background.performCodespaceCheck();
+
+  const [notification] = chrome.notifications.notifications.values();
+  assert.equal(notification.title, 'One Codespace エラー');
+});
+
+test('the badge shows the number of running codespaces, even with auto-stop disabled', async () => {
+  await saveSettings({ autoStopEnabled: false });
+  server.state.codespaces = [
+    createCodespace('a'),
+    createCodespace('b'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(pick(chrome.action.badge, ['text', 'color']), { text: '2', color: '#4caf50' });
+  assert.equal(chrome.action.badge.title, 'One Codespace\n2 個のアクティブな Codespace');
+});
+
+test('the badge warns over the limit and follows stops from the popup', async () => {
+  await saveSettings({ maxCodespaces: 1, warningMinutes: 5 });
+  server.state.codespaces = ['a', 'b'].map(name => createCodespace(name));
+  await setLastAccess('a', 1);
+  await setLastAccess('b', 1);
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(pick(chrome.action.badge, ['text', 'color']), { text: '2', color: '#ff9800' });
+  assert.match(chrome.action.badge.title, /最大数を超えています: デフォルト/);
+
+  await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'a' });
+
+  assert.deepEqual(pick(chrome.action.badge, ['text', 'color']), { text: '1', color: '#4caf50' });
+});
+
+test('the badge warns when an auto-stop is close', async () => {
+  await saveSettings({ maxCodespaces: 3, autoStopMinutes: 30 });
+  server.state.codespaces = [createCodespace('soon')];
+  await setLastAccess('soon', 25);
+
+  await background.performCodespaceCheck();
+
+  assert.equal(chrome.action.badge.color, '#ff9800');
+  assert.match(chrome.action.badge.title, /まもなく自動停止されます/);
+});
+
+test('an invalid token shows an error badge and notifies only when it becomes invalid', async () => {
+  await saveSettings();
+  server.state.token = 'another-token';
+
+  await background.performCodespaceCheck();
+  await background.performCodespaceCheck();
+
+  assert.equal(chrome.notifications.notifications.size, 1);
+  assert.deepEqual(pick(chrome.action.badge, ['text', 'color']), { text: '!', color: '#f44336' });
+  assert.match(chrome.action.badge.title, /トークンが無効です: デフォルト/);
+
+  // 有効に戻った後に再び無効になった場合は通知する
+  server.state.token = 'token';
+  await background.performCodespaceCheck();
+  assert.equal(chrome.action.badge.text, '');
+
+  chrome.notifications.notifications.clear();
+  server.state.token = 'another-token';
+  await background.performCodespaceCheck();
+  assert.equal(chrome.notifications.notifications.size, 1);
+});
+
+test('activating a github.dev tab records access and enforces the limit', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = ['current', 'other'].map(name => createCodespace(name));
+  await setLastAccess('other', 10);
+
+  const tab = await chrome.tabs.create({ url: 'https://current.github.dev/' });
+  await chrome.tabs.onActivated.dispatch({ tabId: tab.id });
+
+  const stored = await chrome.storage.local.get('codespace_access_current');
+  assert.ok(Date.now() - stored.codespace_access_current < MINUTE);
+  assert.deepEqual(stoppedNames(), ['other']);
+});
+
+test('activity on a custom codespace domain is recorded', async () => {
+  await saveSettings({ maxCodespaces: 0, codespaceDomain: 'octo.ghe.com' });
+
+  const tab = await chrome.tabs.create({ url: 'https://current.octo.ghe.com/' });
+  await chrome.tabs.onActivated.dispatch({ tabId: tab.id });
+
+  const stored = await chrome.storage.local.get('codespace_access_current');
+  assert.ok(Date.now() - stored.codespace_access_current < MINUTE);
+});
+
+test('content scripts are registered for custom domains once access is granted', async () => {
+  await saveSettings({ codespaceDomain: 'octo.ghe.com' });
+  await background.syncContentScripts();
+  assert.equal(chrome.scripting.contentScripts.size, 0);
+
+  await chrome.permissions.request({ origins: ['https://*.octo.ghe.com/*'] });
+
+  const [script] = chrome.scripting.contentScripts.values();
+  assert.deepEqual(script.matches, ['https://*.octo.ghe.com/*']);
+  assert.deepEqual(script.js, ['content.js']);
+
+  await chrome.permissions.remove({ origins: ['https://*.octo.ghe.com/*'] });
+  assert.equal(chrome.scripting.contentScripts.size, 0);
+});
+
+test('activity reported by the content script records access without enforcing the limit', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = ['current', 'other'].map(name => createCodespace(name));
+  await setLastAccess('current', 120);
+
+  const response = await chrome.runtime.sendMessageFrom(
+    { tab: { url: 'https://current.github.dev/?folder=/workspaces/app' } },
+    { action: 'codespaceActivity' }
+  );
+
+  assert.equal(response.success, true);
+  const stored = await chrome.storage.local.get('codespace_access_current');
+  assert.ok(Date.now() - stored.codespace_access_current < MINUTE);
+  assert.equal(server.state.requests.length, 0);
+});
+
+test('activity is ignored while the screen is locked', async () => {
+  await saveSettings();
+  await setLastAccess('current', 120);
+  chrome.idle.state = 'locked';
+
+  await chrome.runtime.sendMessageFrom({ tab: { url: 'https://current.github.dev/' } }, { action: 'codespaceActivity' });
+  const tab = await chrome.tabs.create({ url: 'https://current.github.dev/' });
+  await chrome.tabs.onUpdated.dispatch(tab.id, { status: 'complete' }, tab);
+
+  const stored = await chrome.storage.local.get('codespace_access_current');
+  assert.ok(Date.now() - stored.codespace_access_current >= 120 * MINUTE);
+});
+
+test('the startCodespace message frees a slot before starting', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = [
+    createCodespace('running'),
+    createCodespace('target', { state: 'Shutdown' })
+  ];
+
+  const response = await chrome.runtime.sendMessage({ action: 'startCodespace', codespaceName: 'target' });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.stoppedNames, ['running']);
+  assert.deepEqual(stoppedNames(), ['running']);
+  assert.equal(server.state.codespaces[1].state, 'Available');
+
+  const [stopRequest] = server.requestsTo('POST', '/user/codespaces/running/stop');
+  const [startRequest] = server.requestsTo('POST', '/user/codespaces/target/start');
+  assert.ok(server.state.requests.indexOf(stopRequest) < server.state.requests.indexOf(startRequest));
+});
+
+test('the stopCodespace message stops and forgets the codespace', async () => {
+  await saveSettings();
+  server.state.codespaces = [createCodespace('alpha')];
+  await setLastAccess('alpha', 1);
+
+  const response = await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'alpha' });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(stoppedNames(), ['alpha']);
+  assert.deepEqual(await chrome.storage.local.get('codespace_access_alpha'), {});
+});
+
+test('the stopCodespace message can skip the notification for bulk stops', async () => {
+  await saveSettings();
+  server.state.codespaces = [createCodespace('alpha'), createCodespace('beta')];
+
+  await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'alpha', notify: false });
+  assert.equal(chrome.notifications.notifications.size, 0);
+
+  await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'beta' });
+  assert.equal(chrome.notifications.notifications.size, 1);
+  assert.deepEqual(stoppedNames(), ['alpha', 'beta']);
+});
+
+test('concurrent stopCodespace messages keep every audit and usage entry', async () => {
+  await saveSettings({ maxCodespaces: 5 });
+  const names = ['a', 'b', 'c', 'd', 'e'];
+  server.state.codespaces = names.map(name => createCodespace(name));
+  // 一覧の取得で起動時刻が記録される
+  await chrome.runtime.sendMessage({ action: 'getCodespaces' });
+
+  // ポップアップの一括停止と同じく並行して停止する（保存に時間がかかっても記録が失われない）
+  chrome.storage.local.writeDelayMs = 5;
+  await Promise.all(names.map(codespaceName =>
+    chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName, notify: false })));
+
+  const { audit_log: auditLog, usage_history: usageHistory } = await chrome.storage.local.get(['audit_log', 'usage_history']);
+  assert.deepEqual(stoppedNames(), names);
+  assert.deepEqual(auditLog.map(entry => entry.codespaceName).sort(), names);
+  assert.deepEqual(usageHistory.map(entry => entry.codespaceName).sort(), names);
+});
+
+test('the getActiveTabCodespace message names the codespace in the active tab', async () => {
+  await chrome.tabs.create({ url: 'https://alpha.github.dev/', active: false });
+  const { id } = await chrome.tabs.create({ url: 'https://github.com/', active: true });
+
+  assert.deepEqual(await chrome.runtime.sendMessage({ action: 'getActiveTabCodespace' }), { success: true, codespaceName: null });
+
+  await chrome.tabs.update(id, { url: 'https://beta.github.dev/?folder=/workspaces/beta' });
+
+  assert.deepEqual(await chrome.runtime.sendMessage({ action: 'getActiveTabCodespace' }), { success: true, codespaceName: 'beta' });
+});
+
+/**
+ * 最後に表示した通知を取得
+ * @returns {Object} 通知の内容 { title, message }
+ */
+function lastNotification() {
+  return pick([...chrome.notifications.notifications.values()].at(-1), ['title', 'message']);
+}
+
+test('the stop-all-except-current command keeps the current tab and pinned codespaces', async () => {
+  await saveSettings({ maxCodespaces: 5 });
+  server.state.codespaces = [
+    createCodespace('current'),
+    createCodespace('other'),
+    createCodespace('pinned'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+  await chrome.storage.local.set({ codespace_pin_pinned: true });
+  await chrome.tabs.create({ url: 'https://current.github.dev/', active: true });
+
+  await chrome.commands.onCommand.dispatch('stop-all-except-current');
+
+  assert.deepEqual(stoppedNames(), ['other', 'stopped']);
+  assert.equal(chrome.notifications.notifications.size, 1);
+  assert.deepEqual(lastNotification(), { title: 'One Codespace', message: '1 個の Codespace を停止しました' });
+});
+
+test('the stop-all-except-current command records every stop', async () => {
+  await saveSettings({ maxCodespaces: 5 });
+  const names = ['a', 'b', 'c', 'd'];
+  server.state.codespaces = names.map(name => createCodespace(name));
+  await chrome.runtime.sendMessage({ action: 'getCodespaces' });
+  chrome.storage.local.writeDelayMs = 5;
+
+  await chrome.commands.onCommand.dispatch('stop-all-except-current');
+
+  const { audit_log: auditLog, usage_history: usageHistory } = await chrome.storage.local.get(['audit_log', 'usage_history']);
+  assert.deepEqual(stoppedNames(), names);
+  assert.deepEqual(auditLog.map(entry => entry.codespaceName), names);
+  assert.deepEqual(usageHistory.map(entry => entry.codespaceName), names);
+  assert.deepEqual(lastNotification(), { title: 'One Codespace', message: '4 個の Codespace を停止しました' });
+});
+
+test('the switch-to-recent command opens the most recently used other codespace', async () => {
+  await saveSettings({ maxCodespaces: 3 });
+  server.state.codespaces = [
+    createCodespace('current'),
+    createCodespace('older'),
+    createCodespace('recent', { state: 'Shutdown' })
+  ];
+  await setLastAccess('current', 1);
+  await setLastAccess('older', 30);
+  await setLastAccess('recent', 10);
+  await chrome.tabs.create({ url: 'https://current.github.dev/', active: true });
+
+  await chrome.commands.onCommand.dispatch('switch-to-recent-codespace');
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Available', 'Available']);
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['https://current.github.dev/', 'https://recent.github.dev']);
+  assert.deepEqual(lastNotification(), { title: 'Codespace を起動しました', message: 'recent' });
+});
+
+test('the omnibox suggests, opens, starts and stops codespaces from one listing', async () => {
+  await saveSettings({ maxCodespaces: 2 });
+  server.state.codespaces = [
+    createCodespace('alpha', { git_status: { ref: 'main' } }),
+    createCodespace('beta', { state: 'Shutdown', git_status: { ref: 'feature/login' } })
+  ];
+
+  await chrome.omnibox.onInputStarted.dispatch();
+  assert.match(chrome.omnibox.defaultSuggestion.description, /%s/);
+
+  const suggest = async (text) => {
+    let suggestions = null;
+    await chrome.omnibox.onInputChanged.dispatch(text, result => { suggestions = result; });
+    return suggestions.map(suggestion => suggestion.content);
+  };
+  assert.deepEqual(await suggest('stop'), ['stop alpha']);
+  assert.deepEqual(await suggest('login'), ['open beta']);
+  assert.deepEqual(await suggest('start'), ['start beta']);
+  assert.equal(server.requestsTo('GET', '/user/codespaces').length, 1);
+
+  await chrome.omnibox.onInputEntered.dispatch('login', 'currentTab');
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Available']);
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['https://beta.github.dev']);
+  assert.deepEqual(lastNotification(), { title: 'Codespace を起動しました', message: 'beta' });
+
+  // 確定した後は一覧を取得し直す
+  await chrome.omnibox.onInputEntered.dispatch('stop alpha', 'currentTab');
+  assert.deepEqual(stoppedNames(), ['alpha']);
+  assert.deepEqual(lastNotification(), { title: 'Codespace を停止しました', message: 'alpha' });
+
+  await chrome.omnibox.onInputEntered.dispatch('nothing-like-this', 'currentTab');
+  assert.deepEqual(lastNotification(), { title: 'One Codespace', message: '一致する Codespace はありません' });
+});
+
+test('the omnibox opens the popup instead of stopping when the target is not clear', async () => {
+  await saveSettings({ maxCodespaces: 2 });
+  server.state.codespaces = [createCodespace('api-server'), createCodespace('api-worker')];
+
+  await chrome.omnibox.onInputStarted.dispatch();
+  await chrome.omnibox.onInputEntered.dispatch('stop', 'currentTab');
+  await chrome.omnibox.onInputEntered.dispatch('stop api', 'currentTab');
+
+  assert.equal(chrome.action.popupOpened, 2);
+  assert.deepEqual(stoppedNames(), []);
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Available']);
+
+  await chrome.omnibox.onInputEntered.dispatch('stop worker', 'currentTab');
+  assert.deepEqual(stoppedNames(), ['api-worker']);
+});
+
+test('the createCodespace message frees a slot, creates the codespace and records its start', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = [createCodespace('running')];
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'createCodespace',
+    repository: 'org/app',
+    ref: 'main',
+    machine: 'standardLinux32gb',
+    displayName: ''
+  });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.stoppedNames, ['running']);
+  assert.equal(response.data.repository.full_name, 'org/app');
+
+  const stored = await chrome.storage.local.get(null);
+  assert.ok(Date.now() - stored[`codespace_access_${response.data.name}`] < MINUTE);
+  assert.equal(stored[`codespace_start_${response.data.name}`].cpus, 4);
+});
+
+test('the deleteCodespace message deletes the codespace and finishes its run', async () => {
+  await saveSettings({ maxCodespaces: 2 });
+  server.state.codespaces = [createCodespace('alpha', { state: 'Shutdown' })];
+  await chrome.runtime.sendMessage({ action: 'startCodespace', codespaceName: 'alpha' });
+
+  const response = await chrome.runtime.sendMessage({ action: 'deleteCodespace', codespaceName: 'alpha' });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(server.state.codespaces, []);
+  const stored = await chrome.storage.local.get(null);
+  assert.equal(stored.codespace_access_alpha, undefined);
+  assert.equal(stored.codespace_start_alpha, undefined);
+  assert.equal(stored.usage_history[0].stopReason, 'manual');
+});
+
+test('the updateCodespace and getMachines messages change the machine type and display name', async () => {
+  await saveSettings();
+  server.state.codespaces = [createCodespace('alpha')];
+
+  const machines = await chrome.runtime.sendMessage({ action: 'getMachines', codespaceName: 'alpha' });
+  const renamed = await chrome.runtime.sendMessage({ action: 'updateCodespace', codespaceName: 'alpha', displayName: 'API' });
+  const changed = await chrome.runtime.sendMessage({ action: 'updateCodespace', codespaceName: 'alpha', machine: machines.data[1].name });
+  const invalid = await chrome.runtime.sendMessage({ action: 'updateCodespace', codespaceName: 'alpha', machine: 'unknown' });
+
+  assert.equal(renamed.data.display_name, 'API');
+  assert.equal(changed.data.machine.name, 'standardLinux32gb');
+  assert.equal(changed.data.pending_operation, true);
+  assert.deepEqual(pick(invalid, ['success', 'status', 'error']), { success: false, status: 422, error: 'Machine type is not available' });
+});
+
+test('the openCodespace message switches to a tab that already shows the codespace', async () => {
+  await saveSettings();
+  server.state.codespaces = [createCodespace('alpha')];
+  await chrome.tabs.create({ url: 'https://github.com/', active: true });
+  const { id } = await chrome.tabs.create({ url: 'https://alpha.github.dev/?folder=/workspaces/alpha', active: false, windowId: 2 });
+
+  const response = await chrome.runtime.sendMessage({ action: 'openCodespace', codespaceName: 'alpha' });
+
+  assert.deepEqual(pick(response, ['success', 'focusedTab', 'started']), { success: true, focusedTab: true, started: false });
+  assert.equal((await chrome.tabs.get(id)).active, true);
+  assert.equal(chrome.windows.focusedWindowId, 2);
+  assert.equal(chrome.tabs.tabs.size, 2);
+  assert.deepEqual(server.requestsTo('GET', '/user/codespaces/alpha'), []);
+});
+
+test('the openCodespace message starts a stopped codespace within the limit and opens it', async () => {
+  await saveSettings({ maxCodespaces: 1 });
+  server.state.codespaces = [
+    createCodespace('running'),
+    createCodespace('target', { state: 'Shutdown' })
+  ];
+
+  const response = await chrome.runtime.sendMessage({ action: 'openCodespace', codespaceName: 'target' });
+
+  assert.deepEqual(pick(response, ['success', 'focusedTab', 'started', 'stoppedNames']), {
+    success: true,
+    focusedTab: false,
+    started: true,
+    stoppedNames: ['running']
+  });
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Shutdown', 'Available']);
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['https://target.github.dev']);
+  assert.ok(await chrome.storage.local.get('codespace_start_target').then(result => result.codespace_start_target));
+});
+
+test('the openCodespace message opens VS Code desktop when it is the chosen editor', async () => {
+  await saveSettings({ openEditor: 'vscode' });
+  server.state.codespaces = [createCodespace('alpha')];
+  await chrome.tabs.create({ url: 'https://alpha.github.dev/', active: false });
+  const { id } = await chrome.tabs.create({ url: 'https://github.com/', active: true });
+
+  const response = await chrome.runtime.sendMessage({ action: 'openCodespace', codespaceName: 'alpha' });
+
+  assert.deepEqual(pick(response, ['success', 'focusedTab', 'started']), { success: true, focusedTab: false, started: false });
+  assert.equal((await chrome.tabs.get(id)).url, 'vscode://github.codespaces/connect?name=alpha');
+  assert.equal(chrome.tabs.tabs.size, 2);
+  assert.ok((await chrome.storage.local.get('codespace_access_alpha')).codespace_access_alpha > Date.now() - MINUTE);
+});
+
+test('start times are recorded when starting and moved to the usage history when stopping', async () => {
+  await saveSettings({ maxCodespaces: 2 });
+  server.state.codespaces = [
+    createCodespace('target', { state: 'Shutdown', machine: { name: 'standardLinux32gb', display_name: '4 cores, 16 GB RAM', cpus: 4 } })
+  ];
+
+  await chrome.runtime.sendMessage({ action: 'startCodespace', codespaceName: 'target' });
+
+  const { codespace_start_target: start } = await chrome.storage.local.get('codespace_start_target');
+  assert.equal(start.observed, false);
+  assert.ok(Date.now() - start.timestamp < MINUTE);
+  assert.equal(start.repository, 'owner/target');
+  assert.equal(start.cpus, 4);
+
+  await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'target' });
+
+  const stored = await chrome.storage.local.get(null);
+  assert.equal(stored.codespace_start_target, undefined);
+  assert.equal(stored.usage_history.length, 1);
+  assert.deepEqual(
+    pick(stored.usage_history[0], ['codespaceName', 'repository', 'machine', 'cpus', 'startedAt', 'stopReason']),
+    { codespaceName: 'target', repository: 'owner/target', machine: '4 cores, 16 GB RAM', cpus: 4, startedAt: start.timestamp, stopReason: 'manual' }
+  );
+});
+
+test('the periodic check records codespaces started elsewhere and finishes runs stopped elsewhere', async () => {
+  await saveSettings({ maxCodespaces: 5 });
+  const lastSeenAt = Date.now() - 50 * MINUTE;
+  server.state.codespaces = [
+    createCodespace('elsewhere'),
+    createCodespace('stopped', { state: 'Shutdown', last_used_at: new Date(Date.now() - 40 * MINUTE).toISOString() })
+  ];
+  await setLastAccess('elsewhere', 1);
+  await chrome.storage.local.set({
+    codespace_start_stopped: { timestamp: Date.now() - 60 * MINUTE, observed: false, lastSeenAt, idleTimeoutMinutes: 30 },
+    codespace_start_deleted: { timestamp: Date.now() - 60 * MINUTE, observed: false, lastSeenAt }
+  });
+
+  await background.performCodespaceCheck();
+
+  const stored = await chrome.storage.local.get(null);
+  assert.equal(stored.codespace_start_elsewhere.observed, true);
+  assert.equal(stored.codespace_start_elsewhere.repository, 'owner/elsewhere');
+  assert.equal(stored.codespace_start_stopped, undefined);
+  assert.equal(stored.codespace_start_deleted, undefined);
+
+  // GitHub のアイドルタイムアウト（最後に使われてから30分）で停止したと推定する
+  const runs = Object.fromEntries(stored.usage_history.map(run => [run.codespaceName, run]));
+  assert.equal(runs.stopped.stopReason, 'external');
+  assert.ok(Math.abs(runs.stopped.stoppedAt - (Date.now() - 10 * MINUTE)) < MINUTE);
+  // 削除された Codespace は最後に実行中を確認した時刻で終了する
+  assert.equal(runs.deleted.stopReason, 'external');
+  assert.equal(runs.deleted.stoppedAt, lastSeenAt);
+});
+
+test('auto-stopped runs record the time saved before the idle timeout', async () => {
+  await saveSettings({ maxCodespaces: 5, autoStopMinutes: 30 });
+  server.state.codespaces = [createCodespace('idle', { idle_timeout_minutes: 60 })];
+  await setLastAccess('idle', 45);
+  await chrome.storage.local.set({ codespace_start_idle: { timestamp: Date.now() - 120 * MINUTE, observed: false } });
+
+  await background.performCodespaceCheck();
+
+  const { usage_history: [run] } = await chrome.storage.local.get('usage_history');
+  assert.deepEqual(stoppedNames(), ['idle']);
+  assert.equal(run.stopReason, 'auto');
+  assert.equal(run.idleTimeoutMinutes, 60);
+  assert.ok(Math.abs(run.lastUsedAt + 60 * MINUTE - run.stoppedAt - 15 * MINUTE) < MINUTE);
+});
+
+test('with a warning period, auto-stop warns first and stops when the alarm fires', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5, snoozeMinutes: 30 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+
+  await background.performCodespaceCheck();
+
+  assert.deepEqual(stoppedNames(), []);
+  const warning = chrome.notifications.notifications.get('pendingStop:idle');
+  assert.equal(warning.title, 'Codespace をまもなく停止します');
+  assert.deepEqual(warning.buttons.map(button => button.title), ['実行を続ける（30分）', '今すぐ停止']);
+  const alarm = chrome.alarms.alarms.get('pendingStop:idle');
+  assert.ok(Math.abs(alarm.when - (Date.now() + 5 * MINUTE)) < MINUTE);
+
+  // 期限までは再チェックしても警告を繰り返さない
+  await background.performCodespaceCheck();
+  assert.equal(chrome.notifications.notifications.size, 1);
+
+  await chrome.alarms.fire('pendingStop:idle');
+
+  assert.deepEqual(stoppedNames(), ['idle']);
+  assert.equal(chrome.notifications.notifications.has('pendingStop:idle'), false);
+  assert.deepEqual(await chrome.storage.local.get('pending_stop_idle'), {});
+});
+
+test('each stop is written to the audit log with its trigger and the policy at the time', async () => {
+  await saveSettings({ maxCodespaces: 1, autoStopMinutes: 30 });
+  server.state.codespaces = [createCodespace('idle'), createCodespace('newer')];
+  await setLastAccess('idle', 45);
+  await setLastAccess('newer', 1);
+
+  await background.enforceMaxCodespaces();
+
+  const [entry] = (await chrome.storage.local.get('audit_log')).audit_log;
+  assert.equal(entry.codespaceName, 'idle');
+  assert.equal(entry.repository, 'owner/idle');
+  assert.equal(entry.profileId, 'default');
+  assert.equal(entry.trigger, 'maxCodespaces');
+  assert.equal(entry.detail, '最大数: 1');
+  assert.deepEqual(entry.policy, { autoStopEnabled: true, maxCodespaces: 1, autoStopMinutes: 30, warningMinutes: 0, scheduleRule: null });
+  assert.ok(Math.abs(entry.lastAccess - (Date.now() - 45 * MINUTE)) < MINUTE);
+  assert.equal(entry.result, 'stopped');
+  assert.equal(entry.warnedAt, null);
+});
+
+test('stops after a warning, from the schedule and from the popup are audited', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5 });
+  server.state.codespaces = [createCodespace('idle'), createCodespace('manual')];
+  await setLastAccess('idle', 45);
+  await setLastAccess('manual', 1);
+
+  await background.performCodespaceCheck();
+  await chrome.alarms.fire('pendingStop:idle');
+  await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'manual' });
+
+  await saveSettings({ scheduleRules: [alwaysActiveRule({ name: '夜間', action: 'stopAll' })] });
+  server.state.codespaces.push(createCodespace('night'));
+  await background.performCodespaceCheck();
+
+  const log = (await chrome.storage.local.get('audit_log')).audit_log;
+  assert.deepEqual(log.map(entry => [entry.codespaceName, entry.trigger]), [
+    ['idle', 'inactive'],
+    ['manual', 'manual'],
+    ['night', 'schedule']
+  ]);
+  assert.ok(log[0].warnedAt < log[0].timestamp);
+  assert.equal(log[0].policy.warningMinutes, 5);
+  assert.equal(log[2].policy.scheduleRule, '夜間');
+});
+
+test('failed stops are audited with the error', async () => {
+  await saveSettings();
+  server.state.codespaces = [createCodespace('alpha')];
+  server.failNext(403);
+
+  const response = await chrome.runtime.sendMessage({ action: 'stopCodespace', codespaceName: 'alpha' });
+
+  assert.equal(response.success, false);
+  const [entry] = (await chrome.storage.local.get('audit_log')).audit_log;
+  assert.equal(entry.trigger, 'manual');
+  assert.equal(entry.result, 'failed');
+  assert.ok(entry.error);
+});
+
+test('notifications use the language setting', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5, snoozeMinutes: 30, language: 'en' });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+
+  await background.performCodespaceCheck();
+
+  const warning = chrome.notifications.notifications.get('pendingStop:idle');
+  assert.equal(warning.title, 'Codespace stopping soon');
+  assert.equal(warning.message, 'owner/idle (inactive for 30 min)\nStops automatically in 5 min');
+  assert.deepEqual(warning.buttons.map(button => button.title), ['Keep running (30 min)', 'Stop now']);
+});
+
+test('Keep running snoozes auto-stop for the configured time', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5, snoozeMinutes: 60 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+  await background.performCodespaceCheck();
+
+  await chrome.notifications.onButtonClicked.dispatch('pendingStop:idle', 0);
+
+  assert.equal(chrome.alarms.alarms.has('pendingStop:idle'), false);
+  assert.equal(chrome.notifications.notifications.size, 0);
+  const { codespace_snooze_idle: snoozeUntil } = await chrome.storage.local.get('codespace_snooze_idle');
+  assert.ok(Math.abs(snoozeUntil - (Date.now() + 60 * MINUTE)) < MINUTE);
+
+  // 見送り中は警告も停止もしない
+  await background.performCodespaceCheck();
+  await chrome.alarms.fire('pendingStop:idle');
+  assert.equal(chrome.notifications.notifications.size, 0);
+  assert.deepEqual(stoppedNames(), []);
+});
+
+test('Keep running uses the settings of the account that was warned', async () => {
+  // 選択中のアカウント（work）と警告したアカウント（default）で見送る時間が異なる
+  await chrome.storage.local.set({
+    settings: {
+      snoozeMinutes: 60,
+      profiles: [{ id: 'default', name: '' }, { id: 'work', name: 'Work', snoozeMinutes: 90 }],
+      activeProfileId: 'work'
+    },
+    pending_stop_idle: { codespaceName: 'idle', profileId: 'default', warnedAt: Date.now(), deadline: Date.now() + 5 * MINUTE }
+  });
+
+  await background.keepCodespaceRunning('idle');
+
+  const { codespace_snooze_idle: snoozeUntil } = await chrome.storage.local.get('codespace_snooze_idle');
+  assert.ok(Math.abs(snoozeUntil - (Date.now() + 60 * MINUTE)) < MINUTE);
+  assert.equal((await chrome.storage.local.get('pending_stop_idle')).pending_stop_idle, undefined);
+});
+
+test('Stop now stops the codespace without waiting for the deadline', async () => {
+  await saveSettings({ maxCodespaces: 1, warningMinutes: 5 });
+  server.state.codespaces = ['old', 'new'].map(name => createCodespace(name));
+  await setLastAccess('old', 20);
+  await setLastAccess('new', 1);
+
+  assert.deepEqual(await background.enforceMaxCodespaces(), []);
+
+  await chrome.notifications.onButtonClicked.dispatch('pendingStop:old', 1);
+
+  assert.deepEqual(stoppedNames(), ['old']);
+  assert.equal(chrome.alarms.alarms.has('pendingStop:old'), false);
+  const [notification] = chrome.notifications.notifications.values();
+  assert.equal(notification.title, 'Codespace を自動停止しました');
+});
+
+test('activity in the codespace cancels a pending stop', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+  await background.performCodespaceCheck();
+
+  await chrome.runtime.sendMessageFrom({ tab: { url: 'https://idle.github.dev/' } }, { action: 'codespaceActivity' });
+  await chrome.alarms.fire('pendingStop:idle');
+
+  assert.deepEqual(stoppedNames(), []);
+  assert.equal(chrome.notifications.notifications.size, 0);
+  assert.deepEqual(await chrome.storage.local.get('pending_stop_idle'), {});
+});
+
+test('a codespace pinned or snoozed after the warning is not stopped at the deadline', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5 });
+  server.state.codespaces = [createCodespace('pinned'), createCodespace('snoozed')];
+  await setLastAccess('pinned', 45);
+  await setLastAccess('snoozed', 45);
+  await background.performCodespaceCheck();
+  assert.equal(chrome.alarms.alarms.has('pendingStop:pinned'), true);
+
+  // 保留中の自動停止が残っていても、期限の時点で固定・見送りを確認する
+  await chrome.storage.local.set({ codespace_pin_pinned: true, codespace_snooze_snoozed: Date.now() + 60 * MINUTE });
+  await chrome.alarms.fire('pendingStop:pinned');
+  await chrome.alarms.fire('pendingStop:snoozed');
+
+  assert.deepEqual(stoppedNames(), []);
+  assert.equal(server.requestsTo('POST', '/user/codespaces/pinned/stop').length, 0);
+  assert.deepEqual(await chrome.storage.local.get(['pending_stop_pinned', 'pending_stop_snoozed']), {});
+});
+
+test('the cancelPendingStop message removes the pending stop, its alarm and its warning', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+  await background.performCodespaceCheck();
+
+  const response = await chrome.runtime.sendMessage({ action: 'cancelPendingStop', codespaceName: 'idle' });
+
+  assert.equal(response.success, true);
+  assert.equal(chrome.alarms.alarms.has('pendingStop:idle'), false);
+  assert.equal(chrome.notifications.notifications.has('pendingStop:idle'), false);
+  assert.deepEqual(await chrome.storage.local.get('pending_stop_idle'), {});
+});
+
+test('a pending stop is dropped if the codespace was already stopped', async () => {
+  await saveSettings({ maxCodespaces: 5, warningMinutes: 5 });
+  server.state.codespaces = [createCodespace('idle')];
+  await setLastAccess('idle', 45);
+  await background.performCodespaceCheck();
+
+  server.state.codespaces[0].state = 'Shutdown';
+  await chrome.alarms.fire('pendingStop:idle');
+
+  assert.equal(server.requestsTo('POST', '/user/codespaces/idle/stop').length, 0);
+  assert.equal(chrome.notifications.notifications.size, 0);
+});
+
+test('the startCodespace message skips the warning period', async () => {
+  await saveSettings({ maxCodespaces: 1, warningMinutes: 5 });
+  server.state.codespaces = [
+    createCodespace('running'),
+    createCodespace('target', { state: 'Shutdown' })
+  ];
+
+  const response = await chrome.runtime.sendMessage({ action: 'startCodespace', codespaceName: 'target' });
+
+  assert.deepEqual(response.stoppedNames, ['running']);
+  assert.equal(chrome.alarms.alarms.has('pendingStop:running'), false);
+});
+
+test('unknown message actions fail', async () => {
+  const response = await chrome.runtime.sendMessage({ action: 'unknown' });
+
+  assert.equal(response.success, false);
+});
+
+test('the periodic check refreshes an expiring OAuth token before calling the API', async () => {
+  await saveSettings({ githubToken: 'ghu_old', authMethod: 'oauth', oauthClientId: 'client' });
+  await saveOAuthCredentials({
+    accessToken: 'ghu_old',
+    expiresAt: Date.now() + MINUTE,
+    refreshToken: 'ghr_old',
+    refreshTokenExpiresAt: Date.now() + 60 * MINUTE
+  });
+  server.state.oauth.refreshToken = 'ghr_old';
+  server.state.codespaces = [createCodespace('only')];
+
+  await background.performCodespaceCheck();
+
+  const [listRequest] = server.requestsTo('GET', '/user/codespaces');
+  assert.equal(listRequest.headers.authorization, 'Bearer ghu_1');
+});
+
+test('an expired OAuth sign-in asks the user to sign in again', async () => {
+  await saveSettings({ githubToken: 'ghu_old', authMethod: 'oauth', oauthClientId: 'client' });
+  await saveOAuthCredentials({
+    accessToken: 'ghu_old',
+    expiresAt: Date.now() - MINUTE,
+    refreshToken: 'ghr_old',
+    refreshTokenExpiresAt: Date.now() - MINUTE
+  });
+
+  await background.performCodespaceCheck();
+
+  const [notification] = chrome.notifications.notifications.values();
+  assert.match(notification.message, /もう一度サインイン/);
+  assert.equal(server.requestsTo('GET', '/user/codespaces').length, 0);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const CONTENT_SCRIPT = await readFile(new URL('../content.js', import.meta.url), 'utf8');
+
+let window;
+let sentMessages;
+let now;
+
+beforeEach(() => {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: 'https://example-codespace.github.dev/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+
+  window = dom.window;
+  sentMessages = [];
+  now = 1_000_000;
+
+  window.Date.now = () => now;
+  window.chrome = {
+    runtime: {
+      async sendMessage(message) {
+        sentMessages.push(message);
+        return { success: true };
+      }
+    }
+  };
+
+  window.eval(CONTENT_SCRIPT);
+});
+
+/**
+ * ページ上でイベントを発生させる
+ * @param {string} type - イベント種別
+ */
+function dispatch(type) {
+  window.document.body.dispatchEvent(new window.Event(type, { bubbles: true }));
+}
+
+test('reports activity once when the script loads', () => {
+  assert.deepEqual(sentMessages.map(message => message.action), ['codespaceActivity']);
+});
+
+test('throttles keyboard and mouse activity', () => {
+  dispatch('keydown');
+  dispatch('mousemove');
+  assert.equal(sentMessages.length, 1);
+
+  now += 60 * 1000;
+  dispatch('keydown');
+  dispatch('mousedown');
+  assert.equal(sentMessages.length, 2);
+});
+
+test('does not report activity from a hidden tab', () => {
+  now += 60 * 1000;
+  Object.defineProperty(window.document, 'visibilityState', { value: 'hidden', configurable: true });
+
+  dispatch('keydown');
+
+  assert.equal(sentMessages.length, 1);
+});
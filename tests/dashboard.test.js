@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { loadPage, waitFor } from './helpers/dom.js';
+import { getSettings } from '../storage.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let chrome;
+
+/**
+ * ダッシュボードを開き、集計の表示を待つ
+ */
+async function openDashboard() {
+  await loadPage('dashboard.html', 'dashboard.js');
+  await waitFor(() => document.getElementById('totalHours').textContent !== '');
+}
+
+/**
+ * 表の行のテキストを取得
+ * @param {string} id - tbody の ID
+ * @returns {Array<Array<string>>} 行ごとのセルのテキスト
+ */
+function tableRows(id) {
+  return [...document.querySelectorAll(`#${id} tr`)].map(row => [...row.cells].map(cell => cell.textContent));
+}
+
+beforeEach(async () => {
+  chrome = installChrome();
+  const now = Date.now();
+
+  await chrome.storage.local.set({
+    settings: { githubToken: 'token', costPerCoreHour: 0.1 },
+    usage_history: [
+      {
+        codespaceName: 'app-cs',
+        repository: 'org/app',
+        machine: '4 cores, 16 GB RAM',
+        cpus: 4,
+        startedAt: now - 3 * HOUR,
+        stoppedAt: now - HOUR,
+        stopReason: 'auto',
+        lastUsedAt: now - HOUR - 20 * MINUTE,
+        idleTimeoutMinutes: 60
+      }
+    ],
+    // 実行中の Codespace は現在時刻までを含める
+    codespace_start_api: { timestamp: now - HOUR, observed: false, repository: 'org/api', machine: null, cpus: null }
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('shows totals and breakdowns including running codespaces', async () => {
+  await openDashboard();
+
+  assert.equal(document.getElementById('costPerCoreHour').value, '0.1');
+  assert.equal(document.getElementById('totalHours').textContent, '3.0 時間');
+  assert.equal(document.getElementById('totalCost').textContent, '$1.00');
+  assert.equal(document.getElementById('savedHours').textContent, '0.7 時間');
+  assert.deepEqual(tableRows('repositoryTable'), [
+    ['org/app', '2.0 時間', '$0.80'],
+    ['org/api', '1.0 時間', '$0.20']
+  ]);
+  assert.deepEqual(tableRows('machineTable'), [
+    ['4 cores, 16 GB RAM', '2.0 時間', '$0.80'],
+    ['不明', '1.0 時間', '$0.20']
+  ]);
+  assert.equal(tableRows('dailyTable').length, 7);
+  assert.equal(document.querySelector('#periodSelect option').textContent, '過去 7 日');
+});
+
+test('saves the price per core hour and recalculates the cost', async () => {
+  await openDashboard();
+
+  const input = document.getElementById('costPerCoreHour');
+  input.value = '0.2';
+  input.dispatchEvent(new window.Event('change'));
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal((await getSettings()).costPerCoreHour, 0.2);
+  assert.equal(document.getElementById('totalCost').textContent, '$2.00');
+  assert.equal(document.querySelector('.snackbar').textContent, '料金を保存しました');
+
+  input.value = '-1';
+  input.dispatchEvent(new window.Event('change'));
+  await waitFor(() => document.querySelector('.snackbar.error'));
+
+  assert.equal((await getSettings()).costPerCoreHour, 0.2);
+  assert.equal(input.value, '0.2');
+});
+
+test('exports the runs of the period as CSV', async () => {
+  await openDashboard();
+
+  let blob;
+  let download;
+  mock.method(URL, 'createObjectURL', value => {
+    blob = value;
+    return 'blob:usage';
+  });
+  mock.method(URL, 'revokeObjectURL', () => {});
+  mock.method(window.HTMLAnchorElement.prototype, 'click', function () {
+    download = this.download;
+  });
+
+  document.getElementById('exportCsvBtn').click();
+  await waitFor(() => download);
+
+  const lines = (await blob.text()).trim().split('\r\n');
+  assert.match(download, /^one-codespace-usage-\d{4}-\d{2}-\d{2}\.csv$/);
+  assert.equal(lines.length, 3);
+  assert.match(lines[1], /^app-cs,org\/app,"4 cores, 16 GB RAM",4,.*,2\.00,8\.00,0\.80,auto,0\.67$/);
+  assert.match(lines[2], /^api,org\/api,,2,.*,running,0\.00$/);
+});
+
+test('shows the dashboard in the saved language', async () => {
+  const { settings } = await chrome.storage.local.get('settings');
+  await chrome.storage.local.set({ settings: { ...settings, language: 'en' } });
+
+  await openDashboard();
+
+  assert.equal(document.documentElement.lang, 'en');
+  assert.equal(document.querySelector('[data-i18n="usageByRepository"]').textContent, 'By repository');
+  assert.equal(document.getElementById('totalHours').textContent, '3.0 h');
+  assert.equal(tableRows('machineTable')[1][0], 'Unknown');
+});
@@ -0,0 +1,95 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { createElement, createIcon, replaceChildren } from '../dom.js';
+
+const hostile = '<img src=x onerror="globalThis.injected = true">';
+
+before(() => {
+  globalThis.document = new JSDOM('<!DOCTYPE html><body></body>').window.document;
+});
+
+test('createElement adds strings as text, never as markup', () => {
+  const element = createElement('div', {
+    className: 'item',
+    title: hostile,
+    dataset: { name: hostile },
+    attrs: { 'aria-label': hostile, 'aria-hidden': false }
+  }, hostile, 3, null, false, [createIcon('code'), [' ', 'nested']]);
+
+  assert.equal(element.className, 'item');
+  assert.equal(element.title, hostile);
+  assert.equal(element.dataset.name, hostile);
+  assert.equal(element.getAttribute('aria-label'), hostile);
+  assert.equal(element.hasAttribute('aria-hidden'), false);
+  assert.equal(element.querySelectorAll('img').length, 0);
+  assert.equal(element.textContent, `${hostile}3code nested`);
+  assert.equal(element.querySelector('.material-icons.md-18').textContent, 'code');
+});
+
+test('createElement refuses markup properties and inline handlers', () => {
+  assert.throws(() => createElement('div', { innerHTML: hostile }));
+  assert.throws(() => createElement('div', { onclick: () => {} }));
+  assert.throws(() => createElement('div', { attrs: { onerror: 'alert(1)' } }));
+
+  let clicked = 0;
+  const button = createElement('button', { on: { click: () => clicked++ } });
+  button.click();
+  assert.equal(clicked, 1);
+});
+
+test('replaceChildren swaps the content for text', () => {
+  const element = createElement('div', {}, createElement('b', {}, 'old'));
+  replaceChildren(element, hostile);
+
+  assert.equal(element.childNodes.length, 1);
+  assert.equal(element.textContent, hostile);
+
+  replaceChildren(element);
+  assert.equal(element.childNodes.length, 0);
+});
+
+test('the manifest declares a strict CSP for extension pages', async () => {
+  const manifest = JSON.parse(await readFile(new URL('../manifest.json', import.meta.url), 'utf8'));
+  const directives = Object.fromEntries(manifest.content_security_policy.extension_pages
+    .split(';')
+    .map(directive => directive.trim().split(/\s+/))
+    .map(([name, ...values]) => [name, values]));
+
+  assert.deepEqual(directives['script-src'], ["'self'"]);
+  assert.deepEqual(directives['object-src'], ["'none'"]);
+  assert.deepEqual(directives['base-uri'], ["'none'"]);
+  assert.equal(directives['default-src'].includes("'unsafe-inline'"), false);
+  assert.deepEqual(directives['style-src'], ["'self'", 'https://fonts.googleapis.com']);
+
+  // 接続先は実行時に設定されるため、アクセスは optional_host_permissions と実行時の許可で制限する
+  const connectSources = directives['connect-src'];
+  const allowsConnection = url => connectSources.some(source => {
+    const { protocol, host } = new URL(url);
+    return source === protocol || source === `${protocol}//${host.replace(/:\d+$/, '')}:*`;
+  });
+  for (const url of [
+    'https://api.github.com/user',
+    'https://github.com/login/device/code',
+    'https://api.tenant.ghe.com/user',
+    'https://ghe.example.com/api/v3/user',
+    'http://localhost:3000/user',
+    'http://127.0.0.1:8080/user'
+  ]) {
+    assert.ok(allowsConnection(url), url);
+  }
+  assert.equal(allowsConnection('http://ghe.example.com/api/v3/user'), false);
+  assert.deepEqual(manifest.optional_host_permissions, ['https://*/*', 'http://localhost/*', 'http://127.0.0.1/*']);
+});
+
+test('extension pages have no inline styles or scripts', async () => {
+  for (const page of ['popup.html', 'options.html', 'dashboard.html', 'manage.html']) {
+    const html = await readFile(new URL(`../${page}`, import.meta.url), 'utf8');
+    const { document } = new JSDOM(html).window;
+
+    assert.equal(document.querySelectorAll('style, [style]').length, 0, page);
+    assert.equal(document.querySelectorAll('script:not([src])').length, 0, page);
+  }
+});
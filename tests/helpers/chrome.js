@@ -0,0 +1,370 @@
+/**
+ * テスト用の chrome.* API フェイク
+ * ストレージ・アラーム・タブ・通知・ツールバーのバッジ・アイドル状態・メッセージング・権限・コンテンツスクリプトの登録をメモリ上で再現する
+ */
+
+import { readFile } from 'node:fs/promises';
+
+import { createIndexedDBFake } from './indexeddb.js';
+
+// chrome.runtime.getURL が返す URL の接頭辞と、それに対応する拡張機能のルートディレクトリ
+const EXTENSION_ORIGIN = 'chrome-extension://test/';
+const EXTENSION_ROOT_URL = new URL('../../', import.meta.url);
+
+const nativeFetch = globalThis.fetch;
+
+/**
+ * 拡張機能内のファイル（_locales のメッセージなど）をディスクから返す fetch
+ * それ以外の URL は元の fetch に渡す
+ * @param {string|URL} input - URL
+ * @param {Object} init - fetch のオプション
+ * @returns {Promise<Response>} レスポンス
+ */
+async function extensionFetch(input, init) {
+  const url = String(input);
+  if (!url.startsWith(EXTENSION_ORIGIN)) {
+    return nativeFetch(input, init);
+  }
+
+  try {
+    const body = await readFile(new URL(url.slice(EXTENSION_ORIGIN.length), EXTENSION_ROOT_URL));
+    return new Response(body, { status: 200 });
+  } catch (error) {
+    return new Response(null, { status: 404 });
+  }
+}
+
+/**
+ * chrome.events.Event 相当のイベントを作成
+ * @returns {Object} addListener / removeListener / hasListener / dispatch を持つイベント
+ */
+export function createEvent() {
+  const listeners = [];
+
+  return {
+    listeners,
+    addListener(listener) {
+      listeners.push(listener);
+    },
+    removeListener(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener(listener) {
+      return listeners.includes(listener);
+    },
+    /**
+     * リスナーを呼び出し、非同期リスナーの完了を待つ
+     * @param {...any} args - リスナーに渡す引数
+     * @returns {Promise<Array>} 各リスナーの戻り値
+     */
+    async dispatch(...args) {
+      return Promise.all(listeners.map(listener => listener(...args)));
+    }
+  };
+}
+
+/**
+ * chrome.storage の StorageArea 相当を作成
+ * @returns {Object} get / set / remove / clear を持つストレージ領域
+ */
+export function createStorageArea() {
+  const data = new Map();
+  const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+  const area = {
+    data,
+    // 保存にかかる時間（ミリ秒）。並行した更新が互いの保存を上書きしないことの確認用
+    writeDelayMs: 0,
+    async get(keys) {
+      const result = {};
+
+      if (keys === null || keys === undefined) {
+        for (const [key, value] of data) {
+          result[key] = clone(value);
+        }
+      } else if (typeof keys === 'string') {
+        if (data.has(keys)) {
+          result[keys] = clone(data.get(keys));
+        }
+      } else if (Array.isArray(keys)) {
+        for (const key of keys) {
+          if (data.has(key)) {
+            result[key] = clone(data.get(key));
+          }
+        }
+      } else {
+        for (const [key, defaultValue] of Object.entries(keys)) {
+          result[key] = data.has(key) ? clone(data.get(key)) : defaultValue;
+        }
+      }
+
+      return result;
+    },
+    async set(items) {
+      if (area.writeDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, area.writeDelayMs));
+      }
+      for (const [key, value] of Object.entries(items)) {
+        data.set(key, clone(value));
+      }
+    },
+    async remove(keys) {
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        data.delete(key);
+      }
+    },
+    async clear() {
+      data.clear();
+    }
+  };
+
+  return area;
+}
+
+/**
+ * chrome.* API のフェイクを作成
+ * @returns {Object} chrome オブジェクト相当
+ */
+export function createChromeFake() {
+  const alarms = new Map();
+  const tabs = new Map();
+  const notifications = new Map();
+  const grantedOrigins = new Set();
+  const contentScripts = new Map();
+  let nextTabId = 1;
+  let nextNotificationId = 1;
+
+  const chrome = {
+    storage: {
+      local: createStorageArea(),
+      session: createStorageArea()
+    },
+
+    alarms: {
+      alarms,
+      async create(name, info) {
+        alarms.set(name, { name, ...info });
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+      async get(name) {
+        return alarms.get(name);
+      },
+      async getAll() {
+        return [...alarms.values()];
+      },
+      onAlarm: createEvent(),
+      /**
+       * アラームを発火させる（テスト用）
+       * @param {string} name - アラーム名
+       */
+      async fire(name) {
+        await chrome.alarms.onAlarm.dispatch(alarms.get(name) || { name });
+      }
+    },
+
+    tabs: {
+      tabs,
+      async get(tabId) {
+        if (!tabs.has(tabId)) {
+          throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return { ...tabs.get(tabId) };
+      },
+      async query(queryInfo = {}) {
+        // ウィンドウは 1 つとして扱う
+        const { currentWindow, lastFocusedWindow, ...conditions } = queryInfo;
+        return [...tabs.values()].filter(tab => {
+          return Object.entries(conditions).every(([key, value]) => tab[key] === value);
+        });
+      },
+      async create(properties) {
+        const tab = { id: nextTabId++, active: true, ...properties };
+        tabs.set(tab.id, tab);
+        return { ...tab };
+      },
+      async update(tabId, properties) {
+        const tab = { ...tabs.get(tabId), ...properties };
+        tabs.set(tabId, tab);
+        return { ...tab };
+      },
+      onActivated: createEvent(),
+      onUpdated: createEvent()
+    },
+
+    windows: {
+      focusedWindowId: null,
+      async update(windowId, properties) {
+        if (properties.focused) {
+          chrome.windows.focusedWindowId = windowId;
+        }
+        return { id: windowId, ...properties };
+      }
+    },
+
+    notifications: {
+      notifications,
+      async create(idOrOptions, maybeOptions) {
+        const id = typeof idOrOptions === 'string' ? idOrOptions : `notification-${nextNotificationId++}`;
+        const options = typeof idOrOptions === 'string' ? maybeOptions : idOrOptions;
+        notifications.set(id, options);
+        return id;
+      },
+      async clear(id) {
+        return notifications.delete(id);
+      },
+      onClicked: createEvent(),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent()
+    },
+
+    action: {
+      // 現在のバッジの表示
+      badge: { text: '', color: null, title: '' },
+      async setBadgeText({ text }) {
+        chrome.action.badge.text = text;
+      },
+      async setBadgeBackgroundColor({ color }) {
+        chrome.action.badge.color = color;
+      },
+      async setTitle({ title }) {
+        chrome.action.badge.title = title;
+      },
+      // ポップアップを開いた回数
+      popupOpened: 0,
+      async openPopup() {
+        chrome.action.popupOpened++;
+      }
+    },
+
+    commands: {
+      onCommand: createEvent()
+    },
+
+    omnibox: {
+      // 設定された既定の候補
+      defaultSuggestion: null,
+      setDefaultSuggestion(suggestion) {
+        chrome.omnibox.defaultSuggestion = suggestion;
+      },
+      onInputStarted: createEvent(),
+      onInputChanged: createEvent(),
+      onInputEntered: createEvent(),
+      onInputCancelled: createEvent()
+    },
+
+    idle: {
+      state: 'active',
+      setDetectionInterval() {},
+      async queryState() {
+        return chrome.idle.state;
+      },
+      onStateChanged: createEvent()
+    },
+
+    permissions: {
+      grantedOrigins,
+      // request に応じるかどうか（ユーザーが許可ダイアログで選ぶ操作の再現用）
+      grantRequests: true,
+      async contains({ origins = [] }) {
+        return origins.every(origin => grantedOrigins.has(origin));
+      },
+      async request({ origins = [] }) {
+        if (!chrome.permissions.grantRequests) {
+          return false;
+        }
+        const added = origins.filter(origin => !grantedOrigins.has(origin));
+        added.forEach(origin => grantedOrigins.add(origin));
+        if (added.length > 0) {
+          await chrome.permissions.onAdded.dispatch({ origins: added });
+        }
+        return true;
+      },
+      async remove({ origins = [] }) {
+        origins.forEach(origin => grantedOrigins.delete(origin));
+        await chrome.permissions.onRemoved.dispatch({ origins });
+        return true;
+      },
+      onAdded: createEvent(),
+      onRemoved: createEvent()
+    },
+
+    scripting: {
+      contentScripts,
+      async registerContentScripts(scripts) {
+        for (const script of scripts) {
+          if (contentScripts.has(script.id)) {
+            throw new Error(`Duplicate script ID '${script.id}'`);
+          }
+          contentScripts.set(script.id, structuredClone(script));
+        }
+      },
+      async unregisterContentScripts({ ids } = {}) {
+        for (const id of ids || [...contentScripts.keys()]) {
+          contentScripts.delete(id);
+        }
+      },
+      async getRegisteredContentScripts({ ids } = {}) {
+        return [...contentScripts.values()].filter(script => !ids || ids.includes(script.id));
+      }
+    },
+
+    runtime: {
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      openOptionsPage() {},
+      getURL(path) {
+        return `${EXTENSION_ORIGIN}${path}`;
+      },
+      /**
+       * onMessage リスナーにメッセージを送り、sendResponse の値を返す
+       * @param {Object} message - メッセージ
+       * @returns {Promise<any>} 応答
+       */
+      sendMessage(message) {
+        return chrome.runtime.sendMessageFrom({}, message);
+      },
+      /**
+       * 送信元を指定してメッセージを送る（コンテンツスクリプトからの送信の再現用）
+       * @param {Object} sender - 送信元（例: { tab }）
+       * @param {Object} message - メッセージ
+       * @returns {Promise<any>} 応答
+       */
+      sendMessageFrom(sender, message) {
+        return new Promise((resolve, reject) => {
+          const listeners = chrome.runtime.onMessage.listeners;
+
+          if (listeners.length === 0) {
+            reject(new Error('Could not establish connection. Receiving end does not exist.'));
+            return;
+          }
+
+          for (const listener of listeners) {
+            listener(message, sender, resolve);
+          }
+        });
+      }
+    }
+  };
+
+  return chrome;
+}
+
+/**
+ * chrome フェイクをグローバルに設定
+ * @returns {Object} 設定した chrome オブジェクト
+ */
+export function installChrome() {
+  const chrome = createChromeFake();
+  globalThis.chrome = chrome;
+  // トークンの暗号化に使う端末の鍵は IndexedDB に保存される
+  globalThis.indexedDB = createIndexedDBFake();
+  // chrome.runtime.getURL の URL を fetch で読み込めるようにする
+  globalThis.fetch = extensionFetch;
+  return chrome;
+}
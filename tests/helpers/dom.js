@@ -0,0 +1,47 @@
+/**
+ * テスト用の DOM ヘルパー
+ * 拡張機能の HTML を jsdom で読み込み、ページのスクリプトを実行する
+ */
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const ROOT_URL = new URL('../../', import.meta.url);
+let importCount = 0;
+
+/**
+ * 拡張機能のページを読み込み、スクリプトを実行して DOMContentLoaded を発火する
+ * スクリプトはテストごとに新しいモジュールとして読み込まれる
+ * @param {string} htmlFile - HTML ファイル名（例: 'popup.html'）
+ * @param {string} scriptFile - スクリプトファイル名（例: 'popup.js'）
+ * @returns {Promise<JSDOM>} 読み込んだページ
+ */
+export async function loadPage(htmlFile, scriptFile) {
+  const html = await readFile(new URL(htmlFile, ROOT_URL), 'utf8');
+  const dom = new JSDOM(html, { url: `chrome-extension://test/${htmlFile}` });
+
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+
+  await import(new URL(`${scriptFile}?test=${++importCount}`, ROOT_URL).href);
+  document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+
+  return dom;
+}
+
+/**
+ * 条件を満たすまで待機
+ * @param {Function} predicate - 条件
+ * @param {number} timeout - タイムアウト（ミリ秒）
+ * @returns {Promise<void>}
+ */
+export async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+
+  while (!(await predicate())) {
+    if (Date.now() > deadline) {
+      throw new Error('waitFor: 条件を満たしませんでした');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
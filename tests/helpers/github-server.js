@@ -0,0 +1,360 @@
+/**
+ * テスト用の GitHub API スタブサーバー
+ * /user/codespaces・/repos/{owner}/{repo}/codespaces 周辺のエンドポイントと、github.com/login のデバイスフローをローカルの HTTP サーバーで再現する
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+
+const GITHUB_API_BASE_URL = 'https://api.github.com';
+const GITHUB_LOGIN_BASE_URL = 'https://github.com/login';
+const DEFAULT_PER_PAGE = 30;
+
+// リポジトリ・Codespace で選べるマシンタイプ
+const DEFAULT_MACHINES = [
+  { name: 'basicLinux32gb', display_name: '2 cores, 8 GB RAM, 32 GB storage', cpus: 2 },
+  { name: 'standardLinux32gb', display_name: '4 cores, 16 GB RAM, 32 GB storage', cpus: 4 }
+];
+
+/**
+ * テスト用の Codespace オブジェクトを作成
+ * @param {string} name - Codespace名
+ * @param {Object} overrides - 上書きするプロパティ
+ * @returns {Object} Codespace
+ */
+export function createCodespace(name, overrides = {}) {
+  return {
+    name,
+    display_name: name,
+    state: 'Available',
+    created_at: '2025-01-01T00:00:00Z',
+    last_used_at: '2025-01-01T00:00:00Z',
+    repository: { full_name: `owner/${name}` },
+    web_url: `https://${name}.github.dev`,
+    ...overrides
+  };
+}
+
+/**
+ * スタブサーバーを起動
+ * @param {Object} options - オプション
+ * @param {Array} options.codespaces - 初期状態の Codespace
+ * @param {string} options.token - 受け付けるトークン（省略時はすべて受け付ける）
+ * @param {string|null} options.scopes - X-OAuth-Scopes ヘッダーの値（null の場合は fine-grained トークンとしてヘッダーを返さない）
+ * @param {boolean} options.codespacesAccess - Codespaces の権限があるか（fine-grained トークン用）
+ * @returns {Promise<Object>} サーバー操作用オブジェクト
+ */
+export async function startGitHubServer({ codespaces = [], token = null, scopes = 'codespace', codespacesAccess = true } = {}) {
+  const state = {
+    codespaces: codespaces.map(cs => ({ ...cs })),
+    requests: [],
+    failures: [],
+    token,
+    scopes,
+    codespacesAccess,
+    machines: DEFAULT_MACHINES.map(machine => ({ ...machine })),
+    oauth: {
+      // アクセストークンのポーリングに順に返すエラー（例: 'authorization_pending'）
+      pollErrors: [],
+      expiresIn: 28800,
+      refreshTokenExpiresIn: 15897600,
+      issued: 0,
+      refreshToken: null
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, GITHUB_API_BASE_URL);
+    const body = await readBody(req);
+    state.requests.push({ method: req.method, path: url.pathname, search: url.search, headers: req.headers, body });
+
+    // 失敗の予約があれば優先して返す
+    const failure = state.failures.shift();
+    if (failure) {
+      res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+      res.end(JSON.stringify({ message: failure.message || `stub failure ${failure.status}` }));
+      return;
+    }
+
+    if (url.pathname.startsWith('/login/')) {
+      handleLoginRequest(state, req, res, url, new URLSearchParams(body));
+      return;
+    }
+
+    if (state.token && req.headers.authorization !== `Bearer ${state.token}`) {
+      sendJSON(res, 401, { message: 'Bad credentials' });
+      return;
+    }
+
+    handleRequest(state, req, res, url, body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    state,
+    origin,
+    /**
+     * 次のリクエストを指定のステータスで失敗させる
+     * @param {number} status - HTTP ステータス
+     * @param {Object} headers - レスポンスヘッダー
+     */
+    failNext(status, headers = {}) {
+      state.failures.push({ status, headers });
+    },
+    /**
+     * 指定したメソッドとパスへのリクエストを取得
+     * @param {string} method - HTTP メソッド
+     * @param {string} path - パス
+     * @returns {Array} リクエストの配列
+     */
+    requestsTo(method, path) {
+      return state.requests.filter(request => request.method === method && request.path === path);
+    },
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * リクエストを処理
+ * @param {Object} state - サーバーの状態
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {URL} url - リクエスト URL
+ * @param {string} body - リクエストボディ
+ */
+function handleRequest(state, req, res, url, body) {
+  if (req.method === 'GET' && url.pathname === '/user') {
+    sendJSON(res, 200, { login: 'octocat' }, state.scopes === null ? {} : { 'X-OAuth-Scopes': state.scopes });
+    return;
+  }
+
+  const hasCodespaceAccess = state.scopes === null
+    ? state.codespacesAccess
+    : state.scopes.split(',').map(scope => scope.trim()).includes('codespace');
+  if (url.pathname.startsWith('/user/codespaces') && !hasCodespaceAccess) {
+    sendJSON(res, 403, { message: 'Resource not accessible by personal access token' });
+    return;
+  }
+
+  // ownerToken を指定した Codespace はそのトークンのアカウントにのみ見える（複数アカウント用）
+  const codespaces = state.codespaces.filter(cs => !cs.ownerToken || req.headers.authorization === `Bearer ${cs.ownerToken}`);
+
+  if (req.method === 'GET' && url.pathname === '/user/codespaces') {
+    const perPage = parseInt(url.searchParams.get('per_page')) || DEFAULT_PER_PAGE;
+    const page = parseInt(url.searchParams.get('page')) || 1;
+    const items = codespaces.slice((page - 1) * perPage, page * perPage);
+    const body = JSON.stringify({ total_count: codespaces.length, codespaces: items });
+    const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+
+    const headers = { ETag: etag };
+    if (page * perPage < codespaces.length) {
+      headers.Link = `<${GITHUB_API_BASE_URL}/user/codespaces?per_page=${perPage}&page=${page + 1}>; rel="next"`;
+    }
+
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+    res.end(body);
+    return;
+  }
+
+  const actionMatch = url.pathname.match(/^\/user\/codespaces\/([^/]+)\/(start|stop)$/);
+  if (req.method === 'POST' && actionMatch) {
+    const codespace = codespaces.find(cs => cs.name === actionMatch[1]);
+    if (!codespace) {
+      sendJSON(res, 404, { message: 'Not Found' });
+      return;
+    }
+
+    codespace.state = actionMatch[2] === 'start' ? 'Available' : 'Shutdown';
+    sendJSON(res, 200, codespace);
+    return;
+  }
+
+  const machinesMatch = url.pathname.match(/^\/user\/codespaces\/([^/]+)\/machines$/);
+  if (req.method === 'GET' && machinesMatch) {
+    const codespace = codespaces.find(cs => cs.name === machinesMatch[1]);
+    sendJSON(res, codespace ? 200 : 404, codespace ? { total_count: state.machines.length, machines: state.machines } : { message: 'Not Found' });
+    return;
+  }
+
+  const detailMatch = url.pathname.match(/^\/user\/codespaces\/([^/]+)$/);
+  if (detailMatch) {
+    const codespace = codespaces.find(cs => cs.name === detailMatch[1]);
+    if (!codespace) {
+      sendJSON(res, 404, { message: 'Not Found' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendJSON(res, 200, codespace);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      state.codespaces.splice(state.codespaces.indexOf(codespace), 1);
+      sendJSON(res, 202, {});
+      return;
+    }
+
+    if (req.method === 'PATCH') {
+      const changes = JSON.parse(body || '{}');
+      if (changes.display_name !== undefined) {
+        codespace.display_name = changes.display_name;
+      }
+      if (changes.machine !== undefined) {
+        const machine = state.machines.find(m => m.name === changes.machine);
+        if (!machine) {
+          sendJSON(res, 422, { message: 'Machine type is not available' });
+          return;
+        }
+        // 実行中の場合は次に起動したときに反映される
+        codespace.pending_operation = codespace.state === 'Available';
+        codespace.machine = machine;
+      }
+      sendJSON(res, 200, codespace);
+      return;
+    }
+  }
+
+  const repoMachinesMatch = url.pathname.match(/^\/repos\/([^/]+\/[^/]+)\/codespaces\/machines$/);
+  if (req.method === 'GET' && repoMachinesMatch) {
+    sendJSON(res, 200, { total_count: state.machines.length, machines: state.machines });
+    return;
+  }
+
+  const createMatch = url.pathname.match(/^\/repos\/([^/]+\/[^/]+)\/codespaces$/);
+  if (req.method === 'POST' && createMatch) {
+    const options = JSON.parse(body || '{}');
+    const machine = options.machine ? state.machines.find(m => m.name === options.machine) : state.machines[0];
+    if (!machine) {
+      sendJSON(res, 422, { message: 'Machine type is not available' });
+      return;
+    }
+
+    const name = `${createMatch[1].split('/')[1]}-${state.codespaces.length + 1}`;
+    const codespace = createCodespace(name, {
+      display_name: options.display_name || name,
+      state: 'Starting',
+      repository: { full_name: createMatch[1] },
+      git_status: { ref: options.ref || 'main' },
+      machine
+    });
+    state.codespaces.push(codespace);
+    sendJSON(res, 201, codespace);
+    return;
+  }
+
+  sendJSON(res, 404, { message: 'Not Found' });
+}
+
+/**
+ * github.com/login のデバイスフローのリクエストを処理
+ * GitHub と同じく、認可待ちなどのエラーもステータス 200 で返す
+ * @param {Object} state - サーバーの状態
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {URL} url - リクエスト URL
+ * @param {URLSearchParams} params - フォームパラメータ
+ */
+function handleLoginRequest(state, req, res, url, params) {
+  if (req.method === 'POST' && url.pathname === '/login/device/code') {
+    sendJSON(res, 200, {
+      device_code: 'device-code',
+      user_code: 'ABCD-1234',
+      verification_uri: 'https://github.com/login/device',
+      expires_in: 900,
+      // テストで待たないよう間隔は 0 秒
+      interval: 0
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/login/oauth/access_token') {
+    const grantType = params.get('grant_type');
+
+    if (grantType === 'refresh_token' && params.get('refresh_token') !== state.oauth.refreshToken) {
+      sendJSON(res, 200, { error: 'bad_refresh_token', error_description: 'The refresh token passed is incorrect or expired.' });
+      return;
+    }
+
+    const pollError = grantType === 'refresh_token' ? null : state.oauth.pollErrors.shift();
+    if (pollError) {
+      // slow_down では新しい間隔が返される（テストで待たないよう 0 秒）
+      sendJSON(res, 200, pollError === 'slow_down' ? { error: pollError, interval: 0 } : { error: pollError });
+      return;
+    }
+
+    state.oauth.issued++;
+    state.oauth.refreshToken = `ghr_${state.oauth.issued}`;
+    sendJSON(res, 200, {
+      access_token: `ghu_${state.oauth.issued}`,
+      token_type: 'bearer',
+      scope: '',
+      expires_in: state.oauth.expiresIn,
+      refresh_token: state.oauth.refreshToken,
+      refresh_token_expires_in: state.oauth.refreshTokenExpiresIn
+    });
+    return;
+  }
+
+  sendJSON(res, 404, { message: 'Not Found' });
+}
+
+/**
+ * リクエストボディを読み込む
+ * @param {http.IncomingMessage} req - リクエスト
+ * @returns {Promise<string>} ボディ
+ */
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body;
+}
+
+/**
+ * JSON レスポンスを送信
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {number} status - HTTP ステータス
+ * @param {Object} data - レスポンスボディ
+ * @param {Object} headers - 追加のヘッダー
+ */
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * api.github.com と github.com/login へのリクエストをスタブサーバーに向ける fetch をグローバルに設定
+ * @param {Object} server - startGitHubServer の戻り値
+ * @returns {Function} 元の fetch に戻す関数
+ */
+export function routeFetchTo(server) {
+  const originalFetch = globalThis.fetch;
+
+  globalThis.fetch = (input, init) => {
+    const url = String(input);
+    let routed = url;
+    if (url.startsWith(GITHUB_API_BASE_URL)) {
+      routed = server.origin + url.slice(GITHUB_API_BASE_URL.length);
+    } else if (url.startsWith(GITHUB_LOGIN_BASE_URL)) {
+      routed = `${server.origin}/login${url.slice(GITHUB_LOGIN_BASE_URL.length)}`;
+    }
+    return originalFetch(routed, init);
+  };
+
+  return () => {
+    globalThis.fetch = originalFetch;
+  };
+}
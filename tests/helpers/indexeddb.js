@@ -0,0 +1,77 @@
+/**
+ * テスト用の IndexedDB フェイク
+ * encryption.js が端末の鍵を保存するのに使う最小限の API（open / get / put）をメモリ上で再現する
+ */
+
+/**
+ * IDBRequest 相当のリクエストを作成し、次のマイクロタスクで結果を通知する
+ * @param {Function} execute - 結果を返す関数
+ * @returns {Object} onsuccess / onerror を設定できるリクエスト
+ */
+function createRequest(execute) {
+  const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+
+  queueMicrotask(() => {
+    try {
+      request.result = execute(request);
+      request.onsuccess?.({ target: request });
+    } catch (error) {
+      request.error = error;
+      request.onerror?.({ target: request });
+    }
+  });
+
+  return request;
+}
+
+/**
+ * IDBDatabase 相当のデータベースを作成
+ * @returns {Object} データベース
+ */
+function createDatabase() {
+  const stores = new Map();
+
+  return {
+    stores,
+    createObjectStore(name) {
+      stores.set(name, new Map());
+    },
+    transaction(storeName) {
+      return {
+        objectStore(name = storeName) {
+          const store = stores.get(name);
+          return {
+            get: key => createRequest(() => store.get(key)),
+            put: (value, key) => createRequest(() => {
+              store.set(key, value);
+              return key;
+            })
+          };
+        }
+      };
+    }
+  };
+}
+
+/**
+ * indexedDB のフェイクを作成
+ * @returns {Object} indexedDB 相当のオブジェクト
+ */
+export function createIndexedDBFake() {
+  const databases = new Map();
+
+  return {
+    databases,
+    open(name) {
+      return createRequest(req => {
+        if (!databases.has(name)) {
+          const db = createDatabase();
+          databases.set(name, db);
+          req.result = db;
+          req.onupgradeneeded?.({ target: req });
+        }
+        return databases.get(name);
+      });
+    }
+  };
+}
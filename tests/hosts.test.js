@@ -0,0 +1,74 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import {
+  normalizeApiBaseUrl,
+  normalizeCodespaceDomain,
+  getLoginBaseUrl,
+  getCodespaceNameFromUrl,
+  getVSCodeUrl,
+  getRequiredHostOrigins
+} from '../hosts.js';
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+test('normalizeApiBaseUrl defaults to github.com and trims trailing slashes', () => {
+  assert.equal(normalizeApiBaseUrl(''), 'https://api.github.com');
+  assert.equal(normalizeApiBaseUrl(' https://ghe.example.com/api/v3/ '), 'https://ghe.example.com/api/v3');
+  assert.equal(normalizeApiBaseUrl('https://API.Octo.ghe.com'), 'https://api.octo.ghe.com');
+  assert.equal(normalizeApiBaseUrl('http://localhost:3000'), 'http://localhost:3000');
+});
+
+test('normalizeApiBaseUrl rejects insecure and malformed URLs', () => {
+  assert.throws(() => normalizeApiBaseUrl('ghe.example.com'), /API の URL が不正です/);
+  assert.throws(() => normalizeApiBaseUrl('http://ghe.example.com/api/v3'), /https:\/\//);
+  assert.throws(() => normalizeApiBaseUrl('https://ghe.example.com/api/v3?x=1'), /クエリやフラグメント/);
+});
+
+test('normalizeCodespaceDomain accepts bare and wildcard domains', () => {
+  assert.equal(normalizeCodespaceDomain(''), 'github.dev');
+  assert.equal(normalizeCodespaceDomain(' *.Octo.GHE.com '), 'octo.ghe.com');
+  assert.throws(() => normalizeCodespaceDomain('localhost'), /Codespace のドメインが不正です/);
+  assert.throws(() => normalizeCodespaceDomain('https://github.dev'), /Codespace のドメインが不正です/);
+});
+
+test('getLoginBaseUrl derives the OAuth host from the API URL', () => {
+  assert.equal(getLoginBaseUrl('https://api.github.com'), 'https://github.com/login');
+  assert.equal(getLoginBaseUrl('https://api.octo.ghe.com'), 'https://octo.ghe.com/login');
+  assert.equal(getLoginBaseUrl('https://ghe.example.com/api/v3'), 'https://ghe.example.com/login');
+  assert.equal(getLoginBaseUrl('http://localhost:3000'), 'http://localhost:3000/login');
+});
+
+test('getCodespaceNameFromUrl matches any configured domain', () => {
+  const domains = ['github.dev', 'octo.ghe.com'];
+
+  assert.equal(getCodespaceNameFromUrl('https://fluffy-space.github.dev/?folder=/workspaces/app', domains), 'fluffy-space');
+  assert.equal(getCodespaceNameFromUrl('https://work-space.octo.ghe.com/', domains), 'work-space');
+  assert.equal(getCodespaceNameFromUrl('https://fluffy-space-3000.app.github.dev/', domains), null);
+  assert.equal(getCodespaceNameFromUrl('http://fluffy-space.github.dev/', domains), null);
+  assert.equal(getCodespaceNameFromUrl('https://github.com/', domains), null);
+  assert.equal(getCodespaceNameFromUrl(undefined, domains), null);
+});
+
+test('getRequiredHostOrigins lists only hosts missing from the manifest', () => {
+  assert.deepEqual(getRequiredHostOrigins({ apiBaseUrl: 'https://api.github.com', codespaceDomain: 'github.dev' }), []);
+  assert.deepEqual(getRequiredHostOrigins({ apiBaseUrl: 'https://ghe.example.com/api/v3', codespaceDomain: 'github.dev' }), [
+    'https://ghe.example.com/*'
+  ]);
+  assert.deepEqual(getRequiredHostOrigins({ apiBaseUrl: 'https://api.octo.ghe.com', codespaceDomain: 'octo.ghe.com' }), [
+    'https://api.octo.ghe.com/*',
+    'https://octo.ghe.com/*',
+    'https://*.octo.ghe.com/*'
+  ]);
+});
+
+test('getVSCodeUrl builds the URL handled by the Codespaces extension', () => {
+  assert.equal(getVSCodeUrl('octo-app-abc123'), 'vscode://github.codespaces/connect?name=octo-app-abc123');
+  assert.equal(getVSCodeUrl('a&b'), 'vscode://github.codespaces/connect?name=a%26b');
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage, getLanguage, t, tPlural, localizePage } from '../i18n.js';
+
+/**
+ * 言語のメッセージを読み込む
+ * @param {string} language - 言語
+ * @returns {Promise<Object>} messages.json の内容
+ */
+async function readCatalog(language) {
+  return JSON.parse(await readFile(new URL(`../_locales/${language}/messages.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * 複数形の接尾辞を除いたメッセージ名の一覧
+ * @param {Object} catalog - messages.json の内容
+ * @returns {Array<string>} メッセージ名の配列
+ */
+function baseKeys(catalog) {
+  return [...new Set(Object.keys(catalog).map(key => key.replace(/_(zero|one|two|few|many|other)$/, '')))].sort();
+}
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('both catalogs define the same messages with the same placeholders', async () => {
+  const ja = await readCatalog('ja');
+  const en = await readCatalog('en');
+
+  assert.deepEqual(baseKeys(en), baseKeys(ja));
+
+  for (const [key, entry] of Object.entries(ja)) {
+    const english = en[key] || en[key.replace(/_other$/, '_one')];
+    assert.deepEqual(Object.keys(english.placeholders || {}).sort(), Object.keys(entry.placeholders || {}).sort(), key);
+  }
+});
+
+test('t fills in placeholders in the selected language', async () => {
+  assert.equal(await setLanguage('en'), 'en');
+  assert.equal(t('accountAdded', 'Work'), 'Added account "Work"');
+
+  await setLanguage('ja');
+  assert.equal(getLanguage(), 'ja');
+  assert.equal(t('accountAdded', 'Work'), 'アカウント「Work」を追加しました');
+  assert.equal(t('scheduleStatusNamed', ['週末', '土日']), 'スケジュール: 週末（土日）');
+});
+
+test('tPlural picks the plural form of the language', async () => {
+  await setLanguage('en');
+  assert.equal(tPlural('codespaceCount', 1), '1 codespace');
+  assert.equal(tPlural('codespaceCount', 0), '0 codespaces');
+  assert.equal(tPlural('relativeHours', 2), '2 hours ago');
+
+  // 日本語は数によって形が変わらないため _other のみ
+  await setLanguage('ja');
+  assert.equal(tPlural('codespaceCount', 1), '1 個の Codespace');
+});
+
+test('unsupported languages fall back to Japanese and unknown messages to their name', async () => {
+  assert.equal(await setLanguage('fr'), 'ja');
+  assert.equal(t('save'), '保存');
+  assert.equal(t('noSuchMessage'), 'noSuchMessage');
+});
+
+test('localizePage replaces text and attributes marked with data-i18n', async () => {
+  const { window } = new JSDOM(`
+    <button data-i18n="save" data-i18n-title="refresh">保存</button>
+    <input data-i18n-placeholder="passphrase" data-i18n-aria-label="passphrase">
+  `);
+
+  await setLanguage('en');
+  localizePage(window.document);
+
+  const button = window.document.querySelector('button');
+  assert.equal(window.document.documentElement.lang, 'en');
+  assert.equal(button.textContent, 'Save');
+  assert.equal(button.title, 'Refresh');
+  assert.equal(window.document.querySelector('input').placeholder, 'Passphrase');
+  assert.equal(window.document.querySelector('input').getAttribute('aria-label'), 'Passphrase');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SORT_ORDERS, GROUP_BY, matchesCodespaceQuery, sortCodespaces, groupCodespaces, applyListView } from '../listview.js';
+
+/**
+ * 一覧に表示する Codespace を作成
+ * @param {string} name - 名前
+ * @param {Object} overrides - 上書きする値
+ * @returns {Object} Codespace オブジェクト
+ */
+function listed(name, overrides = {}) {
+  return {
+    name,
+    display_name: name,
+    state: 'Available',
+    repository: { full_name: `org/${name}` },
+    git_status: { ref: 'main' },
+    lastAccess: { timestamp: null, source: 'none' },
+    start: null,
+    ...overrides
+  };
+}
+
+const codespaces = [
+  listed('web', { state: 'Shutdown', lastAccess: { timestamp: 300, source: 'api' }, machine: { cpus: 8, memory_in_bytes: 32 } }),
+  listed('api', { lastAccess: { timestamp: 100, source: 'local' }, start: { timestamp: 50 }, machine: { cpus: 2, memory_in_bytes: 8 } }),
+  listed('docs', { repository: { full_name: 'other/docs' }, git_status: { ref: 'feature/search' }, start: { timestamp: 10 } }),
+  listed('app', { lastAccess: { timestamp: 200, source: 'local' }, machine: { cpus: 4, memory_in_bytes: 16 } })
+];
+
+const names = list => list.map(cs => cs.name);
+
+test('matchesCodespaceQuery searches name, display name, repository and branch', () => {
+  assert.equal(matchesCodespaceQuery(codespaces[2], 'FEATURE'), true);
+  assert.equal(matchesCodespaceQuery(codespaces[2], 'other/'), true);
+  assert.equal(matchesCodespaceQuery(listed('x', { display_name: '会議用' }), '会議'), true);
+  assert.equal(matchesCodespaceQuery(codespaces[2], 'docs search'), true);
+  assert.equal(matchesCodespaceQuery(codespaces[2], 'docs main'), false);
+  assert.equal(matchesCodespaceQuery(codespaces[0], '  '), true);
+});
+
+test('sortCodespaces keeps running codespaces first by default and sorts by each order', () => {
+  assert.deepEqual(names(sortCodespaces(codespaces)), ['api', 'docs', 'app', 'web']);
+  assert.deepEqual(names(sortCodespaces(codespaces, SORT_ORDERS.LAST_ACCESS)), ['web', 'app', 'api', 'docs']);
+  assert.deepEqual(names(sortCodespaces(codespaces, SORT_ORDERS.UPTIME)), ['docs', 'api', 'app', 'web']);
+  assert.deepEqual(names(sortCodespaces(codespaces, SORT_ORDERS.REPOSITORY)), ['api', 'app', 'web', 'docs']);
+  assert.deepEqual(names(sortCodespaces(codespaces, SORT_ORDERS.MACHINE)), ['web', 'app', 'api', 'docs']);
+  assert.deepEqual(names(codespaces), ['web', 'api', 'docs', 'app']);
+});
+
+test('groupCodespaces groups by repository or owner in order of appearance', () => {
+  const sorted = sortCodespaces(codespaces);
+
+  assert.deepEqual(groupCodespaces(sorted, GROUP_BY.NONE), [{ key: null, codespaces: sorted }]);
+  assert.deepEqual(
+    groupCodespaces(sorted, GROUP_BY.OWNER).map(group => [group.key, names(group.codespaces)]),
+    [['org', ['api', 'app', 'web']], ['other', ['docs']]]
+  );
+  assert.deepEqual(
+    groupCodespaces([...sorted, listed('lost', { repository: null })], GROUP_BY.REPOSITORY).map(group => group.key),
+    ['org/api', 'other/docs', 'org/app', 'org/web', '']
+  );
+});
+
+test('applyListView filters before sorting and grouping', () => {
+  const groups = applyListView(codespaces, { query: 'org', sort: SORT_ORDERS.LAST_ACCESS, groupBy: GROUP_BY.OWNER });
+
+  assert.deepEqual(groups.map(group => [group.key, names(group.codespaces)]), [['org', ['web', 'app', 'api']]]);
+  assert.deepEqual(applyListView(codespaces, { query: 'nothing' }), []);
+});
@@ -0,0 +1,180 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo, createCodespace } from './helpers/github-server.js';
+import { loadPage, waitFor } from './helpers/dom.js';
+import { getSettings, saveSettings, createProfile } from '../storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let chrome;
+let server;
+let restoreFetch;
+let importCount = 0;
+
+/**
+ * 管理画面を開き、一覧の表示を待つ
+ */
+async function openManagePage() {
+  await loadPage('manage.html', 'manage.js');
+  await waitFor(() => document.querySelector('#codespaceTable tr'));
+}
+
+/**
+ * 一覧の Codespace 名を取得
+ * @returns {Array<string>} Codespace名の配列
+ */
+function listedNames() {
+  return [...document.querySelectorAll('.codespace-row')].map(row => row.dataset.name);
+}
+
+/**
+ * Codespace の行の操作ボタンを押す
+ * @param {string} name - Codespace名
+ * @param {string} className - ボタンのクラス名
+ */
+function clickRowButton(name, className) {
+  document.querySelector(`.codespace-row[data-name="${name}"] .${className}`).click();
+}
+
+beforeEach(async () => {
+  // バックグラウンドのログが標準出力に大量に出ると、Node 20 のテストランナーが結果を読み取れなくなることがある
+  mock.method(console, 'log', () => {});
+  chrome = installChrome();
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+  await import(`../background.js?test=${++importCount}`);
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2 } });
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  restoreFetch();
+  await server.close();
+});
+
+test('lists codespaces with their machine and marks the ones unused for a long time', async () => {
+  server.state.codespaces = [
+    createCodespace('old', {
+      state: 'Shutdown',
+      last_used_at: new Date(Date.now() - 45 * DAY).toISOString(),
+      machine: { name: 'basicLinux32gb', display_name: '2 cores, 8 GB RAM, 32 GB storage' }
+    }),
+    createCodespace('recent', { last_used_at: new Date().toISOString(), git_status: { ref: 'main' } })
+  ];
+
+  await openManagePage();
+
+  assert.deepEqual(listedNames(), ['recent', 'old']);
+  const [recent, old] = document.querySelectorAll('.codespace-row');
+  assert.equal(recent.cells[1].textContent, 'owner/recentmain');
+  assert.equal(recent.cells[2].textContent, '不明');
+  assert.equal(recent.querySelector('.stale-chip'), null);
+  assert.equal(old.cells[2].textContent, '2 cores, 8 GB RAM, 32 GB storage');
+  assert.equal(old.cells[3].textContent, '停止中');
+  assert.equal(old.querySelector('.stale-chip').textContent, '30 日以上未使用');
+});
+
+test('creates a codespace with the machine type loaded for the repository', async () => {
+  await openManagePage();
+
+  const repository = document.getElementById('createRepository');
+  repository.value = 'org/app';
+  repository.dispatchEvent(new window.Event('change'));
+  await waitFor(() => document.getElementById('createMachine').options.length === 3);
+
+  document.getElementById('createMachine').value = 'standardLinux32gb';
+  document.getElementById('createRef').value = 'develop';
+  document.getElementById('createDisplayName').value = 'App';
+  document.getElementById('createBtn').click();
+  await waitFor(() => document.querySelector('.snackbar.success'));
+
+  const [request] = server.requestsTo('POST', '/repos/org/app/codespaces');
+  assert.deepEqual(JSON.parse(request.body), { ref: 'develop', machine: 'standardLinux32gb', display_name: 'App' });
+  assert.equal(document.querySelector('.snackbar').textContent, 'App を作成しました');
+  assert.deepEqual(listedNames(), ['app-1']);
+});
+
+test('refuses to create a codespace without owner/repository', async () => {
+  await openManagePage();
+
+  document.getElementById('createRepository').value = 'app';
+  document.getElementById('createBtn').click();
+  await waitFor(() => document.querySelector('.snackbar.error'));
+
+  assert.equal(document.querySelector('.snackbar').textContent, 'リポジトリは owner/repository の形式で入力してください');
+  assert.equal(server.requestsTo('POST', '/repos/app/codespaces').length, 0);
+});
+
+test('renames a codespace and changes its machine type', async () => {
+  server.state.codespaces = [createCodespace('alpha', { machine: { name: 'basicLinux32gb', display_name: '2 cores' } })];
+  await openManagePage();
+
+  clickRowButton('alpha', 'rename-btn');
+  document.querySelector('.rename-input').value = 'API server';
+  document.querySelector('.panel-save-btn').click();
+  await waitFor(() => document.querySelector('.codespace-display-name')?.textContent === 'API server');
+
+  clickRowButton('alpha', 'machine-btn');
+  await waitFor(() => !document.querySelector('.machine-select')?.disabled);
+  assert.equal(document.querySelector('.machine-select').value, 'basicLinux32gb');
+  document.querySelector('.machine-select').value = 'standardLinux32gb';
+  document.querySelector('.panel-save-btn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === 'マシンタイプを変更しました');
+
+  assert.match(document.querySelector('.codespace-machine').textContent, /^4 cores, 16 GB RAM, 32 GB storage次回の起動時に変更されます$/);
+  assert.equal(document.querySelector('.manage-panel'), null);
+});
+
+test('deletes a codespace only after confirmation', async () => {
+  server.state.codespaces = [createCodespace('alpha'), createCodespace('beta')];
+  await openManagePage();
+
+  clickRowButton('alpha', 'delete-btn');
+  assert.match(document.querySelector('.delete-warning').textContent, /^alpha を削除しますか？/);
+  document.querySelector('.panel-cancel-btn').click();
+  assert.equal(document.querySelector('.manage-panel'), null);
+  assert.equal(server.state.codespaces.length, 2);
+
+  clickRowButton('alpha', 'delete-btn');
+  document.querySelector('.panel-confirm-delete-btn').click();
+  await waitFor(() => document.querySelector('.snackbar.success'));
+
+  assert.deepEqual(listedNames(), ['beta']);
+  assert.deepEqual(server.state.codespaces.map(cs => cs.name), ['beta']);
+});
+
+test('shows API errors with the same handling as the popup', async () => {
+  server.state.codespaces = [createCodespace('alpha')];
+  await openManagePage();
+
+  server.failNext(403);
+  clickRowButton('alpha', 'delete-btn');
+  document.querySelector('.panel-confirm-delete-btn').click();
+  await waitFor(() => document.querySelector('.snackbar.error'));
+
+  assert.equal(document.querySelector('.snackbar').textContent, 'アクセスが拒否されました。トークンのスコープを確認してください。');
+  assert.equal(document.querySelector('.panel-confirm-delete-btn').disabled, false);
+  assert.equal(server.state.codespaces.length, 1);
+});
+
+test('the account switcher manages another account without changing the active one', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'token-b' });
+  server.state.codespaces = [
+    createCodespace('personal', { ownerToken: 'token' }),
+    createCodespace('work', { ownerToken: 'token-b' })
+  ];
+  await openManagePage();
+
+  const select = document.getElementById('profileSelect');
+  assert.equal(select.classList.contains('hidden'), false);
+  assert.deepEqual(listedNames(), ['personal']);
+
+  select.value = work.id;
+  select.dispatchEvent(new window.Event('change'));
+  await waitFor(() => listedNames()[0] === 'work');
+
+  assert.notEqual((await getSettings()).profileId, work.id);
+});
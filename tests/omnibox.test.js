@@ -0,0 +1,111 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  OMNIBOX_ACTIONS,
+  MAX_SUGGESTIONS,
+  parseOmniboxInput,
+  fuzzyScore,
+  rankCodespaces,
+  canApplyOmniboxAction,
+  suggestCodespaces,
+  resolveOmniboxInput
+} from '../omnibox.js';
+import { setLanguage } from '../i18n.js';
+import { installChrome } from './helpers/chrome.js';
+
+/**
+ * アドレスバーで検索する Codespace を作成
+ * @param {string} name - 名前
+ * @param {Object} overrides - 上書きする値
+ * @returns {Object} Codespace オブジェクト
+ */
+function listed(name, overrides = {}) {
+  return {
+    name,
+    display_name: name,
+    state: 'Available',
+    repository: { full_name: `org/${name}` },
+    git_status: { ref: 'main' },
+    ...overrides
+  };
+}
+
+const codespaces = [
+  listed('web-app', { state: 'Shutdown' }),
+  listed('api-server', { git_status: { ref: 'feature/login' } }),
+  listed('docs', { repository: { full_name: 'other/handbook' } })
+];
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+test('the first word chooses the action and the rest is the query', () => {
+  assert.deepEqual(parseOmniboxInput('  api main '), { action: OMNIBOX_ACTIONS.OPEN, query: 'api main' });
+  assert.deepEqual(parseOmniboxInput('Stop api'), { action: OMNIBOX_ACTIONS.STOP, query: 'api' });
+  assert.deepEqual(parseOmniboxInput('start'), { action: OMNIBOX_ACTIONS.START, query: '' });
+  assert.deepEqual(parseOmniboxInput(''), { action: OMNIBOX_ACTIONS.OPEN, query: '' });
+});
+
+test('fuzzy matching needs the characters in order and favours runs and word starts', () => {
+  assert.equal(fuzzyScore('org/api-server', 'xyz'), null);
+  assert.equal(fuzzyScore('org/api-server', 'ipa'), null);
+  assert.ok(fuzzyScore('org/api-server', 'ASV') !== null);
+  assert.ok(fuzzyScore('org/api-server', 'api') > fuzzyScore('org/api-server', 'asr'));
+  assert.ok(fuzzyScore('org/api-server', 'ser') > fuzzyScore('org/api-server', 'erv'));
+});
+
+test('codespaces are ranked by repository, branch, display name and name', () => {
+  assert.deepEqual(rankCodespaces(codespaces, 'login').map(cs => cs.name), ['api-server']);
+  assert.deepEqual(rankCodespaces(codespaces, 'handbk').map(cs => cs.name), ['docs']);
+  assert.deepEqual(rankCodespaces(codespaces, 'wa').map(cs => cs.name), ['web-app']);
+  assert.deepEqual(rankCodespaces(codespaces, 'org').map(cs => cs.name), ['web-app', 'api-server']);
+  assert.deepEqual(rankCodespaces(codespaces, 'org main').map(cs => cs.name), ['web-app']);
+  assert.deepEqual(rankCodespaces(codespaces, '').map(cs => cs.name), ['web-app', 'api-server', 'docs']);
+  assert.deepEqual(rankCodespaces(codespaces, 'api login nope'), []);
+});
+
+test('start only applies to stopped codespaces and stop only to running ones', () => {
+  assert.equal(canApplyOmniboxAction(OMNIBOX_ACTIONS.OPEN, codespaces[0]), true);
+  assert.equal(canApplyOmniboxAction(OMNIBOX_ACTIONS.START, codespaces[0]), true);
+  assert.equal(canApplyOmniboxAction(OMNIBOX_ACTIONS.STOP, codespaces[0]), false);
+  assert.equal(canApplyOmniboxAction(OMNIBOX_ACTIONS.START, codespaces[1]), false);
+  assert.equal(canApplyOmniboxAction(OMNIBOX_ACTIONS.STOP, codespaces[1]), true);
+});
+
+test('suggestions carry the action and name, with escaped descriptions', () => {
+  const hostile = listed('hostile', { display_name: '<b>&"demo"</b>' });
+
+  assert.deepEqual(suggestCodespaces([...codespaces, hostile], 'stop hostile'), [{
+    content: 'stop hostile',
+    description: '停止: &lt;b&gt;&amp;&quot;demo&quot;&lt;/b&gt; <dim>org/hostile · main · アクティブ</dim>'
+  }]);
+  assert.deepEqual(suggestCodespaces(codespaces, 'start').map(suggestion => suggestion.content), ['start web-app']);
+
+  const many = Array.from({ length: MAX_SUGGESTIONS + 2 }, (_, index) => listed(`cs-${index}`));
+  assert.equal(suggestCodespaces(many, 'cs').length, MAX_SUGGESTIONS);
+});
+
+test('an entered suggestion targets its codespace, typed text targets the best match', () => {
+  assert.deepEqual(resolveOmniboxInput(codespaces, 'open docs'), { action: OMNIBOX_ACTIONS.OPEN, codespace: codespaces[2], ambiguous: false });
+  assert.deepEqual(resolveOmniboxInput(codespaces, 'login'), { action: OMNIBOX_ACTIONS.OPEN, codespace: codespaces[1], ambiguous: false });
+  assert.deepEqual(resolveOmniboxInput(codespaces, 'stop web'), { action: OMNIBOX_ACTIONS.STOP, codespace: null, ambiguous: false });
+  assert.deepEqual(resolveOmniboxInput(codespaces, 'stop login'), { action: OMNIBOX_ACTIONS.STOP, codespace: codespaces[1], ambiguous: false });
+});
+
+test('start and stop need an exact name or a query with a single match', () => {
+  const running = [listed('api-server'), listed('api-worker'), listed('docs')];
+
+  assert.deepEqual(resolveOmniboxInput(running, 'stop'), { action: OMNIBOX_ACTIONS.STOP, codespace: null, ambiguous: true });
+  assert.deepEqual(resolveOmniboxInput(running, 'stop api'), { action: OMNIBOX_ACTIONS.STOP, codespace: null, ambiguous: true });
+  assert.deepEqual(resolveOmniboxInput(running, 'stop api-worker'), { action: OMNIBOX_ACTIONS.STOP, codespace: running[1], ambiguous: false });
+  assert.deepEqual(resolveOmniboxInput(running, 'stop wrk'), { action: OMNIBOX_ACTIONS.STOP, codespace: running[1], ambiguous: false });
+  assert.deepEqual(resolveOmniboxInput([listed('web-app', { state: 'Shutdown' })], 'start'), {
+    action: OMNIBOX_ACTIONS.START,
+    codespace: null,
+    ambiguous: true
+  });
+});
@@ -0,0 +1,459 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo, createCodespace } from './helpers/github-server.js';
+import { loadPage, waitFor } from './helpers/dom.js';
+import { getSettings, saveSettings } from '../storage.js';
+
+let chrome;
+let server;
+let restoreFetch;
+let importCount = 0;
+
+/**
+ * 設定画面を開き、設定の読み込み完了を待つ
+ */
+async function openOptions() {
+  await loadPage('options.html', 'options.js');
+  await waitFor(() => document.getElementById('chipsDisplay').childNodes.length > 0);
+}
+
+/**
+ * 保存済みの設定を取得
+ * @returns {Promise<Object>} 設定
+ */
+async function storedSettings() {
+  // トークンは設定とは別に暗号化して保存されるため、storage.js を通して読み込む
+  return getSettings();
+}
+
+beforeEach(async () => {
+  // バックグラウンドのログが標準出力に大量に出ると、Node 20 のテストランナーが結果を読み取れなくなることがある
+  mock.method(console, 'log', () => {});
+  chrome = installChrome();
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  restoreFetch();
+  await server.close();
+});
+
+test('loads the saved settings into the form', async () => {
+  await chrome.storage.local.set({
+    settings: { githubToken: 'saved-token', maxCodespaces: 3, autoStopMinutes: 45, excludedRepos: ['org/app'] }
+  });
+
+  await openOptions();
+
+  assert.equal(document.getElementById('githubToken').value, 'saved-token');
+  assert.equal(document.getElementById('maxCodespaces').value, '3');
+  assert.equal(document.getElementById('autoStopMinutesValue').textContent, '45 分');
+  assert.deepEqual([...document.querySelectorAll('.chip-pattern')].map(el => el.textContent), ['org/app']);
+  assert.equal(document.querySelector('.chip').dataset.type, 'exact');
+});
+
+test('saves the edited settings', async () => {
+  await openOptions();
+
+  document.getElementById('githubToken').value = ' new-token ';
+  document.getElementById('maxCodespaces').value = '2';
+  document.getElementById('autoStopEnabled').checked = false;
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  const settings = await storedSettings();
+  assert.equal(settings.githubToken, 'new-token');
+  assert.equal(settings.maxCodespaces, 2);
+  assert.equal(settings.autoStopEnabled, false);
+  assert.equal(document.querySelector('.snackbar').textContent, '設定を保存しました');
+});
+
+test('switches the page to the saved language', async () => {
+  await chrome.storage.local.set({ settings: { githubToken: 'token', excludedRepos: [{ type: 'owner', pattern: 'org/*' }] } });
+  await openOptions();
+
+  assert.equal(document.getElementById('language').value, 'ja');
+  assert.equal(document.querySelector('[data-i18n="sectionAuth"]').textContent, 'GitHub 認証');
+
+  document.getElementById('language').value = 'en';
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal((await storedSettings()).language, 'en');
+  assert.equal(document.documentElement.lang, 'en');
+  assert.equal(document.querySelector('.snackbar').textContent, 'Settings saved');
+  assert.equal(document.querySelector('[data-i18n="sectionAuth"]').textContent, 'GitHub authentication');
+  assert.equal(document.getElementById('autoStopMinutesValue').textContent, '30 min');
+  assert.equal(document.querySelector('.chip-type').textContent, 'Owner');
+  assert.match(document.getElementById('saveBtn').textContent, /Save/);
+});
+
+test('rejects excluded repositories that are not owner/repository', async () => {
+  await openOptions();
+
+  document.getElementById('repoInput').value = 'no-slash';
+  document.getElementById('addRepoBtn').click();
+
+  assert.equal(document.querySelector('.snackbar').className, 'snackbar error');
+  assert.equal(document.querySelectorAll('.chip').length, 0);
+
+  document.getElementById('repoInput').value = 'org/app';
+  document.getElementById('addRepoBtn').click();
+
+  assert.equal(document.querySelectorAll('.chip').length, 1);
+  assert.equal(document.getElementById('repoInput').value, '');
+});
+
+test('previews which codespaces an exclusion pattern matches', async () => {
+  server.state.codespaces = ['app', 'app-legacy', 'site'].map(name => createCodespace(name, { repository: { full_name: `org/${name}` } }));
+  await chrome.storage.local.set({ settings: { githubToken: 'token', excludedRepos: ['org/app'] } });
+  await import(`../background.js?options=${++importCount}`);
+
+  await openOptions();
+  await waitFor(() => document.querySelector('.chip-count')?.textContent === '1');
+
+  const input = document.getElementById('repoInput');
+  input.value = 'org/app*';
+  input.dispatchEvent(new window.Event('input'));
+  assert.equal(document.getElementById('repoPatternPreview').textContent, 'グロブ: org/app, org/app-legacy に一致');
+
+  input.value = '/[/';
+  input.dispatchEvent(new window.Event('input'));
+  assert.equal(document.getElementById('repoPatternPreview').className, 'pattern-preview error');
+
+  input.value = 'org/*';
+  document.getElementById('addRepoBtn').click();
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  const settings = await storedSettings();
+  assert.deepEqual(settings.excludedRepos, [
+    { type: 'exact', pattern: 'org/app' },
+    { type: 'owner', pattern: 'org/*' }
+  ]);
+  assert.deepEqual([...document.querySelectorAll('.chip-count')].map(el => el.textContent), ['1', '3']);
+});
+
+test('validates the token against the API', async () => {
+  await openOptions();
+
+  document.getElementById('githubToken').value = 'token';
+  document.getElementById('validateTokenBtn').click();
+  await waitFor(() => !document.getElementById('tokenStatus').classList.contains('hidden'));
+
+  assert.equal(document.getElementById('tokenStatus').className, 'token-status valid');
+  assert.match(document.getElementById('tokenStatus').textContent, /トークンは有効です/);
+});
+
+test('validates fine-grained tokens by their Codespaces access', async () => {
+  server.state.scopes = null;
+  server.state.codespacesAccess = false;
+  await openOptions();
+
+  document.getElementById('githubToken').value = 'github_pat_token';
+  document.getElementById('validateTokenBtn').click();
+  await waitFor(() => !document.getElementById('tokenStatus').classList.contains('hidden'));
+
+  assert.equal(document.getElementById('tokenStatus').className, 'token-status invalid');
+  assert.match(document.getElementById('tokenStatus').textContent, /Codespaces の権限が必要です/);
+});
+
+test('hostile repository patterns, rule names and error messages are shown as text', async () => {
+  const hostile = '<img src=x onerror="globalThis.injected = true">';
+  await chrome.storage.local.set({
+    settings: {
+      githubToken: 'token',
+      excludedRepos: [{ type: 'exact', pattern: `org/${hostile}` }],
+      scheduleRules: [{ name: hostile, days: [1], startTime: '09:00', endTime: '18:00', action: 'noLimits' }]
+    }
+  });
+  await openOptions();
+
+  assert.equal(document.querySelector('.chip-pattern').textContent, `org/${hostile}`);
+  assert.equal(document.querySelector('.schedule-rule-name').textContent, hostile);
+
+  mock.method(globalThis, 'fetch', async () => {
+    throw new Error(hostile);
+  });
+  document.getElementById('githubToken').value = 'token';
+  document.getElementById('validateTokenBtn').click();
+  await waitFor(() => !document.getElementById('tokenStatus').classList.contains('hidden'));
+
+  assert.match(document.getElementById('tokenStatus').textContent, /<img src=x/);
+  assert.equal(document.querySelectorAll('#chipsDisplay img, #scheduleRuleList img, #tokenStatus img').length, 0);
+  assert.equal(globalThis.injected, undefined);
+});
+
+test('asks for host access before saving a custom connection', async () => {
+  await openOptions();
+
+  document.getElementById('apiBaseUrl').value = 'https://ghe.example.com/api/v3/';
+  document.getElementById('codespaceDomain').value = 'ghe.example.com';
+  chrome.permissions.grantRequests = false;
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(document.querySelector('.snackbar').className, 'snackbar error');
+  assert.equal((await storedSettings()).apiBaseUrl, 'https://api.github.com');
+
+  chrome.permissions.grantRequests = true;
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === '設定を保存しました');
+
+  const settings = await storedSettings();
+  assert.equal(settings.apiBaseUrl, 'https://ghe.example.com/api/v3');
+  assert.equal(settings.codespaceDomain, 'ghe.example.com');
+  assert.deepEqual([...chrome.permissions.grantedOrigins], ['https://ghe.example.com/*', 'https://*.ghe.example.com/*']);
+});
+
+test('asks for host access before importing a custom connection', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'saved-token' });
+  await openOptions();
+
+  const input = document.getElementById('importFile');
+  const importFile = data => {
+    Object.defineProperty(input, 'files', { configurable: true, value: [{ text: async () => JSON.stringify(data) }] });
+    input.dispatchEvent(new window.Event('change'));
+  };
+
+  chrome.permissions.grantRequests = false;
+  importFile({ apiBaseUrl: 'https://ghe.example.com/api/v3', codespaceDomain: 'ghe.example.com' });
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(document.querySelector('.snackbar').className, 'snackbar error');
+  assert.equal((await storedSettings()).apiBaseUrl, 'https://api.github.com');
+  assert.equal((await storedSettings()).githubToken, 'saved-token');
+
+  chrome.permissions.grantRequests = true;
+  importFile({ apiBaseUrl: 'https://ghe.example.com/api/v3', codespaceDomain: 'ghe.example.com' });
+  await waitFor(() => document.querySelector('.snackbar')?.className === 'snackbar success');
+
+  assert.match(document.querySelector('.snackbar').textContent, /トークンを削除しました: デフォルト/);
+  const settings = await storedSettings();
+  assert.equal(settings.apiBaseUrl, 'https://ghe.example.com/api/v3');
+  assert.equal(settings.githubToken, '');
+  assert.deepEqual([...chrome.permissions.grantedOrigins], ['https://ghe.example.com/*', 'https://*.ghe.example.com/*']);
+});
+
+test('rejects an API URL that is not https', async () => {
+  await openOptions();
+
+  document.getElementById('apiBaseUrl').value = 'http://ghe.example.com/api/v3';
+  document.getElementById('saveBtn').click();
+
+  await waitFor(() => document.querySelector('.snackbar'));
+  assert.equal(document.querySelector('.snackbar').className, 'snackbar error');
+  assert.match(document.querySelector('.snackbar').textContent, /https:\/\//);
+});
+
+test('signs in with the device flow and keeps the token when saving', async () => {
+  await openOptions();
+
+  document.getElementById('oauthClientId').value = 'client';
+  document.getElementById('signInBtn').click();
+  await waitFor(() => !document.getElementById('oauthStatus').classList.contains('hidden'));
+
+  assert.equal(document.getElementById('patSection').classList.contains('hidden'), true);
+  assert.equal([...chrome.tabs.tabs.values()][0].url, 'https://github.com/login/device');
+
+  let settings = await storedSettings();
+  assert.equal(settings.githubToken, 'ghu_1');
+  assert.equal(settings.authMethod, 'oauth');
+  assert.equal(settings.oauthClientId, 'client');
+
+  // バックグラウンドでトークンが更新されていても、保存で古いトークンに戻さない
+  await saveSettings({ ...settings, githubToken: 'ghu_2' });
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent.includes('設定を保存しました'));
+
+  settings = await storedSettings();
+  assert.equal(settings.githubToken, 'ghu_2');
+  assert.equal(settings.authMethod, 'oauth');
+
+  document.getElementById('signOutBtn').click();
+  await waitFor(() => !document.getElementById('patSection').classList.contains('hidden'));
+
+  settings = await storedSettings();
+  assert.equal(settings.githubToken, '');
+  assert.equal(settings.authMethod, 'pat');
+});
+
+test('protects the saved token with a passphrase and unlocks it', async () => {
+  await openOptions();
+
+  document.getElementById('githubToken').value = 'ghp_secret';
+  document.getElementById('saveBtn').click();
+  await waitFor(() => !document.getElementById('passphraseSection').classList.contains('hidden'));
+
+  document.getElementById('tokenPassphrase').value = 'correct horse';
+  document.getElementById('setPassphraseBtn').click();
+  await waitFor(() => !document.getElementById('passphraseActions').classList.contains('hidden'));
+
+  document.getElementById('lockTokenBtn').click();
+  await waitFor(() => !document.getElementById('tokenLockedPanel').classList.contains('hidden'));
+  assert.equal(document.getElementById('patSection').classList.contains('hidden'), true);
+  assert.equal((await storedSettings()).githubToken, '');
+
+  document.getElementById('unlockPassphrase').value = 'wrong';
+  document.getElementById('unlockTokenBtn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === 'パスフレーズが正しくありません');
+
+  document.getElementById('unlockPassphrase').value = 'correct horse';
+  document.getElementById('unlockTokenBtn').click();
+  await waitFor(() => document.getElementById('tokenLockedPanel').classList.contains('hidden'));
+  assert.equal(document.getElementById('githubToken').value, 'ghp_secret');
+});
+
+test('saves the token for the session only', async () => {
+  await openOptions();
+
+  document.getElementById('githubToken').value = 'ghp_session';
+  document.getElementById('tokenStorage').value = 'session';
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal((await storedSettings()).githubToken, 'ghp_session');
+  assert.equal(JSON.stringify(Object.fromEntries(chrome.storage.local.data)).includes('ghp_session'), false);
+  assert.equal(document.getElementById('passphraseSection').classList.contains('hidden'), true);
+
+  // ブラウザを閉じるとセッションのストレージは消去される
+  await chrome.storage.session.clear();
+  assert.equal((await storedSettings()).githubToken, '');
+});
+
+test('adds schedule rules and saves them with the settings', async () => {
+  await openOptions();
+
+  document.getElementById('scheduleName').value = '会議';
+  for (const day of ['1', '3']) {
+    document.querySelector(`#scheduleDays input[value="${day}"]`).checked = true;
+  }
+  document.getElementById('scheduleStart').value = '13:00';
+  document.getElementById('scheduleEnd').value = '15:00';
+  document.getElementById('scheduleAction').value = 'idleTimeout';
+  document.getElementById('scheduleAction').dispatchEvent(new window.Event('change'));
+  document.getElementById('scheduleAutoStopMinutes').value = '90';
+  document.getElementById('addScheduleRuleBtn').click();
+
+  assert.equal(document.querySelector('.schedule-rule-description').textContent, '月水 13:00～15:00 自動停止まで 90 分');
+
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  const settings = await storedSettings();
+  assert.deepEqual(settings.scheduleRules, [
+    { name: '会議', days: [1, 3], startTime: '13:00', endTime: '15:00', action: 'idleTimeout', autoStopMinutes: 90 }
+  ]);
+});
+
+test('rejects schedule rules without weekdays', async () => {
+  await openOptions();
+
+  document.getElementById('addScheduleRuleBtn').click();
+
+  assert.equal(document.querySelector('.snackbar').className, 'snackbar error');
+  assert.equal(document.querySelectorAll('.schedule-rule').length, 0);
+});
+
+test('adds an account and keeps its token and limits apart from the others', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'personal-token', maxCodespaces: 1 });
+  await openOptions();
+
+  document.getElementById('profileName').value = '仕事用';
+  document.getElementById('addProfileBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  const select = document.getElementById('profileSelect');
+  assert.deepEqual([...select.options].map(option => option.textContent), ['デフォルト', '仕事用']);
+  assert.equal(document.getElementById('githubToken').value, '');
+
+  document.getElementById('githubToken').value = 'work-token';
+  document.getElementById('maxCodespaces').value = '3';
+  document.getElementById('saveBtn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === '設定を保存しました');
+
+  const work = await storedSettings();
+  assert.equal(work.profileName, '仕事用');
+  assert.equal(work.githubToken, 'work-token');
+  assert.equal(work.maxCodespaces, 3);
+
+  select.value = 'default';
+  select.dispatchEvent(new window.Event('change'));
+  await waitFor(() => document.getElementById('githubToken').value === 'personal-token');
+
+  assert.equal(document.getElementById('maxCodespaces').value, '1');
+  assert.equal(document.getElementById('deleteProfileBtn').disabled, false);
+});
+
+test('deleting an account switches to the remaining one', async () => {
+  await openOptions();
+
+  document.getElementById('profileName').value = '仕事用';
+  document.getElementById('addProfileBtn').click();
+  await waitFor(() => document.getElementById('profileSelect').options.length === 2);
+
+  document.getElementById('deleteProfileBtn').click();
+  await waitFor(() => document.getElementById('profileSelect').options.length === 1);
+
+  assert.equal((await storedSettings()).profileId, 'default');
+  assert.equal(document.getElementById('deleteProfileBtn').disabled, true);
+});
+
+test('the stop history can be filtered and exported', async () => {
+  const now = Date.now();
+  await chrome.storage.local.set({
+    audit_log: [
+      {
+        timestamp: now - 2 * 60 * 1000, codespaceName: 'app-cs', repository: 'org/app', profileName: 'デフォルト',
+        trigger: 'inactive', detail: '30 分間非アクティブ', result: 'stopped', lastAccess: now - 40 * 60 * 1000, warnedAt: null,
+        policy: { autoStopEnabled: true, maxCodespaces: 1, autoStopMinutes: 30, warningMinutes: 0, scheduleRule: null }
+      },
+      {
+        timestamp: now - 60 * 1000, codespaceName: 'api-cs', repository: 'org/api', profileName: 'デフォルト',
+        trigger: 'manual', detail: 'ポップアップから停止', result: 'failed', error: 'stub failure 403', lastAccess: null, warnedAt: null,
+        policy: { autoStopEnabled: false, maxCodespaces: 1, autoStopMinutes: 30, warningMinutes: 0, scheduleRule: '夜間' }
+      }
+    ]
+  });
+  await openOptions();
+  await waitFor(() => document.getElementById('auditCount').textContent !== '');
+
+  const names = () => [...document.querySelectorAll('.audit-entry-name')].map(el => el.textContent);
+  assert.deepEqual(names(), ['org/api (api-cs)', 'org/app (app-cs)']);
+  assert.equal(document.getElementById('auditCount').textContent, '2 件');
+  assert.equal(document.querySelector('.audit-entry').classList.contains('failed'), true);
+  assert.equal(document.querySelectorAll('.audit-entry-reason')[0].textContent, 'ポップアップから停止');
+  assert.equal(document.querySelectorAll('.audit-entry-reason')[1].textContent, '非アクティブ: 30 分間非アクティブ');
+  assert.match(document.querySelectorAll('.audit-entry-policy')[0].textContent, /自動停止は無効 \/ スケジュール: 夜間 \/ 失敗: stub failure 403$/);
+  assert.match(document.querySelectorAll('.audit-entry-policy')[1].textContent, /^デフォルト \/ 最大 1 個・30 分で自動停止・警告 0 分 \/ 最終アクセス: /);
+
+  const trigger = document.getElementById('auditTrigger');
+  trigger.value = 'inactive';
+  trigger.dispatchEvent(new window.Event('change'));
+  assert.deepEqual(names(), ['org/app (app-cs)']);
+
+  trigger.value = '';
+  trigger.dispatchEvent(new window.Event('change'));
+  const query = document.getElementById('auditQuery');
+  query.value = 'API';
+  query.dispatchEvent(new window.Event('input'));
+  assert.deepEqual(names(), ['org/api (api-cs)']);
+
+  let blob;
+  mock.method(URL, 'createObjectURL', value => {
+    blob = value;
+    return 'blob:audit';
+  });
+  mock.method(URL, 'revokeObjectURL', () => {});
+  mock.method(window.HTMLAnchorElement.prototype, 'click', () => {});
+
+  document.getElementById('exportAuditBtn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.deepEqual(JSON.parse(await blob.text()).map(entry => entry.codespaceName), ['api-cs']);
+  assert.equal(document.querySelector('.snackbar').textContent, '停止の履歴をエクスポートしました');
+});
@@ -0,0 +1,67 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import { parseRepoPattern, normalizeRepoPatterns, matchesRepoPattern } from '../patterns.js';
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+/**
+ * 入力文字列のパターンがリポジトリ名に一致するか判定
+ * @param {string} input - 入力文字列
+ * @param {string} repo - リポジトリ名
+ * @returns {boolean} 一致する場合true
+ */
+function matches(input, repo) {
+  return matchesRepoPattern(parseRepoPattern(input), repo);
+}
+
+test('parseRepoPattern detects the pattern type from the syntax', () => {
+  assert.deepEqual(parseRepoPattern(' org/app '), { type: 'exact', pattern: 'org/app' });
+  assert.deepEqual(parseRepoPattern('org/*'), { type: 'owner', pattern: 'org/*' });
+  assert.deepEqual(parseRepoPattern('org/app-*'), { type: 'glob', pattern: 'org/app-*' });
+  assert.deepEqual(parseRepoPattern('*/dotfiles'), { type: 'glob', pattern: '*/dotfiles' });
+  assert.deepEqual(parseRepoPattern('/^org\\/app-\\d+$/i'), { type: 'regex', pattern: '/^org\\/app-\\d+$/i' });
+});
+
+test('parseRepoPattern rejects malformed input', () => {
+  assert.throws(() => parseRepoPattern(''), /パターンを入力してください/);
+  assert.throws(() => parseRepoPattern('no-slash'), /owner\/repository/);
+  assert.throws(() => parseRepoPattern('a/b/c'), /owner\/repository/);
+  assert.throws(() => parseRepoPattern('/(unclosed/'), /正規表現が不正です/);
+});
+
+test('exact patterns no longer match by substring', () => {
+  assert.equal(matches('org/app', 'org/app'), true);
+  assert.equal(matches('org/app', 'Org/App'), true);
+  assert.equal(matches('org/app', 'org/app-legacy'), false);
+  assert.equal(matches('org/app', 'myorg/app'), false);
+});
+
+test('owner and glob patterns match within a path segment', () => {
+  assert.equal(matches('org/*', 'org/app'), true);
+  assert.equal(matches('org/*', 'other/app'), false);
+  assert.equal(matches('org/app-*', 'org/app-legacy'), true);
+  assert.equal(matches('org/app-*', 'org/app'), false);
+  assert.equal(matches('org/ap?', 'org/api'), true);
+  assert.equal(matches('org/app.io', 'org/appxio'), false);
+});
+
+test('regex patterns use their own flags', () => {
+  assert.equal(matches('/^org\\/app-\\d+$/', 'org/app-12'), true);
+  assert.equal(matches('/^org\\/app-\\d+$/', 'ORG/app-12'), false);
+  assert.equal(matches('/^org\\/app-\\d+$/i', 'ORG/app-12'), true);
+});
+
+test('normalizeRepoPatterns migrates plain strings to exact matches', () => {
+  assert.deepEqual(normalizeRepoPatterns(['org/app', { type: 'owner', pattern: 'org/*' }, { type: 'unknown', pattern: 'x' }]), [
+    { type: 'exact', pattern: 'org/app' },
+    { type: 'owner', pattern: 'org/*' }
+  ]);
+  assert.deepEqual(normalizeRepoPatterns(undefined), []);
+});
@@ -0,0 +1,696 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { startGitHubServer, routeFetchTo, createCodespace } from './helpers/github-server.js';
+import { loadPage, waitFor } from './helpers/dom.js';
+import {
+  getSettings,
+  saveSettings,
+  setTokenPassphrase,
+  lockToken,
+  createProfile,
+  getProfiles,
+  saveOAuthCredentials,
+  getOAuthCredentials
+} from '../storage.js';
+
+let chrome;
+let server;
+let restoreFetch;
+let importCount = 0;
+
+/**
+ * ポップアップを開き、一覧の読み込み完了を待つ
+ */
+async function openPopup() {
+  await loadPage('popup.html', 'popup.js');
+  await waitFor(() => document.getElementById('loadingState').classList.contains('hidden'));
+}
+
+/**
+ * 表示中の Codespace のリポジトリ名を取得
+ * @returns {Array<string>} リポジトリ名の配列
+ */
+function listedRepos() {
+  return [...document.querySelectorAll('.codespace-item .codespace-repo')].map(el => el.textContent.trim());
+}
+
+beforeEach(async () => {
+  // バックグラウンドのログが標準出力に大量に出ると、Node 20 のテストランナーが結果を読み取れなくなることがある
+  mock.method(console, 'log', () => {});
+  chrome = installChrome();
+  server = await startGitHubServer();
+  restoreFetch = routeFetchTo(server);
+  await import(`../background.js?test=${++importCount}`);
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 1 } });
+});
+
+afterEach(async () => {
+  // ポップアップの表示を更新するタイマーを止める
+  window.close();
+  mock.restoreAll();
+  restoreFetch();
+  await server.close();
+});
+
+test('lists running and stopped codespaces with matching actions', async () => {
+  server.state.codespaces = [
+    createCodespace('stopped', { state: 'Shutdown' }),
+    createCodespace('running'),
+    createCodespace('starting', { state: 'Starting' })
+  ];
+
+  await openPopup();
+
+  assert.deepEqual(listedRepos(), ['owner/running', 'owner/stopped']);
+  assert.equal(document.querySelectorAll('.stop-btn').length, 1);
+  assert.equal(document.querySelectorAll('.start-btn').length, 1);
+  assert.equal(document.getElementById('statusText').textContent, '1 個のアクティブな Codespace');
+});
+
+test('shows where the last access time came from', async () => {
+  server.state.codespaces = [
+    createCodespace('tracked'),
+    createCodespace('remote', { last_used_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() })
+  ];
+  await chrome.storage.local.set({ codespace_access_tracked: Date.now() });
+
+  await openPopup();
+
+  const sources = [...document.querySelectorAll('.codespace-last-access')].map(el => el.dataset.source);
+  assert.deepEqual(sources, ['local', 'api']);
+  assert.match(document.querySelectorAll('.codespace-last-access')[1].textContent, /5分前（GitHub の last_used_at）/);
+});
+
+test('shows how long each running codespace has been running', async () => {
+  server.state.codespaces = [
+    createCodespace('started'),
+    createCodespace('observed'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+  await chrome.storage.local.set({
+    settings: { githubToken: 'token', maxCodespaces: 3 },
+    codespace_start_started: { timestamp: Date.now() - (2 * 60 + 15) * 60 * 1000, observed: false },
+    codespace_start_stopped: { timestamp: Date.now() - 60 * 60 * 1000, observed: false }
+  });
+
+  await openPopup();
+
+  const running = [...document.querySelectorAll('.codespace-running .timer-text')].map(el => el.textContent);
+  assert.deepEqual(running, ['実行時間: 2時間15分', '実行時間: 0分 以上']);
+
+  // 拡張機能の外で起動された Codespace は確認した時刻を記録し、停止済みの記録は削除する
+  const { codespace_start_observed: observed } = await chrome.storage.local.get('codespace_start_observed');
+  assert.equal(observed.observed, true);
+  assert.deepEqual(await chrome.storage.local.get('codespace_start_stopped'), {});
+});
+
+test('counts down to the auto-stop and keeps the timers running', async () => {
+  server.state.codespaces = [createCodespace('idle'), createCodespace('pinned')];
+  await chrome.storage.local.set({
+    settings: { githubToken: 'token', maxCodespaces: 2, autoStopMinutes: 30 },
+    codespace_access_idle: Date.now() - 10 * 60 * 1000 - 500,
+    codespace_access_pinned: Date.now(),
+    codespace_pin_pinned: true
+  });
+
+  await openPopup();
+
+  const countdowns = document.querySelectorAll('.codespace-auto-stop .timer-text');
+  assert.equal(countdowns.length, 1);
+  const before = countdowns[0].textContent;
+  assert.match(before, /^自動停止まで (19:5\d|20:00)$/);
+
+  await waitFor(() => countdowns[0].textContent !== before);
+  assert.match(countdowns[0].textContent, /^自動停止まで 19:5\d$/);
+});
+
+test('the countdown follows a pending stop and the schedule', async () => {
+  server.state.codespaces = [createCodespace('warned')];
+  await chrome.storage.local.set({
+    settings: { githubToken: 'token', maxCodespaces: 2 },
+    codespace_access_warned: Date.now() - 60 * 60 * 1000,
+    pending_stop_warned: { codespaceName: 'warned', deadline: Date.now() + 3 * 60 * 1000 + 500 }
+  });
+
+  await openPopup();
+  assert.match(document.querySelector('.codespace-auto-stop').textContent, /自動停止まで 3:0[01]/);
+
+  // 停止時間帯は次回のチェックで停止される
+  await chrome.storage.local.remove('pending_stop_warned');
+  await chrome.storage.local.set({
+    settings: {
+      githubToken: 'token',
+      maxCodespaces: 2,
+      scheduleRules: [{ days: [0, 1, 2, 3, 4, 5, 6], startTime: '00:00', endTime: '24:00', action: 'stopAll' }]
+    }
+  });
+  document.getElementById('refreshBtn').click();
+  await waitFor(() => document.querySelector('.codespace-auto-stop')?.textContent.includes('次回のチェックで自動停止'));
+
+  // 自動停止が無効の場合は表示しない
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2, autoStopEnabled: false } });
+  document.getElementById('refreshBtn').click();
+  await waitFor(() => document.querySelector('.codespace-item') && !document.querySelector('.codespace-auto-stop'));
+});
+
+test('shows an error when no token is configured', async () => {
+  await chrome.storage.local.set({ settings: { githubToken: '' } });
+
+  await openPopup();
+
+  assert.equal(document.getElementById('errorState').classList.contains('hidden'), false);
+  assert.match(document.getElementById('errorMessage').textContent, /設定されていません/);
+  assert.equal(server.state.requests.length, 0);
+});
+
+test('asks to unlock a token protected by a passphrase', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'token' });
+  await setTokenPassphrase('correct horse');
+  await lockToken();
+
+  await openPopup();
+
+  assert.match(document.getElementById('errorMessage').textContent, /ロックされています/);
+  assert.equal(document.getElementById('statusText').textContent, 'ロック中');
+  assert.equal(server.state.requests.length, 0);
+});
+
+test('shows an error when the token is rejected', async () => {
+  server.state.token = 'another-token';
+
+  await openPopup();
+
+  assert.match(document.getElementById('errorMessage').textContent, /トークンが無効/);
+});
+
+test('the stop button stops the codespace and reloads the list', async () => {
+  server.state.codespaces = [createCodespace('running')];
+  await openPopup();
+
+  document.querySelector('.stop-btn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(server.state.codespaces[0].state, 'Shutdown');
+  assert.equal(document.querySelector('.snackbar').textContent, 'Codespace を停止しました');
+  assert.equal(document.querySelectorAll('.start-btn').length, 1);
+});
+
+test('the start button switches codespaces within the limit', async () => {
+  server.state.codespaces = [
+    createCodespace('running'),
+    createCodespace('target', { state: 'Shutdown' })
+  ];
+  await openPopup();
+
+  document.querySelector('.start-btn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Shutdown', 'Available']);
+  assert.equal(document.querySelector('.snackbar').textContent, 'Codespace を起動しました（1 個を停止）');
+});
+
+test('the pin button pins the codespace', async () => {
+  server.state.codespaces = [createCodespace('running')];
+  await openPopup();
+
+  document.querySelector('.pin-btn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.deepEqual(await chrome.storage.local.get('codespace_pin_running'), { codespace_pin_running: true });
+  assert.equal(document.querySelector('.codespace-protection').dataset.protection, 'pinned');
+  assert.equal(document.querySelector('.pin-btn').getAttribute('aria-pressed'), 'true');
+});
+
+test('pinning or snoozing cancels an auto-stop that was already warned about', async () => {
+  server.state.codespaces = [createCodespace('pinned'), createCodespace('snoozed')];
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2 } });
+  for (const name of ['pinned', 'snoozed']) {
+    await chrome.storage.local.set({ [`pending_stop_${name}`]: { codespaceName: name, deadline: Date.now() + 60 * 1000 } });
+    await chrome.alarms.create(`pendingStop:${name}`, { when: Date.now() + 60 * 1000 });
+    await chrome.notifications.create(`pendingStop:${name}`, { title: 'Codespace をまもなく停止します' });
+  }
+  await openPopup();
+
+  document.querySelector('.codespace-item[data-name="pinned"] .pin-btn').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === 'Codespace を固定しました');
+  document.querySelector('.codespace-item[data-name="snoozed"] .snooze-btn').click();
+  document.querySelector('.codespace-item[data-name="snoozed"] .snooze-option[data-snooze="1h"]').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === '自動停止を見送ります');
+
+  assert.deepEqual(await chrome.storage.local.get(['pending_stop_pinned', 'pending_stop_snoozed']), {});
+  assert.equal(chrome.alarms.alarms.size, 0);
+  assert.equal(chrome.notifications.notifications.size, 0);
+});
+
+test('the snooze menu snoozes auto-stop for the chosen time', async () => {
+  server.state.codespaces = [createCodespace('running')];
+  await openPopup();
+
+  document.querySelector('.snooze-btn').click();
+  assert.equal(document.querySelector('.snooze-menu').classList.contains('hidden'), false);
+  document.querySelector('.snooze-option[data-snooze="4h"]').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  const { codespace_snooze_running: snoozeUntil } = await chrome.storage.local.get('codespace_snooze_running');
+  assert.ok(Math.abs(snoozeUntil - (Date.now() + 4 * 60 * 60 * 1000)) < 60 * 1000);
+  assert.equal(document.querySelector('.codespace-protection').dataset.protection, 'snoozed');
+
+  document.querySelector('.snooze-option[data-snooze="clear"]').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === '見送りを解除しました');
+  assert.equal(document.querySelector('.codespace-protection'), null);
+
+  assert.deepEqual(await chrome.storage.local.get('codespace_snooze_running'), {});
+});
+
+test('hostile names from the API are shown as text, not markup', async () => {
+  const hostile = '<img src=x onerror="globalThis.injected = true">';
+  server.state.codespaces = [
+    createCodespace('running', { display_name: hostile, repository: { full_name: `owner/${hostile}` } }),
+    createCodespace('<b>stopped</b>', { display_name: null, repository: null, state: 'Shutdown' })
+  ];
+  await openPopup();
+
+  const list = document.getElementById('codespaceList');
+  assert.equal(list.querySelectorAll('img, b, script').length, 0);
+  assert.deepEqual(
+    [...list.querySelectorAll('.codespace-name')].map(el => el.lastChild.textContent),
+    [hostile, '<b>stopped</b>']
+  );
+  assert.deepEqual(listedRepos(), [`owner/${hostile}`, '<b>stopped</b>']);
+  assert.equal(document.querySelector('.start-btn').dataset.name, '<b>stopped</b>');
+  assert.equal(globalThis.injected, undefined);
+});
+
+/**
+ * キーを押す
+ * @param {Element} target - キーを押す要素
+ * @param {string} key - キー
+ */
+function press(target, key) {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+test('the search box filters by name, repository and branch', async () => {
+  server.state.codespaces = [
+    createCodespace('api', { git_status: { ref: 'main' } }),
+    createCodespace('web', { display_name: '会議デモ', git_status: { ref: 'feature/login' }, state: 'Shutdown' })
+  ];
+  await openPopup();
+
+  const search = document.getElementById('searchInput');
+  search.value = 'LOGIN';
+  search.dispatchEvent(new window.Event('input'));
+  assert.deepEqual(listedRepos(), ['owner/web']);
+
+  search.value = '会議';
+  search.dispatchEvent(new window.Event('input'));
+  assert.deepEqual(listedRepos(), ['owner/web']);
+  assert.equal(document.getElementById('codespaceCount').textContent, '1 個の Codespace');
+
+  search.value = 'owner/none';
+  search.dispatchEvent(new window.Event('input'));
+  assert.deepEqual(listedRepos(), []);
+  assert.equal(document.getElementById('noMatchState').classList.contains('hidden'), false);
+  assert.equal(document.getElementById('emptyState').classList.contains('hidden'), true);
+
+  press(search, 'Escape');
+  assert.equal(search.value, '');
+  assert.deepEqual(listedRepos(), ['owner/api', 'owner/web']);
+  assert.equal(document.getElementById('noMatchState').classList.contains('hidden'), true);
+});
+
+test('the sort and grouping choices are saved and applied', async () => {
+  server.state.codespaces = [
+    createCodespace('small', { repository: { full_name: 'beta/small' }, machine: { cpus: 2, memory_in_bytes: 8 } }),
+    createCodespace('large', { repository: { full_name: 'alpha/large' }, machine: { cpus: 8, memory_in_bytes: 32 }, state: 'Shutdown' }),
+    createCodespace('medium', { repository: { full_name: 'beta/medium' }, machine: { cpus: 4, memory_in_bytes: 16 } })
+  ];
+  await openPopup();
+  assert.deepEqual(listedRepos(), ['beta/small', 'beta/medium', 'alpha/large']);
+
+  const sort = document.getElementById('sortSelect');
+  sort.value = 'machine';
+  sort.dispatchEvent(new window.Event('change'));
+  assert.deepEqual(listedRepos(), ['alpha/large', 'beta/medium', 'beta/small']);
+  await waitFor(async () => (await getSettings()).popupSort === 'machine');
+
+  const group = document.getElementById('groupSelect');
+  group.value = 'owner';
+  group.dispatchEvent(new window.Event('change'));
+  await waitFor(async () => (await getSettings()).popupGroupBy === 'owner');
+
+  assert.deepEqual(
+    [...document.querySelectorAll('.list-group-header')].map(header => header.textContent),
+    ['personalpha', 'personbeta']
+  );
+
+  // 開き直しても同じ並び順で表示される
+  window.close();
+  await openPopup();
+  assert.equal(document.getElementById('sortSelect').value, 'machine');
+  assert.deepEqual(listedRepos(), ['alpha/large', 'beta/medium', 'beta/small']);
+  assert.equal(document.querySelectorAll('.list-group-header').length, 2);
+});
+
+test('the list can be used with the keyboard', async () => {
+  server.state.codespaces = [
+    createCodespace('first'),
+    createCodespace('second'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2 } });
+  await openPopup();
+
+  const search = document.getElementById('searchInput');
+  press(document.body, '/');
+  assert.equal(document.activeElement, search);
+
+  press(search, 'ArrowDown');
+  assert.equal(document.activeElement.dataset.name, 'first');
+  press(document.activeElement, 'End');
+  assert.equal(document.activeElement.dataset.name, 'stopped');
+  press(document.activeElement, 'ArrowUp');
+  assert.equal(document.activeElement.dataset.name, 'second');
+
+  // Enter で開く
+  press(document.activeElement, 'Enter');
+  await waitFor(() => chrome.tabs.tabs.size > 0);
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['https://second.github.dev']);
+
+  // S で停止し、描画し直した後も同じ Codespace を選択している
+  press(document.activeElement, 's');
+  await waitFor(() => document.querySelector('.snackbar'));
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Shutdown', 'Shutdown']);
+  assert.equal(document.activeElement.dataset.name, 'second');
+
+  press(document.activeElement, 'Home');
+  press(document.activeElement, 'ArrowUp');
+  assert.equal(document.activeElement, search);
+});
+
+/**
+ * 一括停止メニューを開き、選択肢を選ぶ
+ * @param {string} scope - 選択肢（data-bulk）
+ * @param {string} repository - リポジトリ（リポジトリの選択肢の場合）
+ */
+function chooseBulkStop(scope, repository) {
+  document.getElementById('bulkStopBtn').click();
+  const options = [...document.querySelectorAll('.bulk-option')];
+  options.find(option => option.dataset.bulk === scope && (!repository || option.dataset.repository === repository)).click();
+}
+
+test('stopping all stops every unpinned running codespace at once and reports once', async () => {
+  server.state.codespaces = [
+    createCodespace('first'),
+    createCodespace('second'),
+    createCodespace('pinned'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+  await chrome.storage.local.set({ codespace_pin_pinned: true });
+  await openPopup();
+  const listRequests = server.requestsTo('GET', '/user/codespaces').length;
+
+  document.getElementById('bulkStopBtn').click();
+  const labels = [...document.querySelectorAll('.bulk-option')].map(option => option.textContent);
+  assert.deepEqual(labels, [
+    '選択した Codespace を停止（0）',
+    'すべて停止（2）',
+    '表示中のタブ以外をすべて停止',
+    'owner/first をすべて停止（1）',
+    'owner/second をすべて停止（1）'
+  ]);
+  assert.equal(document.querySelector('.bulk-option[data-bulk="selected"]').disabled, true);
+
+  // 停止中は各アイテムに進み具合を表示する（停止はすぐに終わるため、表示の変化を記録する）
+  const stoppingNames = new Set();
+  const observer = new window.MutationObserver(records => records.forEach(record => {
+    if (record.target.classList.contains('stopping')) {
+      stoppingNames.add(record.target.dataset.name);
+    }
+  }));
+  observer.observe(document.getElementById('codespaceList'), { subtree: true, attributeFilter: ['class'] });
+
+  document.querySelector('.bulk-option[data-bulk="all"]').click();
+  assert.equal(document.getElementById('bulkStopMenu').classList.contains('hidden'), true);
+  await waitFor(() => document.querySelector('.snackbar'));
+  observer.disconnect();
+
+  assert.deepEqual([...stoppingNames].sort(), ['first', 'second']);
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Shutdown', 'Shutdown', 'Available', 'Shutdown']);
+  assert.equal(document.querySelector('.snackbar').textContent, '2 個の Codespace を停止しました');
+  assert.equal(server.requestsTo('GET', '/user/codespaces').length, listRequests + 1);
+  assert.equal(chrome.notifications.notifications.size, 0);
+});
+
+test('bulk stop can leave the active tab or stop a single repository', async () => {
+  server.state.codespaces = [
+    createCodespace('active'),
+    createCodespace('other'),
+    createCodespace('extra', { repository: { full_name: 'owner/other' } })
+  ];
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 3 } });
+  await chrome.tabs.create({ url: 'https://active.github.dev/', active: true });
+  await openPopup();
+
+  chooseBulkStop('repository', 'owner/other');
+  await waitFor(() => document.querySelector('.snackbar'));
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Shutdown', 'Shutdown']);
+
+  document.querySelector('.snackbar').remove();
+  server.state.codespaces[1].state = 'Available';
+  document.getElementById('refreshBtn').click();
+  await waitFor(() => document.querySelector('.codespace-item[data-name="other"] .stop-btn'));
+
+  chooseBulkStop('exceptActive');
+  await waitFor(() => document.querySelector('.snackbar'));
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Shutdown', 'Shutdown']);
+  assert.equal(document.querySelector('.snackbar').textContent, '1 個の Codespace を停止しました');
+});
+
+test('checked codespaces, including pinned ones, can be stopped together', async () => {
+  server.state.codespaces = [
+    createCodespace('first'),
+    createCodespace('pinned'),
+    createCodespace('kept')
+  ];
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 3 }, codespace_pin_pinned: true });
+  await openPopup();
+
+  // チェックボックスのクリックでは開かない
+  const checkbox = document.querySelector('.codespace-item[data-name="first"] .select-checkbox');
+  checkbox.click();
+  assert.equal(checkbox.checked, true);
+  assert.equal(chrome.tabs.tabs.size, 0);
+
+  // Space でもチェックできる
+  const pinnedItem = document.querySelector('.codespace-item[data-name="pinned"]');
+  pinnedItem.focus();
+  press(pinnedItem, ' ');
+  assert.equal(pinnedItem.querySelector('.select-checkbox').checked, true);
+
+  chooseBulkStop('selected');
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Shutdown', 'Shutdown', 'Available']);
+  assert.equal(document.querySelector('.snackbar').textContent, '2 個の Codespace を停止しました');
+});
+
+test('Shift+S stops all running codespaces and failures are reported together', async () => {
+  server.state.codespaces = [
+    createCodespace('first'),
+    createCodespace('second')
+  ];
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2 } });
+  await openPopup();
+  server.state.codespaces[1].name = 'renamed';
+
+  const item = document.querySelector('.codespace-item[data-name="first"]');
+  item.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'S', shiftKey: true, bubbles: true, cancelable: true }));
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(server.state.codespaces[0].state, 'Shutdown');
+  assert.equal(document.querySelector('.snackbar').textContent, '1 個を停止しました（1 個は失敗）');
+  assert.equal(document.querySelector('.snackbar').classList.contains('error'), true);
+});
+
+test('bulk stop with an expiring token refreshes it once and stays signed in', async () => {
+  server.state.codespaces = ['first', 'second', 'third'].map(name => createCodespace(name));
+  await chrome.storage.local.set({
+    settings: { githubToken: 'ghu_saved', authMethod: 'oauth', oauthClientId: 'client', maxCodespaces: 3 }
+  });
+  await openPopup();
+
+  // 一覧を表示した後にトークンの期限が切れる
+  server.state.oauth.refreshToken = 'ghr_saved';
+  await saveOAuthCredentials({
+    accessToken: 'ghu_saved',
+    expiresAt: Date.now() - 1000,
+    refreshToken: 'ghr_saved',
+    refreshTokenExpiresAt: Date.now() + 60 * 60 * 1000
+  });
+
+  chooseBulkStop('all');
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(document.querySelector('.snackbar').textContent, '3 個の Codespace を停止しました');
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Shutdown', 'Shutdown', 'Shutdown']);
+  assert.equal(server.requestsTo('POST', '/login/oauth/access_token').length, 1);
+
+  const settings = await getSettings();
+  assert.equal(settings.authMethod, 'oauth');
+  assert.equal(settings.githubToken, 'ghu_1');
+  assert.equal((await getOAuthCredentials()).refreshToken, 'ghr_1');
+});
+
+test('bulk stop with nothing to stop says so', async () => {
+  server.state.codespaces = [createCodespace('stopped', { state: 'Shutdown' })];
+  await openPopup();
+
+  document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'S', shiftKey: true, bubbles: true, cancelable: true }));
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.equal(document.querySelector('.snackbar').textContent, '停止する Codespace はありません');
+});
+
+test('clicking a codespace switches to its tab, or starts and opens it', async () => {
+  server.state.codespaces = [
+    createCodespace('running'),
+    createCodespace('stopped', { state: 'Shutdown' })
+  ];
+  const { id } = await chrome.tabs.create({ url: 'https://running.github.dev/', active: false });
+  await openPopup();
+
+  // ボタンの操作では開かない
+  document.querySelector('.codespace-item[data-name="running"] .pin-btn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+  assert.equal((await chrome.tabs.get(id)).active, false);
+
+  document.querySelector('.codespace-item[data-name="running"] .codespace-repo').click();
+  await waitFor(async () => (await chrome.tabs.get(id)).active);
+  assert.equal(chrome.tabs.tabs.size, 1);
+
+  // 固定した Codespace は最大数の適用で停止されない
+  document.querySelector('.codespace-item[data-name="stopped"]').click();
+  await waitFor(() => document.querySelector('.snackbar')?.textContent === 'Codespace を起動しました');
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Available']);
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['https://running.github.dev/', 'https://stopped.github.dev']);
+});
+
+test('the dashboard button opens the usage dashboard in a new tab', async () => {
+  await openPopup();
+
+  document.getElementById('dashboardBtn').click();
+  await waitFor(() => chrome.tabs.tabs.size > 0);
+
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['chrome-extension://test/dashboard.html']);
+});
+
+test('the manage button opens the codespace management page in a new tab', async () => {
+  await openPopup();
+
+  document.getElementById('manageBtn').click();
+  await waitFor(() => chrome.tabs.tabs.size > 0);
+
+  assert.deepEqual([...chrome.tabs.tabs.values()].map(tab => tab.url), ['chrome-extension://test/manage.html']);
+});
+
+test('the footer shows the active schedule rule', async () => {
+  await chrome.storage.local.set({
+    settings: {
+      githubToken: 'token',
+      scheduleRules: [{ name: '週末', days: [0, 1, 2, 3, 4, 5, 6], startTime: '00:00', endTime: '24:00', action: 'noLimits' }]
+    }
+  });
+
+  await openPopup();
+
+  assert.equal(document.getElementById('scheduleStatus').classList.contains('hidden'), false);
+  assert.equal(document.getElementById('scheduleStatusText').textContent, 'スケジュール: 週末（日月火水木金土 00:00～24:00 制限なし）');
+});
+
+test('the footer shows the same warning as the toolbar badge', async () => {
+  // 最大数 1 に対して 2 個が実行中
+  server.state.codespaces = [createCodespace('a'), createCodespace('b')];
+  await chrome.storage.local.set({ codespace_access_a: Date.now(), codespace_access_b: Date.now() });
+
+  await openPopup();
+
+  const indicator = document.getElementById('statusIndicator');
+  assert.equal(indicator.classList.contains('warning'), true);
+  assert.equal(indicator.parentElement.title, '2 個のアクティブな Codespace\n最大数を超えています: デフォルト');
+  assert.equal(chrome.action.badge.text, '2');
+});
+
+test('the account switcher is hidden with a single account', async () => {
+  await openPopup();
+
+  assert.equal(document.getElementById('profileSelect').classList.contains('hidden'), true);
+});
+
+test('the account switcher changes the active account', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'token-b' });
+  server.state.codespaces = [
+    createCodespace('personal', { ownerToken: 'token' }),
+    createCodespace('work', { ownerToken: 'token-b' })
+  ];
+  await openPopup();
+
+  const select = document.getElementById('profileSelect');
+  assert.equal(select.classList.contains('hidden'), false);
+  assert.deepEqual([...select.options].map(option => option.textContent), ['デフォルト', '仕事用', 'すべてのアカウント']);
+  assert.deepEqual(listedRepos(), ['owner/personal']);
+
+  select.value = work.id;
+  select.dispatchEvent(new window.Event('change'));
+  await waitFor(() => listedRepos()[0] === 'owner/work');
+
+  assert.equal((await getProfiles()).activeProfileId, work.id);
+});
+
+test('all accounts are listed together, grouped by account', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'token-b', maxCodespaces: 1 });
+  await saveSettings({ ...(await getSettings()), showAllAccounts: true });
+  server.state.codespaces = [
+    createCodespace('personal', { ownerToken: 'token' }),
+    createCodespace('work-running', { ownerToken: 'token-b' }),
+    createCodespace('work-stopped', { ownerToken: 'token-b', state: 'Shutdown' })
+  ];
+  await openPopup();
+
+  const headers = [...document.querySelectorAll('.account-group-header')];
+  assert.deepEqual(headers.map(header => header.textContent.replace('account_circle', '').trim()), ['デフォルト', '仕事用']);
+  assert.deepEqual(listedRepos(), ['owner/personal', 'owner/work-running', 'owner/work-stopped']);
+
+  // 起動すると同じアカウントの Codespace だけが停止される
+  document.querySelector('.start-btn').click();
+  await waitFor(() => document.querySelector('.snackbar'));
+
+  assert.deepEqual(server.state.codespaces.map(cs => cs.state), ['Available', 'Shutdown', 'Available']);
+  assert.equal(document.querySelectorAll('.account-group-header').length, 2);
+});
+
+test('the popup follows the language setting, including plurals and relative times', async () => {
+  await chrome.storage.local.set({ settings: { githubToken: 'token', maxCodespaces: 2, language: 'en' } });
+  server.state.codespaces = [
+    createCodespace('running', { last_used_at: new Date(Date.now() - 60 * 1000).toISOString() }),
+    createCodespace('stopped', { state: 'Shutdown', last_used_at: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() })
+  ];
+
+  await openPopup();
+
+  assert.equal(document.documentElement.lang, 'en');
+  assert.equal(document.getElementById('refreshBtn').title, 'Refresh');
+  assert.equal(document.getElementById('statusText').textContent, '1 active codespace');
+  assert.equal(document.getElementById('codespaceCount').textContent, '2 codespaces');
+
+  const lastAccess = document.querySelectorAll('.codespace-last-access');
+  assert.match(lastAccess[0].textContent, /1 minute ago \(GitHub's last_used_at\)/);
+  assert.match(lastAccess[1].textContent, /3 hours ago \(GitHub's last_used_at\)/);
+  assert.match(document.querySelector('.stop-btn').textContent, /Stop/);
+});
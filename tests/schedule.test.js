@@ -0,0 +1,93 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import {
+  parseTime,
+  isScheduleRuleActive,
+  getActiveScheduleRule,
+  applyScheduleRule,
+  describeScheduleRule
+} from '../schedule.js';
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// 2025-01-06 は月曜日
+const monday = (time) => new Date(`2025-01-06T${time}:00`);
+const saturday = (time) => new Date(`2025-01-11T${time}:00`);
+
+test('parseTime accepts HH:MM up to 24:00', () => {
+  assert.equal(parseTime('00:00'), 0);
+  assert.equal(parseTime('9:30'), 570);
+  assert.equal(parseTime('24:00'), 1440);
+  assert.equal(parseTime('24:30'), null);
+  assert.equal(parseTime('12:60'), null);
+  assert.equal(parseTime(''), null);
+});
+
+test('a same-day rule is active between its start and end on listed weekdays', () => {
+  const rule = { days: WEEKDAYS, startTime: '10:00', endTime: '11:00' };
+
+  assert.equal(isScheduleRuleActive(rule, monday('09:59')), false);
+  assert.equal(isScheduleRuleActive(rule, monday('10:00')), true);
+  assert.equal(isScheduleRuleActive(rule, monday('10:59')), true);
+  assert.equal(isScheduleRuleActive(rule, monday('11:00')), false);
+  assert.equal(isScheduleRuleActive(rule, saturday('10:30')), false);
+});
+
+test('an overnight rule belongs to the weekday it starts on', () => {
+  const rule = { days: [5], startTime: '19:00', endTime: '07:00' };
+  const friday = new Date('2025-01-10T20:00:00');
+
+  assert.equal(isScheduleRuleActive(rule, friday), true);
+  assert.equal(isScheduleRuleActive(rule, saturday('06:59')), true);
+  assert.equal(isScheduleRuleActive(rule, saturday('07:00')), false);
+  // 木曜の夜に始まる時間帯は対象外なので、金曜の早朝は有効にならない
+  assert.equal(isScheduleRuleActive(rule, new Date('2025-01-10T06:00:00')), false);
+});
+
+test('a rule ending at 0:00 lasts until midnight', () => {
+  const rule = { days: WEEKDAYS, startTime: '19:00', endTime: '00:00' };
+
+  assert.equal(isScheduleRuleActive(rule, monday('23:59')), true);
+  assert.equal(isScheduleRuleActive(rule, new Date('2025-01-07T00:30:00')), false);
+});
+
+test('getActiveScheduleRule returns the first matching rule', () => {
+  const rules = [
+    { name: 'meetings', days: [1], startTime: '13:00', endTime: '15:00', action: 'idleTimeout', autoStopMinutes: 90 },
+    { name: 'weekdays', days: WEEKDAYS, startTime: '09:00', endTime: '18:00', action: 'noLimits' }
+  ];
+
+  assert.equal(getActiveScheduleRule(rules, monday('14:00')).name, 'meetings');
+  assert.equal(getActiveScheduleRule(rules, monday('16:00')).name, 'weekdays');
+  assert.equal(getActiveScheduleRule(rules, monday('20:00')), null);
+  assert.equal(getActiveScheduleRule(undefined, monday('14:00')), null);
+});
+
+test('applyScheduleRule adjusts the settings for each action', () => {
+  const settings = { autoStopEnabled: true, autoStopMinutes: 30, maxCodespaces: 1 };
+
+  assert.deepEqual(applyScheduleRule(settings, null), { ...settings, stopAll: false });
+  assert.equal(applyScheduleRule(settings, { action: 'stopAll' }).stopAll, true);
+  assert.equal(applyScheduleRule(settings, { action: 'idleTimeout', autoStopMinutes: 90 }).autoStopMinutes, 90);
+  assert.equal(applyScheduleRule(settings, { action: 'noLimits' }).autoStopEnabled, false);
+});
+
+test('describeScheduleRule lists weekdays, hours and the action', () => {
+  assert.equal(
+    describeScheduleRule({ days: [5, 1, 2, 3, 4], startTime: '19:00', endTime: '00:00', action: 'stopAll' }),
+    '月火水木金 19:00～00:00 すべて停止'
+  );
+  assert.equal(
+    describeScheduleRule({ days: [0, 6], startTime: '10:00', endTime: '12:00', action: 'idleTimeout', autoStopMinutes: 90 }),
+    '日土 10:00～12:00 自動停止まで 90 分'
+  );
+});
@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import {
+  STATUS_LEVELS,
+  calculateAutoStopAt,
+  createAccountStatus,
+  createInvalidTokenStatus,
+  summarizeStatus,
+  getBadgeAppearance
+} from '../status.js';
+
+// メッセージは日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-01-08T12:00:00').getTime();
+
+const ACCOUNT = {
+  profileId: 'default',
+  profileName: 'デフォルト',
+  autoStopEnabled: true,
+  maxCodespaces: 2,
+  autoStopMinutes: 30,
+  excludedRepos: [],
+  scheduleRules: []
+};
+
+/**
+ * 実行中の Codespace の状態を作成
+ * @param {string} name - Codespace名
+ * @param {Object} overrides - 上書きする項目
+ * @returns {Object} { name, autoStopAt, limited }
+ */
+function running(name, overrides = {}) {
+  return { name, autoStopAt: NOW + 60 * MINUTE, limited: true, ...overrides };
+}
+
+test('calculateAutoStopAt follows the last access, pending stops and protection', () => {
+  const codespace = { name: 'cs', state: 'Available', repository: { full_name: 'org/app' } };
+  const context = {
+    lastAccess: { timestamp: NOW - 10 * MINUTE, source: 'local' },
+    protection: { pinned: false, snoozeUntil: null },
+    pendingStop: null,
+    settings: ACCOUNT
+  };
+
+  assert.equal(calculateAutoStopAt(codespace, context, NOW), NOW + 20 * MINUTE);
+  assert.equal(calculateAutoStopAt(codespace, { ...context, pendingStop: { deadline: NOW + MINUTE } }, NOW), NOW + MINUTE);
+  assert.equal(calculateAutoStopAt(codespace, { ...context, protection: { pinned: true, snoozeUntil: null } }, NOW), null);
+  assert.equal(calculateAutoStopAt(codespace, { ...context, lastAccess: { timestamp: null, source: 'none' } }, NOW), null);
+  assert.equal(calculateAutoStopAt({ ...codespace, state: 'Shutdown' }, context, NOW), null);
+  assert.equal(calculateAutoStopAt(codespace, { ...context, settings: { ...ACCOUNT, autoStopEnabled: false } }, NOW), null);
+});
+
+test('the limit is not applied while auto-stop is disabled', () => {
+  assert.equal(createAccountStatus(ACCOUNT, [], NOW).maxCodespaces, 2);
+  assert.equal(createAccountStatus({ ...ACCOUNT, autoStopEnabled: false }, [], NOW).maxCodespaces, null);
+});
+
+test('summarizeStatus counts running codespaces across accounts', () => {
+  assert.equal(summarizeStatus([], NOW).level, STATUS_LEVELS.IDLE);
+
+  const summary = summarizeStatus([
+    createAccountStatus(ACCOUNT, [running('a')], NOW),
+    createAccountStatus({ ...ACCOUNT, profileId: 'work', profileName: '仕事用' }, [running('b')], NOW)
+  ], NOW);
+
+  assert.equal(summary.level, STATUS_LEVELS.OK);
+  assert.equal(summary.running, 2);
+  assert.equal(summary.nextAutoStopAt, NOW + 60 * MINUTE);
+});
+
+test('summarizeStatus warns over the limit, counting only limited codespaces', () => {
+  const overLimit = summarizeStatus([
+    createAccountStatus(ACCOUNT, [running('a'), running('b'), running('c')], NOW)
+  ], NOW);
+  assert.equal(overLimit.level, STATUS_LEVELS.WARNING);
+  assert.deepEqual(overLimit.overLimitAccounts, ['デフォルト']);
+
+  // 固定・除外リポジトリの Codespace は最大数に数えない
+  const withPinned = summarizeStatus([
+    createAccountStatus(ACCOUNT, [running('a'), running('b'), running('pinned', { limited: false })], NOW)
+  ], NOW);
+  assert.equal(withPinned.level, STATUS_LEVELS.OK);
+});
+
+test('summarizeStatus warns when an auto-stop is close and reports invalid tokens as errors', () => {
+  const soon = summarizeStatus([
+    createAccountStatus(ACCOUNT, [running('a', { autoStopAt: NOW + 5 * MINUTE })], NOW)
+  ], NOW);
+  assert.equal(soon.level, STATUS_LEVELS.WARNING);
+  assert.equal(soon.autoStopSoon, true);
+
+  const invalid = summarizeStatus([
+    createAccountStatus(ACCOUNT, [running('a', { autoStopAt: NOW + 5 * MINUTE })], NOW),
+    createInvalidTokenStatus({ profileId: 'work', profileName: '仕事用' }, NOW)
+  ], NOW);
+  assert.equal(invalid.level, STATUS_LEVELS.ERROR);
+  assert.deepEqual(invalid.invalidTokenAccounts, ['仕事用']);
+});
+
+test('getBadgeAppearance shows the count, or ! for an invalid token', () => {
+  const ok = getBadgeAppearance(summarizeStatus([createAccountStatus(ACCOUNT, [running('a')], NOW)], NOW));
+  assert.deepEqual(ok, {
+    text: '1',
+    color: '#4caf50',
+    title: 'One Codespace\n1 個のアクティブな Codespace'
+  });
+
+  assert.equal(getBadgeAppearance(summarizeStatus([], NOW)).text, '');
+
+  const error = getBadgeAppearance(summarizeStatus([createInvalidTokenStatus(ACCOUNT, NOW)], NOW));
+  assert.deepEqual(error, {
+    text: '!',
+    color: '#f44336',
+    title: 'One Codespace\n0 個のアクティブな Codespace\nトークンが無効です: デフォルト'
+  });
+});
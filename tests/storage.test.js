@@ -0,0 +1,376 @@
+import { test, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.js';
+import { setLanguage } from '../i18n.js';
+import {
+  getSettings,
+  saveSettings,
+  getGitHubToken,
+  getOAuthCredentials,
+  saveOAuthCredentials,
+  getTokenProtection,
+  setTokenPassphrase,
+  unlockToken,
+  lockToken,
+  exportSettings,
+  importSettings,
+  getProfiles,
+  setActiveProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  getAllProfileSettings,
+  recordCodespaceStart,
+  getCodespaceStart,
+  syncCodespaceStarts,
+  finishCodespaceRun,
+  getUsageHistory,
+  appendAuditLog,
+  getAuditLog,
+  saveAccountStatus,
+  getCodespaceStatus
+} from '../storage.js';
+
+let chrome;
+
+/**
+ * chrome.storage.local の内容を文字列で取得（storage.local.get(null) のダンプ相当）
+ * @returns {Promise<string>} JSON 文字列
+ */
+async function dumpLocalStorage() {
+  return JSON.stringify(await chrome.storage.local.get(null));
+}
+
+// デフォルトのアカウントの名前は日本語のもので検証する
+before(async () => {
+  installChrome();
+  await setLanguage('ja');
+});
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+test('saveSettings stores the token encrypted and apart from the settings', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret', maxCodespaces: 2 });
+
+  const { settings } = await chrome.storage.local.get('settings');
+  assert.equal(settings.githubToken, undefined);
+  assert.equal(settings.profiles[0].maxCodespaces, 2);
+  assert.equal((await dumpLocalStorage()).includes('ghp_secret'), false);
+
+  assert.equal((await getSettings()).githubToken, 'ghp_secret');
+  assert.deepEqual(await getTokenProtection(), { storage: 'local', protection: 'device', locked: false });
+});
+
+test('OAuth credentials are encrypted together with the token', async () => {
+  await saveOAuthCredentials({ accessToken: 'ghu_secret', expiresAt: 1, refreshToken: 'ghr_secret', refreshTokenExpiresAt: 2 });
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghu_secret' });
+
+  assert.equal((await dumpLocalStorage()).includes('ghr_secret'), false);
+  assert.equal((await getOAuthCredentials()).refreshToken, 'ghr_secret');
+  assert.equal(await getGitHubToken(), 'ghu_secret');
+});
+
+test('session-only tokens are kept out of chrome.storage.local', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret', tokenStorage: 'session' });
+
+  assert.equal((await dumpLocalStorage()).includes('ghp_secret'), false);
+  assert.equal(await getGitHubToken(), 'ghp_secret');
+  assert.equal((await getTokenProtection()).storage, 'session');
+
+  await chrome.storage.session.clear();
+  assert.equal(await getGitHubToken(), '');
+});
+
+test('switching back to local storage encrypts the session token', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret', tokenStorage: 'session' });
+  await saveSettings({ ...(await getSettings()), tokenStorage: 'local' });
+
+  await chrome.storage.session.clear();
+  assert.equal(await getGitHubToken(), 'ghp_secret');
+});
+
+test('a passphrase locks the token until it is unlocked', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret' });
+  assert.equal(await setTokenPassphrase('correct horse'), true);
+
+  // ブラウザを閉じると、ロックを解除したトークンは消去される
+  await chrome.storage.session.clear();
+
+  assert.deepEqual(await getTokenProtection(), { storage: 'local', protection: 'passphrase', locked: true });
+  assert.equal((await getSettings()).githubToken, '');
+
+  assert.equal(await unlockToken('wrong'), false);
+  assert.equal(await unlockToken('correct horse'), true);
+  assert.equal(await getGitHubToken(), 'ghp_secret');
+
+  assert.equal(await lockToken(), true);
+  assert.equal(await getGitHubToken(), '');
+});
+
+test('saving settings while locked keeps the protected token', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret' });
+  await setTokenPassphrase('correct horse');
+  await lockToken();
+
+  assert.equal(await saveSettings({ ...(await getSettings()), maxCodespaces: 3 }), true);
+  assert.equal(await saveSettings({ ...(await getSettings()), githubToken: 'ghp_other' }), false);
+
+  await unlockToken('correct horse');
+  assert.equal(await getGitHubToken(), 'ghp_secret');
+});
+
+test('errors about the locked token are in the display language', async () => {
+  const work = await createProfile('Work');
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret', tokenStorage: 'session' });
+  const errors = [];
+  mock.method(console, 'error', (message, error) => errors.push(error.message));
+
+  await setLanguage('en');
+  try {
+    assert.equal(await setTokenPassphrase('correct horse'), false);
+
+    await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret', tokenStorage: 'local' });
+    await setTokenPassphrase('correct horse');
+    await lockToken();
+    assert.equal(await deleteProfile(work.id), false);
+    assert.equal(await setTokenPassphrase('new horse'), false);
+  } finally {
+    await setLanguage('ja');
+    mock.restoreAll();
+  }
+
+  assert.deepEqual(errors, [
+    'A passphrase can only be set when the token is stored encrypted in this browser',
+    'The token is locked with a passphrase. Unlock it with the passphrase first',
+    'The token is locked with a passphrase. Unlock it with the passphrase first'
+  ]);
+});
+
+test('a new token keeps the passphrase protection while unlocked', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret' });
+  await setTokenPassphrase('correct horse');
+
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_rotated' });
+  await lockToken();
+
+  assert.equal(await unlockToken('correct horse'), true);
+  assert.equal(await getGitHubToken(), 'ghp_rotated');
+});
+
+test('removing the passphrase falls back to the device key', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret' });
+  await setTokenPassphrase('correct horse');
+  await setTokenPassphrase('');
+
+  await chrome.storage.session.clear();
+  assert.deepEqual(await getTokenProtection(), { storage: 'local', protection: 'device', locked: false });
+  assert.equal(await getGitHubToken(), 'ghp_secret');
+});
+
+test('exportSettings never includes the token', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_secret' });
+
+  assert.equal(JSON.stringify(await exportSettings()).includes('ghp_secret'), false);
+});
+
+test('settings saved before accounts existed become the default account', async () => {
+  await chrome.storage.local.set({ settings: { maxCodespaces: 3, excludedRepos: ['org/app'], darkMode: true } });
+
+  const settings = await getSettings();
+
+  assert.equal(settings.profileId, 'default');
+  assert.equal(settings.maxCodespaces, 3);
+  assert.deepEqual(settings.excludedRepos, [{ type: 'exact', pattern: 'org/app' }]);
+  assert.equal(settings.darkMode, true);
+});
+
+test('each account keeps its own token, limits and exclusions', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_personal', maxCodespaces: 1 });
+  const work = await createProfile('仕事用');
+  await saveSettings({
+    ...(await getSettings(work.id)),
+    githubToken: 'ghp_work',
+    maxCodespaces: 4,
+    excludedRepos: [{ type: 'owner', pattern: 'company' }],
+    darkMode: true
+  });
+
+  const personal = await getSettings('default');
+  const workSettings = await getSettings(work.id);
+
+  assert.equal(personal.githubToken, 'ghp_personal');
+  assert.equal(personal.maxCodespaces, 1);
+  assert.deepEqual(personal.excludedRepos, []);
+  assert.equal(workSettings.githubToken, 'ghp_work');
+  assert.equal(workSettings.maxCodespaces, 4);
+  assert.equal(workSettings.profileName, '仕事用');
+  // 表示設定はすべてのアカウントで共通
+  assert.equal(personal.darkMode, true);
+  assert.equal((await dumpLocalStorage()).includes('ghp_work'), false);
+  assert.deepEqual((await getAllProfileSettings()).map(settings => settings.githubToken), ['ghp_personal', 'ghp_work']);
+});
+
+test('the default account is named in the display language', async () => {
+  assert.equal((await getSettings()).profileName, 'デフォルト');
+
+  // 以前のバージョンが日本語で保存した名前も、表示する言語の名前にする
+  await chrome.storage.local.set({ settings: { profiles: [{ id: 'default', name: 'デフォルト' }], activeProfileId: 'default' } });
+  await setLanguage('en');
+  try {
+    assert.equal((await getSettings()).profileName, 'Default');
+    assert.deepEqual((await getProfiles()).profiles, [{ id: 'default', name: 'Default' }]);
+
+    assert.equal(await renameProfile('default', '個人用'), true);
+    assert.equal((await getSettings()).profileName, '個人用');
+  } finally {
+    await setLanguage('ja');
+  }
+});
+
+test('switching, renaming and deleting accounts', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'ghp_work' });
+  await saveOAuthCredentials({ accessToken: 'ghp_work', expiresAt: null, refreshToken: null, refreshTokenExpiresAt: null }, work.id);
+
+  assert.equal(await setActiveProfile(work.id), true);
+  assert.equal(await renameProfile(work.id, 'Work'), true);
+  assert.equal((await getSettings()).profileName, 'Work');
+  assert.equal(await getGitHubToken(), 'ghp_work');
+  assert.equal(await setActiveProfile('missing'), false);
+
+  assert.equal(await deleteProfile(work.id), true);
+  assert.deepEqual(await getProfiles(), {
+    profiles: [{ id: 'default', name: 'デフォルト' }],
+    activeProfileId: 'default'
+  });
+  assert.equal(await getOAuthCredentials(work.id), null);
+  assert.equal(await getGitHubToken(work.id), '');
+
+  // 最後のアカウントは削除できない
+  assert.equal(await deleteProfile('default'), false);
+});
+
+test('exported accounts can be imported without tokens', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'ghp_work', maxCodespaces: 5 });
+  const exported = await exportSettings();
+
+  assert.equal(JSON.stringify(exported).includes('ghp_work'), false);
+
+  chrome = installChrome();
+  assert.equal(await importSettings(exported), true);
+
+  const imported = await getSettings(work.id);
+  assert.equal(imported.profileName, '仕事用');
+  assert.equal(imported.maxCodespaces, 5);
+  assert.equal(imported.githubToken, '');
+});
+
+test('imports reject connection settings that fail validation', async () => {
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_default' });
+  const exported = await exportSettings();
+
+  const insecure = { ...exported, profiles: exported.profiles.map(profile => ({ ...profile, apiBaseUrl: 'http://evil.example.com' })) };
+  assert.equal(await importSettings(insecure), false);
+  assert.equal(await importSettings({ apiBaseUrl: 'ftp://evil.example.com' }), false);
+  assert.equal(await importSettings({ codespaceDomain: 'not a domain' }), false);
+
+  const settings = await getSettings();
+  assert.equal(settings.apiBaseUrl, 'https://api.github.com');
+  assert.equal(settings.githubToken, 'ghp_default');
+});
+
+test('imports drop the token of accounts whose API URL changes', async () => {
+  const work = await createProfile('仕事用');
+  await saveSettings({ ...(await getSettings()), githubToken: 'ghp_default' });
+  await saveSettings({ ...(await getSettings(work.id)), githubToken: 'ghp_work' });
+  await saveOAuthCredentials({ refreshToken: 'refresh' }, work.id);
+  const exported = await exportSettings();
+
+  const moved = {
+    ...exported,
+    profiles: exported.profiles.map(profile =>
+      profile.id === work.id ? { ...profile, apiBaseUrl: 'https://ghe.example.com/api/v3/' } : profile
+    )
+  };
+  assert.equal(await importSettings(moved), true);
+
+  const imported = await getSettings(work.id);
+  assert.equal(imported.apiBaseUrl, 'https://ghe.example.com/api/v3');
+  assert.equal(imported.githubToken, '');
+  assert.equal(await getOAuthCredentials(work.id), null);
+  assert.equal((await getSettings('default')).githubToken, 'ghp_default');
+
+  // 以前の形式（アカウントの一覧を含まない）は選択中のアカウントに反映する
+  assert.equal(await importSettings({ apiBaseUrl: 'https://ghe.example.com/api/v3', maxCodespaces: 4 }), true);
+  const legacy = await getSettings('default');
+  assert.equal(legacy.maxCodespaces, 4);
+  assert.equal(legacy.githubToken, '');
+});
+
+test('finishing a run appends it to the usage history and drops runs older than 90 days', async () => {
+  const day = 24 * 60 * 60 * 1000;
+  await chrome.storage.local.set({
+    usage_history: [
+      { codespaceName: 'old', startedAt: Date.now() - 92 * day, stoppedAt: Date.now() - 91 * day, stopReason: 'manual' },
+      { codespaceName: 'recent', startedAt: Date.now() - 2 * day, stoppedAt: Date.now() - day, stopReason: 'manual' }
+    ]
+  });
+  await recordCodespaceStart('cs', {
+    timestamp: Date.now() - 60 * 60 * 1000,
+    codespace: { repository: { full_name: 'org/app' }, machine: { name: 'basicLinux32gb', cpus: 2 }, idle_timeout_minutes: 60 }
+  });
+
+  const run = await finishCodespaceRun('cs', { reason: 'manual' });
+
+  assert.equal(run.repository, 'org/app');
+  assert.equal(run.machine, 'basicLinux32gb');
+  assert.equal(run.idleTimeoutMinutes, 60);
+  assert.deepEqual((await getUsageHistory()).map(entry => entry.codespaceName), ['recent', 'cs']);
+  assert.deepEqual(await chrome.storage.local.get('codespace_start_cs'), {});
+  // 起動時刻の記録がなければ何も追加しない
+  assert.equal(await finishCodespaceRun('cs', { reason: 'manual' }), null);
+});
+
+test('concurrent updates of the usage history, audit log and account status are all kept', async () => {
+  const names = ['a', 'b', 'c'];
+  for (const name of names) {
+    await recordCodespaceStart(name, { timestamp: Date.now() - 60 * 1000 });
+  }
+
+  // 一括停止では停止ごとの記録が並行して行われる
+  await Promise.all([
+    ...names.map(name => finishCodespaceRun(name, { reason: 'manual' })),
+    ...[1, 2, 3, 4, 5].map(index => appendAuditLog({ codespaceName: `cs-${index}`, result: 'stopped' })),
+    ...['p1', 'p2', 'p3'].map(profileId => saveAccountStatus({ profileId, running: [] }))
+  ]);
+
+  assert.deepEqual((await getUsageHistory()).map(entry => entry.codespaceName).sort(), names);
+  assert.deepEqual((await getAuditLog()).map(entry => entry.codespaceName), ['cs-1', 'cs-2', 'cs-3', 'cs-4', 'cs-5']);
+  assert.deepEqual(Object.keys(await getCodespaceStatus()).sort(), ['p1', 'p2', 'p3']);
+});
+
+test('a sync that overlaps a stop does not bring back the finished run', async () => {
+  await recordCodespaceStart('cs', { timestamp: Date.now() - 60 * 1000 });
+
+  // 起動時刻の記録の保存だけを遅らせ、停止が同期の読み込みと保存の間に終わるようにする
+  const set = chrome.storage.local.set;
+  chrome.storage.local.set = async (items) => {
+    if (Object.keys(items).some(key => key.startsWith('codespace_start_'))) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return set(items);
+  };
+
+  // 一覧の取得（実行中）と停止が重なる
+  await Promise.all([
+    syncCodespaceStarts([{ name: 'cs', state: 'Available' }]),
+    finishCodespaceRun('cs', { reason: 'manual' })
+  ]);
+
+  assert.equal(await getCodespaceStart('cs'), null);
+  assert.deepEqual((await getUsageHistory()).map(entry => entry.codespaceName), ['cs']);
+});
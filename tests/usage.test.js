@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getRunDurationMs,
+  estimateRunCost,
+  estimateSavedMs,
+  estimateExternalStop,
+  splitRunByDay,
+  summarizeUsage,
+  usageToCsv
+} from '../usage.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// 2025-01-08 は水曜日（ローカル時刻）
+const at = (date, time) => new Date(`${date}T${time}:00`).getTime();
+
+/**
+ * 実行期間を作成
+ * @param {Object} overrides - 上書きする項目
+ * @returns {Object} 実行期間
+ */
+function run(overrides) {
+  return {
+    codespaceName: 'cs',
+    repository: 'org/app',
+    machine: '2 cores, 8 GB RAM',
+    cpus: 2,
+    startedAt: at('2025-01-08', '10:00'),
+    stoppedAt: at('2025-01-08', '12:00'),
+    stopReason: 'manual',
+    lastUsedAt: null,
+    idleTimeoutMinutes: null,
+    ...overrides
+  };
+}
+
+test('cost is hours times cores times the price, assuming 2 cores when unknown', () => {
+  assert.equal(getRunDurationMs(run({})), 2 * HOUR);
+  assert.equal(estimateRunCost(run({ cpus: 4 }), 0.1), 0.8);
+  assert.equal(estimateRunCost(run({ cpus: null }), 0.1), 0.4);
+  assert.equal(estimateRunCost(run({}), 0.1, 30 * MINUTE), 0.1);
+});
+
+test('only auto-stopped runs save time, up to the idle timeout after last use', () => {
+  const stoppedAt = at('2025-01-08', '12:00');
+
+  assert.equal(estimateSavedMs(run({ stopReason: 'auto', lastUsedAt: stoppedAt - 20 * MINUTE, idleTimeoutMinutes: 60 })), 40 * MINUTE);
+  // アイドルタイムアウトの既定値は30分
+  assert.equal(estimateSavedMs(run({ stopReason: 'auto', lastUsedAt: stoppedAt - 20 * MINUTE })), 10 * MINUTE);
+  assert.equal(estimateSavedMs(run({ stopReason: 'auto', lastUsedAt: stoppedAt - 45 * MINUTE })), 0);
+  assert.equal(estimateSavedMs(run({ stopReason: 'manual', lastUsedAt: stoppedAt - 20 * MINUTE })), 0);
+});
+
+test('external stops are estimated from the idle timeout within the observed window', () => {
+  const start = { timestamp: 0, lastSeenAt: 60 * MINUTE, idleTimeoutMinutes: 30 };
+
+  assert.equal(estimateExternalStop(start, 50 * MINUTE, 120 * MINUTE), 80 * MINUTE);
+  // 最後に実行中を確認した時刻より前にはならない
+  assert.equal(estimateExternalStop(start, 10 * MINUTE, 120 * MINUTE), 60 * MINUTE);
+  // 停止を確認した時刻より後にはならない
+  assert.equal(estimateExternalStop(start, 110 * MINUTE, 120 * MINUTE), 120 * MINUTE);
+  assert.equal(estimateExternalStop(start, null, 120 * MINUTE), 60 * MINUTE);
+});
+
+test('runs are split at local midnight', () => {
+  const parts = splitRunByDay(run({ startedAt: at('2025-01-08', '23:00'), stoppedAt: at('2025-01-09', '01:30') }));
+
+  assert.deepEqual(parts.map(({ date, durationMs }) => [date, durationMs]), [
+    ['2025-01-08', HOUR],
+    ['2025-01-09', 90 * MINUTE]
+  ]);
+});
+
+test('summarizeUsage totals hours and cost per day, week, repository and machine', () => {
+  const summary = summarizeUsage([
+    run({}),
+    run({ repository: 'org/api', machine: '4 cores, 16 GB RAM', cpus: 4, startedAt: at('2025-01-06', '09:00'), stoppedAt: at('2025-01-06', '10:00') }),
+    // 前の週（月曜始まり）
+    run({ machine: null, cpus: null, startedAt: at('2025-01-05', '09:00'), stoppedAt: at('2025-01-05', '09:30') }),
+    // 期間より前
+    run({ startedAt: at('2024-12-01', '09:00'), stoppedAt: at('2024-12-01', '10:00') })
+  ], { days: 7, costPerCoreHour: 0.1, now: at('2025-01-08', '18:00') });
+
+  assert.equal(summary.total.hours, 3.5);
+  assert.ok(Math.abs(summary.total.cost - 0.9) < 1e-9);
+
+  assert.equal(summary.daily.length, 7);
+  assert.deepEqual(summary.daily.slice(0, 4).map(({ key, hours }) => [key, hours]), [
+    ['2025-01-08', 2],
+    ['2025-01-07', 0],
+    ['2025-01-06', 1],
+    ['2025-01-05', 0.5]
+  ]);
+  assert.deepEqual(summary.weekly.map(({ key, hours }) => [key, hours]), [
+    ['2025-01-06', 3],
+    ['2024-12-30', 0.5]
+  ]);
+  assert.deepEqual(summary.byRepository.map(({ key, hours }) => [key, hours]), [['org/app', 2.5], ['org/api', 1]]);
+  assert.deepEqual(summary.byMachine.map(({ key, hours }) => [key, hours]), [
+    ['2 cores, 8 GB RAM', 2],
+    ['4 cores, 16 GB RAM', 1],
+    ['', 0.5]
+  ]);
+});
+
+test('summarizeUsage counts only the part of a run inside the period and the time saved', () => {
+  const summary = summarizeUsage([
+    run({ startedAt: at('2025-01-01', '22:00'), stoppedAt: at('2025-01-02', '02:00') }),
+    run({ stopReason: 'auto', lastUsedAt: at('2025-01-08', '11:40'), idleTimeoutMinutes: 60 })
+  ], { days: 7, costPerCoreHour: 0.1, now: at('2025-01-08', '18:00') });
+
+  assert.equal(summary.total.hours, 4);
+  assert.ok(Math.abs(summary.saved.hours - 40 / 60) < 1e-9);
+  assert.ok(Math.abs(summary.saved.cost - (40 / 60) * 2 * 0.1) < 1e-9);
+});
+
+test('usageToCsv writes one row per run and quotes values when needed', () => {
+  const csv = usageToCsv([
+    run({ repository: 'org/"quoted",app', stopReason: 'auto', lastUsedAt: at('2025-01-08', '11:40') })
+  ], 0.1);
+  const [header, row, end] = csv.split('\r\n');
+
+  assert.equal(header, 'codespace,repository,machine,cpus,started_at,stopped_at,hours,core_hours,estimated_cost,stop_reason,saved_hours');
+  assert.equal(row, [
+    'cs',
+    '"org/""quoted"",app"',
+    '"2 cores, 8 GB RAM"',
+    '2',
+    new Date(at('2025-01-08', '10:00')).toISOString(),
+    new Date(at('2025-01-08', '12:00')).toISOString(),
+    '2.00',
+    '4.00',
+    '0.40',
+    'auto',
+    '0.17'
+  ].join(','));
+  assert.equal(end, '');
+});
@@ -0,0 +1,272 @@
+/**
+ * 使用量モジュール
+ * 記録した Codespace の実行期間から、日・週・リポジトリ・マシンごとの使用時間と推定コストを集計する
+ * chrome.* API に依存しない純粋な関数のみで構成
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// マシンのコア数が分からない場合に仮定するコア数（GitHub の最小のマシン）
+export const DEFAULT_MACHINE_CPUS = 2;
+
+// GitHub の自動停止（アイドルタイムアウト）の既定値（分）
+export const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+
+// 停止の理由
+export const STOP_REASONS = {
+  MANUAL: 'manual', // ポップアップから停止
+  AUTO: 'auto', // 拡張機能が自動停止（非アクティブ・最大数・スケジュール）
+  EXTERNAL: 'external' // 拡張機能の外で停止（GitHub のアイドルタイムアウトなど）
+};
+
+// CSV の列
+const CSV_COLUMNS = [
+  'codespace',
+  'repository',
+  'machine',
+  'cpus',
+  'started_at',
+  'stopped_at',
+  'hours',
+  'core_hours',
+  'estimated_cost',
+  'stop_reason',
+  'saved_hours'
+];
+
+/**
+ * 実行期間の長さを取得
+ * @param {Object} run - 実行期間 { startedAt, stoppedAt }
+ * @returns {number} 長さ（ミリ秒）
+ */
+export function getRunDurationMs(run) {
+  return Math.max(run.stoppedAt - run.startedAt, 0);
+}
+
+/**
+ * 実行期間の推定コストを計算
+ * @param {Object} run - 実行期間 { startedAt, stoppedAt, cpus }
+ * @param {number} costPerCoreHour - 1 コア時間あたりの料金
+ * @param {number} durationMs - 対象とする長さ（省略時は実行期間全体）
+ * @returns {number} 推定コスト
+ */
+export function estimateRunCost(run, costPerCoreHour, durationMs = getRunDurationMs(run)) {
+  return (durationMs / HOUR_MS) * (run.cpus || DEFAULT_MACHINE_CPUS) * costPerCoreHour;
+}
+
+/**
+ * 自動停止によって短縮された時間を推定
+ * 拡張機能が停止しなければ、最後に使われてから GitHub のアイドルタイムアウトが経過するまで実行されていたとみなす
+ * @param {Object} run - 実行期間 { stoppedAt, stopReason, lastUsedAt, idleTimeoutMinutes }
+ * @returns {number} 短縮された時間（ミリ秒）。自動停止でない場合は 0
+ */
+export function estimateSavedMs(run) {
+  if (run.stopReason !== STOP_REASONS.AUTO) {
+    return 0;
+  }
+
+  const lastUsedAt = run.lastUsedAt ?? run.stoppedAt;
+  const idleTimeoutMs = (run.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES) * 60 * 1000;
+
+  return Math.max(lastUsedAt + idleTimeoutMs - run.stoppedAt, 0);
+}
+
+/**
+ * 拡張機能の外で停止された Codespace の停止時刻を推定
+ * 最後に実行中を確認した時刻から、停止を確認した時刻までの間で、
+ * 最後に使われてから GitHub のアイドルタイムアウトが経過した時刻を採用する
+ * @param {Object} start - 起動時刻の記録 { timestamp, lastSeenAt, idleTimeoutMinutes }
+ * @param {number|null} lastUsedAt - 最後に使われた時刻（ミリ秒）
+ * @param {number} now - 停止を確認した時刻（ミリ秒）
+ * @returns {number} 推定した停止時刻（ミリ秒）
+ */
+export function estimateExternalStop(start, lastUsedAt, now) {
+  const lowerBound = start.lastSeenAt ?? start.timestamp;
+
+  if (lastUsedAt === null || lastUsedAt === undefined) {
+    return lowerBound;
+  }
+
+  const idleTimeoutMs = (start.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES) * 60 * 1000;
+  return Math.min(Math.max(lastUsedAt + idleTimeoutMs, lowerBound), now);
+}
+
+/**
+ * 日付をローカル時刻の YYYY-MM-DD に変換
+ * @param {Date} date - 日付
+ * @returns {string} 日付の文字列
+ */
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * その日の 0:00（ローカル時刻）を取得
+ * @param {number} timestamp - タイムスタンプ（ミリ秒）
+ * @returns {Date} その日の 0:00
+ */
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * その週の月曜日の 0:00（ローカル時刻）を取得
+ * @param {number} timestamp - タイムスタンプ（ミリ秒）
+ * @returns {Date} 週の始まり
+ */
+function startOfWeek(timestamp) {
+  const day = startOfDay(timestamp);
+  const offset = (day.getDay() + 6) % 7;
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() - offset);
+}
+
+/**
+ * 集計期間の始まりを取得
+ * @param {number} days - 集計する日数（今日を含む）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {number} 期間の始まり（days 日前の 0:00、ミリ秒）
+ */
+export function getPeriodStart(days, now = Date.now()) {
+  const today = startOfDay(now);
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1)).getTime();
+}
+
+/**
+ * 実行期間を日（ローカル時刻）ごとに分割
+ * @param {Object} run - 実行期間 { startedAt, stoppedAt }
+ * @returns {Array<Object>} [{ date: 'YYYY-MM-DD', start, durationMs }]
+ */
+export function splitRunByDay(run) {
+  const parts = [];
+  let cursor = run.startedAt;
+
+  while (cursor < run.stoppedAt) {
+    const day = startOfDay(cursor);
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+    const end = Math.min(nextDay, run.stoppedAt);
+
+    parts.push({ date: formatDate(day), start: cursor, durationMs: end - cursor });
+    cursor = end;
+  }
+
+  return parts;
+}
+
+/**
+ * 集計の行を作成・更新
+ * @param {Map} rows - キーごとの行
+ * @param {string} key - キー
+ * @param {number} durationMs - 加える時間（ミリ秒）
+ * @param {number} cost - 加えるコスト
+ */
+function addToRow(rows, key, durationMs, cost) {
+  const row = rows.get(key) || { key, hours: 0, cost: 0 };
+  row.hours += durationMs / HOUR_MS;
+  row.cost += cost;
+  rows.set(key, row);
+}
+
+/**
+ * 使用量を集計
+ * 期間の始まりより前の部分は除き、実行中の Codespace は stoppedAt を現在時刻として渡す
+ * @param {Array<Object>} runs - 実行期間の配列
+ * @param {Object} options - オプション
+ * @param {number} options.days - 集計する日数（今日を含む）
+ * @param {number} options.costPerCoreHour - 1 コア時間あたりの料金
+ * @param {number} options.now - 現在時刻（ミリ秒）
+ * @returns {Object} { total, saved, daily, weekly, byRepository, byMachine }（時間は hours、コストは cost。マシンが不明な行のキーは空文字列）
+ */
+export function summarizeUsage(runs, { days, costPerCoreHour, now = Date.now() }) {
+  const today = startOfDay(now);
+  const since = getPeriodStart(days, now);
+
+  const daily = new Map();
+  const weekly = new Map();
+  const byRepository = new Map();
+  const byMachine = new Map();
+  const total = { hours: 0, cost: 0 };
+  const saved = { hours: 0, cost: 0 };
+
+  // 期間内のすべての日と週を 0 時間で用意しておく
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    addToRow(daily, formatDate(day), 0, 0);
+    addToRow(weekly, formatDate(startOfWeek(day.getTime())), 0, 0);
+  }
+
+  for (const run of runs) {
+    for (const part of splitRunByDay(run)) {
+      if (part.start < since) {
+        continue;
+      }
+
+      const cost = estimateRunCost(run, costPerCoreHour, part.durationMs);
+      addToRow(daily, part.date, part.durationMs, cost);
+      addToRow(weekly, formatDate(startOfWeek(part.start)), part.durationMs, cost);
+      addToRow(byRepository, run.repository || run.codespaceName, part.durationMs, cost);
+      addToRow(byMachine, run.machine || '', part.durationMs, cost);
+      total.hours += part.durationMs / HOUR_MS;
+      total.cost += cost;
+    }
+
+    if (run.stoppedAt >= since) {
+      const savedMs = estimateSavedMs(run);
+      saved.hours += savedMs / HOUR_MS;
+      saved.cost += estimateRunCost(run, costPerCoreHour, savedMs);
+    }
+  }
+
+  const byKeyDesc = (a, b) => b.key.localeCompare(a.key);
+  const byHoursDesc = (a, b) => b.hours - a.hours || a.key.localeCompare(b.key);
+
+  return {
+    total,
+    saved,
+    daily: [...daily.values()].sort(byKeyDesc),
+    weekly: [...weekly.values()].sort(byKeyDesc),
+    byRepository: [...byRepository.values()].sort(byHoursDesc),
+    byMachine: [...byMachine.values()].sort(byHoursDesc)
+  };
+}
+
+/**
+ * CSV の値をエスケープ
+ * @param {*} value - 値
+ * @returns {string} CSV の値
+ */
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 実行期間を CSV に変換（1 行に 1 つの実行期間）
+ * @param {Array<Object>} runs - 実行期間の配列
+ * @param {number} costPerCoreHour - 1 コア時間あたりの料金
+ * @returns {string} CSV の文字列
+ */
+export function usageToCsv(runs, costPerCoreHour) {
+  const rows = runs.map(run => {
+    const hours = getRunDurationMs(run) / HOUR_MS;
+    const cpus = run.cpus || DEFAULT_MACHINE_CPUS;
+
+    return [
+      run.codespaceName,
+      run.repository,
+      run.machine,
+      cpus,
+      new Date(run.startedAt).toISOString(),
+      new Date(run.stoppedAt).toISOString(),
+      hours.toFixed(2),
+      (hours * cpus).toFixed(2),
+      estimateRunCost(run, costPerCoreHour).toFixed(2),
+      run.stopReason,
+      (estimateSavedMs(run) / HOUR_MS).toFixed(2)
+    ];
+  });
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}